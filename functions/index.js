@@ -0,0 +1,35 @@
+import { onRequest } from 'firebase-functions/v2/https';
+import { defineSecret } from 'firebase-functions/params';
+import { initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { createProxyHandler } from './src/proxy.js';
+import { createGeminiModel, createStubModel } from './src/models.js';
+
+// La clave de Gemini vive en Secret Manager (firebase functions:secrets:set GEMINI_API_KEY)
+const geminiApiKey = defineSecret('GEMINI_API_KEY');
+
+initializeApp();
+
+// El manejador se crea en la primera petición: el secreto solo está disponible en ejecución.
+// Con GEMINI_MODEL_STUB=true (emulador, pruebas) se usa un modelo simulado que no llama a Gemini.
+let handler = null;
+const getHandler = () => {
+  if (!handler) {
+    handler = createProxyHandler({
+      verifyIdToken: (token) => getAuth().verifyIdToken(token),
+      model: process.env.GEMINI_MODEL_STUB === 'true'
+        ? createStubModel()
+        : createGeminiModel({ apiKey: geminiApiKey.value() }),
+    });
+  }
+  return handler;
+};
+
+/**
+ * Gemini proxy for the web app: the API key stays on the server, the app sends
+ * typed requests (categorize, quick entry, receipt...) whose prompts are built
+ * here, and each one is authenticated with the user's Firebase ID token, rate
+ * limited per user (more strictly for guests) and cached. The client reads its
+ * URL from `REACT_APP_GEMINI_PROXY_URL`.
+ */
+export const gemini = onRequest({ secrets: [geminiApiKey], cors: true }, (req, res) => getHandler()(req, res));
@@ -0,0 +1,41 @@
+import { createHash } from 'crypto';
+
+/**
+ * Returns the cache key of a model request: identical requests (the same
+ * description, categories and instructions) share the key.
+ * @param {object} payload - The `generateContent` request body.
+ * @returns {string} A SHA-256 hash of the payload.
+ */
+export const getPayloadKey = (payload) => createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+
+/**
+ * Creates an in-memory cache of model responses with a time to live. When it
+ * is full, the least recently used entry is dropped.
+ * @param {object} [options]
+ * @param {number} [options.maxEntries=1000] - Maximum number of responses kept.
+ * @param {number} [options.ttlMs=86400000] - How long a response is reused, in ms.
+ * @param {function(): number} [options.now=Date.now] - Clock, replaceable in tests.
+ * @returns {{get: function(string): (string|undefined), set: function(string, string): void}} The cache.
+ */
+export const createResponseCache = ({ maxEntries = 1000, ttlMs = 24 * 60 * 60 * 1000, now = Date.now } = {}) => {
+  // Map conserva el orden de inserción: la primera clave es la usada hace más tiempo
+  const entries = new Map();
+
+  return {
+    get: (key) => {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (now() - entry.storedAt >= ttlMs) return undefined;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set: (key, value) => {
+      entries.delete(key);
+      entries.set(key, { value, storedAt: now() });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+};
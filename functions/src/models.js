@@ -0,0 +1,60 @@
+// Endpoint del modelo de Gemini (el mismo que usaba el cliente antes del proxy)
+export const GEMINI_API_URL = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent";
+
+/**
+ * Creates the model that forwards requests to the Gemini API.
+ * @param {object} config
+ * @param {string} config.apiKey - The Gemini API key (a secret of the function).
+ * @param {string} [config.apiUrl] - Overrides the `generateContent` endpoint.
+ * @returns {{generate: function(object): Promise<string|undefined>}} The model.
+ */
+export const createGeminiModel = ({ apiKey, apiUrl = GEMINI_API_URL }) => ({
+  generate: async (payload) => {
+    const response = await fetch(apiUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      throw new Error(`Gemini respondió con el estado ${response.status}.`);
+    }
+    const result = await response.json();
+    return result.candidates?.[0]?.content?.parts?.[0]?.text;
+  },
+});
+
+// Valor de ejemplo que cumple un esquema de respuesta (primer valor de los enum, ceros y textos fijos)
+const buildStubValue = (schema) => {
+  switch (schema?.type) {
+    case 'OBJECT':
+      return Object.fromEntries(Object.entries(schema.properties || {}).map(([name, property]) => [name, buildStubValue(property)]));
+    case 'ARRAY':
+      return [buildStubValue(schema.items)];
+    case 'NUMBER':
+      return 0;
+    case 'INTEGER':
+      return 1;
+    case 'BOOLEAN':
+      return false;
+    default:
+      return schema?.enum?.[0] ?? 'Respuesta de prueba';
+  }
+};
+
+/**
+ * Creates a deterministic model that never calls Gemini, for tests and for
+ * running the proxy locally (`GEMINI_MODEL_STUB=true`). Requests with a
+ * response schema get a JSON value that follows it.
+ * @returns {{generate: function(object): Promise<string>, calls: Array<object>}} The model and the payloads it received.
+ */
+export const createStubModel = () => {
+  const calls = [];
+  return {
+    calls,
+    generate: async (payload) => {
+      calls.push(payload);
+      const schema = payload.generationConfig?.responseSchema;
+      return schema ? JSON.stringify(buildStubValue(schema)) : 'Respuesta de prueba';
+    },
+  };
+};
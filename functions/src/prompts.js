@@ -0,0 +1,371 @@
+// Instrucciones y esquemas de respuesta de cada tipo de consulta. El proxy arma
+// la petición a Gemini a partir de estos datos: el cliente nunca envía texto de
+// instrucciones ni esquemas, solo los campos de su consulta.
+
+// Límites de los campos de las consultas
+export const LIMITS = {
+  text: 500,
+  sentence: 1000,
+  categories: 100,
+  categoryName: 100,
+  batch: 25,
+  conversation: 20,
+  message: 4000,
+  figures: 1000,
+  label: 200,
+  expenses: 200,
+  summaryRows: 200,
+  unusual: 10,
+  imageData: 4 * 1024 * 1024,
+};
+
+const WEEKDAYS = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+// Error de validación de una consulta: su mensaje se devuelve al cliente con un 400
+class InvalidRequestError extends Error {}
+
+const fail = (message) => {
+  throw new InvalidRequestError(message);
+};
+
+// "el total" -> "El total": los campos se nombran en minúscula para usarlos dentro de una oración
+const capitalize = (field) => field.charAt(0).toUpperCase() + field.slice(1);
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const checkText = (value, max, field) => {
+  if (typeof value !== 'string' || !value.trim()) fail(`Falta ${field}.`);
+  if (value.length > max) fail(`${capitalize(field)} supera los ${max} caracteres.`);
+  return value;
+};
+
+// Los textos que salen de los datos guardados (descripciones, etiquetas, mensajes
+// anteriores) se recortan al límite: un gasto con una descripción larga no debe
+// hacer fallar toda la consulta. Lo que el usuario escribe para la consulta se rechaza.
+const clipText = (value, max, field) => {
+  if (typeof value !== 'string' || !value.trim()) fail(`Falta ${field}.`);
+  return value.slice(0, max);
+};
+
+const checkNumber = (value, field) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) fail(`${capitalize(field)} debe ser un número.`);
+  return value;
+};
+
+const checkList = (value, max, field) => {
+  if (!Array.isArray(value)) fail(`Falta ${field}.`);
+  if (value.length > max) fail(`${capitalize(field)} supera los ${max} elementos.`);
+  return value;
+};
+
+const checkDate = (value, field) => {
+  const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  if (!date || date.getUTCDate() !== Number(match[3])) fail(`${capitalize(field)} debe ser una fecha YYYY-MM-DD.`);
+  return date;
+};
+
+const checkCurrency = (value, field) => {
+  if (typeof value !== 'string' || !/^[A-Z]{3}$/.test(value)) fail(`${capitalize(field)} debe ser un código de moneda.`);
+  return value;
+};
+
+const checkCategories = (value) => {
+  const categories = checkList(value, LIMITS.categories, 'la lista de categorías');
+  if (categories.length === 0) fail("Falta la lista de categorías.");
+  categories.forEach(category => checkText(category, LIMITS.categoryName, 'el nombre de la categoría'));
+  return categories;
+};
+
+// Petición con respuesta JSON según un esquema
+const jsonRequest = ({ contents, instruction, schema }) => ({
+  contents,
+  systemInstruction: { parts: [{ text: instruction }] },
+  generationConfig: { responseMimeType: "application/json", responseSchema: schema },
+});
+
+const userText = (text) => [{ parts: [{ text }] }];
+
+const formatMoney = (amount, currency) => new Intl.NumberFormat('es-AR', {
+  style: 'currency',
+  currency,
+  minimumFractionDigits: 2,
+}).format(amount);
+
+// Categorización (una descripción o varias): mismas instrucciones que los demás proveedores del cliente
+const buildCategorizationPrompt = (categories) => (
+  "Eres un asistente financiero experto. Tu tarea es analizar la descripción de un gasto y asignar una 'category' " +
+  `(categoría general en español, una de: ${categories.map(c => `'${c}'`).join(', ')}) ` +
+  "y una 'classification' (clasificación detallada en español, ej: 'Restaurante', 'Gasolina', 'Cine', 'Alquiler', 'Supermercado'). " +
+  "La respuesta DEBE ser un objeto JSON con las claves 'category' y 'classification'."
+);
+
+const categorizationProperties = (categories) => ({
+  "category": { "type": "STRING", enum: categories, description: "La categoría general del gasto (ej: Comida)" },
+  "classification": { "type": "STRING", description: "La clasificación detallada del gasto (ej: Restaurante)" },
+});
+
+const buildCategorize = (request) => {
+  const text = clipText(request.text, LIMITS.text, 'la descripción');
+  const categories = checkCategories(request.categories);
+  return jsonRequest({
+    contents: userText(`Gasto: "${text}". Categoriza y clasifica este gasto.`),
+    instruction: buildCategorizationPrompt(categories),
+    schema: {
+      type: "OBJECT",
+      properties: categorizationProperties(categories),
+      required: ["category", "classification"],
+    },
+  });
+};
+
+const buildBatch = (request) => {
+  const texts = checkList(request.texts, LIMITS.batch, 'la lista de descripciones');
+  if (texts.length === 0) fail("Falta la lista de descripciones.");
+  const clipped = texts.map(text => clipText(text, LIMITS.text, 'la descripción'));
+  const categories = checkCategories(request.categories);
+  return jsonRequest({
+    contents: userText(
+      "Categoriza y clasifica cada uno de estos gastos. Devuelve un arreglo JSON con un objeto por gasto, " +
+      "con las claves 'index' (el número del gasto), 'category' y 'classification'.\n" +
+      clipped.map((text, index) => `${index}. "${text}"`).join('\n')
+    ),
+    instruction: buildCategorizationPrompt(categories),
+    schema: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          "index": { "type": "INTEGER", description: "El número del gasto en la lista" },
+          ...categorizationProperties(categories),
+        },
+        required: ["index", "category", "classification"],
+      },
+    },
+  });
+};
+
+// Carga rápida: la fecha de hoy permite resolver "ayer", "el lunes", etc.
+const buildQuickEntry = (request) => {
+  const text = checkText(request.text, LIMITS.sentence, 'el texto');
+  const categories = checkCategories(request.categories);
+  const today = checkDate(request.today, 'la fecha de hoy');
+  return jsonRequest({
+    contents: userText(text),
+    instruction: (
+      "Eres un asistente financiero que convierte texto libre en una lista de gastos. " +
+      `Hoy es ${WEEKDAYS[today.getUTCDay()]} ${request.today}. ` +
+      "El texto puede contener varios gastos (ej: \"ayer 4500 nafta y 12000 super\"): devuelve un objeto por gasto con " +
+      "'amount' (número; '12k' = 12000, los puntos suelen separar miles), 'description' (breve y en español), " +
+      "'date' (YYYY-MM-DD; la fecha mencionada más cercana antes del gasto se aplica a los siguientes, y si no se menciona ninguna es hoy), " +
+      `'category' (una de: ${categories.map(c => `'${c}'`).join(', ')}) ` +
+      "y 'classification' (clasificación detallada, ej: 'Supermercado', 'Gasolina'). No inventes gastos sin monto."
+    ),
+    schema: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          "amount": { "type": "NUMBER" },
+          "description": { "type": "STRING" },
+          "date": { "type": "STRING", description: "Fecha en formato YYYY-MM-DD" },
+          "category": { "type": "STRING", enum: categories },
+          "classification": { "type": "STRING" },
+        },
+        required: ["amount", "description", "date", "category", "classification"],
+      },
+    },
+  });
+};
+
+const buildReceipt = (request) => {
+  const image = isObject(request.image) ? request.image : fail("Falta la imagen del ticket.");
+  if (typeof image.mimeType !== 'string' || !/^image\/[a-z0-9.+-]+$/.test(image.mimeType)) {
+    fail("El archivo del ticket debe ser una imagen.");
+  }
+  if (typeof image.data === 'string' && image.data.length > LIMITS.imageData) fail("La imagen del ticket es demasiado grande.");
+  if (typeof image.data !== 'string' || !/^[A-Za-z0-9+/]+=*$/.test(image.data)) {
+    fail("Falta la imagen del ticket.");
+  }
+  return jsonRequest({
+    contents: [{
+      parts: [
+        { text: "Extrae los datos de este ticket." },
+        { inlineData: { mimeType: image.mimeType, data: image.data } },
+      ],
+    }],
+    instruction: (
+      "Eres un asistente que lee fotos de tickets y facturas de compra en Argentina y Latinoamérica. " +
+      "Extrae el total pagado, el nombre del comercio, la fecha de la compra (YYYY-MM-DD), el código ISO de la moneda si se indica " +
+      "y los ítems con su importe. Los importes pueden usar punto como separador de miles y coma decimal: devuélvelos como números. " +
+      "Si un dato no aparece o no se lee, usa null."
+    ),
+    schema: {
+      type: "OBJECT",
+      properties: {
+        "total": { "type": "NUMBER", nullable: true, description: "Total pagado" },
+        "merchant": { "type": "STRING", nullable: true, description: "Nombre del comercio" },
+        "date": { "type": "STRING", nullable: true, description: "Fecha de la compra en formato YYYY-MM-DD" },
+        "currency": { "type": "STRING", nullable: true, description: "Código ISO 4217 de la moneda (ej: ARS)" },
+        "items": {
+          "type": "ARRAY",
+          items: {
+            type: "OBJECT",
+            properties: {
+              "description": { "type": "STRING" },
+              "amount": { "type": "NUMBER", nullable: true },
+            },
+            required: ["description"],
+          },
+        },
+      },
+      required: ["total", "merchant", "date", "items"],
+    },
+  });
+};
+
+// Asistente: responde solo con las cifras calculadas por la app y dice cuáles usó
+const buildChat = (request) => {
+  const question = checkText(request.question, LIMITS.sentence, 'la pregunta');
+  const conversation = checkList(request.conversation ?? [], LIMITS.conversation, 'la conversación');
+  const previous = conversation.map(message => {
+    if (!isObject(message) || !['user', 'assistant'].includes(message.role)) fail("La conversación no es válida.");
+    return {
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: clipText(message.text, LIMITS.message, 'el mensaje') }],
+    };
+  });
+  const figures = checkList(request.figures, LIMITS.figures, 'la lista de cifras').map(figure => {
+    if (!isObject(figure)) fail("Las cifras no son válidas.");
+    const id = checkText(figure.id, 20, 'el id de la cifra');
+    const label = clipText(figure.label, LIMITS.label, 'la descripción de la cifra');
+    const value = checkNumber(figure.value, 'el valor de la cifra');
+    if (figure.count !== undefined && !Number.isInteger(figure.count)) fail("La cantidad de la cifra no es válida.");
+    return `${id} | ${label} | ${value}${figure.count !== undefined ? ` | ${figure.count} gastos` : ''}`;
+  });
+  const lines = checkList(request.expenses, LIMITS.expenses, 'la lista de gastos').map(expense => {
+    if (!isObject(expense)) fail("Los gastos no son válidos.");
+    checkDate(expense.date, 'la fecha del gasto');
+    const description = clipText(expense.description, LIMITS.text, 'la descripción del gasto');
+    const category = checkText(expense.category, LIMITS.categoryName, 'la categoría del gasto');
+    return `${expense.date} | ${description} | ${category} | ${checkNumber(expense.amount, 'el importe del gasto')}`;
+  });
+  const baseCurrency = checkCurrency(request.baseCurrency, 'la moneda base');
+  checkDate(request.today, 'la fecha de hoy');
+  return jsonRequest({
+    contents: [...previous, { role: 'user', parts: [{ text: question }] }],
+    instruction: (
+      "Eres un asistente de finanzas personales. Respondes en español, de forma breve y concreta, preguntas sobre los gastos del usuario. " +
+      `Hoy es ${request.today}. Todos los importes están en ${baseCurrency}. ` +
+      "Usa ÚNICAMENTE las cifras de la lista CIFRAS (calculadas por la app) y los gastos listados; no hagas cuentas propias ni inventes datos. " +
+      "Si la pregunta no se puede responder con esos datos, dilo. Un 'mes' equivale a un período. " +
+      "Devuelve un objeto JSON con 'answer' (la respuesta) y 'figureIds' (los id de las cifras en que te basaste).\n\n" +
+      `CIFRAS:\n${figures.join('\n')}\n\n` +
+      `GASTOS DEL PERÍODO ACTUAL (fecha | descripción | categoría | importe):\n${lines.join('\n') || '(sin gastos)'}`
+    ),
+    schema: {
+      type: "OBJECT",
+      properties: {
+        "answer": { "type": "STRING" },
+        "figureIds": { "type": "ARRAY", items: { "type": "STRING" } },
+      },
+      required: ["answer", "figureIds"],
+    },
+  });
+};
+
+// Análisis de un período cerrado: redacta sobre las cifras ya calculadas, sin hacer cuentas
+const buildInsights = (request) => {
+  const period = isObject(request.period) ? request.period : fail("Falta el período.");
+  const comparison = isObject(request.comparison) ? request.comparison : fail("Falta la comparación.");
+  const title = clipText(period.title, LIMITS.label, 'el título del período');
+  const currency = checkCurrency(period.currency, 'la moneda del período');
+  const money = (value, field) => formatMoney(checkNumber(value, field), currency);
+  const comparedPeriods = comparison.comparedPeriods;
+  if (!Number.isInteger(comparedPeriods) || comparedPeriods < 0) fail("La cantidad de períodos comparados no es válida.");
+
+  const rows = comparedPeriods > 0
+    ? checkList(comparison.changes, LIMITS.summaryRows, 'la lista de cambios').map(c => {
+      if (!isObject(c)) fail("Los cambios no son válidos.");
+      return `- ${checkText(c.category, LIMITS.categoryName, 'la categoría')}: ${money(c.total, 'el total')} | ${money(c.previousAverage, 'el promedio')} | ${money(c.change, 'la diferencia')}`;
+    })
+    : checkList(period.categorySummary ?? [], LIMITS.summaryRows, 'el resumen por categoría').map(c => {
+      if (!isObject(c)) fail("El resumen por categoría no es válido.");
+      return `- ${checkText(c.category, LIMITS.categoryName, 'la categoría')}: ${money(c.total, 'el total')}`;
+    });
+  const unusual = checkList(request.unusual ?? [], LIMITS.unusual, 'la lista de gastos inusuales').map(e => {
+    if (!isObject(e)) fail("Los gastos inusuales no son válidos.");
+    checkDate(e.date, 'la fecha del gasto');
+    const description = clipText(e.description, LIMITS.text, 'la descripción del gasto');
+    const category = checkText(e.category, LIMITS.categoryName, 'la categoría del gasto');
+    return `- ${e.date} ${description} (${category}): ${money(e.amount, 'el importe')}, ${checkNumber(e.times, 'la proporción')} veces lo habitual en su categoría`;
+  });
+
+  return jsonRequest({
+    contents: userText([
+      `Período: ${title}. Total: ${money(period.totalSpent, 'el total del período')}.`,
+      comparedPeriods > 0
+        ? `Promedio de los ${comparedPeriods} períodos anteriores: ${money(comparison.previousAverage, 'el promedio anterior')}.`
+        : "No hay períodos anteriores para comparar.",
+      "Categorías (total del período | promedio anterior | diferencia):",
+      ...rows,
+      unusual.length > 0 ? `Gastos inusuales:\n${unusual.join('\n')}` : "No hubo gastos inusuales.",
+    ].join('\n')),
+    instruction: (
+      "Eres un asistente de finanzas personales. A partir de las cifras de un período de gastos que ya cerró " +
+      "(calculadas por la app), escribe en español un resumen breve (2 a 4 oraciones) comparándolo con los períodos anteriores: " +
+      "qué categorías subieron o bajaron más y qué gastos fueron inusuales. Luego da hasta 3 sugerencias concretas de ahorro. " +
+      "Usa solo las cifras recibidas, no inventes datos. Devuelve un objeto JSON con 'summary' y 'suggestions'."
+    ),
+    schema: {
+      type: "OBJECT",
+      properties: {
+        "summary": { "type": "STRING" },
+        "suggestions": { "type": "ARRAY", items: { "type": "STRING" } },
+      },
+      required: ["summary", "suggestions"],
+    },
+  });
+};
+
+const BUILDERS = {
+  categorize: buildCategorize,
+  batch: buildBatch,
+  quickEntry: buildQuickEntry,
+  receipt: buildReceipt,
+  chat: buildChat,
+  insights: buildInsights,
+};
+
+/**
+ * Validates a typed model request from the app and builds the `generateContent`
+ * payload for it. The instructions and response schemas are fixed here, so the
+ * proxy only ever sends the app's own prompts to Gemini.
+ *
+ * Request kinds (besides `kind`, the fields of each one):
+ * - `categorize`: `text`, `categories`.
+ * - `batch`: `texts` (up to `LIMITS.batch`), `categories`.
+ * - `quickEntry`: `text`, `categories`, `today` (`YYYY-MM-DD`).
+ * - `receipt`: `image` (`{mimeType, data}`, data in base64).
+ * - `chat`: `question`, `conversation` (`[{role, text}]`), `figures`
+ *   (`[{id, label, value, count?}]`), `expenses` (`[{date, description, category, amount}]`),
+ *   `baseCurrency`, `today`.
+ * - `insights`: `period` (`{title, totalSpent, currency, categorySummary}`),
+ *   `comparison` (`{comparedPeriods, previousAverage, changes}`), `unusual`.
+ *
+ * @param {object} request - The parsed request body.
+ * @returns {{payload: object}|{error: string}} The payload, or why the request was rejected.
+ */
+export const buildModelPayload = (request) => {
+  if (!isObject(request) || !Object.hasOwn(BUILDERS, request.kind)) {
+    return { error: "Tipo de consulta desconocido." };
+  }
+  try {
+    return { payload: BUILDERS[request.kind](request) };
+  } catch (err) {
+    if (err instanceof InvalidRequestError) {
+      return { error: err.message };
+    }
+    throw err;
+  }
+};
@@ -0,0 +1,111 @@
+import { createRateLimiter } from './rateLimit.js';
+import { createResponseCache, getPayloadKey } from './cache.js';
+import { buildModelPayload } from './prompts.js';
+
+// Tamaño máximo del cuerpo de una consulta (la foto de un ticket es la más grande)
+export const MAX_BODY_BYTES = 6 * 1024 * 1024;
+
+// Consultas por minuto de las sesiones de invitado: cualquiera puede crear una sin registrarse
+export const GUEST_RATE_LIMIT = 5;
+
+// Tamaño del cuerpo recibido; Cloud Functions expone los bytes originales en `rawBody`
+const getBodySize = (req) => (req.rawBody ? req.rawBody.length : Buffer.byteLength(JSON.stringify(req.body ?? null)));
+
+/**
+ * Creates the HTTP handler of the model proxy (Express-style request and
+ * response, as Cloud Functions provides). Each request must carry the user's
+ * Firebase ID token and a typed request (see `buildModelPayload`); the prompt
+ * sent to Gemini is always built here. Identical prompts are answered from the
+ * cache without counting against the user's rate limit, and guest (anonymous)
+ * sessions get a much lower limit than registered accounts.
+ *
+ * Request: `POST` with `Authorization: Bearer <ID token>` and `{kind, ...fields}`.
+ * Response: `{text, cached}`, or `{error}` with 400, 401, 405, 413, 429, 500 or 502.
+ *
+ * @param {object} options
+ * @param {function(string): Promise<{uid: string, firebase?: {sign_in_provider?: string}}>} options.verifyIdToken - Verifies a Firebase ID token and returns its decoded claims.
+ * @param {{generate: function(object): Promise<string|undefined>}} options.model - The model (Gemini or the stub).
+ * @param {ReturnType<typeof createRateLimiter>} [options.rateLimiter] - The per-user limiter of registered accounts.
+ * @param {ReturnType<typeof createRateLimiter>} [options.guestRateLimiter] - The per-user limiter of guest sessions.
+ * @param {ReturnType<typeof createResponseCache>} [options.cache] - The response cache.
+ * @param {number} [options.maxBodyBytes=MAX_BODY_BYTES] - Largest request body accepted.
+ * @returns {function(object, object): Promise<void>} The handler.
+ */
+export const createProxyHandler = ({
+  verifyIdToken,
+  model,
+  rateLimiter = createRateLimiter(),
+  guestRateLimiter = createRateLimiter({ limit: GUEST_RATE_LIMIT }),
+  cache = createResponseCache(),
+  maxBodyBytes = MAX_BODY_BYTES,
+}) => async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: "Método no permitido." });
+    return;
+  }
+
+  const token = /^Bearer (.+)$/.exec(req.headers.authorization || '')?.[1];
+  if (!token) {
+    res.status(401).json({ error: "Falta el token de sesión." });
+    return;
+  }
+  let claims;
+  try {
+    claims = await verifyIdToken(token);
+  } catch (err) {
+    res.status(401).json({ error: "La sesión no es válida." });
+    return;
+  }
+
+  if (getBodySize(req) > maxBodyBytes) {
+    res.status(413).json({ error: "La consulta es demasiado grande." });
+    return;
+  }
+  let built;
+  try {
+    built = buildModelPayload(req.body);
+  } catch (err) {
+    console.error("Error al armar la consulta:", err);
+    res.status(500).json({ error: "No se pudo preparar la consulta. Intenta nuevamente." });
+    return;
+  }
+  const { payload, error } = built;
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  // La clave sale de la petición armada aquí: el cliente no puede variarla sin cambiar el prompt
+  const key = getPayloadKey(payload);
+  const cached = cache.get(key);
+  if (cached !== undefined) {
+    res.status(200).json({ text: cached, cached: true });
+    return;
+  }
+
+  const isGuest = claims.firebase?.sign_in_provider === 'anonymous';
+  const { allowed, retryAfterMs } = (isGuest ? guestRateLimiter : rateLimiter).tryConsume(claims.uid);
+  if (!allowed) {
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({
+      error: isGuest
+        ? "Demasiadas consultas a la IA. Espera un momento o crea una cuenta para hacer más consultas."
+        : "Demasiadas consultas a la IA. Espera un momento e intenta de nuevo.",
+    });
+    return;
+  }
+
+  let text;
+  try {
+    text = await model.generate(payload);
+  } catch (err) {
+    console.error("Error al consultar el modelo:", err);
+    res.status(502).json({ error: "El modelo no respondió. Intenta nuevamente." });
+    return;
+  }
+  // Las respuestas vacías no se guardan: pueden ser un fallo pasajero del modelo
+  if (text) {
+    cache.set(key, text);
+  }
+  res.status(200).json({ text: text ?? null, cached: false });
+};
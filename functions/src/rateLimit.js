@@ -0,0 +1,27 @@
+/**
+ * Creates a per-user rate limiter with a sliding window. The counters live in
+ * memory, so the limit applies per function instance.
+ * @param {object} [options]
+ * @param {number} [options.limit=30] - Requests allowed per user and window.
+ * @param {number} [options.windowMs=60000] - Length of the window in ms.
+ * @param {function(): number} [options.now=Date.now] - Clock, replaceable in tests.
+ * @returns {{tryConsume: function(string): {allowed: boolean, retryAfterMs: number}}} The limiter.
+ */
+export const createRateLimiter = ({ limit = 30, windowMs = 60000, now = Date.now } = {}) => {
+  // Momentos de las peticiones recientes de cada usuario
+  const requests = new Map();
+
+  return {
+    tryConsume: (uid) => {
+      const current = now();
+      const recent = (requests.get(uid) || []).filter(time => current - time < windowMs);
+      if (recent.length >= limit) {
+        requests.set(uid, recent);
+        return { allowed: false, retryAfterMs: windowMs - (current - recent[0]) };
+      }
+      recent.push(current);
+      requests.set(uid, recent);
+      return { allowed: true, retryAfterMs: 0 };
+    },
+  };
+};
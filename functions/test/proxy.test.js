@@ -0,0 +1,250 @@
+// Pruebas del proxy del modelo con el modelo simulado (sin red ni emulador): npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProxyHandler } from '../src/proxy.js';
+import { createRateLimiter } from '../src/rateLimit.js';
+import { createResponseCache } from '../src/cache.js';
+import { createStubModel } from '../src/models.js';
+
+const TOKENS = { 'token-alice': 'alice', 'token-bob': 'bob', 'token-guest': 'guest' };
+
+// Tokens decodificados como los devuelve firebase-admin (la sesión de invitado es anónima)
+const verifyIdToken = async (token) => {
+  if (!TOKENS[token]) throw new Error('invalid token');
+  const provider = token === 'token-guest' ? 'anonymous' : 'password';
+  return { uid: TOKENS[token], firebase: { sign_in_provider: provider } };
+};
+
+// Consulta de categorización como la que envía el cliente
+const categorization = (text) => ({ kind: 'categorize', text, categories: ['Comida', 'Transporte'] });
+
+const request = ({ method = 'POST', token = 'token-alice', body = categorization('Café') } = {}) => ({
+  method,
+  headers: token ? { authorization: `Bearer ${token}` } : {},
+  body,
+});
+
+// Respuesta al estilo de Express que registra lo enviado
+const response = () => {
+  const res = { statusCode: null, body: null, headers: {} };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  return res;
+};
+
+const setup = (options = {}) => {
+  const model = createStubModel();
+  const handler = createProxyHandler({ verifyIdToken, model, ...options });
+  const send = async (req) => {
+    const res = response();
+    await handler(req, res);
+    return res;
+  };
+  return { model, send };
+};
+
+test('builds the prompt of the request and forwards it to the model', async () => {
+  const { model, send } = setup();
+  const res = await send(request());
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(JSON.parse(res.body.text), { category: 'Comida', classification: 'Respuesta de prueba' });
+  assert.equal(res.body.cached, false);
+  assert.equal(model.calls.length, 1);
+  const [payload] = model.calls;
+  assert.deepEqual(payload.contents, [{ parts: [{ text: 'Gasto: "Café". Categoriza y clasifica este gasto.' }] }]);
+  assert.match(payload.systemInstruction.parts[0].text, /una de: 'Comida', 'Transporte'/);
+  assert.deepEqual(payload.generationConfig.responseSchema.properties.category.enum, ['Comida', 'Transporte']);
+});
+
+test('builds every kind of request', async () => {
+  const { model, send } = setup();
+  const categories = ['Comida'];
+  const bodies = [
+    { kind: 'batch', texts: ['Café', 'Colectivo'], categories },
+    { kind: 'quickEntry', text: 'ayer 4500 nafta', categories, today: '2024-05-06' },
+    { kind: 'receipt', image: { mimeType: 'image/jpeg', data: 'aGVsbG8=' } },
+    {
+      kind: 'chat',
+      question: '¿Cuánto gasté?',
+      conversation: [{ role: 'user', text: 'Hola' }, { role: 'assistant', text: 'Hola, ¿en qué te ayudo?' }],
+      figures: [{ id: 'f1', label: 'Período actual: total', value: 1500, count: 2 }],
+      expenses: [{ date: '2024-05-05', description: 'Café', category: 'Comida', amount: 1500 }],
+      baseCurrency: 'ARS',
+      today: '2024-05-06',
+    },
+    {
+      kind: 'insights',
+      period: { title: 'Mayo', totalSpent: 1500, currency: 'ARS', categorySummary: [{ category: 'Comida', total: 1500 }] },
+      comparison: { comparedPeriods: 0, previousAverage: null, changes: [] },
+      unusual: [],
+    },
+  ];
+  for (const body of bodies) {
+    assert.equal((await send(request({ body }))).statusCode, 200, body.kind);
+  }
+  const [batch, quickEntry, receipt, chat, insights] = model.calls;
+  assert.match(batch.contents[0].parts[0].text, /0\. "Café"\n1\. "Colectivo"/);
+  assert.match(quickEntry.systemInstruction.parts[0].text, /Hoy es lunes 2024-05-06\./);
+  assert.deepEqual(receipt.contents[0].parts[1], { inlineData: { mimeType: 'image/jpeg', data: 'aGVsbG8=' } });
+  assert.deepEqual(chat.contents.map(content => content.role), ['user', 'model', 'user']);
+  assert.match(chat.systemInstruction.parts[0].text, /f1 \| Período actual: total \| 1500 \| 2 gastos/);
+  assert.match(insights.contents[0].parts[0].text, /- Comida: \$\s1\.500,00/);
+});
+
+test('rejects requests without a valid Firebase token', async () => {
+  const { model, send } = setup();
+  assert.equal((await send(request({ token: null }))).statusCode, 401);
+  assert.equal((await send(request({ token: 'forged' }))).statusCode, 401);
+  assert.equal(model.calls.length, 0);
+});
+
+test('rejects other methods and malformed bodies', async () => {
+  const { model, send } = setup();
+  assert.equal((await send(request({ method: 'GET' }))).statusCode, 405);
+  assert.equal((await send(request({ body: {} }))).statusCode, 400);
+  assert.equal((await send(request({ body: { kind: 'categorize', text: 'Café' } }))).statusCode, 400);
+  assert.equal((await send(request({ body: { kind: 'quickEntry', text: 'café 1500', categories: ['Comida'], today: '2024-02-30' } }))).statusCode, 400);
+  assert.equal(model.calls.length, 0);
+});
+
+test('only accepts the kinds of request the app makes', async () => {
+  const { model, send } = setup();
+  const rawPayload = { payload: { contents: [{ parts: [{ text: 'Escribe un poema' }] }] } };
+  const unknown = await send(request({ body: rawPayload }));
+  assert.equal(unknown.statusCode, 400);
+  assert.equal(unknown.body.error, 'Tipo de consulta desconocido.');
+  assert.equal((await send(request({ body: { kind: 'toString' } }))).statusCode, 400);
+  assert.equal((await send(request({ body: { kind: 'receipt', image: { mimeType: 'text/plain', data: 'aGVsbG8=' } } }))).statusCode, 400);
+  assert.equal(model.calls.length, 0);
+});
+
+test('caps the size of each field and of the whole body', async () => {
+  const { model, send } = setup({ maxBodyBytes: 3000 });
+  const longText = await send(request({ body: { kind: 'quickEntry', text: 'x'.repeat(1001), categories: ['Comida'], today: '2024-05-06' } }));
+  assert.equal(longText.statusCode, 400);
+  assert.equal(longText.body.error, 'El texto supera los 1000 caracteres.');
+  const tooMany = { kind: 'batch', texts: Array.from({ length: 26 }, (_, i) => `Gasto ${i}`), categories: ['Comida'] };
+  assert.equal((await send(request({ body: tooMany }))).statusCode, 400);
+  const big = await send(request({ body: { kind: 'receipt', image: { mimeType: 'image/jpeg', data: 'A'.repeat(4000) } } }));
+  assert.equal(big.statusCode, 413);
+  assert.equal(model.calls.length, 0);
+});
+
+test('clips long descriptions instead of rejecting the request', async () => {
+  const { model, send } = setup();
+  const res = await send(request({ body: categorization(`${'x'.repeat(500)}y`) }));
+  assert.equal(res.statusCode, 200);
+  assert.equal(model.calls[0].contents[0].parts[0].text, `Gasto: "${'x'.repeat(500)}". Categoriza y clasifica este gasto.`);
+
+  const chat = await send(request({
+    body: {
+      kind: 'chat',
+      question: '¿Cuánto gasté?',
+      figures: [{ id: 'f1', label: `Recurrente "${'z'.repeat(300)}": costo mensual estimado`, value: 10 }],
+      expenses: [{ date: '2024-05-05', description: 'y'.repeat(800), category: 'Comida', amount: 10 }],
+      baseCurrency: 'ARS',
+      today: '2024-05-06',
+    },
+  }));
+  assert.equal(chat.statusCode, 200);
+});
+
+test('answers unexpected errors with a JSON error', async () => {
+  const { model, send } = setup();
+  const body = { kind: 'categorize', categories: ['Comida'], get text() { throw new Error('boom'); } };
+  // Cloud Functions da los bytes originales del cuerpo, así que el getter solo se lee al armar la consulta
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const res = await send({ ...request({ body }), rawBody: Buffer.from('{}') });
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.error, 'No se pudo preparar la consulta. Intenta nuevamente.');
+  } finally {
+    console.error = originalError;
+  }
+  assert.equal(model.calls.length, 0);
+});
+
+test('answers identical descriptions from the cache', async () => {
+  const { model, send } = setup();
+  await send(request());
+  const repeated = await send(request({ token: 'token-bob' }));
+  assert.equal(repeated.statusCode, 200);
+  assert.equal(repeated.body.cached, true);
+  await send(request({ body: categorization('Colectivo') }));
+  assert.equal(model.calls.length, 2);
+});
+
+test('keys the cache on the prompt built by the server', async () => {
+  const { model, send } = setup();
+  await send(request());
+  // Campos que no forman parte del prompt no generan otra entrada ni otra llamada
+  const padded = await send(request({ body: { ...categorization('Café'), nonce: 'abc' } }));
+  assert.equal(padded.body.cached, true);
+  assert.equal(model.calls.length, 1);
+});
+
+test('expires cached responses', async () => {
+  let now = 0;
+  const { model, send } = setup({ cache: createResponseCache({ ttlMs: 1000, now: () => now }) });
+  await send(request());
+  now = 1000;
+  assert.equal((await send(request())).body.cached, false);
+  assert.equal(model.calls.length, 2);
+});
+
+test('limits the requests of each user', async () => {
+  let now = 0;
+  const { send } = setup({ rateLimiter: createRateLimiter({ limit: 2, windowMs: 60000, now: () => now }) });
+  const payload = (n) => ({ body: categorization(`Gasto ${n}`) });
+
+  assert.equal((await send(request(payload(1)))).statusCode, 200);
+  assert.equal((await send(request(payload(2)))).statusCode, 200);
+  now = 15000;
+  const limited = await send(request(payload(3)));
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.headers['Retry-After'], '45');
+
+  // Las respuestas en caché y los demás usuarios no se ven afectados
+  assert.equal((await send(request(payload(1)))).statusCode, 200);
+  assert.equal((await send(request({ token: 'token-bob', ...payload(4) }))).statusCode, 200);
+
+  now = 60000;
+  assert.equal((await send(request(payload(3)))).statusCode, 200);
+});
+
+test('gives guest sessions a lower limit', async () => {
+  const limiter = (limit) => createRateLimiter({ limit, windowMs: 60000, now: () => 0 });
+  const { send } = setup({ rateLimiter: limiter(3), guestRateLimiter: limiter(1) });
+  const payload = (n) => categorization(`Gasto ${n}`);
+
+  assert.equal((await send(request({ token: 'token-guest', body: payload(1) }))).statusCode, 200);
+  const limited = await send(request({ token: 'token-guest', body: payload(2) }));
+  assert.equal(limited.statusCode, 429);
+  assert.match(limited.body.error, /crea una cuenta/);
+
+  for (const n of [1, 2, 3]) {
+    assert.equal((await send(request({ token: 'token-bob', body: payload(n + 10) }))).statusCode, 200);
+  }
+});
+
+test('reports model failures without caching them', async () => {
+  let fail = true;
+  const model = { generate: async () => { if (fail) throw new Error('down'); return '{"category":"Comida"}'; } };
+  const handler = createProxyHandler({ verifyIdToken, model });
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const failed = response();
+    await handler(request(), failed);
+    assert.equal(failed.statusCode, 502);
+  } finally {
+    console.error = originalError;
+  }
+  fail = false;
+  const res = response();
+  await handler(request(), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.cached, false);
+});
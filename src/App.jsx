@@ -1,23 +1,54 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { getFirestore, collection, query, onSnapshot, addDoc, deleteDoc, getDocs, Timestamp, doc, updateDoc } from 'firebase/firestore';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { DollarSign, Tag, Calendar, Loader2, Send, Zap, User, BarChart4, Archive, RotateCcw, XCircle, PenSquare } from 'lucide-react';
-
-// --- Configuración de Firebase y Variables Globales (Ajustadas para Despliegue) ---
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import { DollarSign, Tag, Calendar, Loader2, Send, Zap, User, BarChart4, Archive, RotateCcw, XCircle, PenSquare, Tags, Clock, Coins, AlertTriangle, Target, Repeat, FileUp, Download, CalendarClock, LogIn, LogOut, Users, Cloud, CloudOff, WifiOff, Camera, Receipt, MessageCircle, Sparkles, TrendingUp, Trash2, PiggyBank } from 'lucide-react';
+import { createCategorizer, DEFAULT_CATEGORIES } from './services/categorizer';
+import { initializeFirebase } from './firebase';
+import { createRepository, SETTINGS_DOCS } from './services/repository';
+import { getCategoryColor } from './services/categories';
+import { toDateInputValue, toTimeInputValue, parseDateInput, validateExpenseDate, groupByDay } from './services/dates';
+import { DEFAULT_BASE_CURRENCY, SUPPORTED_CURRENCIES, EMPTY_RATE_TABLE, convertAmount, formatMoney } from './services/currency';
+import { EMPTY_BUDGETS, convertBudgets, getBudgetAlerts, getBudgetCycle, getBudgetStatus } from './services/budgets';
+import { getUpcomingOccurrences } from './services/recurring';
+import { describeUser, getFallbackUserId, createEmailAccount, signInWithEmail, signInWithGoogle, signOutUser } from './services/account';
+import { PENDING_CATEGORIZATION, CATEGORIZATION_STATUS, isPendingCategorization } from './services/pendingCategorization';
+import { DEFAULT_CYCLE_START_DAY, getCycleStart, getNextCycleStart, getClosedPeriods, formatPeriodTitle } from './services/billingCycle';
+import { buildFinanceFigures } from './services/financeChat';
+import { buildPeriodInsights } from './services/periodInsights';
+import { summarizeExpenses } from './services/exporter';
+import { EMPTY_FILTERS, DEFAULT_SORT, hasActiveFilters, filterExpenses, sortExpenses } from './services/expenseFilters';
+import { prepareReceiptImage, extractReceipt, uploadReceipt, getReceiptUrl, deleteReceipt } from './services/receipts';
+import { ARCHIVE_STATUS, ALREADY_ARCHIVED_CODE } from './services/archive';
+import { DEFAULT_TRASH_RETENTION_DAYS, getExpiredTrash } from './services/trash';
+import { summarizeIncome, getNetBalance } from './services/income';
+import CategoryManager from './components/CategoryManager';
+import CurrencySettings from './components/CurrencySettings';
+import BudgetSettings from './components/BudgetSettings';
+import BudgetProgress from './components/BudgetProgress';
+import RecurringManager from './components/RecurringManager';
+import UpcomingRecurring from './components/UpcomingRecurring';
+import ImportExpenses from './components/ImportExpenses';
+import QuickEntry from './components/QuickEntry';
+import FinanceChat from './components/FinanceChat';
+import ExportPanel from './components/ExportPanel';
+import ArchivedPeriod from './components/ArchivedPeriod';
+import CycleSettings from './components/CycleSettings';
+import AccountPanel from './components/AccountPanel';
+import SharedLedgers from './components/SharedLedgers';
+import ReceiptViewer from './components/ReceiptViewer';
+import ExpenseFilters from './components/ExpenseFilters';
+import Trends from './components/Trends';
+import TrashView from './components/Trash';
+import UndoToast from './components/UndoToast';
+import IncomeManager from './components/IncomeManager';
+import PeriodBalance from './components/PeriodBalance';
+import CategoryIcon from './components/CategoryIcon';
+
+// --- Variables Globales (Ajustadas para Despliegue) ---
 /*
     IMPORTANTE PARA EL DEPLOY (Netlify/Vercel):
     La configuración de Firebase y las claves de API se leen desde variables de entorno 
-    (process.env) para mayor seguridad y flexibilidad.
+    (process.env) para mayor seguridad y flexibilidad (ver src/firebase.js).
 */
-const firebaseConfig = {
-    apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
-    authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
-    projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
-    storageBucket: process.env.REACT_APP_FIREBASE_STORAGE_BUCKET,
-    messagingSenderId: process.env.REACT_APP_FIREBASE_MESSAGING_SENDER_ID,
-    appId: process.env.REACT_APP_FIREBASE_APP_ID
-};
 
 // Usamos un ID de App genérico si no se proporciona uno (necesario para el path de Firestore)
 const appId = process.env.REACT_APP_APP_ID || 'expense-tracker-prod'; 
@@ -25,83 +56,129 @@ const appId = process.env.REACT_APP_APP_ID || 'expense-tracker-prod';
 // El token de autenticación inicial no se usa en despliegues reales
 const initialAuthToken = null; 
 
-// URL del API de Gemini (Usaremos gemini-2.5-flash-preview-05-20 para texto y estructurado)
-const GEMINI_API_URL = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent";
-const API_KEY = process.env.REACT_APP_GEMINI_API_KEY; // La clave se lee desde el entorno
-
-// Función de utilidad para manejar el backoff exponencial en las llamadas API
-const fetchWithBackoff = async (url, options, retries = 3, delay = 1000) => {
-    try {
-        const response = await fetch(url, options);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        return await response.json();
-    } catch (error) {
-        if (retries > 0) {
-            await new Promise(res => setTimeout(res, delay));
-            return fetchWithBackoff(url, options, retries - 1, delay * 2);
-        }
-        console.error("Fallo de fetch después de varios reintentos:", error);
-        throw error;
-    }
-};
-
-// Mapeo de colores para las categorías (para el gráfico)
-const CATEGORY_COLORS = {
-    'Comida': 'bg-red-500',
-    'Transporte': 'bg-blue-500',
-    'Entretenimiento': 'bg-purple-500',
-    'Vivienda': 'bg-green-500',
-    'Salud': 'bg-pink-500',
-    'Educación': 'bg-yellow-500',
-    'Servicios': 'bg-cyan-500',
-    'Otros': 'bg-gray-500',
-    'No Categorizado': 'bg-orange-500',
-};
+// Categorizador de gastos (Gemini, endpoint compatible con OpenAI o reglas locales, según el entorno)
+const categorizer = createCategorizer();
 
 // --- Componente Principal ---
 const App = () => {
     // Estado de la aplicación
     const [db, setDb] = useState(null);
     const [auth, setAuth] = useState(null);
+    // Firebase Storage (fotos de tickets); null si no hay bucket configurado
+    const [storage, setStorage] = useState(null);
     const [userId, setUserId] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
+    // Usuario autenticado (invitado anónimo o cuenta con correo/Google)
+    const [account, setAccount] = useState(null);
+    const [showAccount, setShowAccount] = useState(false);
+    // Hogares compartidos del usuario y el hogar abierto (con sus gastos y pagos)
+    const [ledgers, setLedgers] = useState([]);
+    const [activeLedgerId, setActiveLedgerId] = useState(null);
+    const [ledgerExpenses, setLedgerExpenses] = useState([]);
+    const [ledgerSettlements, setLedgerSettlements] = useState([]);
+    const [showLedgers, setShowLedgers] = useState(false);
     const [expenses, setExpenses] = useState([]);
+    // Ingresos del período actual (sueldo, freelance, reintegros...)
+    const [income, setIncome] = useState([]);
+    const [showIncomeManager, setShowIncomeManager] = useState(false);
+    // Búsqueda, filtros y orden de la lista de gastos
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [sort, setSort] = useState(DEFAULT_SORT);
     const [history, setHistory] = useState([]); 
+    // Período archivado abierto en detalle y sus gastos
+    const [openHistoryId, setOpenHistoryId] = useState(null);
+    const [archivedExpenses, setArchivedExpenses] = useState([]);
+    const [archivedIncome, setArchivedIncome] = useState([]);
+    const [isLoadingArchived, setIsLoadingArchived] = useState(false);
+    // Período archivado cuyo análisis se está generando desde el historial
+    const [generatingInsightsId, setGeneratingInsightsId] = useState(null);
+    const [showTrends, setShowTrends] = useState(false);
+    // Papelera: gastos eliminados, días que se conservan y el último eliminado (para deshacer)
+    const [trash, setTrash] = useState([]);
+    const [trashRetentionDays, setTrashRetentionDays] = useState(DEFAULT_TRASH_RETENTION_DAYS);
+    const [showTrash, setShowTrash] = useState(false);
+    const [lastDeleted, setLastDeleted] = useState(null);
+    const hasPurgedTrash = useRef(false);
+    // Día de inicio del ciclo de facturación (1 = mes calendario)
+    const [cycleStartDay, setCycleStartDay] = useState(DEFAULT_CYCLE_START_DAY);
+    const [showCycleSettings, setShowCycleSettings] = useState(false);
+    // Datos ya confirmados por el servidor (el cierre automático no se decide con la caché), por usuario
+    const [loadedFromServer, setLoadedFromServer] = useState({ userId: null, names: {} });
+    const hasCheckedCycle = useRef(false);
+    const [corrections, setCorrections] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [showCategoryManager, setShowCategoryManager] = useState(false);
+    const hasSeededCategories = useRef(false);
     const [amount, setAmount] = useState('');
     const [description, setDescription] = useState('');
+    const [expenseDate, setExpenseDate] = useState(() => toDateInputValue(new Date()));
+    const [expenseTime, setExpenseTime] = useState('');
+    // Moneda del gasto en el formulario ('' = la moneda base del usuario)
+    const [expenseCurrency, setExpenseCurrency] = useState('');
+    const [baseCurrency, setBaseCurrency] = useState(DEFAULT_BASE_CURRENCY);
+    const [rateTable, setRateTable] = useState(EMPTY_RATE_TABLE);
+    const [showCurrencySettings, setShowCurrencySettings] = useState(false);
+    const [budgets, setBudgets] = useState(EMPTY_BUDGETS);
+    const [showBudgetSettings, setShowBudgetSettings] = useState(false);
+    const [budgetAlerts, setBudgetAlerts] = useState([]);
+    // Gastos y presupuestos del último render, para evaluar los avisos al terminar una categorización
+    const latestBudgetData = useRef(null);
+    const [recurringTemplates, setRecurringTemplates] = useState([]);
+    const [showRecurringManager, setShowRecurringManager] = useState(false);
+    const isPostingRecurring = useRef(false);
+    const [showImport, setShowImport] = useState(false);
+    const [showQuickEntry, setShowQuickEntry] = useState(false);
+    const [showFinanceChat, setShowFinanceChat] = useState(false);
+    const [showExport, setShowExport] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
     const [isArchiving, setIsArchiving] = useState(false); 
+    // Conectividad y gastos que se están categorizando en segundo plano
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+    const categorizingIds = useRef(new Set());
+    // Foto del ticket escaneado para el gasto en curso y el gasto cuyo ticket se está viendo
+    const [receiptImage, setReceiptImage] = useState(null);
+    const [receiptPreviewUrl, setReceiptPreviewUrl] = useState(null);
+    const [receiptItems, setReceiptItems] = useState([]);
+    const [isScanning, setIsScanning] = useState(false);
+    const [viewingReceiptId, setViewingReceiptId] = useState(null);
 
     // --- Nuevos estados para la edición ---
     const [isEditing, setIsEditing] = useState(false);
     const [editingExpenseId, setEditingExpenseId] = useState(null);
     const [editingOriginalDescription, setEditingOriginalDescription] = useState(''); 
+    const [category, setCategory] = useState('');
+    const [classification, setClassification] = useState('');
+    const [editingOriginalCategory, setEditingOriginalCategory] = useState('');
+    const [editingOriginalClassification, setEditingOriginalClassification] = useState('');
+
+    // Acceso a los datos del usuario (gastos, historial, ajustes…); null hasta tener sesión
+    const repository = useMemo(() => (db && userId ? createRepository(db, appId, userId) : null), [db, userId]);
 
     // 1. Inicialización de Firebase y Autenticación
     useEffect(() => {
-        // Verifica si la configuración es válida antes de inicializar Firebase
-        if (!firebaseConfig || !firebaseConfig.projectId) {
-            console.warn("Configuración de Firebase faltante. La App solo funcionará en entornos que la inyecten o si se proporciona la ENV 'REACT_APP_FIREBASE_CONFIG'.");
-            setIsAuthReady(true);
-            return;
-        }
-
         try {
-            const app = initializeApp(firebaseConfig);
-            const firestore = getFirestore(app);
-            const authInstance = getAuth(app);
+            const firebase = initializeFirebase();
+            // Verifica si la configuración es válida antes de usar Firebase
+            if (!firebase) {
+                console.warn("Configuración de Firebase faltante. La App solo funcionará en entornos que la inyecten o si se proporciona la ENV 'REACT_APP_FIREBASE_CONFIG'.");
+                setIsAuthReady(true);
+                return;
+            }
+            const { db: firestore, auth: authInstance, storage: storageInstance } = firebase;
 
             setDb(firestore);
             setAuth(authInstance);
+            setStorage(storageInstance);
 
             const unsubscribe = onAuthStateChanged(authInstance, async (user) => {
                 if (user) {
                     setUserId(user.uid);
+                    setAccount(describeUser(user));
                     setIsAuthReady(true);
                 } else {
+                    // Sin sesión (inicio o cierre de sesión): se continúa como invitado
+                    setAccount(null);
                     try {
                         // En producción, si no hay token inicial, se inicia sesión anónima
                         if (initialAuthToken) {
@@ -111,8 +188,8 @@ const App = () => {
                         }
                     } catch (e) {
                         console.error("Error en la autenticación inicial:", e);
-                        // Fallback a ID aleatorio si la autenticación anónima falla
-                        setUserId(crypto.randomUUID());
+                        // Fallback a un ID local (persistido) si la autenticación anónima falla
+                        setUserId(getFallbackUserId());
                         setIsAuthReady(true);
                     }
                 }
@@ -126,93 +203,322 @@ const App = () => {
         }
     }, []);
 
+    // Estado de la conexión (para la cola de categorización y el indicador)
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    // Libera la vista previa del ticket cuando se reemplaza o se quita
+    useEffect(() => {
+        if (!receiptImage) return;
+        const url = URL.createObjectURL(receiptImage);
+        setReceiptPreviewUrl(url);
+        return () => {
+            URL.revokeObjectURL(url);
+            setReceiptPreviewUrl(null);
+        };
+    }, [receiptImage]);
+
     // 2. Listener de Firestore (Recuperación de Gastos y Historial en Tiempo Real)
     useEffect(() => {
-        if (db && userId && isAuthReady) {
-            // Listener para gastos actuales
-            const expensesCollectionPath = `/artifacts/${appId}/users/${userId}/expenses`;
-            const qExpenses = query(collection(db, expensesCollectionPath));
-
-            const unsubscribeExpenses = onSnapshot(qExpenses, (snapshot) => {
-                const fetchedExpenses = snapshot.docs.map(doc => ({
-                    id: doc.id,
-                    ...doc.data(),
-                    category: doc.data().category || 'No Categorizado',
-                    date: doc.data().timestamp?.toDate() || new Date()
-                }));
-                // Ordenar por fecha de creación más reciente
-                fetchedExpenses.sort((a, b) => b.date - a.date); 
+        if (repository && isAuthReady) {
+            // Estado que depende del usuario: se reinicia al cambiar de cuenta
+            setLoadedFromServer({ userId: repository.userId, names: {} });
+            hasCheckedCycle.current = false;
+            hasSeededCategories.current = false;
+            hasPurgedTrash.current = false;
+            setOpenHistoryId(null);
+            setLastDeleted(null);
+
+            const markLoaded = (name, snapshot) => {
+                if (!snapshot.metadata.fromCache) {
+                    setLoadedFromServer(prev => (prev.userId !== repository.userId || prev.names[name]
+                        ? prev
+                        : { ...prev, names: { ...prev.names, [name]: true } }));
+                }
+            };
+
+            // Gastos de la primera versión de la app (colección de nivel superior): se mudan una sola vez
+            repository.migrateLegacyExpenses()
+                .then(migrated => {
+                    if (migrated > 0) console.log(`Migrados ${migrated} gastos de la versión anterior.`);
+                })
+                .catch(err => console.warn("No se pudieron migrar los gastos de la versión anterior:", err));
+
+            // Listener para gastos actuales (los metadatos indican cuándo cada gasto llegó al servidor)
+            const unsubscribeExpenses = repository.subscribeExpenses((fetchedExpenses, snapshot) => {
                 setExpenses(fetchedExpenses);
+                markLoaded('expenses', snapshot);
                 setError(null);
             }, (err) => {
                 console.error("Error al escuchar los gastos:", err);
                 setError("No se pudieron cargar los datos de gastos. Revisa la consola.");
             });
 
-            // Listener para historial de resúmenes
-            const historyCollectionPath = `/artifacts/${appId}/users/${userId}/history`;
-            const qHistory = query(collection(db, historyCollectionPath));
+            // Listener para los ingresos del período actual
+            const unsubscribeIncome = repository.subscribeIncome((entries, snapshot) => {
+                setIncome(entries);
+                markLoaded('income', snapshot);
+            }, (err) => {
+                console.error("Error al escuchar los ingresos:", err);
+            });
 
-            const unsubscribeHistory = onSnapshot(qHistory, (snapshot) => {
-                const fetchedHistory = snapshot.docs.map(doc => ({
-                    id: doc.id,
-                    ...doc.data(),
-                    archiveDate: doc.data().archiveDate?.toDate() || new Date()
-                }));
-                // Ordenar por fecha de archivado más reciente primero
-                fetchedHistory.sort((a, b) => b.archiveDate - a.archiveDate); 
+            // Listener para historial de resúmenes (el período más reciente primero)
+            const unsubscribeHistory = repository.subscribeHistory((fetchedHistory, snapshot) => {
                 setHistory(fetchedHistory);
+                markLoaded('history', snapshot);
             }, (err) => {
                 console.error("Error al escuchar el historial:", err);
             });
 
+            // Listener para la papelera (el último eliminado primero)
+            const unsubscribeTrash = repository.subscribeTrash((items, snapshot) => {
+                setTrash(items);
+                markLoaded('trash', snapshot);
+            }, (err) => {
+                console.error("Error al escuchar la papelera:", err);
+            });
+
+            // Listener para las correcciones manuales de categoría
+            const unsubscribeCorrections = repository.subscribeCorrections(setCorrections, (err) => {
+                console.error("Error al escuchar las correcciones:", err);
+            });
+
+            // Listener para la taxonomía de categorías del usuario
+            const unsubscribeCategories = repository.subscribeCategories((fetchedCategories, snapshot) => {
+                // Usuario nuevo: se crean las categorías por defecto (solo con datos del servidor).
+                // Si ya las tenía, se guarda la lista de nombres que usan las reglas (las cuentas
+                // anteriores a esa lista no la tienen).
+                if (!snapshot.metadata.fromCache && !hasSeededCategories.current) {
+                    hasSeededCategories.current = true;
+                    const setup = snapshot.empty
+                        ? repository.seedDefaultCategories()
+                        : repository.syncCategoryNames(fetchedCategories);
+                    setup.catch(err => {
+                        console.error("Error al preparar las categorías:", err);
+                    });
+                }
+                setCategories(fetchedCategories);
+            }, (err) => {
+                console.error("Error al escuchar las categorías:", err);
+            });
+
+            // Listeners para la moneda base y la tabla de tipos de cambio
+            const unsubscribePreferences = repository.subscribeSettings(SETTINGS_DOCS.preferences, (data, snapshot) => {
+                setBaseCurrency(data?.baseCurrency || DEFAULT_BASE_CURRENCY);
+                setCycleStartDay(data?.cycleStartDay || DEFAULT_CYCLE_START_DAY);
+                setTrashRetentionDays(data?.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS);
+                markLoaded('preferences', snapshot);
+            }, (err) => {
+                console.error("Error al escuchar las preferencias:", err);
+            });
+
+            const unsubscribeRates = repository.subscribeSettings(SETTINGS_DOCS.exchangeRates, (data, snapshot) => {
+                setRateTable(data ? { reference: data.reference, rates: data.rates || {} } : EMPTY_RATE_TABLE);
+                markLoaded('exchangeRates', snapshot);
+            }, (err) => {
+                console.error("Error al escuchar los tipos de cambio:", err);
+            });
+
+            // Listener para los presupuestos mensuales
+            const unsubscribeBudgets = repository.subscribeSettings(SETTINGS_DOCS.budgets, (data) => {
+                setBudgets(data ? { ...EMPTY_BUDGETS, ...data, categories: data.categories || {} } : EMPTY_BUDGETS);
+            }, (err) => {
+                console.error("Error al escuchar los presupuestos:", err);
+            });
+
+            // Listener para las plantillas de gastos recurrentes
+            const unsubscribeRecurring = repository.subscribeRecurring((templates, snapshot) => {
+                setRecurringTemplates(templates);
+
+                // Registra las ocurrencias vencidas (incluidas las que se perdieron mientras la app estaba cerrada).
+                // Solo con datos del servidor: la caché persistente puede tener un `occurrencesPosted` viejo,
+                // y las instantáneas con escrituras propias pendientes re-procesarían lo recién guardado.
+                if (!snapshot.metadata.fromCache && !snapshot.metadata.hasPendingWrites && !isPostingRecurring.current) {
+                    isPostingRecurring.current = true;
+                    repository.postDueOccurrences(templates)
+                        .then(posted => {
+                            if (posted > 0) console.log(`Registrados ${posted} gastos recurrentes.`);
+                        })
+                        .catch(err => console.error("Error al registrar gastos recurrentes:", err))
+                        .finally(() => { isPostingRecurring.current = false; });
+                }
+            }, (err) => {
+                console.error("Error al escuchar los gastos recurrentes:", err);
+            });
 
             return () => {
                 unsubscribeExpenses();
+                unsubscribeIncome();
                 unsubscribeHistory();
+                unsubscribeTrash();
+                unsubscribeCorrections();
+                unsubscribeCategories();
+                unsubscribePreferences();
+                unsubscribeRates();
+                unsubscribeBudgets();
+                unsubscribeRecurring();
             };
         }
-    }, [db, userId, isAuthReady]);
-
-    // 3. Función de Categorización con Gemini API
-    const categorizeExpense = useCallback(async (text) => {
-        const systemPrompt = "Eres un asistente financiero experto. Tu tarea es analizar la descripción de un gasto y asignar una 'category' (categoría general en español, ej: 'Comida', 'Transporte', 'Entretenimiento', 'Vivienda', 'Salud', 'Educación', 'Servicios', 'Otros') y una 'classification' (clasificación detallada en español, ej: 'Restaurante', 'Gasolina', 'Cine', 'Alquiler', 'Supermercado'). La respuesta DEBE ser un objeto JSON con las claves 'category' y 'classification'.";
-        const userQuery = `Gasto: "${text}". Categoriza y clasifica este gasto.`;
-
-        const payload = {
-            contents: [{ parts: [{ text: userQuery }] }],
-            systemInstruction: { parts: [{ text: systemPrompt }] },
-            generationConfig: {
-                responseMimeType: "application/json",
-                responseSchema: {
-                    type: "OBJECT",
-                    properties: {
-                        "category": { "type": "STRING", description: "La categoría general del gasto (ej: Comida)" },
-                        "classification": { "type": "STRING", description: "La clasificación detallada del gasto (ej: Restaurante)" }
-                    },
-                    required: ["category", "classification"],
-                }
-            }
+    }, [repository, isAuthReady]);
+
+    // Listener de los hogares compartidos de los que el usuario es miembro
+    useEffect(() => {
+        if (!repository || !account || account.isAnonymous) {
+            setLedgers([]);
+            return;
+        }
+        const unsubscribe = repository.subscribeLedgers((fetched) => {
+            setLedgers(fetched);
+            // Se abre el primer hogar si no hay uno elegido (o si el elegido ya no está)
+            setActiveLedgerId(current => (fetched.some(l => l.id === current) ? current : fetched[0]?.id || null));
+        }, (err) => {
+            console.error("Error al escuchar los hogares compartidos:", err);
+        });
+        return () => unsubscribe();
+    }, [repository, account]);
+
+    // Listeners de los gastos compartidos y los pagos del hogar abierto
+    useEffect(() => {
+        if (!repository || !activeLedgerId) {
+            setLedgerExpenses([]);
+            setLedgerSettlements([]);
+            return;
+        }
+        const unsubscribeExpenses = repository.subscribeLedgerEntries(activeLedgerId, 'expenses', setLedgerExpenses, (err) => {
+            console.error("Error al escuchar los gastos compartidos:", err);
+        });
+        const unsubscribeSettlements = repository.subscribeLedgerEntries(activeLedgerId, 'settlements', setLedgerSettlements, (err) => {
+            console.error("Error al escuchar los pagos del hogar:", err);
+        });
+        return () => {
+            unsubscribeExpenses();
+            unsubscribeSettlements();
         };
+    }, [repository, activeLedgerId]);
 
-        const options = {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
+    // Listeners de los gastos e ingresos del período archivado abierto en detalle
+    useEffect(() => {
+        if (!repository || !openHistoryId) {
+            setArchivedExpenses([]);
+            setArchivedIncome([]);
+            return;
+        }
+        setIsLoadingArchived(true);
+        const unsubscribeExpenses = repository.subscribeArchivedExpenses(openHistoryId, (fetched) => {
+            setArchivedExpenses(fetched);
+            setIsLoadingArchived(false);
+        }, (err) => {
+            console.error("Error al escuchar los gastos archivados:", err);
+            setIsLoadingArchived(false);
+        });
+        const unsubscribeIncome = repository.subscribeArchivedIncome(openHistoryId, setArchivedIncome, (err) => {
+            console.error("Error al escuchar los ingresos archivados:", err);
+        });
+        return () => {
+            unsubscribeExpenses();
+            unsubscribeIncome();
         };
+    }, [repository, openHistoryId]);
+
+    // Inicio del período actual: justo después del fin del último período archivado
+    const currentPeriodStart = useMemo(
+        () => (history[0] ? new Date(history[0].periodEnd.getTime() + 1) : null),
+        [history]
+    );
+
+    // Nombres de categoría disponibles (las por defecto hasta que cargue la taxonomía del usuario)
+    const categoryNames = useMemo(
+        () => (categories.length > 0 ? categories.map(c => c.name) : DEFAULT_CATEGORIES),
+        [categories]
+    );
 
+    // 3. Función de Categorización (el proveedor se elige por configuración)
+    // Las correcciones del usuario tienen prioridad sobre el modelo.
+    const categorizeExpense = useCallback(
+        (text) => categorizer.categorize(text, { categories: categoryNames, corrections }),
+        [categoryNames, corrections]
+    );
+
+    // Categoriza en segundo plano gastos guardados como pendientes. Los gastos ya
+    // reservados (en curso) se omiten salvo que el llamador los haya reservado.
+    // Al conocer su categoría se avisa si llevan una categoría o el total al 80% / 100%
+    // del presupuesto (también los guardados sin conexión, que se categorizan después).
+    const runCategorization = useCallback(async (pending, isReserved = false) => {
+        const toProcess = isReserved ? pending : pending.filter(expense => !categorizingIds.current.has(expense.id));
+        if (toProcess.length === 0) return new Map();
+        toProcess.forEach(expense => categorizingIds.current.add(expense.id));
         try {
-            const result = await fetchWithBackoff(`${GEMINI_API_URL}?key=${API_KEY}`, options);
-            const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
-            if (jsonText) {
-                return JSON.parse(jsonText);
+            const results = await repository.categorizePending(toProcess, categorizer, { categories: categoryNames, corrections });
+            const { convertedExpenses, effectiveBudgets, baseCurrency, rateTable } = latestBudgetData.current;
+            const categorized = toProcess
+                .filter(expense => results.has(expense.id))
+                .map(expense => ({
+                    id: expense.id,
+                    category: results.get(expense.id).category,
+                    baseAmount: convertAmount(expense.amount, expense.currency, baseCurrency, rateTable),
+                }));
+            const alerts = getBudgetAlerts(categorized, convertedExpenses, effectiveBudgets);
+            if (alerts.length > 0) {
+                setBudgetAlerts(alerts);
             }
-            throw new Error("Respuesta de la API vacía o no estructurada.");
-        } catch (e) {
-            console.error("Error al categorizar con Gemini:", e);
-            return { category: 'No Categorizado', classification: 'Manual' };
+            return results;
+        } catch (err) {
+            console.error("Error al categorizar los gastos pendientes:", err);
+            return new Map();
+        } finally {
+            toProcess.forEach(expense => categorizingIds.current.delete(expense.id));
         }
-    }, []);
+    }, [repository, categoryNames, corrections]);
+
+    // Cola de categorización: al haber conexión se categorizan los gastos pendientes
+    useEffect(() => {
+        if (!repository || !isOnline) return;
+        const pending = expenses.filter(isPendingCategorization);
+        if (pending.length > 0) {
+            runCategorization(pending);
+        }
+    }, [repository, isOnline, expenses, runCategorization]);
+
+    const clearReceipt = () => {
+        setReceiptImage(null);
+        setReceiptItems([]);
+    };
+
+    // Lee la foto de un ticket con la IA y completa el formulario para que el usuario lo confirme
+    const handleReceiptFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setIsScanning(true);
+        setError(null);
+        try {
+            const image = await prepareReceiptImage(file);
+            setReceiptImage(image);
+            const receipt = await extractReceipt(image);
+            if (receipt.total !== null) setAmount(String(receipt.total));
+            if (receipt.merchant) setDescription(receipt.merchant);
+            if (receipt.date) setExpenseDate(toDateInputValue(receipt.date));
+            if (receipt.currency) setExpenseCurrency(receipt.currency);
+            setReceiptItems(receipt.items);
+            if (receipt.total === null) {
+                setError("No se pudo leer el total del ticket. Complétalo a mano.");
+            }
+        } catch (err) {
+            console.error("Error al leer el ticket:", err);
+            setError(err.message?.startsWith('La lectura de tickets') ? err.message : "No se pudo leer el ticket. Completa los datos a mano.");
+        } finally {
+            setIsScanning(false);
+        }
+    };
 
     // Manejador para cancelar la edición
     const handleCancelEdit = () => {
@@ -220,7 +526,15 @@ const App = () => {
         setEditingExpenseId(null);
         setAmount('');
         setDescription('');
+        setExpenseDate(toDateInputValue(new Date()));
+        setExpenseTime('');
+        setExpenseCurrency('');
         setEditingOriginalDescription('');
+        setCategory('');
+        setClassification('');
+        setEditingOriginalCategory('');
+        setEditingOriginalClassification('');
+        clearReceipt();
         setError(null);
     };
 
@@ -231,7 +545,14 @@ const App = () => {
         setEditingExpenseId(expense.id);
         setAmount(expense.amount.toString());
         setDescription(expense.description);
+        setExpenseDate(toDateInputValue(expense.date));
+        setExpenseTime(expense.hasTime ? toTimeInputValue(expense.date) : '');
+        setExpenseCurrency(expense.currency);
         setEditingOriginalDescription(expense.description);
+        setCategory(expense.category);
+        setClassification(expense.classification || '');
+        setEditingOriginalCategory(expense.category);
+        setEditingOriginalClassification(expense.classification || '');
         // Scroll para mejor UX en móvil/pantallas pequeñas
         document.querySelector('.sticky.top-4').scrollIntoView({ behavior: 'smooth' });
     };
@@ -248,93 +569,320 @@ const App = () => {
             return;
         }
 
-        if (!db || !userId) {
+        // La fecha debe pertenecer al período actual (posterior al último archivo).
+        // Un gasto restaurado de un período archivado puede editarse sin cambiarle la fecha.
+        const chosenDate = parseDateInput(expenseDate, expenseTime);
+        const originalExpense = isEditing ? expenses.find(e => e.id === editingExpenseId) : null;
+        const keepsOriginalDate = originalExpense && expenseDate === toDateInputValue(originalExpense.date);
+        const periodStart = keepsOriginalDate ? null : currentPeriodStart;
+        const dateError = validateExpenseDate(chosenDate, Boolean(expenseTime), periodStart);
+        if (dateError) {
+            setError(dateError);
+            return;
+        }
+
+        if (!repository) {
             setError("La aplicación no está lista aún. Por favor, espera un momento.");
             return;
         }
 
         setIsLoading(true);
         setError(null);
+        setBudgetAlerts([]);
+
+        // Las escrituras no esperan la confirmación del servidor: con la persistencia offline
+        // quedan en la cola local y se sincronizan solas; solo se informa si son rechazadas.
+        const reportWriteError = (err) => {
+            console.error(`Error al ${isEditing ? 'actualizar' : 'guardar'} el gasto:`, err);
+            setError(`Error al procesar el gasto. Intenta nuevamente.`);
+        };
 
         try {
             if (isEditing) {
                 // --- Lógica de Edición ---
-                const expenseDocPath = `/artifacts/${appId}/users/${userId}/expenses/${editingExpenseId}`;
-                const expenseRef = doc(db, expenseDocPath);
                 let updatedFields = {
                     amount: numericAmount,
+                    currency: expenseCurrency || baseCurrency,
                     description: description.trim(),
+                    date: chosenDate,
+                    hasTime: Boolean(expenseTime),
                 };
 
-                // Recategorizar solo si la descripción ha cambiado
-                if (description.trim() !== editingOriginalDescription) {
-                    console.log("Descripción cambiada, recategorizando...");
-                    const { category, classification } = await categorizeExpense(description);
+                const isManualCorrection = category !== editingOriginalCategory
+                    || classification.trim() !== editingOriginalClassification;
+
+                if (isManualCorrection) {
+                    // El usuario corrigió la categoría: se respeta y se aprende para el futuro
                     updatedFields.category = category;
-                    updatedFields.classification = classification;
+                    updatedFields.classification = classification.trim();
+                    updatedFields.categorizationStatus = CATEGORIZATION_STATUS.done;
+                    repository.saveCorrection(description.trim(), category, classification.trim()).catch(reportWriteError);
+                } else if (description.trim() !== editingOriginalDescription) {
+                    // Recategorizar solo si la descripción ha cambiado (en segundo plano)
+                    console.log("Descripción cambiada, se recategorizará...");
+                    updatedFields = { ...updatedFields, ...PENDING_CATEGORIZATION };
                 }
 
-                await updateDoc(expenseRef, updatedFields);
+                repository.updateExpense(editingExpenseId, updatedFields).catch(reportWriteError);
 
                 // Resetear estado de edición
                 handleCancelEdit(); 
-                console.log("Gasto actualizado con éxito.");
+                console.log("Gasto actualizado.");
 
             } else {
                 // --- Lógica de Añadir ---
-                const { category, classification } = await categorizeExpense(description);
-
+                // Se guarda al instante como pendiente de categorizar; la IA lo categoriza en segundo plano
                 const newExpense = {
                     amount: numericAmount,
+                    currency: expenseCurrency || baseCurrency,
                     description: description.trim(),
-                    category: category,
-                    classification: classification,
-                    timestamp: Timestamp.now(),
+                    ...PENDING_CATEGORIZATION,
+                    date: chosenDate,
+                    hasTime: Boolean(expenseTime),
+                    ...(receiptItems.length > 0 && { receiptItems }),
                 };
 
-                const expensesCollectionPath = `/artifacts/${appId}/users/${userId}/expenses`;
-                await addDoc(collection(db, expensesCollectionPath), newExpense);
+                const expenseId = repository.createExpenseId();
+                // Se reserva el gasto antes de escribirlo para que el listener no lo categorice dos veces
+                categorizingIds.current.add(expenseId);
+                repository.addExpense(newExpense, expenseId).catch(reportWriteError);
+
+                // La foto del ticket se sube en segundo plano y luego se vincula al gasto
+                if (receiptImage && storage) {
+                    uploadReceipt(storage, repository.paths.receipt(expenseId), receiptImage)
+                        .then(receipt => repository.updateExpense(expenseId, { receipt }))
+                        .catch(err => {
+                            console.error("Error al subir la foto del ticket:", err);
+                            setError("El gasto se guardó, pero no se pudo subir la foto del ticket.");
+                        });
+                }
 
                 setAmount('');
                 setDescription('');
+                setExpenseTime('');
+                clearReceipt();
+
+                // Sin conexión queda en la cola de categorización (y sus avisos de presupuesto, para cuando se categorice)
+                if (isOnline) {
+                    runCategorization([{ id: expenseId, ...newExpense }], true);
+                } else {
+                    categorizingIds.current.delete(expenseId);
+                }
             }
         } catch (e) {
-            console.error(`Error al ${isEditing ? 'actualizar' : 'guardar'} el gasto:`, e);
-            setError(`Error al procesar el gasto. Intenta nuevamente.`);
+            reportWriteError(e);
         } finally {
             setIsLoading(false);
         }
     };
     
+    // Manejadores de la pantalla de categorías (renombrar/combinar/eliminar re-etiquetan los gastos)
+    const categoryHandlers = {
+        onCreate: (data) => repository.createCategory(categories, data),
+        onUpdate: (category, changes) => repository.updateCategory(categories, category, changes),
+        onMerge: (source, target) => repository.mergeCategories(categories, source, target),
+        onDelete: (category) => repository.deleteCategory(categories, category),
+    };
+
+    // Guarda la moneda base y la tabla de tipos de cambio
+    const handleSaveCurrencySettings = async (newBaseCurrency, newRateTable) => {
+        await repository.saveSettings(SETTINGS_DOCS.preferences, { baseCurrency: newBaseCurrency }, { merge: true });
+        await repository.saveSettings(SETTINGS_DOCS.exchangeRates, newRateTable);
+    };
+
+    // Manejadores de la cuenta. Al vincular una sesión de invitado el UID no cambia
+    // (no hay evento de cambio de usuario), así que el estado se actualiza a mano.
+    const accountHandlers = {
+        onCreateAccount: async (email, password) => {
+            setAccount(describeUser(await createEmailAccount(auth, email, password)));
+        },
+        onSignIn: (email, password) => signInWithEmail(auth, email, password),
+        onGoogle: async () => {
+            const { user } = await signInWithGoogle(auth);
+            setAccount(describeUser(user));
+        },
+    };
+
+    const handleSignOut = async () => {
+        handleCancelEdit();
+        try {
+            await signOutUser(auth);
+        } catch (e) {
+            console.error("Error al cerrar sesión:", e);
+            setError("No se pudo cerrar la sesión. Intenta de nuevo.");
+        }
+    };
+
+    // Manejadores de los hogares compartidos (los gastos se categorizan igual que los personales)
+    const ledgerHandlers = {
+        onSelectLedger: setActiveLedgerId,
+        onCreate: async (data) => {
+            setActiveLedgerId(await repository.createLedger(account, data));
+        },
+        onJoin: async (code) => {
+            await repository.joinLedger(code, account);
+            setActiveLedgerId(code);
+        },
+        onAddExpense: async (data) => {
+            const { category, classification } = await categorizeExpense(data.description);
+            await repository.addSharedExpense(activeLedgerId, { ...data, category, classification });
+        },
+        onSettle: (transfer) => repository.recordSettlement(activeLedgerId, transfer),
+        onDeleteEntry: (kind, id) => repository.deleteLedgerEntry(activeLedgerId, kind, id),
+    };
+
+    // Guarda el ciclo de facturación; el cierre se vuelve a evaluar con el nuevo ciclo
+    const handleSaveCycle = async (newCycleStartDay) => {
+        await repository.saveSettings(SETTINGS_DOCS.preferences, { cycleStartDay: newCycleStartDay }, { merge: true });
+        hasCheckedCycle.current = false;
+    };
+
+    // Guarda los presupuestos mensuales (en la moneda base)
+    const handleSaveBudgets = async (newBudgets) => {
+        await repository.saveSettings(SETTINGS_DOCS.budgets, newBudgets);
+    };
+
+    // Manejadores de la pantalla de gastos recurrentes
+    const recurringHandlers = {
+        onCreate: (data) => repository.addRecurring(data),
+        onToggle: (template) => repository.updateRecurring(template.id, { active: !template.active }),
+        onDelete: (template) => repository.deleteRecurring(template.id),
+    };
+
+    // Importa movimientos de un extracto: se categorizan en lotes y se guardan con escrituras por lotes
+    const handleImportExpenses = async (rows, importCurrency) => {
+        const results = await categorizer.categorizeMany(
+            rows.map(row => row.description),
+            { categories: categoryNames, corrections }
+        );
+
+        await repository.addExpenses(rows.map((row, index) => ({
+            amount: row.amount,
+            currency: importCurrency,
+            description: row.description,
+            category: results[index].category,
+            classification: results[index].classification,
+            date: row.date,
+            source: 'import',
+        })));
+        console.log(`Importados ${rows.length} gastos.`);
+    };
+
+    // Guarda los gastos confirmados en la carga rápida (ya categorizados por la IA o corregidos a mano)
+    const handleQuickEntry = async (rows, entryCurrency) => {
+        const newExpenses = rows.map(row => ({
+            amount: row.amount,
+            currency: entryCurrency,
+            description: row.description,
+            category: row.category,
+            classification: row.classification,
+            categorizationStatus: CATEGORIZATION_STATUS.done,
+            date: row.date,
+            source: 'quickEntry',
+        }));
+        // Como en el formulario, no se espera al servidor: el lote queda en la cola offline
+        repository.addExpenses(newExpenses).catch(err => {
+            console.error("Error al guardar la carga rápida:", err);
+            setError("No se pudieron guardar los gastos de la carga rápida. Intenta nuevamente.");
+        });
+    };
+
     // 5. Manejador de Eliminación de Gasto
-    const handleDeleteExpense = async (expenseId) => {
-        if (!db || !userId) {
+    // Sin confirmación (window.confirm bloquea el iframe): el gasto va a la papelera y el aviso permite deshacerlo.
+    // El ingreso se guarda sin esperar al servidor (como los gastos): sin conexión queda en la cola local
+    const handleCreateIncome = (entry) => {
+        const incomeId = repository.createIncomeId();
+        repository.addIncome(entry, incomeId).catch(err => {
+            console.error("Error al guardar el ingreso:", err);
+            setError("No se pudo guardar el ingreso. Intenta nuevamente.");
+        });
+        return incomeId;
+    };
+
+    const handleDeleteExpense = (expenseId) => {
+        if (!repository) {
             setError("La aplicación no está lista o el usuario no está autenticado.");
             return;
         }
-        
-        // **CORRECCIÓN:** Se eliminó la dependencia de window.confirm() para evitar el bloqueo del iframe.
+        const expense = expenses.find(e => e.id === expenseId);
+        if (!expense) return;
 
-        try {
-            const expenseDocPath = `/artifacts/${appId}/users/${userId}/expenses/${expenseId}`;
-            await deleteDoc(doc(db, expenseDocPath));
-            // Si estábamos editando el gasto que se eliminó, salimos del modo edición.
-            if (editingExpenseId === expenseId) {
-                handleCancelEdit();
-            }
-        } catch (e) {
-            console.error("Error al eliminar el gasto:", e);
+        // Como las demás escrituras, no se espera al servidor: el movimiento queda en la cola offline
+        repository.trashExpense(expense).catch(err => {
+            console.error("Error al eliminar el gasto:", err);
             setError("No se pudo eliminar el gasto. Intenta de nuevo.");
+        });
+        setLastDeleted(expense);
+        // Si estábamos editando el gasto que se eliminó, salimos del modo edición.
+        if (editingExpenseId === expenseId) {
+            handleCancelEdit();
+        }
+    };
+
+    // Deshace la última eliminación devolviendo el gasto al período actual
+    const handleUndoDelete = () => {
+        const expense = lastDeleted;
+        setLastDeleted(null);
+        repository.restoreFromTrash([expense]).catch(err => {
+            console.error("Error al restaurar el gasto:", err);
+            setError("No se pudo deshacer la eliminación. El gasto sigue en la papelera.");
+        });
+    };
+
+    const closeUndoToast = useCallback(() => setLastDeleted(null), []);
+
+    // Borra definitivamente gastos de la papelera, junto con la foto de su ticket
+    const purgeTrashItems = useCallback(async (items) => {
+        await repository.purgeTrash(items);
+        if (storage) {
+            items.filter(item => item.receipt?.path).forEach(item => {
+                deleteReceipt(storage, item.receipt.path).catch(err => console.error("Error al eliminar la foto del ticket:", err));
+            });
         }
+    }, [repository, storage]);
+
+    // Guarda cuántos días se conservan los gastos en la papelera
+    const handleSaveTrashRetention = async (days) => {
+        await repository.saveSettings(SETTINGS_DOCS.preferences, { trashRetentionDays: days }, { merge: true });
+        hasPurgedTrash.current = false;
     };
 
+    // Indica si las colecciones ya llegaron del servidor para el usuario actual. Al cambiar de cuenta, los
+    // efectos ven al nuevo `repository` antes que sus datos: la marca del usuario anterior no cuenta.
+    const isLoadedFromServer = useCallback(
+        (names) => !!repository && loadedFromServer.userId === repository.userId && names.every(name => loadedFromServer.names[name]),
+        [repository, loadedFromServer]
+    );
+
+    // Vaciado automático: al abrir la app se borran los gastos que superaron los días de la papelera
+    useEffect(() => {
+        if (!isLoadedFromServer(['trash', 'preferences']) || hasPurgedTrash.current) return;
+        hasPurgedTrash.current = true;
+
+        const expired = getExpiredTrash(trash, trashRetentionDays);
+        if (expired.length === 0) return;
+        purgeTrashItems(expired)
+            .then(() => console.log(`Papelera: se borraron ${expired.length} gasto(s) vencidos.`))
+            .catch(err => console.error("Error al vaciar la papelera:", err));
+    }, [isLoadedFromServer, trash, trashRetentionDays, purgeTrashItems]);
+
 
     // 6. Manejador de Reinicio y Archivo de Gastos
+    // Genera y guarda el análisis de un período archivado comparándolo con los anteriores
+    const generatePeriodInsights = useCallback(async (historyId, period, periodExpenses, previous) => {
+        const insights = await buildPeriodInsights(period, periodExpenses, previous, rateTable);
+        await repository.savePeriodInsights(historyId, insights);
+    }, [repository, rateTable]);
+
+    const reportInsightsError = useCallback((err) => {
+        console.error("Error al guardar el análisis del período:", err);
+        setError("El período se archivó, pero no se pudo guardar su análisis. Puedes generarlo desde el historial.");
+    }, []);
+
     const handleResetAndArchive = async () => {
-        if (!db || !userId || expenses.length === 0) return;
+        if (!repository || (expenses.length === 0 && income.length === 0)) return;
 
-        // Implementamos un modal o confirmación simple (simulado)
-        if (!window.confirm("¿Estás seguro de que quieres archivar este periodo y reiniciar el contador? ¡Esta acción es irreversible para los gastos actuales!")) {
+        if (!window.confirm("¿Archivar este período y reiniciar el contador? Los gastos y los ingresos se guardarán en el historial, desde donde podrás consultarlos o restaurarlos.")) {
             return;
         }
 
@@ -342,59 +890,96 @@ const App = () => {
         setError(null);
         
         try {
-            const currentMonth = new Date().toLocaleString('es-AR', { month: 'long', year: 'numeric' });
-
-            // 1. Obtener la data de resumen del mes actual
-            const archiveData = {
-                title: `Resumen de Gastos: ${currentMonth}`,
-                totalSpent: totalSpent,
-                categorySummary: categoryData.map(item => ({
-                    category: item.category,
-                    total: item.total,
-                    percentage: item.percentage
-                })),
-                archiveDate: Timestamp.now(),
-                totalExpensesCount: expenses.length
-            };
-
-            // 2. Guardar el resumen en la colección de historial
-            const historyCollectionPath = `/artifacts/${appId}/users/${userId}/history`;
-            await addDoc(collection(db, historyCollectionPath), archiveData);
-            console.log("Resumen archivado con éxito.");
-
-            // 3. Eliminar todos los gastos de la colección actual (gastos)
-            const expensesCollectionPath = `/artifacts/${appId}/users/${userId}/expenses`;
-            const q = query(collection(db, expensesCollectionPath));
-            const snapshot = await getDocs(q);
-            
-            // Usamos Promise.all para eliminar documentos en paralelo
-            const deletePromises = snapshot.docs.map(doc => deleteDoc(doc.ref));
-            await Promise.all(deletePromises);
-            
-            console.log(`Eliminados ${deletePromises.length} gastos del mes actual.`);
+            // El período va desde el fin del anterior (o el gasto más antiguo) hasta ahora
+            const periodEnd = new Date();
+            const periodStart = currentPeriodStart || [...convertedExpenses, ...convertedIncome].reduce((min, e) => (e.date < min ? e.date : min), periodEnd);
+
+            // Guarda el resumen y mueve los gastos e ingresos al período archivado en escrituras por lotes
+            const title = formatPeriodTitle(periodStart, periodEnd);
+            const historyId = await repository.archivePeriod(convertedExpenses, {
+                title,
+                currency: baseCurrency,
+                periodStart,
+                periodEnd,
+            }, convertedIncome);
+            console.log(`Archivados ${convertedExpenses.length} gastos y ${convertedIncome.length} ingresos del período actual.`);
+
+            // El análisis se genera en segundo plano: el período ya quedó archivado
+            if (convertedExpenses.length > 0) {
+                generatePeriodInsights(historyId, { title, currency: baseCurrency, ...summarizeExpenses(convertedExpenses) }, convertedExpenses, history)
+                    .catch(reportInsightsError);
+            }
             
         } catch (e) {
             console.error("Error al archivar/reiniciar los gastos:", e);
-            setError("Error al archivar/reiniciar. Consulta la consola para más detalles.");
+            setError(e.code === ALREADY_ARCHIVED_CODE ? e.message : "Error al archivar/reiniciar. Consulta la consola para más detalles.");
         } finally {
             setIsArchiving(false);
         }
     };
 
-    // 7. Formato de moneda para mostrar los gastos
+    // Genera el análisis de un período archivado que no lo tiene (anterior a esta función, o si falló al archivar)
+    const handleGenerateInsights = async (record) => {
+        setGeneratingInsightsId(record.id);
+        setError(null);
+        try {
+            const periodExpenses = await repository.fetchArchivedExpenses(record.id);
+            const previous = history.filter(h => h.periodEnd < record.periodEnd);
+            await generatePeriodInsights(record.id, record, periodExpenses, previous);
+        } catch (e) {
+            console.error("Error al generar el análisis del período:", e);
+            setError("No se pudo generar el análisis del período. Intenta nuevamente.");
+        } finally {
+            setGeneratingInsightsId(null);
+        }
+    };
+
+    // Ticket abierto (el gasto puede haberse eliminado o archivado mientras tanto)
+    const viewingReceipt = expenses.find(e => e.id === viewingReceiptId && e.receipt) || null;
+    const loadReceiptUrl = useCallback((path) => getReceiptUrl(storage, path), [storage]);
+
+    // Restaura gastos del período archivado abierto al período actual
+    const handleRestoreArchived = async (ids) => {
+        const record = history.find(h => h.id === openHistoryId);
+        if (!record) return;
+        await repository.restoreArchivedExpenses(record, archivedExpenses, ids);
+        // Si se restauró todo, el período deja de existir (salvo que tenga ingresos archivados)
+        if (ids.length === archivedExpenses.length && !record.totalIncomeCount) {
+            setOpenHistoryId(null);
+        }
+    };
+
+    // Restaura ingresos del período archivado abierto al período actual
+    const handleRestoreArchivedIncome = async (ids) => {
+        const record = history.find(h => h.id === openHistoryId);
+        if (!record) return;
+        await repository.restoreArchivedIncome(record, archivedIncome, ids);
+        if (ids.length === archivedIncome.length && !record.totalExpensesCount) {
+            setOpenHistoryId(null);
+        }
+    };
+
+    // 7. Formato de moneda para mostrar los gastos (en la moneda base del usuario)
     const currencyFormatter = useMemo(() => new Intl.NumberFormat('es-AR', {
         style: 'currency',
-        currency: 'ARS', // Pesos Argentinos (ARS)
+        currency: baseCurrency,
         minimumFractionDigits: 2,
-    }), []);
+    }), [baseCurrency]);
+
+    // Monto de cada gasto convertido a la moneda base (null si falta el tipo de cambio)
+    const convertedExpenses = useMemo(() => expenses.map(expense => ({
+        ...expense,
+        baseAmount: convertAmount(expense.amount, expense.currency, baseCurrency, rateTable),
+    })), [expenses, baseCurrency, rateTable]);
 
     // 8. Cálculo del total mensual y datos para el gráfico
-    const { totalSpent, categoryData } = useMemo(() => {
-        const total = expenses.reduce((sum, expense) => sum + expense.amount, 0);
+    const { totalSpent, categoryData, unconvertedCount } = useMemo(() => {
+        const convertible = convertedExpenses.filter(expense => expense.baseAmount !== null);
+        const total = convertible.reduce((sum, expense) => sum + expense.baseAmount, 0);
 
-        const totals = expenses.reduce((acc, expense) => {
+        const totals = convertible.reduce((acc, expense) => {
             const category = expense.category || 'No Categorizado';
-            acc[category] = (acc[category] || 0) + expense.amount;
+            acc[category] = (acc[category] || 0) + expense.baseAmount;
             return acc;
         }, {});
 
@@ -408,8 +993,135 @@ const App = () => {
         // Ordenar de mayor a menor gasto
         data.sort((a, b) => b.total - a.total);
 
-        return { totalSpent: total, categoryData: data };
-    }, [expenses]);
+        return { totalSpent: total, categoryData: data, unconvertedCount: convertedExpenses.length - convertible.length };
+    }, [convertedExpenses]);
+
+    // Ingresos convertidos a la moneda base y balance del período (ingresos menos gastos)
+    const convertedIncome = useMemo(() => income.map(entry => ({
+        ...entry,
+        baseAmount: convertAmount(entry.amount, entry.currency, baseCurrency, rateTable),
+    })), [income, baseCurrency, rateTable]);
+
+    const periodBalance = useMemo(() => {
+        const { totalIncome } = summarizeIncome(convertedIncome);
+        return {
+            totalIncome,
+            ...getNetBalance(totalIncome, totalSpent),
+            unconvertedCount: convertedIncome.filter(entry => entry.baseAmount === null).length,
+        };
+    }, [convertedIncome, totalSpent]);
+
+    // Período en curso como un punto más de las tendencias
+    const currentTrendPeriod = useMemo(
+        () => ({ totalSpent, categorySummary: categoryData, periodStart: currentPeriodStart }),
+        [totalSpent, categoryData, currentPeriodStart]
+    );
+
+    // Gastos visibles en la lista según los filtros y el orden elegidos
+    const isFiltering = hasActiveFilters(filters);
+    const visibleExpenses = useMemo(
+        () => sortExpenses(filterExpenses(convertedExpenses, filters, categories), sort),
+        [convertedExpenses, filters, categories, sort]
+    );
+
+    // Total y distribución de los gastos filtrados (los presupuestos siguen usando el período completo)
+    const filteredSummary = useMemo(
+        () => (isFiltering ? summarizeExpenses(visibleExpenses) : null),
+        [isFiltering, visibleExpenses]
+    );
+
+    // 9. Presupuestos expresados en la moneda base y su estado en el mes
+    const effectiveBudgets = useMemo(() => convertBudgets(budgets, baseCurrency, rateTable), [budgets, baseCurrency, rateTable]);
+    latestBudgetData.current = { convertedExpenses, effectiveBudgets, baseCurrency, rateTable };
+
+    const { overallBudgetStatus, chartRows } = useMemo(() => {
+        // Con filtros el gráfico muestra solo los gastos filtrados, sin comparar contra presupuestos
+        if (filteredSummary) {
+            return { overallBudgetStatus: null, chartRows: filteredSummary.categorySummary.map(item => ({ ...item, budgetStatus: null })) };
+        }
+        const now = new Date();
+        const cycle = getBudgetCycle(now, cycleStartDay);
+        const rows = categoryData.map(item => ({ ...item }));
+        // Las categorías con presupuesto aparecen aunque aún no tengan gastos
+        Object.keys(effectiveBudgets.categories).forEach(name => {
+            if (!rows.some(row => row.category === name)) {
+                rows.push({ category: name, total: 0, percentage: 0 });
+            }
+        });
+        rows.forEach(row => {
+            const budget = effectiveBudgets.categories[row.category];
+            row.budgetStatus = budget ? getBudgetStatus(row.total, budget, cycle, now) : null;
+        });
+
+        return {
+            overallBudgetStatus: effectiveBudgets.overall ? getBudgetStatus(totalSpent, effectiveBudgets.overall, cycle, now) : null,
+            chartRows: rows,
+        };
+    }, [categoryData, effectiveBudgets, totalSpent, filteredSummary, cycleStartDay]);
+
+    // Cifras que el asistente puede citar (solo se calculan con el asistente abierto)
+    const financeFigures = useMemo(
+        () => (showFinanceChat ? buildFinanceFigures({ expenses: convertedExpenses, history, recurring: recurringTemplates, baseCurrency, rateTable }) : []),
+        [showFinanceChat, convertedExpenses, history, recurringTemplates, baseCurrency, rateTable]
+    );
+
+    // Próximas ocurrencias de los gastos recurrentes (30 días)
+    const upcomingRecurring = useMemo(() => getUpcomingOccurrences(recurringTemplates), [recurringTemplates]);
+
+    // Cantidad de gastos por categoría (para la pantalla de categorías)
+    const expenseCounts = useMemo(() => expenses.reduce((acc, expense) => {
+        acc[expense.category] = (acc[expense.category] || 0) + 1;
+        return acc;
+    }, {}), [expenses]);
+
+    // Fin del ciclo de facturación en curso
+    const currentCycleEnd = useMemo(
+        () => new Date(getNextCycleStart(getCycleStart(new Date(), cycleStartDay)).getTime() - 1),
+        [cycleStartDay]
+    );
+
+    // Cierre automático: al abrir la app después del fin de ciclo se archivan los ciclos vencidos (uno por ciclo)
+    useEffect(() => {
+        if (!isLoadedFromServer(['expenses', 'income', 'history', 'preferences', 'exchangeRates']) || hasCheckedCycle.current) return;
+        hasCheckedCycle.current = true;
+
+        const closedPeriods = getClosedPeriods(convertedExpenses, cycleStartDay, currentPeriodStart, { income: convertedIncome });
+        if (closedPeriods.length === 0) return;
+
+        setIsArchiving(true);
+        (async () => {
+            // Cada período se compara con los anteriores, incluidos los que se acaban de archivar
+            let previous = history;
+            for (const period of closedPeriods) {
+                const summary = {
+                    title: formatPeriodTitle(period.start, period.end),
+                    currency: baseCurrency,
+                    ...summarizeExpenses(period.expenses),
+                };
+                const historyId = await repository.archivePeriod(period.expenses, {
+                    title: summary.title,
+                    currency: baseCurrency,
+                    periodStart: period.start,
+                    periodEnd: period.end,
+                }, period.income);
+                if (period.expenses.length > 0) {
+                    generatePeriodInsights(historyId, summary, period.expenses, previous).catch(reportInsightsError);
+                    previous = [summary, ...previous];
+                }
+            }
+            console.log(`Cierre automático: se archivaron ${closedPeriods.length} período(s).`);
+        })()
+            .catch(err => {
+                // Otra pestaña o dispositivo cerró el período primero: sus gastos ya están en el historial
+                if (err.code === ALREADY_ARCHIVED_CODE) {
+                    console.log("Cierre automático: el período ya se había archivado.");
+                    return;
+                }
+                console.error("Error en el cierre automático del período:", err);
+                setError("No se pudo archivar automáticamente el período anterior. Puedes hacerlo con \"Archivar y Reiniciar\".");
+            })
+            .finally(() => setIsArchiving(false));
+    }, [repository, isLoadedFromServer, convertedExpenses, convertedIncome, history, cycleStartDay, currentPeriodStart, baseCurrency, generatePeriodInsights, reportInsightsError]);
     
     // Componente de Visualización de Distribución (Gráfico de Barras Simple)
     const CategoryBarChart = () => (
@@ -417,26 +1129,42 @@ const App = () => {
             <h2 className="text-xl font-semibold mb-4 text-gray-800 flex items-center">
                 <BarChart4 className="w-5 h-5 mr-2 text-indigo-600" />
                 Distribución de Gastos Actual
+                {filteredSummary && <span className="ml-2 text-sm font-normal text-indigo-600">(filtrado)</span>}
             </h2>
+
+            {/* Presupuesto total del mes */}
+            {overallBudgetStatus && (
+                <div className="mb-5 p-3 bg-gray-50 rounded-lg border border-gray-200">
+                    <p className="text-sm font-semibold text-gray-700 mb-1">Presupuesto Total del Mes</p>
+                    <BudgetProgress status={overallBudgetStatus} formatter={currencyFormatter} barColor="bg-indigo-600" />
+                </div>
+            )}
             
-            {categoryData.length === 0 ? (
-                 <p className="text-center text-gray-500 py-4">Añade gastos para ver la distribución.</p>
+            {chartRows.length === 0 ? (
+                 <p className="text-center text-gray-500 py-4">{filteredSummary ? 'Ningún gasto coincide con los filtros.' : 'Añade gastos para ver la distribución.'}</p>
             ) : (
                 <div className="space-y-4">
-                    {categoryData.map((item, index) => (
+                    {chartRows.map((item, index) => (
                         <div key={item.category} className="transition-all duration-500 ease-out" style={{ animationDelay: `${index * 0.1}s` }}>
                             <div className="flex justify-between items-center mb-1 text-sm">
                                 <span className="font-medium text-gray-700">{item.category}</span>
                                 <span className="font-bold text-gray-900">{currencyFormatter.format(item.total)}</span>
                             </div>
-                            <div className="w-full bg-gray-200 rounded-full h-2.5">
-                                <div 
-                                    className={`${CATEGORY_COLORS[item.category] || CATEGORY_COLORS['Otros']} h-2.5 rounded-full transition-all duration-700 ease-out`} 
-                                    style={{ width: `${item.percentage}%` }}
-                                    title={`${item.percentage.toFixed(1)}%`}
-                                ></div>
-                            </div>
-                            <p className="text-xs text-gray-500 mt-1">{item.percentage.toFixed(1)}% del total</p>
+                            {item.budgetStatus ? (
+                                // Gastado vs. presupuesto de la categoría
+                                <BudgetProgress status={item.budgetStatus} formatter={currencyFormatter} barColor={getCategoryColor(categories, item.category)} />
+                            ) : (
+                                <>
+                                    <div className="w-full bg-gray-200 rounded-full h-2.5">
+                                        <div 
+                                            className={`${getCategoryColor(categories, item.category)} h-2.5 rounded-full transition-all duration-700 ease-out`} 
+                                            style={{ width: `${item.percentage}%` }}
+                                            title={`${item.percentage.toFixed(1)}%`}
+                                        ></div>
+                                    </div>
+                                    <p className="text-xs text-gray-500 mt-1">{item.percentage.toFixed(1)}% del total</p>
+                                </>
+                            )}
                         </div>
                     ))}
                 </div>
@@ -447,27 +1175,130 @@ const App = () => {
     // Componente para ver el historial
     const HistoryViewer = () => (
         <div className="bg-white p-6 rounded-xl shadow-md transition duration-300 hover:shadow-lg">
-            <h2 className="text-xl font-semibold mb-4 text-gray-800 flex items-center">
-                <Archive className="w-5 h-5 mr-2 text-pink-600" />
-                Historial Archivado ({history.length})
-            </h2>
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+                    <Archive className="w-5 h-5 mr-2 text-pink-600" />
+                    Historial Archivado ({history.length})
+                </h2>
+                {history.length > 0 && (
+                    <button
+                        onClick={() => setShowTrends(true)}
+                        className="flex items-center px-3 py-1.5 text-sm font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150"
+                    >
+                        <TrendingUp className="w-4 h-4 mr-1" />
+                        Tendencias
+                    </button>
+                )}
+            </div>
             {history.length === 0 ? (
                 <p className="text-center text-gray-500 py-4">El historial estará disponible después del primer reinicio.</p>
             ) : (
                 <div className="space-y-4 max-h-96 overflow-y-auto pr-2">
                     {history.map((record) => (
                         <div key={record.id} className="p-3 bg-gray-50 rounded-lg border border-gray-200">
-                            <p className="font-bold text-indigo-700 text-lg">{record.title}</p>
+                            <div className="flex justify-between items-start">
+                                <p className="font-bold text-indigo-700 text-lg">{record.title}</p>
+                                <button
+                                    onClick={() => setOpenHistoryId(record.id)}
+                                    className="shrink-0 ml-2 px-2 py-1 text-xs font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200"
+                                >
+                                    Ver gastos
+                                </button>
+                            </div>
+                            {record.status === ARCHIVE_STATUS.archiving && (
+                                <p className="text-xs text-amber-700 flex items-center mt-1">
+                                    <AlertTriangle className="w-3 h-3 mr-1" />
+                                    Archivo incompleto
+                                </p>
+                            )}
                             <div className="flex justify-between items-center mt-1 text-sm">
                                 <span className="text-gray-600">Total Gastado:</span>
-                                <span className="font-extrabold text-red-600">{currencyFormatter.format(record.totalSpent)}</span>
+                                <span className="font-extrabold text-red-600">{formatMoney(record.totalSpent, record.currency)}</span>
                             </div>
+                            {/* Los períodos archivados antes de registrar ingresos no tienen balance */}
+                            {record.totalIncome !== undefined && (
+                                <>
+                                    <div className="flex justify-between items-center text-sm">
+                                        <span className="text-gray-600">Ingresos:</span>
+                                        <span className="font-bold text-green-700">{formatMoney(record.totalIncome, record.currency)}</span>
+                                    </div>
+                                    <div className="flex justify-between items-center text-sm">
+                                        <span className="text-gray-600">Ahorro neto:</span>
+                                        <span className={`font-bold ${record.netSavings < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                                            {formatMoney(record.netSavings, record.currency)}
+                                            {record.savingsRate !== null && ` (${record.savingsRate.toFixed(1)}%)`}
+                                        </span>
+                                    </div>
+                                </>
+                            )}
                             <div className="flex justify-between items-center text-xs mt-1 text-gray-500">
                                 <span>Gastos Registrados:</span>
                                 <span>{record.totalExpensesCount}</span>
                             </div>
+                            {record.periodStart && (
+                                <p className="text-xs text-gray-500 mt-1">Período: {record.periodStart.toLocaleDateString('es-AR')} – {record.periodEnd.toLocaleDateString('es-AR')}</p>
+                            )}
                             <p className="text-xs text-gray-400 mt-1">Archivado: {record.archiveDate.toLocaleDateString('es-AR')}</p>
-                            
+
+                            {/* Análisis del período frente a los anteriores */}
+                            {record.insights ? (
+                                <div className="mt-2 p-2 bg-indigo-50 border border-indigo-100 rounded-lg text-xs text-gray-700 space-y-1.5">
+                                    <p className="flex items-center font-semibold text-indigo-700">
+                                        <Sparkles className="w-3 h-3 mr-1" />
+                                        Análisis del período
+                                    </p>
+                                    {record.insights.summary && <p>{record.insights.summary}</p>}
+                                    {record.insights.previousAverage !== null && (
+                                        <p className="text-gray-500">
+                                            Promedio de los {record.insights.comparedPeriods} períodos anteriores: {formatMoney(record.insights.previousAverage, record.currency)}
+                                        </p>
+                                    )}
+                                    {record.insights.increases.length > 0 && (
+                                        <div>
+                                            <p className="font-semibold">Mayores aumentos</p>
+                                            <ul className="space-y-0.5">
+                                                {record.insights.increases.map(item => (
+                                                    <li key={item.category} className="flex justify-between">
+                                                        <span>{item.category}</span>
+                                                        <span className="font-mono text-red-600">+{formatMoney(item.change, record.currency)}</span>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </div>
+                                    )}
+                                    {record.insights.unusual.length > 0 && (
+                                        <div>
+                                            <p className="font-semibold">Gastos inusuales</p>
+                                            <ul className="space-y-0.5">
+                                                {record.insights.unusual.map((item, i) => (
+                                                    <li key={i} className="flex justify-between" title={`${item.times} veces lo habitual en ${item.category}`}>
+                                                        <span className="truncate mr-2">{item.description}</span>
+                                                        <span className="font-mono">{formatMoney(item.amount, record.currency)}</span>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </div>
+                                    )}
+                                    {record.insights.suggestions.length > 0 && (
+                                        <div>
+                                            <p className="font-semibold">Sugerencias de ahorro</p>
+                                            <ul className="list-disc list-inside space-y-0.5">
+                                                {record.insights.suggestions.map((suggestion, i) => <li key={i}>{suggestion}</li>)}
+                                            </ul>
+                                        </div>
+                                    )}
+                                </div>
+                            ) : record.status !== ARCHIVE_STATUS.archiving && (
+                                <button
+                                    onClick={() => handleGenerateInsights(record)}
+                                    className="mt-2 flex items-center text-xs font-semibold text-indigo-600 hover:text-indigo-800 disabled:text-gray-400"
+                                    disabled={generatingInsightsId !== null}
+                                >
+                                    {generatingInsightsId === record.id ? <Loader2 className="w-3 h-3 mr-1 animate-spin" /> : <Sparkles className="w-3 h-3 mr-1" />}
+                                    {generatingInsightsId === record.id ? 'Generando análisis...' : 'Generar análisis'}
+                                </button>
+                            )}
+
                             {/* Opcionalmente mostrar detalle de categorías archivadas */}
                             {record.categorySummary && (
                                 <details className="mt-2 text-xs">
@@ -477,7 +1308,7 @@ const App = () => {
                                             <li key={i} className="text-gray-600 flex justify-between">
                                                 <span>{cat.category}:</span>
                                                 <span className="font-mono ml-2">
-                                                    {currencyFormatter.format(cat.total)} ({cat.percentage.toFixed(1)}%)
+                                                    {formatMoney(cat.total, record.currency)} ({cat.percentage.toFixed(1)}%)
                                                 </span>
                                             </li>
                                         ))}
@@ -515,12 +1346,314 @@ const App = () => {
                 </h1>
                 <p className="text-gray-500 mt-2">Registra y clasifica tus gastos automáticamente.</p>
                 {userId && (
-                    <div className="mt-4 text-xs text-gray-400 flex items-center justify-center">
-                        <User className="w-3 h-3 mr-1" />
-                        ID de Usuario: {userId}
+                    <div className="mt-4 text-sm text-gray-500 flex flex-wrap items-center justify-center gap-2">
+                        <span className="flex items-center">
+                            <User className="w-4 h-4 mr-1" />
+                            {account && !account.isAnonymous
+                                ? <>Sesión iniciada como <span className="font-semibold text-gray-700 ml-1">{account.displayName || account.email}</span></>
+                                : 'Invitado (los datos solo están en este navegador)'}
+                        </span>
+                        {auth && account?.isAnonymous && (
+                            <button
+                                onClick={() => setShowAccount(true)}
+                                className="flex items-center px-3 py-1 text-xs font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition duration-150"
+                            >
+                                <LogIn className="w-3 h-3 mr-1" />
+                                Iniciar sesión / Crear cuenta
+                            </button>
+                        )}
+                        {auth && account && !account.isAnonymous && (
+                            <button
+                                onClick={handleSignOut}
+                                className="flex items-center px-3 py-1 text-xs font-semibold text-gray-600 bg-gray-200 rounded-lg hover:bg-gray-300 transition duration-150"
+                            >
+                                <LogOut className="w-3 h-3 mr-1" />
+                                Cerrar sesión
+                            </button>
+                        )}
+                    </div>
+                )}
+                {isAuthReady && db && userId && (
+                    <div className="mt-4 flex flex-wrap justify-center gap-2">
+                        <button
+                            onClick={() => setShowLedgers(true)}
+                            className="flex items-center px-3 py-1.5 text-sm font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150"
+                        >
+                            <Users className="w-4 h-4 mr-1" />
+                            Hogar
+                        </button>
+                        <button
+                            onClick={() => setShowCategoryManager(true)}
+                            className="flex items-center px-3 py-1.5 text-sm font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150"
+                        >
+                            <Tags className="w-4 h-4 mr-1" />
+                            Categorías
+                        </button>
+                        <button
+                            onClick={() => setShowCurrencySettings(true)}
+                            className="flex items-center px-3 py-1.5 text-sm font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150"
+                        >
+                            <Coins className="w-4 h-4 mr-1" />
+                            Monedas ({baseCurrency})
+                        </button>
+                        <button
+                            onClick={() => setShowCycleSettings(true)}
+                            className="flex items-center px-3 py-1.5 text-sm font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150"
+                        >
+                            <CalendarClock className="w-4 h-4 mr-1" />
+                            Ciclo
+                        </button>
+                        <button
+                            onClick={() => setShowBudgetSettings(true)}
+                            className="flex items-center px-3 py-1.5 text-sm font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150"
+                        >
+                            <Target className="w-4 h-4 mr-1" />
+                            Presupuestos
+                        </button>
+                        <button
+                            onClick={() => setShowRecurringManager(true)}
+                            className="flex items-center px-3 py-1.5 text-sm font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150"
+                        >
+                            <Repeat className="w-4 h-4 mr-1" />
+                            Recurrentes
+                        </button>
+                        <button
+                            onClick={() => setShowIncomeManager(true)}
+                            className="flex items-center px-3 py-1.5 text-sm font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150"
+                        >
+                            <PiggyBank className="w-4 h-4 mr-1" />
+                            Ingresos
+                        </button>
+                        <button
+                            onClick={() => setShowQuickEntry(true)}
+                            className="flex items-center px-3 py-1.5 text-sm font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150"
+                        >
+                            <Zap className="w-4 h-4 mr-1" />
+                            Carga rápida
+                        </button>
+                        <button
+                            onClick={() => setShowFinanceChat(true)}
+                            className="flex items-center px-3 py-1.5 text-sm font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150"
+                        >
+                            <MessageCircle className="w-4 h-4 mr-1" />
+                            Asistente
+                        </button>
+                        <button
+                            onClick={() => setShowImport(true)}
+                            className="flex items-center px-3 py-1.5 text-sm font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150"
+                        >
+                            <FileUp className="w-4 h-4 mr-1" />
+                            Importar
+                        </button>
+                        <button
+                            onClick={() => setShowExport(true)}
+                            className="flex items-center px-3 py-1.5 text-sm font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150"
+                        >
+                            <Download className="w-4 h-4 mr-1" />
+                            Exportar
+                        </button>
+                        <button
+                            onClick={() => setShowTrash(true)}
+                            className="flex items-center px-3 py-1.5 text-sm font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150"
+                        >
+                            <Trash2 className="w-4 h-4 mr-1" />
+                            Papelera{trash.length > 0 && ` (${trash.length})`}
+                        </button>
                     </div>
                 )}
             </header>
+
+            {/* Pantalla de gestión de categorías */}
+            {showCategoryManager && (
+                <CategoryManager
+                    categories={categories}
+                    expenseCounts={expenseCounts}
+                    onClose={() => setShowCategoryManager(false)}
+                    {...categoryHandlers}
+                />
+            )}
+
+            {/* Pantalla de monedas y tipos de cambio */}
+            {showCurrencySettings && (
+                <CurrencySettings
+                    baseCurrency={baseCurrency}
+                    rateTable={rateTable}
+                    onSave={handleSaveCurrencySettings}
+                    onClose={() => setShowCurrencySettings(false)}
+                />
+            )}
+
+            {/* Inicio de sesión y creación de cuenta */}
+            {showAccount && (
+                <AccountPanel
+                    account={account}
+                    {...accountHandlers}
+                    onClose={() => setShowAccount(false)}
+                />
+            )}
+
+            {/* Hogares compartidos */}
+            {showLedgers && (
+                <SharedLedgers
+                    account={account}
+                    ledgers={ledgers}
+                    activeLedgerId={activeLedgerId}
+                    expenses={ledgerExpenses}
+                    settlements={ledgerSettlements}
+                    currencies={Array.from(new Set([baseCurrency, ...SUPPORTED_CURRENCIES, ...Object.keys(rateTable.rates)]))}
+                    baseCurrency={baseCurrency}
+                    {...ledgerHandlers}
+                    onRequestSignIn={() => { setShowLedgers(false); setShowAccount(true); }}
+                    onClose={() => setShowLedgers(false)}
+                />
+            )}
+
+            {/* Pantalla del ciclo de facturación */}
+            {showCycleSettings && (
+                <CycleSettings
+                    cycleStartDay={cycleStartDay}
+                    onSave={handleSaveCycle}
+                    onClose={() => setShowCycleSettings(false)}
+                />
+            )}
+
+            {/* Pantalla de presupuestos mensuales */}
+            {showBudgetSettings && (
+                <BudgetSettings
+                    categoryNames={categoryNames}
+                    budgets={effectiveBudgets}
+                    baseCurrency={baseCurrency}
+                    onSave={handleSaveBudgets}
+                    onClose={() => setShowBudgetSettings(false)}
+                />
+            )}
+
+            {/* Pantalla de gastos recurrentes */}
+            {showRecurringManager && (
+                <RecurringManager
+                    templates={recurringTemplates}
+                    categoryNames={categoryNames}
+                    currencies={Array.from(new Set([baseCurrency, ...SUPPORTED_CURRENCIES, ...Object.keys(rateTable.rates)]))}
+                    baseCurrency={baseCurrency}
+                    onClose={() => setShowRecurringManager(false)}
+                    {...recurringHandlers}
+                />
+            )}
+
+            {/* Carga rápida en lenguaje natural */}
+            {showQuickEntry && (
+                <QuickEntry
+                    categories={categoryNames}
+                    corrections={corrections}
+                    periodStart={currentPeriodStart}
+                    currencies={Array.from(new Set([baseCurrency, ...SUPPORTED_CURRENCIES, ...Object.keys(rateTable.rates)]))}
+                    baseCurrency={baseCurrency}
+                    onSave={handleQuickEntry}
+                    onClose={() => setShowQuickEntry(false)}
+                />
+            )}
+
+            {/* Asistente de finanzas */}
+            {showFinanceChat && (
+                <FinanceChat
+                    figures={financeFigures}
+                    expenses={convertedExpenses}
+                    baseCurrency={baseCurrency}
+                    onClose={() => setShowFinanceChat(false)}
+                />
+            )}
+
+            {/* Importación de CSV / OFX */}
+            {showImport && (
+                <ImportExpenses
+                    expenses={expenses}
+                    periodStart={currentPeriodStart}
+                    currencies={Array.from(new Set([baseCurrency, ...SUPPORTED_CURRENCIES, ...Object.keys(rateTable.rates)]))}
+                    baseCurrency={baseCurrency}
+                    onImport={handleImportExpenses}
+                    onClose={() => setShowImport(false)}
+                />
+            )}
+
+            {/* Exportación a CSV / JSON / informe */}
+            {showExport && (
+                <ExportPanel
+                    expenses={convertedExpenses}
+                    history={history}
+                    baseCurrency={baseCurrency}
+                    onLoadArchived={(historyId) => repository.fetchArchivedExpenses(historyId)}
+                    onClose={() => setShowExport(false)}
+                />
+            )}
+
+            {/* Detalle de un período archivado */}
+            {openHistoryId && history.some(h => h.id === openHistoryId) && (
+                <ArchivedPeriod
+                    key={openHistoryId}
+                    record={history.find(h => h.id === openHistoryId)}
+                    expenses={archivedExpenses}
+                    income={archivedIncome}
+                    isLoading={isLoadingArchived}
+                    onRestore={handleRestoreArchived}
+                    onRestoreIncome={handleRestoreArchivedIncome}
+                    onClose={() => setOpenHistoryId(null)}
+                />
+            )}
+
+            {/* Tendencias entre períodos */}
+            {showTrends && (
+                <Trends
+                    history={history}
+                    current={currentTrendPeriod}
+                    categories={categories}
+                    baseCurrency={baseCurrency}
+                    rateTable={rateTable}
+                    onClose={() => setShowTrends(false)}
+                />
+            )}
+
+            {/* Ingresos del período actual */}
+            {showIncomeManager && (
+                <IncomeManager
+                    entries={income}
+                    currencies={Array.from(new Set([baseCurrency, ...SUPPORTED_CURRENCIES, ...Object.keys(rateTable.rates)]))}
+                    baseCurrency={baseCurrency}
+                    periodStart={currentPeriodStart}
+                    onCreate={handleCreateIncome}
+                    onDelete={(entry) => repository.deleteIncome(entry.id)}
+                    onClose={() => setShowIncomeManager(false)}
+                />
+            )}
+
+            {/* Papelera de gastos eliminados */}
+            {showTrash && (
+                <TrashView
+                    items={trash}
+                    retentionDays={trashRetentionDays}
+                    onRestore={(items) => repository.restoreFromTrash(items)}
+                    onPurge={purgeTrashItems}
+                    onSaveRetention={handleSaveTrashRetention}
+                    onClose={() => setShowTrash(false)}
+                />
+            )}
+
+            {/* Aviso para deshacer la última eliminación */}
+            {lastDeleted && (
+                <UndoToast
+                    message={`"${lastDeleted.description}" se movió a la papelera.`}
+                    onUndo={handleUndoDelete}
+                    onClose={closeUndoToast}
+                />
+            )}
+
+            {/* Foto del ticket de un gasto */}
+            {viewingReceipt && (
+                <ReceiptViewer
+                    expense={viewingReceipt}
+                    loadUrl={loadReceiptUrl}
+                    onClose={() => setViewingReceiptId(null)}
+                />
+            )}
             
             {/* Indicador de Carga Global */}
             {!isAuthReady && (
@@ -532,6 +1665,14 @@ const App = () => {
             )}
             
 
+            {/* Aviso sin conexión */}
+            {!isOnline && (
+                <div className="max-w-4xl mx-auto mb-6 p-3 bg-amber-100 text-amber-800 border border-amber-300 rounded-lg text-sm flex items-center">
+                    <WifiOff className="w-4 h-4 mr-2 shrink-0" />
+                    Sin conexión: los gastos se guardan en este dispositivo y se categorizarán y sincronizarán al volver la conexión.
+                </div>
+            )}
+
             {/* Main Content solo se renderiza si la autenticación está lista */}
             {isAuthReady && (
                 <main className="max-w-4xl mx-auto grid grid-cols-1 lg:grid-cols-3 gap-8">
@@ -542,9 +1683,57 @@ const App = () => {
                         </h2>
 
                         <form onSubmit={handleSubmit} className="space-y-5">
+                            {/* Escaneo de ticket: la IA completa el formulario a partir de la foto */}
+                            {!isEditing && (
+                                <div>
+                                    <label
+                                        className={`w-full flex items-center justify-center py-2 px-4 border-2 border-dashed rounded-xl text-sm font-semibold transition duration-150 ${
+                                            isScanning || isLoading || !isOnline ? 'border-gray-200 text-gray-400 cursor-not-allowed' : 'border-indigo-300 text-indigo-700 hover:bg-indigo-50 cursor-pointer'
+                                        }`}
+                                        title={isOnline ? 'Sacar o elegir una foto del ticket' : 'El escaneo de tickets requiere conexión'}
+                                    >
+                                        {isScanning ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <Camera className="w-5 h-5 mr-2" />}
+                                        {isScanning ? 'Leyendo ticket...' : 'Escanear ticket'}
+                                        <input
+                                            type="file"
+                                            accept="image/*"
+                                            capture="environment"
+                                            onChange={handleReceiptFile}
+                                            className="hidden"
+                                            disabled={isScanning || isLoading || !isOnline}
+                                        />
+                                    </label>
+
+                                    {receiptPreviewUrl && (
+                                        <div className="mt-3 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                                            <div className="flex items-start">
+                                                <img src={receiptPreviewUrl} alt="Ticket escaneado" className="w-16 h-16 object-cover rounded-md border border-gray-200 mr-3" />
+                                                <div className="flex-1 min-w-0 text-xs text-gray-600">
+                                                    <p className="font-semibold text-gray-700">Revisa los datos leídos antes de guardar.</p>
+                                                    {!storage && <p className="text-amber-600 mt-1">La foto no se guardará (falta configurar Firebase Storage).</p>}
+                                                    <button type="button" onClick={clearReceipt} className="mt-1 text-red-500 hover:text-red-700 font-semibold" disabled={isScanning}>
+                                                        Quitar foto
+                                                    </button>
+                                                </div>
+                                            </div>
+                                            {receiptItems.length > 0 && (
+                                                <ul className="mt-2 max-h-32 overflow-y-auto divide-y divide-gray-100 text-xs">
+                                                    {receiptItems.map((item, index) => (
+                                                        <li key={index} className="flex justify-between py-1">
+                                                            <span className="truncate mr-2">{item.description}</span>
+                                                            {item.amount !== null && <span className="text-gray-500 shrink-0">{formatMoney(item.amount, expenseCurrency || baseCurrency)}</span>}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            )}
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+
                             {/* Campo de Monto */}
                             <div className="relative">
-                                <label htmlFor="amount" className="text-sm font-medium text-gray-700 block mb-1">Monto (ARS)</label>
+                                <label htmlFor="amount" className="text-sm font-medium text-gray-700 block mb-1">Monto</label>
                                 <div className="flex items-center border border-gray-300 rounded-lg focus-within:ring-2 focus-within:ring-indigo-500 transition duration-150">
                                     <DollarSign className="w-5 h-5 ml-3 text-gray-400" />
                                     <input
@@ -554,10 +1743,21 @@ const App = () => {
                                         placeholder="0.00"
                                         value={amount}
                                         onChange={(e) => setAmount(e.target.value)}
-                                        className="w-full p-3 pl-2 pr-4 text-lg bg-transparent focus:outline-none rounded-r-lg"
+                                        className="w-full p-3 pl-2 pr-2 text-lg bg-transparent focus:outline-none"
                                         required
                                         disabled={isLoading}
                                     />
+                                    <select
+                                        aria-label="Moneda"
+                                        value={expenseCurrency || baseCurrency}
+                                        onChange={(e) => setExpenseCurrency(e.target.value)}
+                                        className="p-3 bg-transparent font-semibold text-gray-700 focus:outline-none rounded-r-lg"
+                                        disabled={isLoading}
+                                    >
+                                        {Array.from(new Set([expenseCurrency || baseCurrency, baseCurrency, ...SUPPORTED_CURRENCIES, ...Object.keys(rateTable.rates)])).map(code => (
+                                            <option key={code} value={code}>{code}</option>
+                                        ))}
+                                    </select>
                                 </div>
                             </div>
 
@@ -579,6 +1779,90 @@ const App = () => {
                                 </div>
                             </div>
 
+                            {/* Campos de Fecha y Hora (opcional) */}
+                            <div className="grid grid-cols-2 gap-3">
+                                <div>
+                                    <label htmlFor="expenseDate" className="text-sm font-medium text-gray-700 block mb-1">Fecha</label>
+                                    <div className="flex items-center border border-gray-300 rounded-lg focus-within:ring-2 focus-within:ring-indigo-500 transition duration-150">
+                                        <Calendar className="w-4 h-4 ml-2 text-gray-400 shrink-0" />
+                                        <input
+                                            id="expenseDate"
+                                            type="date"
+                                            value={expenseDate}
+                                            max={toDateInputValue(new Date())}
+                                            onChange={(e) => setExpenseDate(e.target.value)}
+                                            className="w-full p-2 bg-transparent focus:outline-none rounded-r-lg"
+                                            required
+                                            disabled={isLoading}
+                                        />
+                                    </div>
+                                </div>
+                                <div>
+                                    <label htmlFor="expenseTime" className="text-sm font-medium text-gray-700 block mb-1">Hora (opcional)</label>
+                                    <div className="flex items-center border border-gray-300 rounded-lg focus-within:ring-2 focus-within:ring-indigo-500 transition duration-150">
+                                        <Clock className="w-4 h-4 ml-2 text-gray-400 shrink-0" />
+                                        <input
+                                            id="expenseTime"
+                                            type="time"
+                                            value={expenseTime}
+                                            onChange={(e) => setExpenseTime(e.target.value)}
+                                            className="w-full p-2 bg-transparent focus:outline-none rounded-r-lg"
+                                            disabled={isLoading}
+                                        />
+                                    </div>
+                                </div>
+                            </div>
+
+                            {/* Corrección manual de Categoría y Clasificación (solo al editar) */}
+                            {isEditing && (
+                                <div className="grid grid-cols-2 gap-3">
+                                    <div>
+                                        <label htmlFor="category" className="text-sm font-medium text-gray-700 block mb-1">Categoría</label>
+                                        <select
+                                            id="category"
+                                            value={category}
+                                            onChange={(e) => setCategory(e.target.value)}
+                                            className="w-full p-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                                            disabled={isLoading}
+                                        >
+                                            {!categoryNames.includes(editingOriginalCategory) && (
+                                                <option value={editingOriginalCategory}>{editingOriginalCategory}</option>
+                                            )}
+                                            {categoryNames.map(name => (
+                                                <option key={name} value={name}>{name}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label htmlFor="classification" className="text-sm font-medium text-gray-700 block mb-1">Clasificación</label>
+                                        <input
+                                            id="classification"
+                                            type="text"
+                                            value={classification}
+                                            onChange={(e) => setClassification(e.target.value)}
+                                            className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                                            disabled={isLoading}
+                                        />
+                                    </div>
+                                    <p className="col-span-2 text-xs text-gray-400">
+                                        Si corriges la categoría, se recordará para gastos similares.
+                                    </p>
+                                </div>
+                            )}
+
+                            {/* Avisos de presupuesto tras añadir un gasto */}
+                            {budgetAlerts.map(alert => (
+                                <div
+                                    key={alert.label}
+                                    className={`p-3 rounded-lg text-sm flex items-start border ${alert.threshold >= 1 ? 'bg-red-100 text-red-700 border-red-300' : 'bg-amber-100 text-amber-800 border-amber-300'}`}
+                                >
+                                    <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 shrink-0" />
+                                    {alert.threshold >= 1
+                                        ? `Superaste el presupuesto de ${alert.label}.`
+                                        : `Llegaste al ${Math.round(alert.threshold * 100)}% del presupuesto de ${alert.label}.`}
+                                </div>
+                            ))}
+
                             {/* Mensaje de Error */}
                             {error && (
                                 <div className="p-3 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm transition duration-300 ease-in-out">
@@ -597,7 +1881,7 @@ const App = () => {
                                 {isLoading ? (
                                     <>
                                         <Loader2 className="w-5 h-5 mr-2 animate-spin" />
-                                        {isEditing ? 'Guardando...' : 'Clasificando...'}
+                                        Guardando...
                                     </>
                                 ) : (
                                     <>
@@ -621,7 +1905,7 @@ const App = () => {
                             )}
 
                             <p className="text-xs text-center text-gray-400 pt-2">
-                                *La Categoría y Clasificación se generan automáticamente con IA.
+                                *La Categoría y Clasificación se generan automáticamente (IA o reglas locales).
                             </p>
                         </form>
                     </div>
@@ -631,11 +1915,21 @@ const App = () => {
                         {/* Resumen Total y Botón de Reinicio */}
                         <div className="bg-indigo-100 p-5 rounded-xl shadow-md flex justify-between items-center transition duration-300 transform hover:scale-[1.005]">
                             <div>
-                                <p className="text-sm font-medium text-indigo-700">Gasto Total Actual</p>
-                                <p className="text-3xl font-bold text-indigo-900 mt-1">{currencyFormatter.format(totalSpent)}</p>
+                                <p className="text-sm font-medium text-indigo-700">{filteredSummary ? 'Gasto Total (filtrado)' : 'Gasto Total Actual'}</p>
+                                <p className="text-3xl font-bold text-indigo-900 mt-1">{currencyFormatter.format(filteredSummary ? filteredSummary.totalSpent : totalSpent)}</p>
+                                {filteredSummary && (
+                                    <p className="text-xs text-indigo-600 mt-1">de {currencyFormatter.format(totalSpent)} en todo el período</p>
+                                )}
+                                <p className="text-xs text-indigo-600 mt-1">Cierre automático: {currentCycleEnd.toLocaleDateString('es-AR')}</p>
+                                {unconvertedCount > 0 && (
+                                    <p className="text-xs text-amber-700 mt-1 flex items-center">
+                                        <AlertTriangle className="w-3 h-3 mr-1" />
+                                        {unconvertedCount} gasto(s) sin tipo de cambio a {baseCurrency} no se incluyen.
+                                    </p>
+                                )}
                             </div>
 
-                            {expenses.length > 0 && (
+                            {(expenses.length > 0 || income.length > 0) && (
                                 <button
                                     onClick={handleResetAndArchive}
                                     className="flex items-center px-4 py-2 bg-pink-600 text-white font-semibold rounded-lg shadow-md hover:bg-pink-700 transition duration-300 disabled:bg-pink-400"
@@ -651,14 +1945,41 @@ const App = () => {
                             )}
                         </div>
                         
+                        {/* Ingresos, gastos y ahorro del período */}
+                        <PeriodBalance
+                            {...periodBalance}
+                            totalSpent={totalSpent}
+                            currency={baseCurrency}
+                            onManage={() => setShowIncomeManager(true)}
+                        />
+
                         {/* GRÁFICO DE DISTRIBUCIÓN */}
                         <CategoryBarChart />
 
+                        {/* Próximos gastos recurrentes */}
+                        {recurringTemplates.length > 0 && (
+                            <UpcomingRecurring upcoming={upcomingRecurring} onManage={() => setShowRecurringManager(true)} />
+                        )}
+
                         {/* Visualizador de Historial */}
                         <HistoryViewer />
 
                         {/* Historial de Gastos Actuales */}
-                        <h2 className="text-2xl font-semibold mb-4 text-gray-800">Gastos del Período Actual ({expenses.length})</h2>
+                        <h2 className="text-2xl font-semibold mb-4 text-gray-800">
+                            Gastos del Período Actual ({isFiltering ? `${visibleExpenses.length} de ${expenses.length}` : expenses.length})
+                        </h2>
+
+                        {expenses.length > 0 && (
+                            <ExpenseFilters
+                                filters={filters}
+                                sort={sort}
+                                categories={categories.length > 0 ? categories : categoryNames.map(name => ({ id: name, name }))}
+                                resultCount={visibleExpenses.length}
+                                totalCount={expenses.length}
+                                onChange={setFilters}
+                                onSortChange={setSort}
+                            />
+                        )}
 
                         {/* Lista de Gastos */}
                         <div className="space-y-3">
@@ -667,60 +1988,107 @@ const App = () => {
                                     {isAuthReady ? '¡Aún no tienes gastos! Añade el primero arriba.' : 'Cargando historial...'}
                                 </div>
                             )}
-                            {expenses.map((expense, index) => (
-                                <div
-                                    key={expense.id}
-                                    className="expense-item flex items-center justify-between p-4 bg-white rounded-lg shadow-sm border-l-4 border-indigo-500 transition duration-300 hover:shadow-lg"
-                                    style={{ animationDelay: `${index * 0.05}s` }}
-                                >
-                                    {/* Contenido del gasto (Monto, Descripción, Categoría) */}
-                                    <div className="flex-1 min-w-0">
-                                        {/* Monto y Descripción */}
-                                        <p className="text-xl font-bold text-gray-900 truncate">
-                                            {currencyFormatter.format(expense.amount)}
-                                        </p>
-                                        <p className="text-sm text-gray-600 truncate mt-0.5" title={expense.description}>
-                                            {expense.description}
-                                        </p>
-                                    </div>
+                            {expenses.length > 0 && visibleExpenses.length === 0 && (
+                                <div className="p-5 text-center text-gray-500 bg-white rounded-xl shadow-inner">
+                                    Ningún gasto coincide con los filtros.
+                                </div>
+                            )}
+                            {/* Agrupados por día al ordenar por fecha; en una sola lista con otros órdenes */}
+                            {(sort.by === 'date' ? groupByDay(visibleExpenses) : [{ key: 'all', date: null, expenses: visibleExpenses }]).map(group => (
+                                <div key={group.key} className="space-y-3">
+                                    {/* Encabezado del día */}
+                                    {group.date && (
+                                        <h3 className="text-sm font-semibold text-gray-500 capitalize pt-2">
+                                            {group.date.toLocaleDateString('es-AR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })}
+                                        </h3>
+                                    )}
+                                    {group.expenses.map((expense, index) => (
+                                    <div
+                                        key={expense.id}
+                                        className="expense-item flex items-center justify-between p-4 bg-white rounded-lg shadow-sm border-l-4 border-indigo-500 transition duration-300 hover:shadow-lg"
+                                        style={{ animationDelay: `${index * 0.05}s` }}
+                                    >
+                                        {/* Contenido del gasto (Monto, Descripción, Categoría) */}
+                                        <div className="flex-1 min-w-0">
+                                            {/* Monto y Descripción */}
+                                            <p className="text-xl font-bold text-gray-900 truncate">
+                                                {expense.currency === baseCurrency
+                                                    ? currencyFormatter.format(expense.amount)
+                                                    : (expense.baseAmount !== null ? currencyFormatter.format(expense.baseAmount) : formatMoney(expense.amount, expense.currency))}
+                                            </p>
+                                            {/* Monto original cuando el gasto está en otra moneda */}
+                                            {expense.currency !== baseCurrency && (
+                                                <p className="text-xs text-gray-500 truncate">
+                                                    {expense.baseAmount !== null
+                                                        ? `Original: ${formatMoney(expense.amount, expense.currency)}`
+                                                        : `Sin tipo de cambio ${expense.currency} → ${baseCurrency}`}
+                                                </p>
+                                            )}
+                                            <p className="text-sm text-gray-600 truncate mt-0.5" title={expense.description}>
+                                                {expense.description}
+                                            </p>
+                                        </div>
 
-                                    <div className="text-right ml-4 space-y-1 flex items-center">
+                                        <div className="text-right ml-4 space-y-1 flex items-center">
+
+                                            {/* Botón de Ver Ticket */}
+                                            {expense.receipt && storage && (
+                                                <button
+                                                    onClick={() => setViewingReceiptId(expense.id)}
+                                                    className="p-1 text-gray-400 hover:text-indigo-600 transition duration-150 rounded-full hover:bg-indigo-50 focus:outline-none focus:ring-2 focus:ring-indigo-500 mr-1"
+                                                    title="Ver Ticket"
+                                                >
+                                                    <Receipt className="w-5 h-5" />
+                                                </button>
+                                            )}
                                         
-                                        {/* Botón de Editar */}
-                                        <button 
-                                            onClick={() => handleEditClick(expense)}
-                                            className="p-1 text-indigo-400 hover:text-indigo-600 transition duration-150 rounded-full hover:bg-indigo-50 focus:outline-none focus:ring-2 focus:ring-indigo-500 mr-1"
-                                            title="Editar Gasto"
-                                            disabled={isLoading || isEditing}
-                                        >
-                                            <PenSquare className="w-5 h-5" />
-                                        </button>
-
-                                        {/* Botón de Eliminar */}
-                                        <button 
-                                            onClick={() => handleDeleteExpense(expense.id)}
-                                            className="p-1 text-red-400 hover:text-red-600 transition duration-150 rounded-full hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500 mr-3"
-                                            title="Eliminar Gasto"
-                                            disabled={isLoading || isArchiving} 
-                                        >
-                                            <XCircle className="w-5 h-5" />
-                                        </button>
-
-                                        {/* Metadatos (Categoría y Fecha) */}
-                                        <div>
-                                            <div className="flex items-center justify-end text-xs font-semibold text-indigo-600 bg-indigo-100 px-2 py-0.5 rounded-full">
-                                                <Tag className="w-3 h-3 mr-1" />
-                                                {expense.category}
-                                            </div>
-                                            <div className="text-xs text-gray-500 mt-1">
-                                                {expense.classification}
-                                            </div>
-                                            <div className="flex items-center justify-end text-xs text-gray-400 mt-1">
-                                                <Calendar className="w-3 h-3 mr-1" />
-                                                {expense.date.toLocaleDateString('es-AR')}
+                                            {/* Botón de Editar */}
+                                            <button 
+                                                onClick={() => handleEditClick(expense)}
+                                                className="p-1 text-indigo-400 hover:text-indigo-600 transition duration-150 rounded-full hover:bg-indigo-50 focus:outline-none focus:ring-2 focus:ring-indigo-500 mr-1"
+                                                title="Editar Gasto"
+                                                disabled={isLoading || isEditing}
+                                            >
+                                                <PenSquare className="w-5 h-5" />
+                                            </button>
+
+                                            {/* Botón de Eliminar */}
+                                            <button 
+                                                onClick={() => handleDeleteExpense(expense.id)}
+                                                className="p-1 text-red-400 hover:text-red-600 transition duration-150 rounded-full hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500 mr-3"
+                                                title="Eliminar Gasto"
+                                                disabled={isLoading || isArchiving} 
+                                            >
+                                                <XCircle className="w-5 h-5" />
+                                            </button>
+
+                                            {/* Metadatos (Categoría y Fecha) */}
+                                            <div>
+                                                <div className="flex items-center justify-end text-xs font-semibold text-indigo-600 bg-indigo-100 px-2 py-0.5 rounded-full">
+                                                    <CategoryIcon name={categories.find(c => c.name === expense.category)?.icon} className="w-3 h-3 mr-1" />
+                                                    {expense.category}
+                                                </div>
+                                                <div className={`text-xs mt-1 ${isPendingCategorization(expense) ? 'text-amber-600 italic' : 'text-gray-500'}`}>
+                                                    {expense.classification}
+                                                </div>
+                                                <div className="flex items-center justify-end text-xs text-gray-400 mt-1">
+                                                    <Calendar className="w-3 h-3 mr-1" />
+                                                    {expense.hasTime
+                                                        ? expense.date.toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit' })
+                                                        : expense.date.toLocaleDateString('es-AR')}
+                                                </div>
+                                                {/* Estado de sincronización */}
+                                                <div
+                                                    className={`flex items-center justify-end text-xs mt-1 ${expense.isSynced ? 'text-green-600' : 'text-amber-600'}`}
+                                                    title={expense.isSynced ? 'Guardado en la nube' : 'Guardado en este dispositivo, pendiente de sincronizar'}
+                                                >
+                                                    {expense.isSynced ? <Cloud className="w-3 h-3 mr-1" /> : <CloudOff className="w-3 h-3 mr-1" />}
+                                                    {expense.isSynced ? 'Sincronizado' : 'Pendiente'}
+                                                </div>
                                             </div>
                                         </div>
                                     </div>
+                                    ))}
                                 </div>
                             ))}
                         </div>
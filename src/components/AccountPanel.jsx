@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { LogIn, Mail, Loader2 } from 'lucide-react';
+import Modal from './Modal';
+import { describeAuthError } from '../services/account';
+
+const inputClass = "w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+// Pantalla de inicio de sesión y creación de cuenta (correo/contraseña o Google)
+const AccountPanel = ({ account, onCreateAccount, onSignIn, onGoogle, onClose }) => {
+    const [mode, setMode] = useState(account?.isAnonymous ? 'create' : 'signIn');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const isAnonymous = Boolean(account?.isAnonymous);
+
+    // Ejecuta una acción de autenticación y cierra la pantalla si sale bien
+    const run = async (action) => {
+        setIsBusy(true);
+        setError(null);
+        try {
+            await action();
+            onClose();
+        } catch (err) {
+            console.error("Error de autenticación:", err);
+            setError(describeAuthError(err));
+            setIsBusy(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!email.trim() || !password) {
+            setError("Introduce tu correo y tu contraseña.");
+            return;
+        }
+        run(() => (mode === 'create' ? onCreateAccount(email.trim(), password) : onSignIn(email.trim(), password)));
+    };
+
+    return (
+        <Modal title={mode === 'create' ? 'Crear Cuenta' : 'Iniciar Sesión'} icon={LogIn} onClose={onClose}>
+            <div className="space-y-5">
+                <div className="grid grid-cols-2 gap-2 p-1 bg-gray-100 rounded-lg text-sm font-semibold">
+                    <button
+                        onClick={() => { setMode('create'); setError(null); }}
+                        className={`py-1.5 rounded-md ${mode === 'create' ? 'bg-white text-indigo-700 shadow' : 'text-gray-500'}`}
+                        disabled={isBusy}
+                    >
+                        Crear cuenta
+                    </button>
+                    <button
+                        onClick={() => { setMode('signIn'); setError(null); }}
+                        className={`py-1.5 rounded-md ${mode === 'signIn' ? 'bg-white text-indigo-700 shadow' : 'text-gray-500'}`}
+                        disabled={isBusy}
+                    >
+                        Ya tengo cuenta
+                    </button>
+                </div>
+
+                {isAnonymous && (
+                    <p className={`text-sm p-3 rounded-lg border ${mode === 'create' ? 'bg-green-50 text-green-700 border-green-200' : 'bg-amber-50 text-amber-800 border-amber-200'}`}>
+                        {mode === 'create'
+                            ? 'Tus gastos de esta sesión de invitado se conservarán en la nueva cuenta.'
+                            : 'Al entrar en una cuenta existente verás sus datos; los gastos de esta sesión de invitado no se transfieren.'}
+                    </p>
+                )}
+
+                <form onSubmit={handleSubmit} className="space-y-3">
+                    <input type="email" autoComplete="email" placeholder="Correo electrónico" value={email} onChange={(e) => setEmail(e.target.value)} className={inputClass} disabled={isBusy} />
+                    <input
+                        type="password"
+                        autoComplete={mode === 'create' ? 'new-password' : 'current-password'}
+                        placeholder="Contraseña"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        className={inputClass}
+                        disabled={isBusy}
+                    />
+                    <button
+                        type="submit"
+                        className="w-full flex items-center justify-center py-2 px-4 bg-indigo-600 text-white font-bold rounded-xl shadow-md hover:bg-indigo-700 transition duration-300 disabled:bg-indigo-400"
+                        disabled={isBusy}
+                    >
+                        {isBusy ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <Mail className="w-5 h-5 mr-2" />}
+                        {mode === 'create' ? 'Crear cuenta con correo' : 'Entrar con correo'}
+                    </button>
+                </form>
+
+                <div className="flex items-center text-xs text-gray-400">
+                    <div className="flex-1 border-t border-gray-200" />
+                    <span className="px-2">o</span>
+                    <div className="flex-1 border-t border-gray-200" />
+                </div>
+
+                <button
+                    onClick={() => run(onGoogle)}
+                    className="w-full flex items-center justify-center py-2 px-4 bg-white border border-gray-300 text-gray-700 font-semibold rounded-xl hover:bg-gray-50 disabled:opacity-50"
+                    disabled={isBusy}
+                >
+                    <LogIn className="w-5 h-5 mr-2" />
+                    Continuar con Google
+                </button>
+                {isAnonymous && (
+                    <p className="text-xs text-gray-400">Con Google se conservan los gastos de invitado si es la primera vez que usas esa cuenta aquí.</p>
+                )}
+
+                {error && <div className="p-3 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm">{error}</div>}
+            </div>
+        </Modal>
+    );
+};
+
+export default AccountPanel;
@@ -0,0 +1,183 @@
+import React, { useMemo, useState } from 'react';
+import { Archive, Search, RotateCcw, Loader2, AlertTriangle } from 'lucide-react';
+import Modal from './Modal';
+import { formatMoney } from '../services/currency';
+import { normalizeText } from '../services/categorizers/common';
+import { ARCHIVE_STATUS } from '../services/archive';
+
+// Detalle de un período archivado: búsqueda y restauración de sus gastos e ingresos
+const ArchivedPeriod = ({ record, expenses, income, isLoading, onRestore, onRestoreIncome, onClose }) => {
+    const [search, setSearch] = useState('');
+    const [selected, setSelected] = useState(new Set());
+    const [isRestoring, setIsRestoring] = useState(false);
+    const [error, setError] = useState(null);
+
+    const isIncomplete = record.status === ARCHIVE_STATUS.archiving;
+
+    const filtered = useMemo(() => {
+        const terms = normalizeText(search).split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return expenses;
+        return expenses.filter(expense => {
+            const text = normalizeText(`${expense.description} ${expense.category} ${expense.classification || ''}`);
+            return terms.every(term => text.includes(term));
+        });
+    }, [expenses, search]);
+
+    const filteredTotal = filtered.reduce((sum, expense) => sum + (expense.baseAmount || 0), 0);
+
+    const toggle = (id) => {
+        const next = new Set(selected);
+        if (next.has(id)) next.delete(id); else next.add(id);
+        setSelected(next);
+    };
+
+    // Restaura gastos (o ingresos, con `action`) mostrando el estado de carga y el error
+    const restore = async (ids, action = onRestore) => {
+        setIsRestoring(true);
+        setError(null);
+        try {
+            await action(ids);
+            if (action === onRestore) setSelected(new Set());
+        } catch (err) {
+            console.error("Error al restaurar el período archivado:", err);
+            setError("No se pudo restaurar. Intenta de nuevo.");
+        } finally {
+            setIsRestoring(false);
+        }
+    };
+
+    const handleRestoreAll = () => {
+        if (!window.confirm(`¿Restaurar los ${expenses.length} gastos de "${record.title}" al período actual? El período se eliminará del historial.`)) {
+            return;
+        }
+        restore(expenses.map(expense => expense.id));
+    };
+
+    const handleRestoreAllIncome = () => {
+        if (!window.confirm(`¿Restaurar los ${income.length} ingresos de "${record.title}" al período actual?`)) {
+            return;
+        }
+        restore(income.map(entry => entry.id), onRestoreIncome);
+    };
+
+    return (
+        <Modal title={record.title} icon={Archive} onClose={onClose}>
+            {isIncomplete && (
+                <div className="p-3 mb-4 bg-amber-100 text-amber-800 border border-amber-300 rounded-lg text-sm flex items-start">
+                    <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 shrink-0" />
+                    El archivo de este período no terminó. Los gastos que no se movieron siguen en el período actual; restaura los archivados para deshacerlo.
+                </div>
+            )}
+            {error && <div className="p-3 mb-4 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm">{error}</div>}
+
+            {isLoading ? (
+                <div className="flex justify-center py-8">
+                    <Loader2 className="w-6 h-6 animate-spin text-indigo-600" />
+                </div>
+            ) : expenses.length === 0 ? (
+                <p className="text-center text-gray-500 py-6">
+                    {record.totalExpensesCount > 0
+                        ? 'Este período se archivó antes de que se conservara el detalle de los gastos; solo está disponible su resumen.'
+                        : 'Este período no tiene gastos archivados.'}
+                </p>
+            ) : (
+                <div className="space-y-4">
+                    <div className="relative">
+                        <Search className="w-4 h-4 text-gray-400 absolute left-3 top-3" />
+                        <input
+                            type="text"
+                            placeholder="Buscar por descripción, categoría o clasificación"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            className="w-full pl-9 p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        />
+                    </div>
+                    <p className="text-sm text-gray-600">
+                        {filtered.length} de {expenses.length} gastos · {formatMoney(filteredTotal, record.currency)}
+                    </p>
+
+                    <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+                        {filtered.map(expense => (
+                            <label key={expense.id} className="flex items-center p-3 text-sm hover:bg-gray-50 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={selected.has(expense.id)}
+                                    onChange={() => toggle(expense.id)}
+                                    className="mr-3"
+                                    disabled={isRestoring}
+                                />
+                                <div className="flex-1 min-w-0">
+                                    <p className="font-medium text-gray-800 truncate" title={expense.description}>{expense.description}</p>
+                                    <p className="text-xs text-gray-500">
+                                        {expense.date.toLocaleDateString('es-AR')} · {expense.category}{expense.classification ? ` · ${expense.classification}` : ''}
+                                    </p>
+                                </div>
+                                <span className="ml-3 font-semibold text-gray-900 whitespace-nowrap">{formatMoney(expense.amount, expense.currency)}</span>
+                            </label>
+                        ))}
+                        {filtered.length === 0 && <p className="text-center text-gray-500 py-4">No hay gastos que coincidan con la búsqueda.</p>}
+                    </div>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        <button
+                            onClick={() => restore(Array.from(selected))}
+                            className="flex items-center justify-center py-2 px-4 bg-gray-200 font-semibold rounded-xl hover:bg-gray-300 disabled:opacity-50"
+                            disabled={isRestoring || selected.size === 0}
+                        >
+                            <RotateCcw className="w-5 h-5 mr-2" />
+                            Restaurar seleccionados ({selected.size})
+                        </button>
+                        <button
+                            onClick={handleRestoreAll}
+                            className="flex items-center justify-center py-2 px-4 bg-indigo-600 text-white font-semibold rounded-xl hover:bg-indigo-700 disabled:bg-indigo-400"
+                            disabled={isRestoring}
+                        >
+                            {isRestoring ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <RotateCcw className="w-5 h-5 mr-2" />}
+                            Restaurar todo el período
+                        </button>
+                    </div>
+                    <p className="text-xs text-gray-400">Los gastos restaurados vuelven al período actual con su fecha original y se quitan del resumen archivado.</p>
+                </div>
+            )}
+
+            {/* Ingresos archivados con el período */}
+            {!isLoading && income.length > 0 && (
+                <div className="mt-6 pt-4 border-t border-gray-200 space-y-2">
+                    <div className="flex justify-between items-center">
+                        <h3 className="font-semibold text-gray-700">Ingresos ({income.length})</h3>
+                        <button
+                            onClick={handleRestoreAllIncome}
+                            className="text-sm font-medium text-indigo-500 hover:text-indigo-600 disabled:opacity-50"
+                            disabled={isRestoring}
+                        >
+                            Restaurar todos
+                        </button>
+                    </div>
+                    <div className="max-h-48 overflow-y-auto space-y-2">
+                        {income.map(entry => (
+                            <div key={entry.id} className="flex items-center justify-between p-3 text-sm rounded-lg border bg-gray-50 border-gray-200">
+                                <div className="min-w-0">
+                                    <p className="font-medium text-gray-800 truncate" title={entry.description}>{entry.description}</p>
+                                    <p className="text-xs text-gray-500">{entry.date.toLocaleDateString('es-AR')} · {entry.category}</p>
+                                </div>
+                                <div className="flex items-center shrink-0 ml-2">
+                                    <span className="font-semibold text-green-700 whitespace-nowrap">{formatMoney(entry.amount, entry.currency)}</span>
+                                    <button
+                                        onClick={() => restore([entry.id], onRestoreIncome)}
+                                        className="ml-2 p-1 text-indigo-500 hover:text-indigo-700 rounded-full hover:bg-indigo-50 disabled:opacity-50"
+                                        title="Restaurar al período actual"
+                                        disabled={isRestoring}
+                                    >
+                                        <RotateCcw className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+export default ArchivedPeriod;
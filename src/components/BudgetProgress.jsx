@@ -0,0 +1,35 @@
+import React from 'react';
+
+// Barra de gasto vs. presupuesto con el restante y la proyección a fin de ciclo
+const BudgetProgress = ({ status, formatter, barColor }) => {
+    const isOver = status.ratio >= 1;
+    const isNear = !isOver && status.ratio >= 0.8;
+    const color = isOver ? 'bg-red-600' : (isNear ? 'bg-amber-500' : barColor);
+
+    return (
+        <div>
+            <div className="w-full bg-gray-200 rounded-full h-2.5">
+                <div
+                    className={`${color} h-2.5 rounded-full transition-all duration-700 ease-out`}
+                    style={{ width: `${Math.min(status.ratio * 100, 100)}%` }}
+                    title={`${(status.ratio * 100).toFixed(1)}% del presupuesto`}
+                ></div>
+            </div>
+            <div className="flex justify-between text-xs mt-1">
+                <span className="text-gray-500">
+                    {formatter.format(status.spent)} de {formatter.format(status.budget)} ({(status.ratio * 100).toFixed(0)}%)
+                </span>
+                <span className={isOver ? 'font-semibold text-red-600' : 'text-gray-600'}>
+                    {isOver ? `Excedido por ${formatter.format(-status.remaining)}` : `Restan ${formatter.format(status.remaining)}`}
+                </span>
+            </div>
+            {status.projectedOverrun > 0 && (
+                <p className="text-xs text-amber-700 mt-0.5">
+                    Proyección a fin de ciclo: {formatter.format(status.projected)} (+{formatter.format(status.projectedOverrun)} sobre el presupuesto)
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default BudgetProgress;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { Target, Check, Loader2 } from 'lucide-react';
+import Modal from './Modal';
+
+// Convierte un valor guardado en el texto del input ('' si no hay presupuesto)
+const toInput = (value) => (value ? String(value) : '');
+
+// Convierte el texto del input en un presupuesto (null si está vacío o no es positivo)
+const fromInput = (value) => {
+    const number = parseFloat(String(value).replace(',', '.'));
+    return number > 0 ? number : null;
+};
+
+// Pantalla de presupuestos mensuales (general y por categoría)
+const BudgetSettings = ({ categoryNames, budgets, baseCurrency, onSave, onClose }) => {
+    const [overall, setOverall] = useState(toInput(budgets.overall));
+    const [byCategory, setByCategory] = useState(() => categoryNames.reduce((acc, name) => {
+        acc[name] = toInput(budgets.categories[name]);
+        return acc;
+    }, {}));
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError(null);
+
+        const categories = {};
+        Object.entries(byCategory).forEach(([name, value]) => {
+            const budget = fromInput(value);
+            if (budget) {
+                categories[name] = budget;
+            }
+        });
+
+        try {
+            await onSave({ overall: fromInput(overall), categories, currency: baseCurrency });
+            onClose();
+        } catch (err) {
+            console.error("Error al guardar los presupuestos:", err);
+            setError("No se pudieron guardar los presupuestos. Intenta de nuevo.");
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <Modal title="Presupuestos Mensuales" icon={Target} onClose={onClose}>
+            <form onSubmit={handleSubmit} className="space-y-5">
+                <div>
+                    <label htmlFor="overallBudget" className="text-sm font-medium text-gray-700 block mb-1">Presupuesto total del mes ({baseCurrency})</label>
+                    <input
+                        id="overallBudget"
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        placeholder="Sin límite"
+                        value={overall}
+                        onChange={(e) => setOverall(e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        disabled={isSaving}
+                    />
+                </div>
+
+                <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2">Por categoría ({baseCurrency})</p>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 max-h-80 overflow-y-auto pr-2">
+                        {categoryNames.map(name => (
+                            <div key={name}>
+                                <label htmlFor={`budget-${name}`} className="text-xs text-gray-600 block mb-0.5">{name}</label>
+                                <input
+                                    id={`budget-${name}`}
+                                    type="number"
+                                    step="0.01"
+                                    min="0"
+                                    placeholder="Sin límite"
+                                    value={byCategory[name] || ''}
+                                    onChange={(e) => setByCategory({ ...byCategory, [name]: e.target.value })}
+                                    className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                                    disabled={isSaving}
+                                />
+                            </div>
+                        ))}
+                    </div>
+                    <p className="text-xs text-gray-400 mt-2">Recibirás un aviso al superar el 80% y el 100% de cada presupuesto.</p>
+                </div>
+
+                {error && <div className="p-3 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm">{error}</div>}
+
+                <button
+                    type="submit"
+                    className="w-full flex items-center justify-center py-2 px-4 bg-indigo-600 text-white font-bold rounded-xl shadow-md hover:bg-indigo-700 transition duration-300 disabled:bg-indigo-400"
+                    disabled={isSaving}
+                >
+                    {isSaving ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <Check className="w-5 h-5 mr-2" />}
+                    Guardar Presupuestos
+                </button>
+            </form>
+        </Modal>
+    );
+};
+
+export default BudgetSettings;
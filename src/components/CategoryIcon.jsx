@@ -0,0 +1,18 @@
+import React from 'react';
+import {
+    Utensils, Car, Film, Home, HeartPulse, GraduationCap, Plug, Package, ShoppingCart, Plane,
+    Gift, Shirt, Dumbbell, PawPrint, Baby, Coffee, Fuel, Smartphone, Briefcase, Wallet, Tag
+} from 'lucide-react';
+
+// Íconos disponibles para las categorías, indexados por el nombre guardado en Firestore
+export const CATEGORY_ICONS = {
+    Utensils, Car, Film, Home, HeartPulse, GraduationCap, Plug, Package, ShoppingCart, Plane,
+    Gift, Shirt, Dumbbell, PawPrint, Baby, Coffee, Fuel, Smartphone, Briefcase, Wallet, Tag
+};
+
+const CategoryIcon = ({ name, className = 'w-4 h-4' }) => {
+    const Icon = CATEGORY_ICONS[name] || Tag;
+    return <Icon className={className} />;
+};
+
+export default CategoryIcon;
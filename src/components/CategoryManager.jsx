@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { Tags, Plus, Pencil, Merge, Trash2, Check, XCircle, Loader2 } from 'lucide-react';
+import Modal from './Modal';
+import CategoryIcon, { CATEGORY_ICONS } from './CategoryIcon';
+import { CATEGORY_COLOR_OPTIONS, flattenCategoryTree } from '../services/categories';
+
+const EMPTY_FORM = { name: '', color: CATEGORY_COLOR_OPTIONS[0], icon: 'Tag', parentId: '' };
+
+// Campos compartidos por el alta y la edición de una categoría
+const CategoryFields = ({ form, setForm, categories, excludeId, disabled }) => (
+    <div className="space-y-3">
+        <input
+            type="text"
+            placeholder="Nombre de la categoría"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            disabled={disabled}
+        />
+        <div className="flex flex-wrap gap-1.5">
+            {CATEGORY_COLOR_OPTIONS.map(color => (
+                <button
+                    key={color}
+                    type="button"
+                    onClick={() => setForm({ ...form, color })}
+                    className={`${color} w-6 h-6 rounded-full ${form.color === color ? 'ring-2 ring-offset-2 ring-indigo-500' : ''}`}
+                    title={color}
+                    disabled={disabled}
+                />
+            ))}
+        </div>
+        <div className="flex flex-wrap gap-1.5">
+            {Object.keys(CATEGORY_ICONS).map(icon => (
+                <button
+                    key={icon}
+                    type="button"
+                    onClick={() => setForm({ ...form, icon })}
+                    className={`p-1.5 rounded-lg border ${form.icon === icon ? 'border-indigo-500 bg-indigo-50 text-indigo-600' : 'border-gray-200 text-gray-500'}`}
+                    title={icon}
+                    disabled={disabled}
+                >
+                    <CategoryIcon name={icon} />
+                </button>
+            ))}
+        </div>
+        <select
+            value={form.parentId || ''}
+            onChange={(e) => setForm({ ...form, parentId: e.target.value })}
+            className="w-full p-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            disabled={disabled}
+        >
+            <option value="">Sin categoría padre</option>
+            {categories
+                .filter(c => !c.parentId && c.id !== excludeId)
+                .map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+        </select>
+    </div>
+);
+
+// Pantalla de gestión de la taxonomía de categorías del usuario
+const CategoryManager = ({ categories, expenseCounts, onCreate, onUpdate, onMerge, onDelete, onClose }) => {
+    const [newForm, setNewForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [editForm, setEditForm] = useState(EMPTY_FORM);
+    const [mergingId, setMergingId] = useState(null);
+    const [mergeTargetId, setMergeTargetId] = useState('');
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Ejecuta una acción mostrando el estado de carga y el error, si lo hay
+    const run = async (action) => {
+        setIsBusy(true);
+        setError(null);
+        try {
+            await action();
+            return true;
+        } catch (e) {
+            console.error("Error al gestionar categorías:", e);
+            setError(e.message || "No se pudo completar la acción.");
+            return false;
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (await run(() => onCreate(newForm))) {
+            setNewForm(EMPTY_FORM);
+        }
+    };
+
+    const startEdit = (category) => {
+        setMergingId(null);
+        setEditingId(category.id);
+        setEditForm({ name: category.name, color: category.color, icon: category.icon, parentId: category.parentId || '' });
+    };
+
+    const handleUpdate = async (category) => {
+        if (await run(() => onUpdate(category, editForm))) {
+            setEditingId(null);
+        }
+    };
+
+    const handleMerge = async (category) => {
+        const target = categories.find(c => c.id === mergeTargetId);
+        if (!target) {
+            setError("Elige la categoría con la que combinar.");
+            return;
+        }
+        if (await run(() => onMerge(category, target))) {
+            setMergingId(null);
+            setMergeTargetId('');
+        }
+    };
+
+    const handleDelete = async (category) => {
+        const count = expenseCounts[category.name] || 0;
+        if (count > 0 && !window.confirm(`"${category.name}" tiene ${count} gasto(s). Pasarán a "No Categorizado". ¿Continuar?`)) {
+            return;
+        }
+        await run(() => onDelete(category));
+    };
+
+    return (
+        <Modal title="Categorías" icon={Tags} onClose={onClose}>
+            {error && (
+                <div className="p-3 mb-4 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm">
+                    {error}
+                </div>
+            )}
+
+            {/* Lista de categorías existentes */}
+            <div className="space-y-2 max-h-96 overflow-y-auto pr-2 mb-6">
+                {flattenCategoryTree(categories).map(({ category, depth }) => (
+                    <div key={category.id} className={`p-3 bg-gray-50 rounded-lg border border-gray-200 ${depth > 0 ? 'ml-6' : ''}`}>
+                        {editingId === category.id ? (
+                            <div className="space-y-3">
+                                <CategoryFields form={editForm} setForm={setEditForm} categories={categories} excludeId={category.id} disabled={isBusy} />
+                                <div className="flex justify-end gap-2">
+                                    <button onClick={() => setEditingId(null)} className="px-3 py-1 text-sm bg-gray-200 rounded-lg hover:bg-gray-300" disabled={isBusy}>
+                                        Cancelar
+                                    </button>
+                                    <button onClick={() => handleUpdate(category)} className="flex items-center px-3 py-1 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-green-400" disabled={isBusy}>
+                                        {isBusy ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Check className="w-4 h-4 mr-1" />}
+                                        Guardar
+                                    </button>
+                                </div>
+                            </div>
+                        ) : (
+                            <div className="flex items-center justify-between">
+                                <div className="flex items-center min-w-0">
+                                    <span className={`${category.color} w-7 h-7 rounded-full flex items-center justify-center text-white mr-3 shrink-0`}>
+                                        <CategoryIcon name={category.icon} />
+                                    </span>
+                                    <span className="font-medium text-gray-800 truncate">{category.name}</span>
+                                    <span className="text-xs text-gray-400 ml-2">({expenseCounts[category.name] || 0})</span>
+                                </div>
+                                <div className="flex items-center shrink-0">
+                                    <button onClick={() => startEdit(category)} className="p-1 text-indigo-400 hover:text-indigo-600 rounded-full hover:bg-indigo-50" title="Editar o renombrar" disabled={isBusy}>
+                                        <Pencil className="w-4 h-4" />
+                                    </button>
+                                    <button onClick={() => { setEditingId(null); setMergingId(category.id); setMergeTargetId(''); }} className="p-1 text-purple-400 hover:text-purple-600 rounded-full hover:bg-purple-50" title="Combinar con otra" disabled={isBusy}>
+                                        <Merge className="w-4 h-4" />
+                                    </button>
+                                    <button onClick={() => handleDelete(category)} className="p-1 text-red-400 hover:text-red-600 rounded-full hover:bg-red-50" title="Eliminar" disabled={isBusy}>
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {mergingId === category.id && (
+                            <div className="flex items-center gap-2 mt-3">
+                                <span className="text-sm text-gray-600 shrink-0">Combinar en:</span>
+                                <select
+                                    value={mergeTargetId}
+                                    onChange={(e) => setMergeTargetId(e.target.value)}
+                                    className="flex-1 p-1.5 text-sm border border-gray-300 rounded-lg bg-white"
+                                    disabled={isBusy}
+                                >
+                                    <option value="">Elige una categoría</option>
+                                    {categories.filter(c => c.id !== category.id).map(c => (
+                                        <option key={c.id} value={c.id}>{c.name}</option>
+                                    ))}
+                                </select>
+                                <button onClick={() => handleMerge(category)} className="p-1 text-green-600 hover:text-green-700" title="Confirmar" disabled={isBusy}>
+                                    <Check className="w-5 h-5" />
+                                </button>
+                                <button onClick={() => setMergingId(null)} className="p-1 text-gray-400 hover:text-gray-600" title="Cancelar" disabled={isBusy}>
+                                    <XCircle className="w-5 h-5" />
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {/* Alta de una nueva categoría */}
+            <form onSubmit={handleCreate} className="space-y-3 border-t border-gray-200 pt-4">
+                <h3 className="font-semibold text-gray-700">Nueva Categoría</h3>
+                <CategoryFields form={newForm} setForm={setNewForm} categories={categories} disabled={isBusy} />
+                <button
+                    type="submit"
+                    className="w-full flex items-center justify-center py-2 px-4 bg-indigo-600 text-white font-bold rounded-xl shadow-md hover:bg-indigo-700 transition duration-300 disabled:bg-indigo-400"
+                    disabled={isBusy}
+                >
+                    <Plus className="w-5 h-5 mr-2" />
+                    Crear Categoría
+                </button>
+            </form>
+        </Modal>
+    );
+};
+
+export default CategoryManager;
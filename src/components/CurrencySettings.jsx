@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import { Coins, Upload, Plus, Trash2, Check, Loader2 } from 'lucide-react';
+import Modal from './Modal';
+import { SUPPORTED_CURRENCIES, parseRatesFile, rebaseRateTable } from '../services/currency';
+
+// Convierte la tabla de cambios en filas editables expresadas en la moneda base
+const toRows = (rateTable, base) => Object.entries(rebaseRateTable(rateTable, base).rates)
+    .map(([currency, rate]) => ({ currency, rate: String(Number(rate.toFixed(6))) }))
+    .sort((a, b) => a.currency.localeCompare(b.currency));
+
+// Convierte las filas editadas en una tabla de cambios con la moneda base como referencia
+const toRateTable = (rows, base) => ({
+    reference: base,
+    rates: rows.reduce((acc, row) => {
+        const rate = parseFloat(String(row.rate).replace(',', '.'));
+        if (row.currency && row.currency !== base && rate > 0) {
+            acc[row.currency] = rate;
+        }
+        return acc;
+    }, {}),
+});
+
+// Pantalla de moneda base y tabla de tipos de cambio
+const CurrencySettings = ({ baseCurrency, rateTable, onSave, onClose }) => {
+    const [base, setBase] = useState(baseCurrency);
+    const [rows, setRows] = useState(() => toRows(rateTable, baseCurrency));
+    const [newCurrency, setNewCurrency] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+
+    // Al cambiar la moneda base se re-expresan las cotizaciones cargadas
+    const handleBaseChange = (newBase) => {
+        setRows(toRows(toRateTable(rows, base), newBase));
+        setBase(newBase);
+    };
+
+    const updateRow = (currency, rate) => {
+        setRows(rows.map(row => (row.currency === currency ? { ...row, rate } : row)));
+    };
+
+    const handleAddCurrency = () => {
+        const code = newCurrency.trim().toUpperCase();
+        if (!/^[A-Z]{3}$/.test(code)) {
+            setError("El código de moneda debe tener 3 letras (ej: USD).");
+            return;
+        }
+        if (code !== base && !rows.some(row => row.currency === code)) {
+            setRows([...rows, { currency: code, rate: '' }]);
+        }
+        setNewCurrency('');
+        setError(null);
+    };
+
+    // Importa un archivo de cotizaciones (JSON de una API de cambios o CSV moneda,cotización)
+    const handleImport = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const imported = rebaseRateTable(parseRatesFile(String(reader.result), file.name, base), base);
+                const merged = { ...toRateTable(rows, base).rates, ...imported.rates };
+                setRows(toRows({ reference: base, rates: merged }, base));
+                setError(null);
+                setNotice(`Se importaron ${Object.keys(imported.rates).length} cotizaciones. Revisa y guarda.`);
+            } catch (err) {
+                console.error("Error al importar cotizaciones:", err);
+                setNotice(null);
+                setError(`No se pudo leer el archivo: ${err.message}`);
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setError(null);
+        try {
+            await onSave(base, toRateTable(rows, base));
+            onClose();
+        } catch (err) {
+            console.error("Error al guardar las monedas:", err);
+            setError("No se pudieron guardar los cambios. Intenta de nuevo.");
+            setIsSaving(false);
+        }
+    };
+
+    const availableCurrencies = Array.from(new Set([...SUPPORTED_CURRENCIES, ...rows.map(row => row.currency)]));
+
+    return (
+        <Modal title="Monedas y Tipos de Cambio" icon={Coins} onClose={onClose}>
+            <div className="space-y-5">
+                <div>
+                    <label htmlFor="baseCurrency" className="text-sm font-medium text-gray-700 block mb-1">Moneda base (totales y gráficos)</label>
+                    <select
+                        id="baseCurrency"
+                        value={base}
+                        onChange={(e) => handleBaseChange(e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        disabled={isSaving}
+                    >
+                        {availableCurrencies.map(code => <option key={code} value={code}>{code}</option>)}
+                    </select>
+                </div>
+
+                <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2">Cotizaciones (1 unidad = X {base})</p>
+                    {rows.length === 0 && (
+                        <p className="text-sm text-gray-500 mb-2">Aún no hay cotizaciones. Los gastos en otras monedas no se sumarán a los totales.</p>
+                    )}
+                    <div className="space-y-2">
+                        {rows.map(row => (
+                            <div key={row.currency} className="flex items-center gap-2">
+                                <span className="w-14 font-mono font-semibold text-gray-700">{row.currency}</span>
+                                <input
+                                    type="number"
+                                    step="any"
+                                    min="0"
+                                    value={row.rate}
+                                    onChange={(e) => updateRow(row.currency, e.target.value)}
+                                    className="flex-1 p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                                    disabled={isSaving}
+                                />
+                                <span className="text-sm text-gray-500 w-10">{base}</span>
+                                <button
+                                    onClick={() => setRows(rows.filter(r => r.currency !== row.currency))}
+                                    className="p-1 text-red-400 hover:text-red-600 rounded-full hover:bg-red-50"
+                                    title="Quitar cotización"
+                                    disabled={isSaving}
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex items-center gap-2 mt-3">
+                        <input
+                            type="text"
+                            placeholder="Código (ej: USD)"
+                            maxLength={3}
+                            value={newCurrency}
+                            onChange={(e) => setNewCurrency(e.target.value)}
+                            className="w-36 p-2 border border-gray-300 rounded-lg uppercase focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                            disabled={isSaving}
+                        />
+                        <button onClick={handleAddCurrency} className="flex items-center px-3 py-2 text-sm bg-gray-200 rounded-lg hover:bg-gray-300" disabled={isSaving}>
+                            <Plus className="w-4 h-4 mr-1" />
+                            Añadir
+                        </button>
+                        <label className="flex items-center px-3 py-2 text-sm bg-gray-200 rounded-lg hover:bg-gray-300 cursor-pointer ml-auto">
+                            <Upload className="w-4 h-4 mr-1" />
+                            Importar archivo
+                            <input type="file" accept=".json,.csv,.txt" onChange={handleImport} className="hidden" disabled={isSaving} />
+                        </label>
+                    </div>
+                    <p className="text-xs text-gray-400 mt-2">
+                        Archivos aceptados: JSON con "base" y "rates" (formato de las APIs de cambio) o CSV con líneas "moneda,cotización" en {base}.
+                    </p>
+                </div>
+
+                {notice && <div className="p-3 bg-green-100 text-green-700 border border-green-300 rounded-lg text-sm">{notice}</div>}
+                {error && <div className="p-3 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm">{error}</div>}
+
+                <button
+                    onClick={handleSave}
+                    className="w-full flex items-center justify-center py-2 px-4 bg-indigo-600 text-white font-bold rounded-xl shadow-md hover:bg-indigo-700 transition duration-300 disabled:bg-indigo-400"
+                    disabled={isSaving}
+                >
+                    {isSaving ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <Check className="w-5 h-5 mr-2" />}
+                    Guardar
+                </button>
+            </div>
+        </Modal>
+    );
+};
+
+export default CurrencySettings;
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { CalendarClock, Check, Loader2 } from 'lucide-react';
+import Modal from './Modal';
+import { DEFAULT_CYCLE_START_DAY, MAX_CYCLE_START_DAY, getCycleStart, getNextCycleStart } from '../services/billingCycle';
+
+const START_DAYS = Array.from({ length: MAX_CYCLE_START_DAY - 1 }, (_, i) => i + 2);
+
+// Pantalla del ciclo de facturación (mes calendario o día de cierre de la tarjeta)
+const CycleSettings = ({ cycleStartDay, onSave, onClose }) => {
+    const [isCustom, setIsCustom] = useState(cycleStartDay !== DEFAULT_CYCLE_START_DAY);
+    const [startDay, setStartDay] = useState(cycleStartDay !== DEFAULT_CYCLE_START_DAY ? cycleStartDay : 15);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const effectiveDay = isCustom ? startDay : DEFAULT_CYCLE_START_DAY;
+    const currentStart = getCycleStart(new Date(), effectiveDay);
+    const currentEnd = new Date(getNextCycleStart(currentStart).getTime() - 1);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError(null);
+        try {
+            await onSave(effectiveDay);
+            onClose();
+        } catch (err) {
+            console.error("Error al guardar el ciclo de facturación:", err);
+            setError("No se pudo guardar el ciclo. Intenta de nuevo.");
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <Modal title="Ciclo de Facturación" icon={CalendarClock} onClose={onClose}>
+            <form onSubmit={handleSubmit} className="space-y-5">
+                <div className="space-y-2">
+                    <label className="flex items-center text-sm text-gray-700">
+                        <input type="radio" name="cycle" checked={!isCustom} onChange={() => setIsCustom(false)} className="mr-2" disabled={isSaving} />
+                        Mes calendario (del 1 al último día del mes)
+                    </label>
+                    <label className="flex items-center text-sm text-gray-700">
+                        <input type="radio" name="cycle" checked={isCustom} onChange={() => setIsCustom(true)} className="mr-2" disabled={isSaving} />
+                        Día de inicio personalizado (ej: cierre de la tarjeta de crédito)
+                    </label>
+                    {isCustom && (
+                        <select
+                            aria-label="Día de inicio"
+                            value={startDay}
+                            onChange={(e) => setStartDay(Number(e.target.value))}
+                            className="ml-6 p-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                            disabled={isSaving}
+                        >
+                            {START_DAYS.map(day => <option key={day} value={day}>Día {day}</option>)}
+                        </select>
+                    )}
+                </div>
+
+                <p className="text-sm text-gray-600">
+                    Período actual: del {currentStart.toLocaleDateString('es-AR')} al {currentEnd.toLocaleDateString('es-AR')}.
+                </p>
+                <p className="text-xs text-gray-400">
+                    Al abrir la app después del cierre, los gastos del ciclo anterior se archivan automáticamente. Siempre puedes archivar antes con "Archivar y Reiniciar".
+                </p>
+
+                {error && <div className="p-3 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm">{error}</div>}
+
+                <button
+                    type="submit"
+                    className="w-full flex items-center justify-center py-2 px-4 bg-indigo-600 text-white font-bold rounded-xl shadow-md hover:bg-indigo-700 transition duration-300 disabled:bg-indigo-400"
+                    disabled={isSaving}
+                >
+                    {isSaving ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <Check className="w-5 h-5 mr-2" />}
+                    Guardar
+                </button>
+            </form>
+        </Modal>
+    );
+};
+
+export default CycleSettings;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { Search, SlidersHorizontal, ArrowDownWideNarrow, ArrowUpNarrowWide, X } from 'lucide-react';
+import { EMPTY_FILTERS, SORT_OPTIONS, hasActiveFilters } from '../services/expenseFilters';
+import { flattenCategoryTree } from '../services/categories';
+import { toDateInputValue } from '../services/dates';
+
+const inputClass = "w-full p-2 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+// Atajos de rango de fechas
+const DATE_PRESETS = [
+    { label: 'Hoy', days: 0 },
+    { label: 'Últimos 7 días', days: 6 },
+    { label: 'Últimos 30 días', days: 29 },
+];
+
+// Búsqueda, filtros y orden de la lista de gastos del período
+const ExpenseFilters = ({ filters, sort, categories, resultCount, totalCount, onChange, onSortChange }) => {
+    const [showMore, setShowMore] = useState(false);
+    const isFiltering = hasActiveFilters(filters);
+
+    const update = (changes) => onChange({ ...filters, ...changes });
+
+    const applyPreset = (days) => {
+        const today = new Date();
+        const from = new Date(today.getFullYear(), today.getMonth(), today.getDate() - days);
+        update({ from: toDateInputValue(from), to: toDateInputValue(today) });
+    };
+
+    return (
+        <div className="bg-white p-4 rounded-xl shadow-sm space-y-3">
+            <div className="flex gap-2">
+                <div className="flex-1 flex items-center border border-gray-300 rounded-lg focus-within:ring-2 focus-within:ring-indigo-500">
+                    <Search className="w-4 h-4 ml-3 text-gray-400 shrink-0" />
+                    <input
+                        type="search"
+                        placeholder="Buscar por descripción o clasificación"
+                        value={filters.text}
+                        onChange={(e) => update({ text: e.target.value })}
+                        className="w-full p-2 text-sm bg-transparent focus:outline-none rounded-r-lg"
+                    />
+                </div>
+                <button
+                    onClick={() => setShowMore(!showMore)}
+                    className={`flex items-center px-3 text-sm font-semibold rounded-lg transition duration-150 ${showMore ? 'bg-indigo-600 text-white' : 'text-indigo-700 bg-indigo-100 hover:bg-indigo-200'}`}
+                    title="Más filtros"
+                >
+                    <SlidersHorizontal className="w-4 h-4 sm:mr-1" />
+                    <span className="hidden sm:inline">Filtros</span>
+                </button>
+            </div>
+
+            {showMore && (
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                    <div className="col-span-2">
+                        <label className="text-xs font-medium text-gray-600 block mb-1">Categoría</label>
+                        <select value={filters.category} onChange={(e) => update({ category: e.target.value })} className={inputClass}>
+                            <option value="">Todas</option>
+                            {flattenCategoryTree(categories).map(({ category, depth }) => (
+                                <option key={category.id} value={category.name}>{depth > 0 ? `— ${category.name}` : category.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="text-xs font-medium text-gray-600 block mb-1">Monto mínimo</label>
+                        <input type="number" min="0" step="0.01" value={filters.minAmount} onChange={(e) => update({ minAmount: e.target.value })} className={inputClass} />
+                    </div>
+                    <div>
+                        <label className="text-xs font-medium text-gray-600 block mb-1">Monto máximo</label>
+                        <input type="number" min="0" step="0.01" value={filters.maxAmount} onChange={(e) => update({ maxAmount: e.target.value })} className={inputClass} />
+                    </div>
+                    <div>
+                        <label className="text-xs font-medium text-gray-600 block mb-1">Desde</label>
+                        <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => update({ from: e.target.value })} className={inputClass} />
+                    </div>
+                    <div>
+                        <label className="text-xs font-medium text-gray-600 block mb-1">Hasta</label>
+                        <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => update({ to: e.target.value })} className={inputClass} />
+                    </div>
+                    <div className="col-span-2 flex flex-wrap items-end gap-2">
+                        {DATE_PRESETS.map(preset => (
+                            <button
+                                key={preset.label}
+                                onClick={() => applyPreset(preset.days)}
+                                className="px-2 py-1 text-xs font-semibold text-indigo-700 bg-indigo-50 rounded-full hover:bg-indigo-100"
+                            >
+                                {preset.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-gray-500">
+                    {isFiltering ? `${resultCount} de ${totalCount} gastos` : `${totalCount} gastos`}
+                </span>
+                {isFiltering && (
+                    <button onClick={() => onChange(EMPTY_FILTERS)} className="flex items-center text-xs font-semibold text-red-500 hover:text-red-700">
+                        <X className="w-3 h-3 mr-0.5" />
+                        Limpiar filtros
+                    </button>
+                )}
+                <label className="flex items-center text-gray-600 ml-auto">
+                    Ordenar por
+                    <select
+                        value={sort.by}
+                        onChange={(e) => onSortChange({ ...sort, by: e.target.value })}
+                        className="ml-2 p-1 border border-gray-300 rounded-lg bg-white"
+                    >
+                        {Object.entries(SORT_OPTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                </label>
+                <button
+                    onClick={() => onSortChange({ ...sort, direction: sort.direction === 'asc' ? 'desc' : 'asc' })}
+                    className="p-1 text-indigo-600 rounded-lg hover:bg-indigo-50"
+                    title={sort.direction === 'asc' ? 'Ascendente' : 'Descendente'}
+                >
+                    {sort.direction === 'asc' ? <ArrowUpNarrowWide className="w-5 h-5" /> : <ArrowDownWideNarrow className="w-5 h-5" />}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ExpenseFilters;
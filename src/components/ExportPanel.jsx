@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { Download, FileDown, Printer } from 'lucide-react';
+import Modal from './Modal';
+import {
+    expensesToCSV, expensesToJSON, historyRecordToCSV, historyRecordToJSON,
+    summarizeExpenses, buildReportHTML, downloadFile, openPrintableReport
+} from '../services/exporter';
+import { toDateInputValue, parseDateInput, endOfDay } from '../services/dates';
+import { normalizeText } from '../services/categorizers/common';
+
+const inputClass = "w-full p-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+// Convierte un título en un nombre de archivo seguro
+const slugify = (text) => normalizeText(text)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+// Exportación de gastos e historial a CSV, JSON e informe imprimible (PDF)
+const ExportPanel = ({ expenses, history, baseCurrency, onLoadArchived, onClose }) => {
+    const today = toDateInputValue(new Date());
+    const [scope, setScope] = useState('current');
+    const [historyId, setHistoryId] = useState(history[0]?.id || '');
+    const [from, setFrom] = useState(today.slice(0, 8) + '01');
+    const [to, setTo] = useState(today);
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Reúne los datos del alcance elegido
+    const getSelection = async () => {
+        if (scope === 'history') {
+            const record = history.find(h => h.id === historyId);
+            if (!record) {
+                throw new Error("Elige un período archivado.");
+            }
+            // Los períodos archivados antes de conservar el detalle solo tienen el resumen
+            const archived = await onLoadArchived(record.id);
+            return {
+                title: record.title,
+                fileBase: `historial-${slugify(record.title)}`,
+                record,
+                expenses: [...archived].sort((a, b) => a.date - b.date),
+                currency: record.currency || baseCurrency,
+                totalSpent: record.totalSpent,
+                categorySummary: record.categorySummary || [],
+            };
+        }
+
+        let selected = expenses;
+        let title = 'Gastos del Período Actual';
+        let fileBase = `gastos-periodo-actual-${today}`;
+        if (scope === 'range') {
+            const start = parseDateInput(from);
+            const end = parseDateInput(to);
+            if (!start || !end || end < start) {
+                throw new Error("Elige un rango de fechas válido.");
+            }
+            selected = expenses.filter(e => e.date >= start && e.date <= endOfDay(end));
+            title = `Gastos del ${start.toLocaleDateString('es-AR')} al ${end.toLocaleDateString('es-AR')}`;
+            fileBase = `gastos-${from}_${to}`;
+        }
+        // Orden cronológico para el contador
+        selected = [...selected].sort((a, b) => a.date - b.date);
+        return { title, fileBase, record: null, expenses: selected, currency: baseCurrency, ...summarizeExpenses(selected) };
+    };
+
+    const run = async (action) => {
+        setIsBusy(true);
+        setError(null);
+        try {
+            action(await getSelection());
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleCSV = () => run(selection => {
+        const content = selection.record && selection.expenses.length === 0
+            ? historyRecordToCSV(selection.record)
+            : expensesToCSV(selection.expenses);
+        downloadFile(content, `${selection.fileBase}.csv`, 'text/csv;charset=utf-8');
+    });
+
+    const handleJSON = () => run(selection => {
+        const content = selection.record
+            ? historyRecordToJSON(selection.record, selection.expenses)
+            : expensesToJSON(selection.expenses, { title: selection.title, baseCurrency, totalSpent: selection.totalSpent, categorySummary: selection.categorySummary });
+        downloadFile(content, `${selection.fileBase}.json`, 'application/json');
+    });
+
+    const handleReport = (print) => run(selection => {
+        const html = buildReportHTML(selection);
+        if (!print) {
+            downloadFile(html, `${selection.fileBase}.html`, 'text/html;charset=utf-8');
+        } else if (!openPrintableReport(html)) {
+            throw new Error("El navegador bloqueó la ventana del informe. Permite las ventanas emergentes o descarga el HTML.");
+        }
+    });
+
+    return (
+        <Modal title="Exportar Datos" icon={Download} onClose={onClose}>
+            <div className="space-y-5">
+                <div className="space-y-2">
+                    <label className="flex items-center text-sm text-gray-700">
+                        <input type="radio" name="scope" checked={scope === 'current'} onChange={() => setScope('current')} className="mr-2" />
+                        Período actual ({expenses.length} gastos)
+                    </label>
+                    <label className="flex items-center text-sm text-gray-700">
+                        <input type="radio" name="scope" checked={scope === 'range'} onChange={() => setScope('range')} className="mr-2" />
+                        Rango de fechas
+                    </label>
+                    {scope === 'range' && (
+                        <div className="grid grid-cols-2 gap-2 ml-6">
+                            <input type="date" aria-label="Desde" value={from} onChange={(e) => setFrom(e.target.value)} className={inputClass} />
+                            <input type="date" aria-label="Hasta" value={to} onChange={(e) => setTo(e.target.value)} className={inputClass} />
+                        </div>
+                    )}
+                    <label className="flex items-center text-sm text-gray-700">
+                        <input type="radio" name="scope" checked={scope === 'history'} onChange={() => setScope('history')} className="mr-2" disabled={history.length === 0} />
+                        Período archivado {history.length === 0 && '(aún no hay historial)'}
+                    </label>
+                    {scope === 'history' && (
+                        <select value={historyId} onChange={(e) => setHistoryId(e.target.value)} className={`${inputClass} ml-6`}>
+                            {history.map(record => <option key={record.id} value={record.id}>{record.title}</option>)}
+                        </select>
+                    )}
+                </div>
+
+                {error && <div className="p-3 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm">{error}</div>}
+
+                <div className="grid grid-cols-2 gap-3">
+                    <button onClick={handleCSV} className="flex items-center justify-center py-2 px-4 bg-gray-200 font-semibold rounded-xl hover:bg-gray-300 disabled:opacity-50" disabled={isBusy}>
+                        <FileDown className="w-5 h-5 mr-2" />
+                        CSV
+                    </button>
+                    <button onClick={handleJSON} className="flex items-center justify-center py-2 px-4 bg-gray-200 font-semibold rounded-xl hover:bg-gray-300 disabled:opacity-50" disabled={isBusy}>
+                        <FileDown className="w-5 h-5 mr-2" />
+                        JSON
+                    </button>
+                    <button onClick={() => handleReport(true)} className="flex items-center justify-center py-2 px-4 bg-indigo-600 text-white font-semibold rounded-xl hover:bg-indigo-700 disabled:bg-indigo-400" disabled={isBusy}>
+                        <Printer className="w-5 h-5 mr-2" />
+                        Informe PDF
+                    </button>
+                    <button onClick={() => handleReport(false)} className="flex items-center justify-center py-2 px-4 bg-gray-200 font-semibold rounded-xl hover:bg-gray-300 disabled:opacity-50" disabled={isBusy}>
+                        <FileDown className="w-5 h-5 mr-2" />
+                        Informe HTML
+                    </button>
+                </div>
+                <p className="text-xs text-gray-400">El informe PDF se abre listo para imprimir; elige "Guardar como PDF" en el diálogo de impresión.</p>
+            </div>
+        </Modal>
+    );
+};
+
+export default ExportPanel;
@@ -0,0 +1,132 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MessageCircle, Send, Loader2, Calculator } from 'lucide-react';
+import Modal from './Modal';
+import { askFinances, MAX_QUESTION_LENGTH } from '../services/financeChat';
+import { formatMoney } from '../services/currency';
+
+const SUGGESTIONS = [
+    '¿Cuánto gasté en Comida en los últimos 3 meses?',
+    '¿Qué suscripciones puedo recortar?',
+    '¿En qué categoría gasto más este mes?',
+];
+
+// Asistente de finanzas: responde preguntas con las cifras calculadas por la app a la vista
+const FinanceChat = ({ figures, expenses, baseCurrency, onClose }) => {
+    const [messages, setMessages] = useState([]);
+    const [question, setQuestion] = useState('');
+    const [isAsking, setIsAsking] = useState(false);
+    const [error, setError] = useState(null);
+    const endRef = useRef(null);
+
+    useEffect(() => {
+        endRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }, [messages, isAsking]);
+
+    const ask = async (text) => {
+        const trimmed = text.trim();
+        if (!trimmed || isAsking) return;
+        setQuestion('');
+        setError(null);
+        setIsAsking(true);
+        setMessages(prev => [...prev, { role: 'user', text: trimmed }]);
+        try {
+            const { answer, figures: quoted } = await askFinances(trimmed, { figures, expenses, baseCurrency, conversation: messages });
+            setMessages(prev => [...prev, { role: 'assistant', text: answer, figures: quoted }]);
+        } catch (err) {
+            console.error("Error del asistente de finanzas:", err);
+            setError(err.message?.startsWith('El asistente') ? err.message : "No se pudo obtener una respuesta. Intenta de nuevo.");
+            // La pregunta sin respuesta no se envía como contexto en el próximo intento
+            setMessages(prev => prev.slice(0, -1));
+            setQuestion(trimmed);
+        } finally {
+            setIsAsking(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        ask(question);
+    };
+
+    return (
+        <Modal title="Pregúntale a tus Finanzas" icon={MessageCircle} onClose={onClose}>
+            <div className="space-y-4">
+                <div className="h-96 overflow-y-auto space-y-3 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                    {messages.length === 0 && (
+                        <div className="text-sm text-gray-500 space-y-2">
+                            <p>Pregunta lo que quieras sobre tus gastos del período actual y de los períodos archivados. Las cifras se calculan en la app y se muestran junto a cada respuesta para que puedas verificarlas.</p>
+                            <div className="flex flex-wrap gap-2">
+                                {SUGGESTIONS.map(suggestion => (
+                                    <button
+                                        key={suggestion}
+                                        onClick={() => ask(suggestion)}
+                                        className="px-3 py-1 text-xs font-semibold text-indigo-700 bg-indigo-100 rounded-full hover:bg-indigo-200"
+                                    >
+                                        {suggestion}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {messages.map((message, index) => (
+                        <div key={index} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+                            <div className={`max-w-[85%] p-3 rounded-xl text-sm ${message.role === 'user' ? 'bg-indigo-600 text-white' : 'bg-white border border-gray-200 text-gray-800'}`}>
+                                <p className="whitespace-pre-line">{message.text}</p>
+                                {message.figures?.length > 0 && (
+                                    <div className="mt-2 pt-2 border-t border-gray-100">
+                                        <p className="flex items-center text-xs font-semibold text-gray-500 mb-1">
+                                            <Calculator className="w-3 h-3 mr-1" />
+                                            Cifras calculadas
+                                        </p>
+                                        <ul className="text-xs space-y-0.5">
+                                            {message.figures.map(figure => (
+                                                <li key={figure.id} className="flex justify-between gap-3">
+                                                    <span className="text-gray-600">{figure.label}{figure.count !== undefined && ` (${figure.count} gastos)`}</span>
+                                                    <span className="font-semibold text-gray-800 whitespace-nowrap">{formatMoney(figure.value, baseCurrency)}</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+
+                    {isAsking && (
+                        <div className="flex items-center text-sm text-gray-400">
+                            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                            Pensando...
+                        </div>
+                    )}
+                    <div ref={endRef} />
+                </div>
+
+                {error && <div className="p-3 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm">{error}</div>}
+
+                <form onSubmit={handleSubmit} className="flex gap-2">
+                    <input
+                        type="text"
+                        value={question}
+                        onChange={(e) => setQuestion(e.target.value)}
+                        maxLength={MAX_QUESTION_LENGTH}
+                        placeholder="Ej: ¿cuánto gasté en Comida en los últimos 3 meses?"
+                        className="flex-1 p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        disabled={isAsking}
+                        autoFocus
+                    />
+                    <button
+                        type="submit"
+                        className="flex items-center px-4 py-2 bg-indigo-600 text-white font-bold rounded-xl shadow-md hover:bg-indigo-700 transition duration-300 disabled:bg-indigo-400"
+                        disabled={isAsking || !question.trim()}
+                        title="Preguntar"
+                    >
+                        <Send className="w-5 h-5" />
+                    </button>
+                </form>
+            </div>
+        </Modal>
+    );
+};
+
+export default FinanceChat;
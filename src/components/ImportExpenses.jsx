@@ -0,0 +1,255 @@
+import React, { useState } from 'react';
+import { FileUp, Loader2, CheckCircle2, AlertTriangle } from 'lucide-react';
+import Modal from './Modal';
+import { parseCSV, parseOFX, guessColumnMapping, buildImportRows, findDuplicate } from '../services/importer';
+import { validateExpenseDate } from '../services/dates';
+import { formatMoney } from '../services/currency';
+
+const selectClass = "w-full p-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+const COLUMN_LABELS = { amount: 'Monto', description: 'Descripción', date: 'Fecha' };
+
+// Importación de gastos desde un CSV o un extracto bancario OFX
+const ImportExpenses = ({ expenses, periodStart, currencies, baseCurrency, onImport, onClose }) => {
+    const [step, setStep] = useState('select');
+    const [fileName, setFileName] = useState('');
+    const [csvRows, setCsvRows] = useState([]);
+    const [hasHeader, setHasHeader] = useState(true);
+    const [mapping, setMapping] = useState({ amount: -1, description: -1, date: -1 });
+    const [onlyDebits, setOnlyDebits] = useState(false);
+    const [records, setRecords] = useState([]);
+    const [rows, setRows] = useState([]);
+    const [selected, setSelected] = useState(new Set());
+    const [currency, setCurrency] = useState(baseCurrency);
+    const [importedCount, setImportedCount] = useState(0);
+    const [error, setError] = useState(null);
+
+    // Construye la vista previa marcando errores, duplicados y fechas fuera del período
+    const preparePreview = (rawRecords, debitsOnly) => {
+        const prepared = buildImportRows(rawRecords, { onlyDebits: debitsOnly }).map(row => {
+            const duplicate = row.error ? null : findDuplicate(row, expenses);
+            const dateError = row.error ? null : validateExpenseDate(row.date, false, periodStart);
+            return { ...row, duplicate, outOfPeriod: Boolean(dateError) };
+        });
+        setRows(prepared);
+        setSelected(new Set(prepared.filter(row => !row.error && !row.duplicate && !row.outOfPeriod).map(row => row.key)));
+        setStep('preview');
+    };
+
+    const handleFile = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const text = String(reader.result);
+            setFileName(file.name);
+            setError(null);
+            try {
+                if (/\.(ofx|qfx)$/i.test(file.name) || /<OFX>/i.test(text)) {
+                    const ofxRecords = parseOFX(text);
+                    if (ofxRecords.length === 0) {
+                        throw new Error("El archivo no contiene movimientos.");
+                    }
+                    // En OFX los débitos son negativos: por defecto se importan solo esos
+                    setOnlyDebits(true);
+                    setRecords(ofxRecords);
+                    preparePreview(ofxRecords, true);
+                } else {
+                    const parsed = parseCSV(text);
+                    if (parsed.length === 0) {
+                        throw new Error("El archivo está vacío.");
+                    }
+                    setCsvRows(parsed);
+                    setMapping(guessColumnMapping(parsed[0]));
+                    setStep('mapping');
+                }
+            } catch (err) {
+                console.error("Error al leer el archivo de importación:", err);
+                setError(`No se pudo leer el archivo: ${err.message}`);
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    const handleMappingSubmit = () => {
+        if (Object.values(mapping).some(index => index < 0)) {
+            setError("Asigna una columna a Monto, Descripción y Fecha.");
+            return;
+        }
+        setError(null);
+        const dataRows = hasHeader ? csvRows.slice(1) : csvRows;
+        const csvRecords = dataRows.map(cells => ({
+            amount: cells[mapping.amount],
+            description: cells[mapping.description],
+            date: cells[mapping.date],
+        }));
+        setRecords(csvRecords);
+        preparePreview(csvRecords, onlyDebits);
+    };
+
+    const toggleRow = (key) => {
+        const next = new Set(selected);
+        if (next.has(key)) next.delete(key); else next.add(key);
+        setSelected(next);
+    };
+
+    const handleImport = async () => {
+        const toImport = rows.filter(row => selected.has(row.key));
+        if (toImport.length === 0) {
+            setError("Selecciona al menos un movimiento.");
+            return;
+        }
+        setStep('importing');
+        setError(null);
+        try {
+            await onImport(toImport, currency);
+            setImportedCount(toImport.length);
+            setStep('done');
+        } catch (err) {
+            console.error("Error al importar los gastos:", err);
+            setError("No se pudo completar la importación. Parte de los movimientos puede haberse guardado: revisa la lista de gastos antes de reintentar.");
+            setStep('preview');
+        }
+    };
+
+    const columnOptions = (csvRows[0] || []).map((header, index) => (
+        <option key={index} value={index}>{hasHeader ? (header || `Columna ${index + 1}`) : `Columna ${index + 1} (${header})`}</option>
+    ));
+
+    return (
+        <Modal title="Importar Gastos" icon={FileUp} onClose={onClose}>
+            {error && <div className="p-3 mb-4 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm">{error}</div>}
+
+            {step === 'select' && (
+                <div className="text-center py-6">
+                    <label className="inline-flex items-center px-4 py-3 bg-indigo-600 text-white font-semibold rounded-xl shadow-md hover:bg-indigo-700 cursor-pointer">
+                        <FileUp className="w-5 h-5 mr-2" />
+                        Elegir archivo CSV u OFX
+                        <input type="file" accept=".csv,.txt,.ofx,.qfx" onChange={handleFile} className="hidden" />
+                    </label>
+                    <p className="text-sm text-gray-500 mt-3">Los movimientos se categorizan con IA en lotes antes de guardarse.</p>
+                </div>
+            )}
+
+            {step === 'mapping' && (
+                <div className="space-y-4">
+                    <p className="text-sm text-gray-600">Archivo: <span className="font-medium">{fileName}</span> ({csvRows.length} filas)</p>
+                    <label className="flex items-center text-sm text-gray-700">
+                        <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} className="mr-2" />
+                        La primera fila es el encabezado
+                    </label>
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                        {Object.entries(COLUMN_LABELS).map(([field, label]) => (
+                            <div key={field}>
+                                <label className="text-sm font-medium text-gray-700 block mb-1">{label}</label>
+                                <select
+                                    value={mapping[field]}
+                                    onChange={(e) => setMapping({ ...mapping, [field]: Number(e.target.value) })}
+                                    className={selectClass}
+                                >
+                                    <option value={-1}>Elegir columna</option>
+                                    {columnOptions}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+                    <label className="flex items-center text-sm text-gray-700">
+                        <input type="checkbox" checked={onlyDebits} onChange={(e) => setOnlyDebits(e.target.checked)} className="mr-2" />
+                        Importar solo montos negativos (débitos)
+                    </label>
+                    <button
+                        onClick={handleMappingSubmit}
+                        className="w-full py-2 px-4 bg-indigo-600 text-white font-bold rounded-xl shadow-md hover:bg-indigo-700 transition duration-300"
+                    >
+                        Ver Vista Previa
+                    </button>
+                </div>
+            )}
+
+            {(step === 'preview' || step === 'importing') && (
+                <div className="space-y-4">
+                    <div className="flex flex-wrap items-center gap-3 text-sm">
+                        <span className="text-gray-600">{selected.size} de {rows.length} movimientos seleccionados</span>
+                        <label className="flex items-center text-gray-700 ml-auto">
+                            Moneda:
+                            <select value={currency} onChange={(e) => setCurrency(e.target.value)} className="ml-2 p-1 border border-gray-300 rounded-lg bg-white" disabled={step === 'importing'}>
+                                {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+                            </select>
+                        </label>
+                        {records.length > 0 && csvRows.length === 0 && (
+                            <label className="flex items-center text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={onlyDebits}
+                                    onChange={(e) => { setOnlyDebits(e.target.checked); preparePreview(records, e.target.checked); }}
+                                    className="mr-2"
+                                    disabled={step === 'importing'}
+                                />
+                                Solo débitos
+                            </label>
+                        )}
+                    </div>
+                    <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-50 sticky top-0">
+                                <tr className="text-left text-gray-600">
+                                    <th className="p-2"></th>
+                                    <th className="p-2">Fecha</th>
+                                    <th className="p-2">Descripción</th>
+                                    <th className="p-2 text-right">Monto</th>
+                                    <th className="p-2">Estado</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map(row => (
+                                    <tr key={row.key} className={`border-t border-gray-100 ${row.duplicate || row.error ? 'bg-amber-50' : ''}`}>
+                                        <td className="p-2">
+                                            <input type="checkbox" checked={selected.has(row.key)} onChange={() => toggleRow(row.key)} disabled={Boolean(row.error) || step === 'importing'} />
+                                        </td>
+                                        <td className="p-2 whitespace-nowrap">{row.date ? row.date.toLocaleDateString('es-AR') : '—'}</td>
+                                        <td className="p-2 truncate max-w-[14rem]" title={row.description}>{row.description || '—'}</td>
+                                        <td className="p-2 text-right whitespace-nowrap">{row.amount !== null ? formatMoney(row.amount, currency) : '—'}</td>
+                                        <td className="p-2 text-xs">
+                                            {row.error && <span className="text-red-600">{row.error}</span>}
+                                            {row.duplicate && (
+                                                <span className="text-amber-700 flex items-center" title={`Coincide con "${row.duplicate.description}"`}>
+                                                    <AlertTriangle className="w-3 h-3 mr-1" />
+                                                    Duplicado
+                                                </span>
+                                            )}
+                                            {!row.error && !row.duplicate && row.outOfPeriod && <span className="text-gray-500">Fuera del período</span>}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <button
+                        onClick={handleImport}
+                        className="w-full flex items-center justify-center py-2 px-4 bg-indigo-600 text-white font-bold rounded-xl shadow-md hover:bg-indigo-700 transition duration-300 disabled:bg-indigo-400"
+                        disabled={step === 'importing'}
+                    >
+                        {step === 'importing' ? (
+                            <>
+                                <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+                                Clasificando e importando...
+                            </>
+                        ) : `Importar ${selected.size} gastos`}
+                    </button>
+                </div>
+            )}
+
+            {step === 'done' && (
+                <div className="text-center py-6">
+                    <CheckCircle2 className="w-12 h-12 text-green-500 mx-auto mb-3" />
+                    <p className="text-lg font-semibold text-gray-800">Se importaron {importedCount} gastos.</p>
+                    <button onClick={onClose} className="mt-4 px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">Cerrar</button>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+export default ImportExpenses;
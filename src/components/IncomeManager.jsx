@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { PiggyBank, Plus, Trash2, Loader2 } from 'lucide-react';
+import Modal from './Modal';
+import CategoryIcon from './CategoryIcon';
+import { INCOME_CATEGORY_DEFINITIONS, INCOME_CATEGORIES, validateIncomeInput } from '../services/income';
+import { toDateInputValue, parseDateInput } from '../services/dates';
+import { formatMoney } from '../services/currency';
+
+const inputClass = "w-full p-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+// Pantalla de ingresos del período actual (sueldo, trabajos freelance, reintegros...)
+const IncomeManager = ({ entries, currencies, baseCurrency, periodStart, onCreate, onDelete, onClose }) => {
+    const [form, setForm] = useState(() => ({
+        description: '',
+        amount: '',
+        currency: baseCurrency,
+        category: INCOME_CATEGORIES[0],
+        date: toDateInputValue(new Date()),
+    }));
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+    // Ejecuta una acción mostrando el estado de carga y el error, si lo hay
+    const run = async (action) => {
+        setIsBusy(true);
+        setError(null);
+        try {
+            await action();
+            return true;
+        } catch (e) {
+            console.error("Error al gestionar los ingresos:", e);
+            setError("No se pudo completar la acción. Intenta de nuevo.");
+            return false;
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const data = {
+            description: form.description.trim(),
+            amount: parseFloat(form.amount),
+            currency: form.currency,
+            category: form.category,
+            date: parseDateInput(form.date),
+        };
+
+        // Como los gastos, el ingreso debe caer en el período actual
+        const validationError = validateIncomeInput(data, { periodStart });
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        if (await run(() => onCreate(data))) {
+            setForm({ ...form, description: '', amount: '' });
+        }
+    };
+
+    return (
+        <Modal title="Ingresos del Período" icon={PiggyBank} onClose={onClose}>
+            {error && <div className="p-3 mb-4 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm">{error}</div>}
+
+            {/* Ingresos registrados */}
+            <div className="space-y-2 max-h-72 overflow-y-auto pr-2 mb-6">
+                {entries.length === 0 && (
+                    <p className="text-center text-gray-500 py-4">Aún no registraste ingresos en este período.</p>
+                )}
+                {entries.map(entry => {
+                    const style = INCOME_CATEGORY_DEFINITIONS.find(c => c.name === entry.category);
+                    return (
+                        <div key={entry.id} className="flex items-center justify-between p-3 rounded-lg border bg-gray-50 border-gray-200">
+                            <div className="flex items-center min-w-0">
+                                <span className={`p-1.5 mr-3 rounded-full text-white ${style?.color || 'bg-gray-500'}`}>
+                                    <CategoryIcon name={style?.icon} />
+                                </span>
+                                <div className="min-w-0">
+                                    <p className="font-medium text-gray-800 truncate">{entry.description}</p>
+                                    <p className="text-xs text-gray-500">{entry.category} · {entry.date.toLocaleDateString('es-AR')}</p>
+                                </div>
+                            </div>
+                            <div className="flex items-center shrink-0 ml-2">
+                                <span className="font-bold text-green-700">{formatMoney(entry.amount, entry.currency)}</span>
+                                <button
+                                    onClick={() => run(() => onDelete(entry))}
+                                    className="ml-2 p-1 text-red-400 hover:text-red-600 rounded-full hover:bg-red-50"
+                                    title="Eliminar"
+                                    disabled={isBusy}
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {/* Alta de un nuevo ingreso */}
+            <form onSubmit={handleSubmit} className="space-y-3 border-t border-gray-200 pt-4">
+                <h3 className="font-semibold text-gray-700">Nuevo Ingreso</h3>
+                <input type="text" placeholder="Descripción (ej: Sueldo de mayo)" value={form.description} onChange={update('description')} className={inputClass} disabled={isBusy} />
+                <div className="grid grid-cols-3 gap-2">
+                    <input type="number" step="0.01" min="0" placeholder="Monto" value={form.amount} onChange={update('amount')} className={`${inputClass} col-span-2`} disabled={isBusy} />
+                    <select aria-label="Moneda" value={form.currency} onChange={update('currency')} className={inputClass} disabled={isBusy}>
+                        {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+                    </select>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                    <select aria-label="Categoría" value={form.category} onChange={update('category')} className={inputClass} disabled={isBusy}>
+                        {INCOME_CATEGORIES.map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                    <input type="date" aria-label="Fecha" value={form.date} onChange={update('date')} className={inputClass} disabled={isBusy} />
+                </div>
+                <p className="text-xs text-gray-400">Los ingresos se archivan junto con los gastos al cerrar el período y pueden restaurarse desde el historial.</p>
+                <button
+                    type="submit"
+                    className="w-full flex items-center justify-center py-2 px-4 bg-indigo-600 text-white font-bold rounded-xl shadow-md hover:bg-indigo-700 transition duration-300 disabled:bg-indigo-400"
+                    disabled={isBusy}
+                >
+                    {isBusy ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <Plus className="w-5 h-5 mr-2" />}
+                    Añadir Ingreso
+                </button>
+            </form>
+        </Modal>
+    );
+};
+
+export default IncomeManager;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { XCircle } from 'lucide-react';
+
+// Contenedor modal genérico para las pantallas secundarias (categorías, ajustes, etc.)
+const Modal = ({ title, icon: Icon, onClose, children }) => (
+    <div className="fixed inset-0 z-50 bg-gray-900/50 flex items-start justify-center p-4 overflow-y-auto" onClick={onClose}>
+        <div
+            className="bg-white w-full max-w-2xl mt-8 p-6 rounded-xl shadow-2xl"
+            onClick={(e) => e.stopPropagation()}
+        >
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+                    {Icon && <Icon className="w-6 h-6 mr-2 text-indigo-600" />}
+                    {title}
+                </h2>
+                <button
+                    onClick={onClose}
+                    className="p-1 text-gray-400 hover:text-gray-600 rounded-full hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    title="Cerrar"
+                >
+                    <XCircle className="w-6 h-6" />
+                </button>
+            </div>
+            {children}
+        </div>
+    </div>
+);
+
+export default Modal;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { PiggyBank, AlertTriangle } from 'lucide-react';
+import { formatMoney } from '../services/currency';
+
+// Tarjeta del panel con ingresos, gastos y ahorro neto del período actual
+const PeriodBalance = ({ totalIncome, totalSpent, netSavings, savingsRate, currency, unconvertedCount, onManage }) => (
+    <div className="bg-white p-6 rounded-xl shadow-md transition duration-300 hover:shadow-lg">
+        <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+                <PiggyBank className="w-5 h-5 mr-2 text-green-600" />
+                Balance del Período
+            </h2>
+            <button onClick={onManage} className="text-sm font-medium text-indigo-500 hover:text-indigo-600">
+                Ingresos
+            </button>
+        </div>
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+            <div className="p-3 bg-gray-50 rounded-lg">
+                <p className="text-gray-500">Ingresos</p>
+                <p className="font-bold text-green-700">{formatMoney(totalIncome, currency)}</p>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+                <p className="text-gray-500">Gastos</p>
+                <p className="font-bold text-red-600">{formatMoney(totalSpent, currency)}</p>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+                <p className="text-gray-500">Ahorro neto</p>
+                <p className={`font-bold ${netSavings < 0 ? 'text-red-600' : 'text-gray-900'}`}>{formatMoney(netSavings, currency)}</p>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+                <p className="text-gray-500">Tasa de ahorro</p>
+                <p className={`font-bold ${savingsRate !== null && savingsRate < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                    {savingsRate === null ? '—' : `${savingsRate.toFixed(1)}%`}
+                </p>
+            </div>
+        </div>
+        {totalIncome === 0 && (
+            <p className="text-xs text-gray-500 mt-3">Registra tus ingresos para ver cuánto ahorras en el período.</p>
+        )}
+        {unconvertedCount > 0 && (
+            <p className="text-xs text-amber-700 mt-3 flex items-center">
+                <AlertTriangle className="w-3 h-3 mr-1" />
+                {unconvertedCount} ingreso(s) sin tipo de cambio a {currency} no se incluyen.
+            </p>
+        )}
+    </div>
+);
+
+export default PeriodBalance;
@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { Zap, Loader2, CheckCircle2, Trash2 } from 'lucide-react';
+import Modal from './Modal';
+import { extractQuickEntry, MAX_QUICK_ENTRY_LENGTH } from '../services/quickEntry';
+import { toDateInputValue, parseDateInput, validateExpenseDate } from '../services/dates';
+
+const inputClass = "w-full p-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+// Error de una fila de la vista previa (null si se puede guardar)
+const getRowError = (row, periodStart) => {
+    if (!(Number(row.amount) > 0) || !row.description.trim()) {
+        return "Falta el monto o la descripción.";
+    }
+    return validateExpenseDate(parseDateInput(row.date), false, periodStart);
+};
+
+// Carga rápida: varios gastos escritos en una frase, con vista previa editable antes de guardarlos
+const QuickEntry = ({ categories, corrections, periodStart, currencies, baseCurrency, onSave, onClose }) => {
+    const [text, setText] = useState('');
+    const [step, setStep] = useState('write');
+    const [rows, setRows] = useState([]);
+    const [currency, setCurrency] = useState(baseCurrency);
+    const [savedCount, setSavedCount] = useState(0);
+    const [error, setError] = useState(null);
+
+    const handleParse = async (e) => {
+        e.preventDefault();
+        if (!text.trim()) return;
+        setStep('parsing');
+        setError(null);
+        try {
+            const parsed = await extractQuickEntry(text.trim(), { categories, corrections });
+            if (parsed.length === 0) {
+                throw new Error("No se encontraron gastos con monto en el texto.");
+            }
+            setRows(parsed.map((expense, index) => ({ ...expense, key: index, amount: String(expense.amount), date: toDateInputValue(expense.date) })));
+            setStep('preview');
+        } catch (err) {
+            console.error("Error en la carga rápida:", err);
+            setError(err.message?.startsWith('La carga rápida') || err.message?.startsWith('No se encontraron')
+                ? err.message
+                : "No se pudo interpretar el texto. Intenta de nuevo o usa el formulario.");
+            setStep('write');
+        }
+    };
+
+    const updateRow = (key, changes) => setRows(rows.map(row => (row.key === key ? { ...row, ...changes } : row)));
+
+    const handleSave = async () => {
+        if (rows.some(row => getRowError(row, periodStart))) {
+            setError("Corrige o quita los gastos marcados antes de guardar.");
+            return;
+        }
+        setStep('saving');
+        setError(null);
+        try {
+            await onSave(rows.map(row => ({
+                amount: Number(row.amount),
+                description: row.description.trim(),
+                date: parseDateInput(row.date),
+                category: row.category,
+                classification: row.classification.trim(),
+            })), currency);
+            setSavedCount(rows.length);
+            setStep('done');
+        } catch (err) {
+            console.error("Error al guardar la carga rápida:", err);
+            setError("No se pudieron guardar los gastos. Intenta nuevamente.");
+            setStep('preview');
+        }
+    };
+
+    return (
+        <Modal title="Carga Rápida" icon={Zap} onClose={onClose}>
+            {error && <div className="p-3 mb-4 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm">{error}</div>}
+
+            {(step === 'write' || step === 'parsing') && (
+                <form onSubmit={handleParse} className="space-y-3">
+                    <textarea
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        maxLength={MAX_QUICK_ENTRY_LENGTH}
+                        placeholder='Ej: "ayer 4500 nafta y 12000 super"'
+                        rows={3}
+                        className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        disabled={step === 'parsing'}
+                        autoFocus
+                    />
+                    <p className="text-xs text-gray-500">Escribe uno o varios gastos como los dirías. La IA separa montos, descripciones, fechas y categorías, y podrás revisarlos antes de guardar.</p>
+                    <button
+                        type="submit"
+                        className="w-full flex items-center justify-center py-2 px-4 bg-indigo-600 text-white font-bold rounded-xl shadow-md hover:bg-indigo-700 transition duration-300 disabled:bg-indigo-400"
+                        disabled={step === 'parsing' || !text.trim()}
+                    >
+                        {step === 'parsing' ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <Zap className="w-5 h-5 mr-2" />}
+                        {step === 'parsing' ? 'Interpretando...' : 'Interpretar'}
+                    </button>
+                </form>
+            )}
+
+            {(step === 'preview' || step === 'saving') && (
+                <div className="space-y-4">
+                    <div className="flex items-center text-sm">
+                        <span className="text-gray-600">&ldquo;{text}&rdquo;</span>
+                        <label className="flex items-center text-gray-700 ml-auto">
+                            Moneda:
+                            <select value={currency} onChange={(e) => setCurrency(e.target.value)} className="ml-2 p-1 border border-gray-300 rounded-lg bg-white" disabled={step === 'saving'}>
+                                {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+                            </select>
+                        </label>
+                    </div>
+                    <div className="space-y-3 max-h-96 overflow-y-auto">
+                        {rows.map(row => {
+                            const rowError = getRowError(row, periodStart);
+                            return (
+                                <div key={row.key} className={`p-3 border rounded-lg ${rowError ? 'border-amber-300 bg-amber-50' : 'border-gray-200'}`}>
+                                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                                        <input type="number" step="0.01" aria-label="Monto" value={row.amount} onChange={(e) => updateRow(row.key, { amount: e.target.value })} className={inputClass} disabled={step === 'saving'} />
+                                        <input type="text" aria-label="Descripción" value={row.description} onChange={(e) => updateRow(row.key, { description: e.target.value })} className={`${inputClass} sm:col-span-2`} disabled={step === 'saving'} />
+                                        <input type="date" aria-label="Fecha" value={row.date} max={toDateInputValue(new Date())} onChange={(e) => updateRow(row.key, { date: e.target.value })} className={inputClass} disabled={step === 'saving'} />
+                                        <select aria-label="Categoría" value={row.category} onChange={(e) => updateRow(row.key, { category: e.target.value })} className={`${inputClass} bg-white`} disabled={step === 'saving'}>
+                                            {!categories.includes(row.category) && <option value={row.category}>{row.category}</option>}
+                                            {categories.map(name => <option key={name} value={name}>{name}</option>)}
+                                        </select>
+                                        <input type="text" aria-label="Clasificación" placeholder="Clasificación" value={row.classification} onChange={(e) => updateRow(row.key, { classification: e.target.value })} className={`${inputClass} sm:col-span-2`} disabled={step === 'saving'} />
+                                        <button
+                                            onClick={() => setRows(rows.filter(other => other.key !== row.key))}
+                                            className="flex items-center justify-center text-sm text-red-500 hover:text-red-700"
+                                            title="Quitar gasto"
+                                            disabled={step === 'saving'}
+                                        >
+                                            <Trash2 className="w-4 h-4 mr-1" />
+                                            Quitar
+                                        </button>
+                                    </div>
+                                    {rowError && <p className="text-xs text-amber-700 mt-2">{rowError}</p>}
+                                </div>
+                            );
+                        })}
+                    </div>
+                    <div className="flex gap-3">
+                        <button
+                            onClick={() => { setStep('write'); setError(null); }}
+                            className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-xl hover:bg-gray-300"
+                            disabled={step === 'saving'}
+                        >
+                            Volver
+                        </button>
+                        <button
+                            onClick={handleSave}
+                            className="flex-1 flex items-center justify-center py-2 px-4 bg-indigo-600 text-white font-bold rounded-xl shadow-md hover:bg-indigo-700 transition duration-300 disabled:bg-indigo-400"
+                            disabled={step === 'saving' || rows.length === 0}
+                        >
+                            {step === 'saving' && <Loader2 className="w-5 h-5 mr-2 animate-spin" />}
+                            {step === 'saving' ? 'Guardando...' : `Guardar ${rows.length} gastos`}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {step === 'done' && (
+                <div className="text-center py-6">
+                    <CheckCircle2 className="w-12 h-12 text-green-500 mx-auto mb-3" />
+                    <p className="text-lg font-semibold text-gray-800">Se guardaron {savedCount} gastos.</p>
+                    <div className="mt-4 flex justify-center gap-3">
+                        <button onClick={() => { setText(''); setRows([]); setStep('write'); }} className="px-4 py-2 bg-indigo-100 text-indigo-700 font-semibold rounded-lg hover:bg-indigo-200">Cargar más</button>
+                        <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">Cerrar</button>
+                    </div>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+export default QuickEntry;
@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from 'react';
+import { Receipt, Loader2 } from 'lucide-react';
+import Modal from './Modal';
+import { formatMoney } from '../services/currency';
+
+// Foto del ticket de un gasto y los ítems que se leyeron de ella
+const ReceiptViewer = ({ expense, loadUrl, onClose }) => {
+    const [url, setUrl] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let isCurrent = true;
+        loadUrl(expense.receipt.path)
+            .then(result => { if (isCurrent) setUrl(result); })
+            .catch(err => {
+                console.error("Error al cargar la foto del ticket:", err);
+                if (isCurrent) setError("No se pudo cargar la foto del ticket.");
+            });
+        return () => { isCurrent = false; };
+    }, [expense.receipt.path, loadUrl]);
+
+    const items = expense.receiptItems || [];
+
+    return (
+        <Modal title="Ticket" icon={Receipt} onClose={onClose}>
+            <div className="space-y-4">
+                <div>
+                    <p className="font-semibold text-gray-800">{expense.description}</p>
+                    <p className="text-sm text-gray-500">
+                        {formatMoney(expense.amount, expense.currency)} · {expense.date.toLocaleDateString('es-AR')}
+                    </p>
+                </div>
+
+                {error && <div className="p-3 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm">{error}</div>}
+                {!url && !error && (
+                    <div className="flex items-center justify-center py-10 text-gray-400">
+                        <Loader2 className="w-6 h-6 animate-spin" />
+                    </div>
+                )}
+                {url && (
+                    <a href={url} target="_blank" rel="noopener noreferrer" title="Abrir en tamaño completo">
+                        <img src={url} alt={`Ticket de ${expense.description}`} className="w-full max-h-[60vh] object-contain rounded-lg border border-gray-200" />
+                    </a>
+                )}
+
+                {items.length > 0 && (
+                    <div>
+                        <h3 className="text-sm font-semibold text-gray-700 mb-2">Ítems del ticket</h3>
+                        <ul className="divide-y divide-gray-100 text-sm">
+                            {items.map((item, index) => (
+                                <li key={index} className="flex justify-between py-1.5">
+                                    <span className="text-gray-700 truncate mr-4">{item.description}</span>
+                                    {item.amount !== null && <span className="text-gray-500 shrink-0">{formatMoney(item.amount, expense.currency)}</span>}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        </Modal>
+    );
+};
+
+export default ReceiptViewer;
@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { Repeat, Plus, Trash2, Pause, Play, Loader2 } from 'lucide-react';
+import Modal from './Modal';
+import { FREQUENCIES, validateTemplate } from '../services/recurring';
+import { toDateInputValue, parseDateInput, endOfDay } from '../services/dates';
+import { formatMoney } from '../services/currency';
+
+const inputClass = "w-full p-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+// Describe cuándo termina una plantilla
+const describeEnd = (template) => {
+    if (template.maxOccurrences) {
+        return `${template.occurrencesPosted || 0} de ${template.maxOccurrences} repeticiones`;
+    }
+    if (template.endDate) {
+        return `hasta el ${template.endDate.toLocaleDateString('es-AR')}`;
+    }
+    return 'sin fecha de fin';
+};
+
+// Pantalla de gastos recurrentes (alquiler, suscripciones, servicios...)
+const RecurringManager = ({ templates, categoryNames, currencies, baseCurrency, onCreate, onToggle, onDelete, onClose }) => {
+    const [form, setForm] = useState(() => ({
+        description: '',
+        amount: '',
+        currency: baseCurrency,
+        category: categoryNames.includes('Servicios') ? 'Servicios' : categoryNames[0],
+        classification: '',
+        frequency: 'monthly',
+        startDate: toDateInputValue(new Date()),
+        endType: 'never',
+        endDate: '',
+        maxOccurrences: '',
+    }));
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+    // Ejecuta una acción mostrando el estado de carga y el error, si lo hay
+    const run = async (action) => {
+        setIsBusy(true);
+        setError(null);
+        try {
+            await action();
+            return true;
+        } catch (e) {
+            console.error("Error al gestionar gastos recurrentes:", e);
+            setError("No se pudo completar la acción. Intenta de nuevo.");
+            return false;
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const endDate = form.endType === 'date' ? parseDateInput(form.endDate) : null;
+        const data = {
+            description: form.description.trim(),
+            amount: parseFloat(form.amount),
+            currency: form.currency,
+            category: form.category,
+            classification: form.classification.trim() || FREQUENCIES[form.frequency],
+            frequency: form.frequency,
+            startDate: parseDateInput(form.startDate),
+            endDate: endDate ? endOfDay(endDate) : null,
+            maxOccurrences: form.endType === 'count' ? parseInt(form.maxOccurrences, 10) : null,
+        };
+
+        const validationError = validateTemplate(data);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        if (await run(() => onCreate(data))) {
+            setForm({ ...form, description: '', amount: '', classification: '' });
+        }
+    };
+
+    return (
+        <Modal title="Gastos Recurrentes" icon={Repeat} onClose={onClose}>
+            {error && <div className="p-3 mb-4 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm">{error}</div>}
+
+            {/* Plantillas existentes */}
+            <div className="space-y-2 max-h-72 overflow-y-auto pr-2 mb-6">
+                {templates.length === 0 && (
+                    <p className="text-center text-gray-500 py-4">Aún no tienes gastos recurrentes.</p>
+                )}
+                {templates.map(template => (
+                    <div key={template.id} className={`p-3 rounded-lg border ${template.active ? 'bg-gray-50 border-gray-200' : 'bg-gray-100 border-gray-200 opacity-60'}`}>
+                        <div className="flex items-center justify-between">
+                            <div className="min-w-0">
+                                <p className="font-medium text-gray-800 truncate">{template.description}</p>
+                                <p className="text-xs text-gray-500">
+                                    {formatMoney(template.amount, template.currency)} · {FREQUENCIES[template.frequency]} · {template.category} · {describeEnd(template)}
+                                </p>
+                            </div>
+                            <div className="flex items-center shrink-0 ml-2">
+                                <button
+                                    onClick={() => run(() => onToggle(template))}
+                                    className="p-1 text-indigo-400 hover:text-indigo-600 rounded-full hover:bg-indigo-50"
+                                    title={template.active ? 'Pausar' : 'Reanudar'}
+                                    disabled={isBusy}
+                                >
+                                    {template.active ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                                </button>
+                                <button
+                                    onClick={() => run(() => onDelete(template))}
+                                    className="p-1 text-red-400 hover:text-red-600 rounded-full hover:bg-red-50"
+                                    title="Eliminar (los gastos ya registrados se conservan)"
+                                    disabled={isBusy}
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {/* Alta de una nueva plantilla */}
+            <form onSubmit={handleSubmit} className="space-y-3 border-t border-gray-200 pt-4">
+                <h3 className="font-semibold text-gray-700">Nuevo Gasto Recurrente</h3>
+                <input type="text" placeholder="Descripción (ej: Alquiler)" value={form.description} onChange={update('description')} className={inputClass} disabled={isBusy} />
+                <div className="grid grid-cols-3 gap-2">
+                    <input type="number" step="0.01" min="0" placeholder="Monto" value={form.amount} onChange={update('amount')} className={`${inputClass} col-span-2`} disabled={isBusy} />
+                    <select aria-label="Moneda" value={form.currency} onChange={update('currency')} className={inputClass} disabled={isBusy}>
+                        {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+                    </select>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                    <select aria-label="Categoría" value={form.category} onChange={update('category')} className={inputClass} disabled={isBusy}>
+                        {categoryNames.map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                    <input type="text" placeholder="Clasificación (ej: Alquiler)" value={form.classification} onChange={update('classification')} className={inputClass} disabled={isBusy} />
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                    <select aria-label="Frecuencia" value={form.frequency} onChange={update('frequency')} className={inputClass} disabled={isBusy}>
+                        {Object.entries(FREQUENCIES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                    <input type="date" aria-label="Primera ocurrencia" value={form.startDate} onChange={update('startDate')} className={inputClass} disabled={isBusy} />
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                    <select aria-label="Fin" value={form.endType} onChange={update('endType')} className={inputClass} disabled={isBusy}>
+                        <option value="never">Sin fin</option>
+                        <option value="date">Hasta una fecha</option>
+                        <option value="count">Cantidad de veces</option>
+                    </select>
+                    {form.endType === 'date' && (
+                        <input type="date" aria-label="Fecha de fin" value={form.endDate} onChange={update('endDate')} className={inputClass} disabled={isBusy} />
+                    )}
+                    {form.endType === 'count' && (
+                        <input type="number" min="1" step="1" placeholder="Repeticiones" value={form.maxOccurrences} onChange={update('maxOccurrences')} className={inputClass} disabled={isBusy} />
+                    )}
+                </div>
+                <p className="text-xs text-gray-400">Las ocurrencias vencidas se registran automáticamente al abrir la app, con la categoría elegida (sin consultar a la IA).</p>
+                <button
+                    type="submit"
+                    className="w-full flex items-center justify-center py-2 px-4 bg-indigo-600 text-white font-bold rounded-xl shadow-md hover:bg-indigo-700 transition duration-300 disabled:bg-indigo-400"
+                    disabled={isBusy}
+                >
+                    {isBusy ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <Plus className="w-5 h-5 mr-2" />}
+                    Crear Gasto Recurrente
+                </button>
+            </form>
+        </Modal>
+    );
+};
+
+export default RecurringManager;
@@ -0,0 +1,317 @@
+import React, { useMemo, useState } from 'react';
+import { Users, Plus, LogIn, Scale, Trash2, Loader2, Check } from 'lucide-react';
+import Modal from './Modal';
+import { SPLIT_TYPES, getMemberName, canDeleteEntry, computeBalances, simplifyDebts, validateSharedExpense } from '../services/ledgers';
+import { formatMoney } from '../services/currency';
+import { toDateInputValue, parseDateInput } from '../services/dates';
+
+const inputClass = "w-full p-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+// Valores iniciales del reparto según el tipo (todos participan en partes iguales)
+const initialShares = (type, memberIds) => Object.fromEntries(memberIds.map(id => [
+    id,
+    type === 'equal' ? true : type === 'percent' ? String(Number((100 / memberIds.length).toFixed(2))) : '',
+]));
+
+// Convierte lo cargado en el formulario en el reparto que se guarda
+// (en partes iguales, un miembro que se unió después participa por defecto)
+const toSplit = (type, shares, memberIds) => ({
+    type,
+    shares: Object.fromEntries(memberIds.map(id => [
+        id,
+        type === 'equal' ? ((shares[id] ?? true) ? 1 : 0) : (parseFloat(String(shares[id] ?? '').replace(',', '.')) || 0),
+    ])),
+});
+
+// Hogares compartidos: gastos repartidos entre miembros, saldos y "saldar cuentas"
+const SharedLedgers = ({
+    account, ledgers, activeLedgerId, expenses, settlements, currencies, baseCurrency,
+    onSelectLedger, onCreate, onJoin, onAddExpense, onSettle, onDeleteEntry, onRequestSignIn, onClose
+}) => {
+    const ledger = ledgers.find(l => l.id === activeLedgerId) || null;
+    const memberIds = useMemo(() => ledger?.memberIds || [], [ledger]);
+
+    const [newLedger, setNewLedger] = useState({ name: '', currency: baseCurrency });
+    const [joinCode, setJoinCode] = useState('');
+    const [form, setForm] = useState(() => ({
+        description: '',
+        amount: '',
+        date: toDateInputValue(new Date()),
+        paidBy: account?.uid || '',
+        splitType: 'equal',
+        shares: initialShares('equal', memberIds),
+    }));
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const balances = useMemo(() => computeBalances(expenses, settlements, memberIds), [expenses, settlements, memberIds]);
+    const transfers = useMemo(() => simplifyDebts(balances), [balances]);
+
+    // Ejecuta una acción mostrando el estado de carga y el error, si lo hay
+    const run = async (action, message) => {
+        setIsBusy(true);
+        setError(null);
+        try {
+            await action();
+            return true;
+        } catch (e) {
+            console.error("Error en el hogar compartido:", e);
+            setError(message);
+            return false;
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleSelect = (id) => {
+        const next = ledgers.find(l => l.id === id);
+        setForm({ ...form, paidBy: account.uid, splitType: 'equal', shares: initialShares('equal', next?.memberIds || []) });
+        setError(null);
+        onSelectLedger(id);
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!newLedger.name.trim()) {
+            setError("Ponle un nombre al hogar.");
+            return;
+        }
+        if (await run(() => onCreate({ name: newLedger.name.trim(), currency: newLedger.currency }), "No se pudo crear el hogar.")) {
+            setNewLedger({ ...newLedger, name: '' });
+        }
+    };
+
+    const handleJoin = async (e) => {
+        e.preventDefault();
+        if (!joinCode.trim()) return;
+        if (await run(() => onJoin(joinCode.trim()), "No se pudo unir al hogar. Revisa el código.")) {
+            setJoinCode('');
+        }
+    };
+
+    const handleSplitType = (splitType) => setForm({ ...form, splitType, shares: initialShares(splitType, memberIds) });
+
+    const handleAddExpense = async (e) => {
+        e.preventDefault();
+        const data = {
+            description: form.description.trim(),
+            amount: parseFloat(String(form.amount).replace(',', '.')),
+            paidBy: form.paidBy,
+            split: toSplit(form.splitType, form.shares, memberIds),
+            date: parseDateInput(form.date),
+        };
+        const validationError = validateSharedExpense(data, memberIds) || (data.date ? null : "Introduce una fecha válida.");
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        if (await run(() => onAddExpense(data), "No se pudo guardar el gasto compartido.")) {
+            setForm({ ...form, description: '', amount: '' });
+        }
+    };
+
+    const handleSettle = (transfer) => {
+        const text = `¿Registrar que ${getMemberName(ledger, transfer.from)} pagó ${formatMoney(transfer.amount, ledger.currency)} a ${getMemberName(ledger, transfer.to)}?`;
+        if (window.confirm(text)) {
+            run(() => onSettle(transfer), "No se pudo registrar el pago.");
+        }
+    };
+
+    if (!account || account.isAnonymous) {
+        return (
+            <Modal title="Hogar Compartido" icon={Users} onClose={onClose}>
+                <div className="text-center py-6 space-y-4">
+                    <p className="text-gray-600">Para compartir gastos con tu hogar, cada miembro necesita una cuenta.</p>
+                    <button onClick={onRequestSignIn} className="inline-flex items-center px-4 py-2 bg-indigo-600 text-white font-semibold rounded-xl hover:bg-indigo-700">
+                        <LogIn className="w-5 h-5 mr-2" />
+                        Iniciar sesión / Crear cuenta
+                    </button>
+                </div>
+            </Modal>
+        );
+    }
+
+    // Actividad reciente: gastos y pagos ordenados por fecha
+    const activity = [
+        ...expenses.map(expense => ({ kind: 'expenses', ...expense })),
+        ...settlements.map(settlement => ({ kind: 'settlements', ...settlement })),
+    ].sort((a, b) => b.date - a.date);
+
+    return (
+        <Modal title="Hogar Compartido" icon={Users} onClose={onClose}>
+            {error && <div className="p-3 mb-4 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm">{error}</div>}
+
+            {/* Elección, alta y unión de hogares */}
+            <div className="space-y-3 mb-6">
+                {ledgers.length > 0 && (
+                    <select aria-label="Hogar" value={activeLedgerId || ''} onChange={(e) => handleSelect(e.target.value)} className={inputClass}>
+                        {ledgers.map(l => <option key={l.id} value={l.id}>{l.name} ({l.memberIds.length} miembros)</option>)}
+                    </select>
+                )}
+                <details className="text-sm" open={ledgers.length === 0}>
+                    <summary className="cursor-pointer font-medium text-indigo-600">Crear un hogar o unirme a uno</summary>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-3">
+                        <form onSubmit={handleCreate} className="space-y-2">
+                            <input type="text" placeholder="Nombre (ej: Casa)" value={newLedger.name} onChange={(e) => setNewLedger({ ...newLedger, name: e.target.value })} className={inputClass} disabled={isBusy} />
+                            <select aria-label="Moneda del hogar" value={newLedger.currency} onChange={(e) => setNewLedger({ ...newLedger, currency: e.target.value })} className={inputClass} disabled={isBusy}>
+                                {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+                            </select>
+                            <button type="submit" className="w-full flex items-center justify-center py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:bg-indigo-400" disabled={isBusy}>
+                                <Plus className="w-4 h-4 mr-1" />
+                                Crear hogar
+                            </button>
+                        </form>
+                        <form onSubmit={handleJoin} className="space-y-2">
+                            <input type="text" placeholder="Código de invitación" value={joinCode} onChange={(e) => setJoinCode(e.target.value)} className={inputClass} disabled={isBusy} />
+                            <button type="submit" className="w-full flex items-center justify-center py-2 bg-gray-200 font-semibold rounded-lg hover:bg-gray-300 disabled:opacity-50" disabled={isBusy}>
+                                <LogIn className="w-4 h-4 mr-1" />
+                                Unirme
+                            </button>
+                        </form>
+                    </div>
+                </details>
+            </div>
+
+            {ledger && (
+                <div className="space-y-6">
+                    <p className="text-xs text-gray-500">
+                        Código de invitación: <span className="font-mono font-semibold text-gray-700 select-all">{ledger.id}</span> · Moneda: {ledger.currency}
+                    </p>
+
+                    {/* Saldos */}
+                    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                        <h3 className="font-semibold text-gray-700 flex items-center mb-3">
+                            <Scale className="w-4 h-4 mr-2 text-indigo-600" />
+                            Saldos
+                        </h3>
+                        <ul className="space-y-1 text-sm">
+                            {memberIds.map(id => (
+                                <li key={id} className="flex justify-between">
+                                    <span className="text-gray-700">{getMemberName(ledger, id)}{id === account.uid ? ' (tú)' : ''}</span>
+                                    <span className={`font-semibold ${balances[id] > 0 ? 'text-green-600' : balances[id] < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                                        {balances[id] > 0 ? 'le deben ' : balances[id] < 0 ? 'debe ' : ''}{formatMoney(Math.abs(balances[id] || 0), ledger.currency)}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                        {transfers.length > 0 ? (
+                            <div className="mt-3 pt-3 border-t border-gray-200 space-y-2">
+                                {transfers.map(transfer => (
+                                    <div key={`${transfer.from}-${transfer.to}`} className="flex items-center justify-between text-sm">
+                                        <span className="text-gray-700">
+                                            {getMemberName(ledger, transfer.from)} → {getMemberName(ledger, transfer.to)}: <span className="font-semibold">{formatMoney(transfer.amount, ledger.currency)}</span>
+                                        </span>
+                                        <button onClick={() => handleSettle(transfer)} className="flex items-center px-2 py-1 text-xs font-semibold text-white bg-green-600 rounded-lg hover:bg-green-700 disabled:bg-green-400" disabled={isBusy}>
+                                            <Check className="w-3 h-3 mr-1" />
+                                            Saldar
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        ) : (
+                            <p className="mt-3 text-xs text-gray-500">Las cuentas están saldadas.</p>
+                        )}
+                    </div>
+
+                    {/* Alta de un gasto compartido */}
+                    <form onSubmit={handleAddExpense} className="space-y-3">
+                        <h3 className="font-semibold text-gray-700">Nuevo Gasto Compartido</h3>
+                        <input type="text" placeholder="Descripción (ej: Supermercado)" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} className={inputClass} disabled={isBusy} />
+                        <div className="grid grid-cols-2 gap-2">
+                            <input type="number" step="0.01" min="0" placeholder={`Monto (${ledger.currency})`} value={form.amount} onChange={(e) => setForm({ ...form, amount: e.target.value })} className={inputClass} disabled={isBusy} />
+                            <input type="date" aria-label="Fecha" value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} className={inputClass} disabled={isBusy} />
+                        </div>
+                        <div className="grid grid-cols-2 gap-2">
+                            <select aria-label="Pagó" value={form.paidBy} onChange={(e) => setForm({ ...form, paidBy: e.target.value })} className={inputClass} disabled={isBusy}>
+                                {memberIds.map(id => <option key={id} value={id}>Pagó {getMemberName(ledger, id)}</option>)}
+                            </select>
+                            <select aria-label="Reparto" value={form.splitType} onChange={(e) => handleSplitType(e.target.value)} className={inputClass} disabled={isBusy}>
+                                {Object.entries(SPLIT_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-1">
+                            {memberIds.map(id => (
+                                <div key={id} className="flex items-center justify-between text-sm">
+                                    {form.splitType === 'equal' ? (
+                                        <label className="flex items-center text-gray-700">
+                                            <input
+                                                type="checkbox"
+                                                checked={form.shares[id] ?? true}
+                                                onChange={(e) => setForm({ ...form, shares: { ...form.shares, [id]: e.target.checked } })}
+                                                className="mr-2"
+                                                disabled={isBusy}
+                                            />
+                                            {getMemberName(ledger, id)}
+                                        </label>
+                                    ) : (
+                                        <>
+                                            <span className="text-gray-700">{getMemberName(ledger, id)}</span>
+                                            <span className="flex items-center">
+                                                <input
+                                                    type="number"
+                                                    step="0.01"
+                                                    min="0"
+                                                    value={form.shares[id] ?? ''}
+                                                    onChange={(e) => setForm({ ...form, shares: { ...form.shares, [id]: e.target.value } })}
+                                                    className="w-28 p-1 border border-gray-300 rounded-lg text-right"
+                                                    disabled={isBusy}
+                                                />
+                                                <span className="w-10 ml-1 text-gray-500">{form.splitType === 'percent' ? '%' : ledger.currency}</span>
+                                            </span>
+                                        </>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                        <button type="submit" className="w-full flex items-center justify-center py-2 px-4 bg-indigo-600 text-white font-bold rounded-xl shadow-md hover:bg-indigo-700 transition duration-300 disabled:bg-indigo-400" disabled={isBusy}>
+                            {isBusy ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <Plus className="w-5 h-5 mr-2" />}
+                            Añadir Gasto Compartido
+                        </button>
+                    </form>
+
+                    {/* Actividad */}
+                    <div>
+                        <h3 className="font-semibold text-gray-700 mb-2">Actividad</h3>
+                        {activity.length === 0 && <p className="text-sm text-gray-500">Aún no hay gastos compartidos.</p>}
+                        <div className="space-y-2 max-h-72 overflow-y-auto pr-2">
+                            {activity.map(item => (
+                                <div key={`${item.kind}-${item.id}`} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg border border-gray-200 text-sm">
+                                    <div className="min-w-0">
+                                        {item.kind === 'expenses' ? (
+                                            <>
+                                                <p className="font-medium text-gray-800 truncate">{item.description}</p>
+                                                <p className="text-xs text-gray-500">
+                                                    {item.date.toLocaleDateString('es-AR')} · Pagó {getMemberName(ledger, item.paidBy)} · {SPLIT_TYPES[item.split?.type] || ''} · {item.category}
+                                                </p>
+                                            </>
+                                        ) : (
+                                            <>
+                                                <p className="font-medium text-green-700">{getMemberName(ledger, item.from)} pagó a {getMemberName(ledger, item.to)}</p>
+                                                <p className="text-xs text-gray-500">{item.date.toLocaleDateString('es-AR')} · Saldo de cuentas</p>
+                                            </>
+                                        )}
+                                    </div>
+                                    <div className="flex items-center shrink-0 ml-2">
+                                        <span className="font-semibold text-gray-900">{formatMoney(item.amount, ledger.currency)}</span>
+                                        {canDeleteEntry(ledger, item, account.uid) && (
+                                            <button
+                                                onClick={() => run(() => onDeleteEntry(item.kind, item.id), "No se pudo eliminar.")}
+                                                className="ml-2 p-1 text-red-400 hover:text-red-600 rounded-full hover:bg-red-50"
+                                                title="Eliminar"
+                                                disabled={isBusy}
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        )}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+export default SharedLedgers;
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { Trash2, RotateCcw, Loader2, Check } from 'lucide-react';
+import Modal from './Modal';
+import { formatMoney } from '../services/currency';
+import { MAX_TRASH_RETENTION_DAYS, getTrashDaysLeft, validateRetentionDays } from '../services/trash';
+
+// Papelera: gastos eliminados que pueden restaurarse o borrarse definitivamente
+const Trash = ({ items, retentionDays, onRestore, onPurge, onSaveRetention, onClose }) => {
+    const [selected, setSelected] = useState(new Set());
+    const [isWorking, setIsWorking] = useState(false);
+    const [days, setDays] = useState(String(retentionDays));
+    const [isSavingDays, setIsSavingDays] = useState(false);
+    const [error, setError] = useState(null);
+
+    const selectedItems = items.filter(item => selected.has(item.id));
+
+    const toggle = (id) => {
+        const next = new Set(selected);
+        if (next.has(id)) next.delete(id); else next.add(id);
+        setSelected(next);
+    };
+
+    const run = async (action, targets, message) => {
+        setIsWorking(true);
+        setError(null);
+        try {
+            await action(targets);
+            setSelected(new Set());
+        } catch (err) {
+            console.error("Error en la papelera:", err);
+            setError(message);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handlePurge = (targets) => {
+        const label = targets.length === items.length ? 'Vaciar la papelera' : `Eliminar definitivamente ${targets.length} gasto(s)`;
+        if (!window.confirm(`¿${label}? Esta acción no se puede deshacer.`)) {
+            return;
+        }
+        run(onPurge, targets, "No se pudieron eliminar los gastos. Intenta de nuevo.");
+    };
+
+    const handleSaveRetention = async (e) => {
+        e.preventDefault();
+        const value = Number(days);
+        const validation = validateRetentionDays(value);
+        if (validation) {
+            setError(validation);
+            return;
+        }
+        setIsSavingDays(true);
+        setError(null);
+        try {
+            await onSaveRetention(value);
+        } catch (err) {
+            console.error("Error al guardar los días de la papelera:", err);
+            setError("No se pudo guardar el ajuste. Intenta de nuevo.");
+        } finally {
+            setIsSavingDays(false);
+        }
+    };
+
+    return (
+        <Modal title="Papelera" icon={Trash2} onClose={onClose}>
+            <div className="space-y-4">
+                <form onSubmit={handleSaveRetention} className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                    <label htmlFor="trash-retention">Vaciar automáticamente los gastos con más de</label>
+                    <input
+                        id="trash-retention"
+                        type="number"
+                        min="1"
+                        max={MAX_TRASH_RETENTION_DAYS}
+                        value={days}
+                        onChange={(e) => setDays(e.target.value)}
+                        className="w-20 p-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        disabled={isSavingDays}
+                    />
+                    <span>días</span>
+                    <button
+                        type="submit"
+                        className="flex items-center px-3 py-1.5 text-sm font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150 disabled:opacity-50"
+                        disabled={isSavingDays || Number(days) === retentionDays}
+                    >
+                        {isSavingDays ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Check className="w-4 h-4 mr-1" />}
+                        Guardar
+                    </button>
+                </form>
+
+                {error && <div className="p-3 bg-red-100 text-red-600 border border-red-300 rounded-lg text-sm">{error}</div>}
+
+                {items.length === 0 ? (
+                    <p className="text-center text-gray-500 py-6">La papelera está vacía.</p>
+                ) : (
+                    <>
+                        <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+                            {items.map(item => {
+                                const daysLeft = getTrashDaysLeft(item, retentionDays);
+                                return (
+                                    <label key={item.id} className="flex items-center p-3 text-sm hover:bg-gray-50 cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            checked={selected.has(item.id)}
+                                            onChange={() => toggle(item.id)}
+                                            className="mr-3"
+                                            disabled={isWorking}
+                                        />
+                                        <div className="flex-1 min-w-0">
+                                            <p className="font-medium text-gray-800 truncate" title={item.description}>{item.description}</p>
+                                            <p className="text-xs text-gray-500">
+                                                {item.date.toLocaleDateString('es-AR')} · {item.category} · eliminado el {item.deletedAt.toLocaleDateString('es-AR')}
+                                            </p>
+                                            <p className="text-xs text-amber-600">
+                                                {daysLeft > 0 ? `Se borrará en ${daysLeft} día(s)` : 'Se borrará al volver a abrir la app'}
+                                            </p>
+                                        </div>
+                                        <span className="ml-3 font-semibold text-gray-900 whitespace-nowrap">{formatMoney(item.amount, item.currency)}</span>
+                                    </label>
+                                );
+                            })}
+                        </div>
+
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                            <button
+                                onClick={() => run(onRestore, selectedItems, "No se pudieron restaurar los gastos. Intenta de nuevo.")}
+                                className="flex items-center justify-center py-2 px-4 bg-indigo-600 text-white font-semibold rounded-xl hover:bg-indigo-700 disabled:bg-indigo-400"
+                                disabled={isWorking || selected.size === 0}
+                            >
+                                {isWorking ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <RotateCcw className="w-5 h-5 mr-2" />}
+                                Restaurar ({selected.size})
+                            </button>
+                            <button
+                                onClick={() => handlePurge(selectedItems)}
+                                className="flex items-center justify-center py-2 px-4 bg-gray-200 font-semibold rounded-xl hover:bg-gray-300 disabled:opacity-50"
+                                disabled={isWorking || selected.size === 0}
+                            >
+                                <Trash2 className="w-5 h-5 mr-2" />
+                                Eliminar ({selected.size})
+                            </button>
+                            <button
+                                onClick={() => handlePurge(items)}
+                                className="flex items-center justify-center py-2 px-4 bg-red-100 text-red-700 font-semibold rounded-xl hover:bg-red-200 disabled:opacity-50"
+                                disabled={isWorking}
+                            >
+                                <Trash2 className="w-5 h-5 mr-2" />
+                                Vaciar papelera
+                            </button>
+                        </div>
+                        <p className="text-xs text-gray-400">Los gastos restaurados vuelven al período actual con su fecha original.</p>
+                    </>
+                )}
+            </div>
+        </Modal>
+    );
+};
+
+export default Trash;
@@ -0,0 +1,193 @@
+import React, { useMemo, useState } from 'react';
+import { TrendingUp, AlertTriangle } from 'lucide-react';
+import Modal from './Modal';
+import { buildTrendSeries, getPeriodDeltas, computeTrendAverages } from '../services/trends';
+import { getCategoryColor } from '../services/categories';
+import { formatMoney } from '../services/currency';
+
+const CHART_TYPES = { bars: 'Barras', line: 'Línea' };
+
+// Diferencia con signo y color (subir el gasto es malo: rojo)
+const Delta = ({ value, percent, currency }) => {
+    if (value === null) return <span className="text-gray-400">—</span>;
+    const color = value > 0 ? 'text-red-600' : value < 0 ? 'text-green-600' : 'text-gray-500';
+    return (
+        <span className={`font-mono ${color}`}>
+            {value > 0 ? '+' : ''}{formatMoney(value, currency)}
+            {percent !== null && percent !== undefined && ` (${percent > 0 ? '+' : ''}${percent.toFixed(1)}%)`}
+        </span>
+    );
+};
+
+// Tendencias: evolución del gasto total y por categoría a lo largo de los períodos archivados
+const Trends = ({ history, current, categories, baseCurrency, rateTable, onClose }) => {
+    const [chartType, setChartType] = useState('bars');
+    const [selectedCategory, setSelectedCategory] = useState('');
+    const [includeCurrent, setIncludeCurrent] = useState(true);
+
+    const series = useMemo(
+        () => buildTrendSeries(history, { baseCurrency, rateTable, current: includeCurrent ? current : null }),
+        [history, baseCurrency, rateTable, current, includeCurrent]
+    );
+    const averages = useMemo(() => computeTrendAverages(series), [series]);
+
+    const rows = getPeriodDeltas(series.periods, selectedCategory);
+    const max = Math.max(0, ...rows.map(row => row.value));
+    const shownCategories = selectedCategory ? [selectedCategory] : series.categories;
+
+    // Puntos de la línea en un lienzo de 100x100 (cada período en el centro de su columna)
+    const linePoints = rows.map((row, index) => {
+        const x = ((index + 0.5) / rows.length) * 100;
+        const y = max > 0 ? 100 - (row.value / max) * 100 : 100;
+        return `${x},${y}`;
+    }).join(' ');
+    const selectedAverage = selectedCategory
+        ? averages.rows.find(row => row.category === selectedCategory)?.average ?? null
+        : averages.averageTotal;
+
+    return (
+        <Modal title="Tendencias" icon={TrendingUp} onClose={onClose}>
+            {series.periods.length < 2 ? (
+                <p className="text-center text-gray-500 py-6">Las tendencias necesitan al menos dos períodos para comparar (archiva un período o incluye el período en curso).</p>
+            ) : (
+                <div className="space-y-5">
+                    <div className="flex flex-wrap items-center gap-3 text-sm">
+                        <div className="flex p-1 bg-gray-100 rounded-lg font-semibold">
+                            {Object.entries(CHART_TYPES).map(([value, label]) => (
+                                <button
+                                    key={value}
+                                    onClick={() => setChartType(value)}
+                                    className={`px-3 py-1 rounded-md ${chartType === value ? 'bg-white text-indigo-700 shadow' : 'text-gray-500'}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        <select value={selectedCategory} onChange={(e) => setSelectedCategory(e.target.value)} className="p-1.5 border border-gray-300 rounded-lg bg-white">
+                            <option value="">Total (por categoría)</option>
+                            {series.categories.map(name => <option key={name} value={name}>{name}</option>)}
+                        </select>
+                        <label className="flex items-center text-gray-700">
+                            <input type="checkbox" checked={includeCurrent} onChange={(e) => setIncludeCurrent(e.target.checked)} className="mr-2" />
+                            Incluir período en curso
+                        </label>
+                    </div>
+
+                    {series.skipped > 0 && (
+                        <p className="text-xs text-amber-700 flex items-center">
+                            <AlertTriangle className="w-3 h-3 mr-1" />
+                            {series.skipped} período(s) sin tipo de cambio a {baseCurrency} no se incluyen.
+                        </p>
+                    )}
+
+                    {/* Gráfico */}
+                    <div>
+                        <div className="relative h-48 flex items-end gap-1 border-b border-gray-300">
+                            {rows.map(period => (
+                                <div
+                                    key={period.id}
+                                    className="flex-1 h-full flex flex-col-reverse"
+                                    title={`${period.title}: ${formatMoney(period.value, baseCurrency)}`}
+                                >
+                                    {chartType === 'bars' && shownCategories.map(category => {
+                                        const value = period.categories[category] || 0;
+                                        return value > 0 && max > 0 ? (
+                                            <div
+                                                key={category}
+                                                className={`${getCategoryColor(categories, category)} ${period.isCurrent ? 'opacity-60' : ''} w-full last:rounded-t`}
+                                                style={{ height: `${(value / max) * 100}%` }}
+                                                title={`${period.title} · ${category}: ${formatMoney(value, baseCurrency)}`}
+                                            />
+                                        ) : null;
+                                    })}
+                                </div>
+                            ))}
+                            {chartType === 'line' && (
+                                <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="absolute inset-0 w-full h-full pointer-events-none">
+                                    <polyline points={linePoints} fill="none" strokeWidth="2" vectorEffect="non-scaling-stroke" className="stroke-indigo-600" />
+                                </svg>
+                            )}
+                        </div>
+                        <div className="flex gap-1 mt-1">
+                            {series.periods.map(period => (
+                                <span key={period.id} className={`flex-1 text-center text-xs truncate ${period.isCurrent ? 'text-indigo-600 font-semibold' : 'text-gray-500'}`}>
+                                    {period.label}
+                                </span>
+                            ))}
+                        </div>
+                        {chartType === 'bars' && !selectedCategory && (
+                            <div className="flex flex-wrap gap-x-3 gap-y-1 mt-3 text-xs text-gray-600">
+                                {series.categories.map(name => (
+                                    <span key={name} className="flex items-center">
+                                        <span className={`w-2.5 h-2.5 rounded-full mr-1 ${getCategoryColor(categories, name)}`} />
+                                        {name}
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Diferencias período a período del valor elegido (total o categoría) */}
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-600 border-b border-gray-200">
+                                    <th className="p-2">Período</th>
+                                    <th className="p-2 text-right">{selectedCategory || 'Total'}</th>
+                                    <th className="p-2 text-right">Variación</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {[...rows].reverse().map(row => (
+                                    <tr key={row.id} className="border-b border-gray-100">
+                                        <td className="p-2">{row.title}</td>
+                                        <td className="p-2 text-right font-mono">{formatMoney(row.value, baseCurrency)}</td>
+                                        <td className="p-2 text-right"><Delta value={row.delta} percent={row.deltaPercent} currency={baseCurrency} /></td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                            {selectedAverage !== null && (
+                                <tfoot>
+                                    <tr className="font-semibold">
+                                        <td className="p-2">Promedio por período archivado</td>
+                                        <td className="p-2 text-right font-mono">{formatMoney(selectedAverage, baseCurrency)}</td>
+                                        <td className="p-2" />
+                                    </tr>
+                                </tfoot>
+                            )}
+                        </table>
+                    </div>
+
+                    {/* Promedios por categoría */}
+                    {!selectedCategory && averages.rows.length > 0 && (
+                        <details className="text-sm">
+                            <summary className="cursor-pointer font-medium text-indigo-600 hover:text-indigo-700">Promedio por categoría</summary>
+                            <table className="w-full mt-2">
+                                <thead>
+                                    <tr className="text-left text-gray-600 border-b border-gray-200">
+                                        <th className="p-2">Categoría</th>
+                                        <th className="p-2 text-right">Promedio</th>
+                                        <th className="p-2 text-right">Último período</th>
+                                        <th className="p-2 text-right">Diferencia</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {averages.rows.map(row => (
+                                        <tr key={row.category} className="border-b border-gray-100">
+                                            <td className="p-2">{row.category}</td>
+                                            <td className="p-2 text-right font-mono">{formatMoney(row.average, baseCurrency)}</td>
+                                            <td className="p-2 text-right font-mono">{formatMoney(row.last, baseCurrency)}</td>
+                                            <td className="p-2 text-right"><Delta value={row.difference} currency={baseCurrency} /></td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </details>
+                    )}
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+export default Trends;
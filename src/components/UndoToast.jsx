@@ -0,0 +1,31 @@
+import React, { useEffect } from 'react';
+import { Undo2, X } from 'lucide-react';
+
+// Aviso temporal al pie de la pantalla con una acción para deshacer lo último que se hizo
+const UndoToast = ({ message, onUndo, onClose, duration = 6000 }) => {
+    // Se cierra solo; cada aviso nuevo (otro mensaje) reinicia el tiempo
+    useEffect(() => {
+        const timer = setTimeout(onClose, duration);
+        return () => clearTimeout(timer);
+    }, [message, onClose, duration]);
+
+    return (
+        <div className="fixed bottom-4 inset-x-0 flex justify-center px-4 z-50 pointer-events-none">
+            <div role="status" className="pointer-events-auto flex items-center gap-3 max-w-md w-full sm:w-auto px-4 py-3 bg-gray-900 text-white text-sm rounded-xl shadow-lg">
+                <span className="flex-1 truncate" title={message}>{message}</span>
+                <button
+                    onClick={onUndo}
+                    className="flex items-center font-semibold text-indigo-300 hover:text-indigo-200"
+                >
+                    <Undo2 className="w-4 h-4 mr-1" />
+                    Deshacer
+                </button>
+                <button onClick={onClose} className="text-gray-400 hover:text-white" title="Cerrar">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default UndoToast;
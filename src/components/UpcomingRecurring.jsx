@@ -0,0 +1,39 @@
+import React from 'react';
+import { CalendarClock } from 'lucide-react';
+import { FREQUENCIES } from '../services/recurring';
+import { formatMoney } from '../services/currency';
+
+// Tarjeta del panel con las próximas ocurrencias de los gastos recurrentes
+const UpcomingRecurring = ({ upcoming, onManage }) => (
+    <div className="bg-white p-6 rounded-xl shadow-md transition duration-300 hover:shadow-lg">
+        <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+                <CalendarClock className="w-5 h-5 mr-2 text-teal-600" />
+                Próximos Gastos Recurrentes
+            </h2>
+            <button onClick={onManage} className="text-sm font-medium text-indigo-500 hover:text-indigo-600">
+                Gestionar
+            </button>
+        </div>
+        {upcoming.length === 0 ? (
+            <p className="text-center text-gray-500 py-2">No hay gastos recurrentes en los próximos 30 días.</p>
+        ) : (
+            <ul className="space-y-2 max-h-60 overflow-y-auto pr-2">
+                {upcoming.map(({ template, date }) => (
+                    <li key={`${template.id}-${date.getTime()}`} className="flex justify-between items-center text-sm p-2 bg-gray-50 rounded-lg">
+                        <div className="min-w-0">
+                            <p className="font-medium text-gray-700 truncate">{template.description}</p>
+                            <p className="text-xs text-gray-500">{template.category} · {FREQUENCIES[template.frequency]}</p>
+                        </div>
+                        <div className="text-right ml-2 shrink-0">
+                            <p className="font-bold text-gray-900">{formatMoney(template.amount, template.currency)}</p>
+                            <p className="text-xs text-gray-500">{date.toLocaleDateString('es-AR', { day: 'numeric', month: 'short' })}</p>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        )}
+    </div>
+);
+
+export default UpcomingRecurring;
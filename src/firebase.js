@@ -1,10 +1,10 @@
-// Import the functions you need from the SDKs you need
 import { initializeApp } from "firebase/app";
-// TODO: Add SDKs for Firebase products that you want to use
-// https://firebase.google.com/docs/web/setup#available-libraries
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager } from "firebase/firestore";
+import { getAuth } from "firebase/auth";
+import { getStorage } from "firebase/storage";
 
-// Your web app's Firebase configuration is read from environment variables
-const firebaseConfig = {
+// Configuración de Firebase leída de las variables de entorno (REACT_APP_FIREBASE_*)
+export const firebaseConfig = {
   apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
   authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
   projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
@@ -13,8 +13,22 @@ const firebaseConfig = {
   appId: process.env.REACT_APP_FIREBASE_APP_ID
 };
 
-// Initialize Firebase
-const app = initializeApp(firebaseConfig);
-
-// Export the initialized app
-export default app;
+/**
+ * Initializes Firebase with the environment configuration.
+ * @returns {{db: import('firebase/firestore').Firestore, auth: import('firebase/auth').Auth, storage: import('firebase/storage').FirebaseStorage|null}|null}
+ *   The services (storage is null without a bucket), or null if the configuration is missing.
+ */
+export const initializeFirebase = () => {
+  if (!firebaseConfig.projectId) {
+    return null;
+  }
+  const app = initializeApp(firebaseConfig);
+  return {
+    // Persistencia offline: los gastos se guardan en el dispositivo y se sincronizan al reconectar
+    db: initializeFirestore(app, {
+      localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+    }),
+    auth: getAuth(app),
+    storage: firebaseConfig.storageBucket ? getStorage(app) : null,
+  };
+};
@@ -0,0 +1,447 @@
+/**
+ * @jest-environment node
+ */
+// Pruebas de las reglas de Firestore (firestore.rules) y de la capa de datos
+// (services/repository.js) contra el emulador local. Se ejecutan con
+// `npm run test:rules`, que levanta el emulador; sin él se omiten.
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { collection, deleteDoc, doc, getDoc, getDocs, setDoc, updateDoc, Timestamp } from 'firebase/firestore';
+import { createRepository, getUserPaths } from './services/repository';
+import { ALREADY_ARCHIVED_CODE } from './services/archive';
+import { getLedgersPath } from './services/ledgers';
+
+const APP_ID = 'test-app';
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+const validExpense = {
+  amount: 1250.5,
+  currency: 'ARS',
+  description: 'Supermercado',
+  category: 'Comida',
+  classification: 'Compras',
+  date: new Date(2024, 4, 10),
+};
+
+// Gasto tal como se guarda, para escribirlo sin pasar por la validación del repositorio
+const storedExpense = (changes = {}) => ({
+  amount: 100,
+  currency: 'ARS',
+  description: 'Café',
+  category: 'Comida',
+  classification: '',
+  timestamp: Timestamp.now(),
+  expenseDate: Timestamp.now(),
+  hasTime: false,
+  ...changes,
+});
+
+describeWithEmulator('Firestore rules and repository', () => {
+  let testEnv;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-rastreador-gastos',
+      firestore: { rules: readFileSync(resolve(__dirname, '../firestore.rules'), 'utf8') },
+    });
+  });
+
+  afterEach(() => testEnv.clearFirestore());
+
+  afterAll(() => testEnv.cleanup());
+
+  const dbFor = (uid, token) => testEnv.authenticatedContext(uid, token).firestore();
+  const repositoryFor = (uid) => createRepository(dbFor(uid), APP_ID, uid);
+  const alicePaths = getUserPaths(APP_ID, 'alice');
+
+  describe('user data', () => {
+    test('owners read and write their own expenses', async () => {
+      const repository = repositoryFor('alice');
+      const id = await assertSucceeds(repository.addExpense(validExpense));
+      await assertSucceeds(repository.updateExpense(id, { description: 'Verdulería' }));
+      await assertSucceeds(getDocs(collection(dbFor('alice'), alicePaths.expenses)));
+      await assertSucceeds(repository.deleteExpense(id));
+    });
+
+    test('other users and signed-out visitors cannot access the subtree', async () => {
+      await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), alicePaths.expense('e1')), storedExpense()));
+
+      await assertFails(getDoc(doc(dbFor('bob'), alicePaths.expense('e1'))));
+      await assertFails(getDocs(collection(dbFor('bob'), alicePaths.expenses)));
+      await assertFails(setDoc(doc(dbFor('bob'), alicePaths.expense('e2')), storedExpense()));
+      await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), alicePaths.settings('preferences'))));
+    });
+
+    test.each([
+      ['a zero amount', { amount: 0 }],
+      ['a negative amount', { amount: -5 }],
+      ['an amount stored as text', { amount: '100' }],
+      ['an empty description', { description: '   ' }],
+      ['a missing category', { category: undefined }],
+      ['an empty category', { category: '' }],
+      ['an invalid currency', { currency: 'pesos' }],
+      ['a date stored as text', { expenseDate: '2024-05-10' }],
+    ])('rejects an expense with %s', async (_, changes) => {
+      const data = storedExpense(changes);
+      Object.keys(data).forEach(key => data[key] === undefined && delete data[key]);
+      await assertFails(setDoc(doc(dbFor('alice'), alicePaths.expense('e1')), data));
+    });
+
+    test('rejects updates that leave an invalid expense', async () => {
+      const db = dbFor('alice');
+      await assertSucceeds(setDoc(doc(db, alicePaths.expense('e1')), storedExpense()));
+      await assertFails(updateDoc(doc(db, alicePaths.expense('e1')), { amount: -1 }));
+      await assertSucceeds(updateDoc(doc(db, alicePaths.expense('e1')), { category: 'Salud', classification: 'Farmacia' }));
+    });
+
+    test('only accepts the user\'s categories in the current period', async () => {
+      const repository = repositoryFor('alice');
+      const db = dbFor('alice');
+      await repository.seedDefaultCategories();
+      await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), alicePaths.expense('old')), storedExpense({ category: 'Eliminada' })));
+
+      await assertFails(setDoc(doc(db, alicePaths.expense('e1')), storedExpense({ category: 'Inventada' })));
+      await assertSucceeds(setDoc(doc(db, alicePaths.expense('e1')), storedExpense({ category: 'No Categorizado' })));
+      await assertFails(updateDoc(doc(db, alicePaths.expense('e1')), { category: 'Inventada' }));
+      await assertSucceeds(updateDoc(doc(db, alicePaths.expense('e1')), { category: 'Salud' }));
+      // Un gasto con una categoría que ya no existe puede editarse sin cambiarla
+      await assertSucceeds(updateDoc(doc(db, alicePaths.expense('old')), { amount: 90 }));
+      // Los gastos archivados conservan su categoría
+      await assertSucceeds(setDoc(doc(db, `${alicePaths.archivedExpenses('h1')}/a1`), storedExpense({ category: 'Eliminada' })));
+      await assertFails(deleteDoc(doc(db, alicePaths.settings('categories'))));
+    });
+
+    test('keeps the category list in step with the taxonomy', async () => {
+      const repository = repositoryFor('alice');
+      await repository.seedDefaultCategories();
+      const categories = () => getDocs(collection(dbFor('alice'), alicePaths.categories))
+        .then(snapshot => snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+      const id = await repository.addExpense({ ...validExpense, category: 'Salud' });
+
+      await assertSucceeds(repository.createCategory(await categories(), { name: 'Mascotas', color: 'bg-red-500', icon: 'Package', parentId: null }));
+      await assertSucceeds(repository.updateExpense(id, { category: 'Mascotas' }));
+
+      // Renombrar re-etiqueta los gastos con el nuevo nombre
+      const pets = (await categories()).find(c => c.name === 'Mascotas');
+      await assertSucceeds(repository.updateCategory(await categories(), pets, { ...pets, name: 'Animales' }));
+      expect((await getDoc(doc(dbFor('alice'), alicePaths.expense(id)))).data().category).toBe('Animales');
+
+      // Un gasto de la papelera cuya categoría se eliminó vuelve sin categoría
+      const snapshot = await getDoc(doc(dbFor('alice'), alicePaths.expense(id)));
+      const expense = { id, ...snapshot.data(), date: snapshot.data().expenseDate.toDate(), createdAt: snapshot.data().timestamp.toDate() };
+      await repository.trashExpense(expense);
+      await assertSucceeds(repository.deleteCategory(await categories(), (await categories()).find(c => c.name === 'Animales')));
+      await assertFails(setDoc(doc(dbFor('alice'), alicePaths.expense('e2')), storedExpense({ category: 'Animales' })));
+      await assertSucceeds(repository.restoreFromTrash([{ ...expense, deletedAt: new Date() }]));
+      expect((await getDoc(doc(dbFor('alice'), alicePaths.expense(id)))).data().category).toBe('No Categorizado');
+    });
+
+    test('accepts expenses saved before multi-currency support', async () => {
+      const { currency, ...withoutCurrency } = storedExpense();
+      await assertSucceeds(setDoc(doc(dbFor('alice'), alicePaths.expense('e1')), withoutCurrency));
+    });
+
+    test('only allows the known settings documents', async () => {
+      const repository = repositoryFor('alice');
+      await assertSucceeds(repository.saveSettings('budgets', { overall: 1000, categories: {} }));
+      await assertFails(setDoc(doc(dbFor('alice'), alicePaths.settings('anything')), { value: 1 }));
+    });
+
+    test('validates history records', async () => {
+      const db = dbFor('alice');
+      await assertFails(setDoc(doc(db, alicePaths.historyRecord('h1')), { title: 'Mayo', totalSpent: -10, categorySummary: [] }));
+      await assertFails(setDoc(doc(db, alicePaths.historyRecord('h1')), { title: 'Mayo', totalSpent: 10, categorySummary: [], status: 'deleted' }));
+      await assertSucceeds(setDoc(doc(db, alicePaths.historyRecord('h1')), { title: 'Mayo', totalSpent: 10, categorySummary: [] }));
+    });
+  });
+
+  describe('repository', () => {
+    test('validates expenses before writing them', async () => {
+      const repository = repositoryFor('alice');
+      await expect(repository.addExpense({ ...validExpense, amount: 0 })).rejects.toThrow('El monto debe ser un número mayor que cero.');
+      await expect(repository.addExpense({ ...validExpense, description: ' ' })).rejects.toThrow('La descripción no puede estar vacía.');
+      await expect(repository.addExpense({ ...validExpense, currency: 'pesos' })).rejects.toThrow('La moneda debe ser un código de tres letras (ej: ARS).');
+      await expect(repository.updateExpense('e1', { date: new Date('nope') })).rejects.toThrow('La fecha del gasto no es válida.');
+      await expect(repository.saveSettings('anything', {})).rejects.toThrow('Ajuste desconocido: "anything".');
+    });
+
+    test('archives a period and restores its expenses', async () => {
+      const repository = repositoryFor('alice');
+      const first = await repository.addExpense(validExpense);
+      const second = await repository.addExpense({ ...validExpense, amount: 200, description: 'Colectivo', category: 'Transporte' });
+      const expenses = (await getDocs(collection(dbFor('alice'), alicePaths.expenses))).docs.map(d => ({
+        id: d.id,
+        ...d.data(),
+        date: d.data().expenseDate.toDate(),
+        createdAt: d.data().timestamp.toDate(),
+        baseAmount: d.data().amount,
+      }));
+
+      const historyId = await assertSucceeds(repository.archivePeriod(expenses, {
+        title: 'Mayo 2024',
+        currency: 'ARS',
+        periodStart: new Date(2024, 4, 1),
+        periodEnd: new Date(2024, 4, 31, 23, 59, 59),
+      }));
+      expect((await getDocs(collection(dbFor('alice'), alicePaths.expenses))).size).toBe(0);
+
+      const archived = await repository.fetchArchivedExpenses(historyId);
+      expect(archived.map(e => e.id).sort()).toEqual([first, second].sort());
+
+      const record = { id: historyId, ...(await getDoc(doc(dbFor('alice'), alicePaths.historyRecord(historyId)))).data() };
+      await assertSucceeds(repository.restoreArchivedExpenses(record, archived, [first]));
+      expect((await getDocs(collection(dbFor('alice'), alicePaths.expenses))).docs.map(d => d.id)).toEqual([first]);
+      expect((await getDoc(doc(dbFor('alice'), alicePaths.historyRecord(historyId)))).data().totalSpent).toBe(200);
+    });
+
+    test('moves expenses to the trash and back', async () => {
+      const repository = repositoryFor('alice');
+      const id = await repository.addExpense(validExpense);
+      const snapshot = await getDoc(doc(dbFor('alice'), alicePaths.expense(id)));
+      const expense = { id, ...snapshot.data(), date: snapshot.data().expenseDate.toDate(), createdAt: snapshot.data().timestamp.toDate() };
+
+      await assertSucceeds(repository.trashExpense(expense));
+      expect((await getDocs(collection(dbFor('alice'), alicePaths.expenses))).size).toBe(0);
+      const trashed = (await getDocs(collection(dbFor('alice'), alicePaths.trash))).docs.map(d => ({ id: d.id, ...d.data(), deletedAt: d.data().deletedAt.toDate() }));
+      expect(trashed.map(e => e.id)).toEqual([id]);
+
+      await assertSucceeds(repository.restoreFromTrash(trashed));
+      const restored = await getDoc(doc(dbFor('alice'), alicePaths.expense(id)));
+      expect(restored.data().deletedAt).toBeUndefined();
+      expect((await getDocs(collection(dbFor('alice'), alicePaths.trash))).size).toBe(0);
+
+      await repository.trashExpense(expense);
+      await assertSucceeds(repository.purgeTrash([{ id }]));
+      expect((await getDocs(collection(dbFor('alice'), alicePaths.trash))).size).toBe(0);
+      await assertFails(setDoc(doc(dbFor('alice'), `${alicePaths.trash}/${id}`), { ...snapshot.data() }));
+    });
+
+    test('archives income with the period and records the net savings', async () => {
+      const repository = repositoryFor('alice');
+      await repository.addExpense(validExpense);
+      await assertSucceeds(repository.addIncome({ amount: 1000, currency: 'ARS', description: 'Sueldo', category: 'Sueldo', date: new Date(2024, 4, 5) }));
+      await expect(repository.addIncome({ amount: 10, currency: 'ARS', description: 'Café', category: 'Comida', date: new Date() }))
+        .rejects.toThrow('Elige una categoría de ingreso.');
+
+      const withBase = (d) => ({ id: d.id, ...d.data(), date: new Date(2024, 4, 10), createdAt: new Date(), baseAmount: d.data().amount });
+      const expenses = (await getDocs(collection(dbFor('alice'), alicePaths.expenses))).docs.map(withBase);
+      const income = (await getDocs(collection(dbFor('alice'), alicePaths.income))).docs.map(withBase);
+      const historyId = await assertSucceeds(repository.archivePeriod(expenses, {
+        title: 'Mayo 2024',
+        currency: 'ARS',
+        periodStart: new Date(2024, 4, 1),
+        periodEnd: new Date(2024, 4, 31, 23, 59, 59),
+      }, income));
+
+      expect((await getDocs(collection(dbFor('alice'), alicePaths.income))).size).toBe(0);
+      expect((await getDocs(collection(dbFor('alice'), alicePaths.archivedIncome(historyId)))).size).toBe(1);
+      const record = (await getDoc(doc(dbFor('alice'), alicePaths.historyRecord(historyId)))).data();
+      expect(record).toMatchObject({ totalIncome: 1000, totalSpent: validExpense.amount, netSavings: 1000 - validExpense.amount, totalIncomeCount: 1 });
+      expect(record.savingsRate).toBeCloseTo(((1000 - validExpense.amount) / 1000) * 100);
+
+      // Restaurar todos los gastos conserva el registro con sus ingresos
+      const archived = await repository.fetchArchivedExpenses(historyId);
+      await repository.restoreArchivedExpenses({ id: historyId, ...record }, archived, archived.map(e => e.id));
+      expect((await getDoc(doc(dbFor('alice'), alicePaths.historyRecord(historyId)))).data()).toMatchObject({ totalSpent: 0, netSavings: 1000 });
+
+      // Restaurar también los ingresos elimina el registro
+      const archivedIncome = await repository.fetchArchivedIncome(historyId);
+      const emptied = (await getDoc(doc(dbFor('alice'), alicePaths.historyRecord(historyId)))).data();
+      await assertSucceeds(repository.restoreArchivedIncome({ id: historyId, ...emptied }, archivedIncome, archivedIncome.map(e => e.id)));
+      expect((await getDocs(collection(dbFor('alice'), alicePaths.income))).size).toBe(1);
+      expect((await getDoc(doc(dbFor('alice'), alicePaths.historyRecord(historyId)))).exists()).toBe(false);
+    });
+
+    test('only accepts the income categories', async () => {
+      const income = { amount: 1000, currency: 'ARS', description: 'Sueldo', category: 'Sueldo', incomeDate: Timestamp.now() };
+      await assertSucceeds(setDoc(doc(dbFor('alice'), `${alicePaths.income}/i1`), income));
+      await assertFails(setDoc(doc(dbFor('alice'), `${alicePaths.income}/i2`), { ...income, category: 'Comida' }));
+    });
+
+    test('does not post recurring occurrences again from a stale template', async () => {
+      const repository = repositoryFor('alice');
+      const startDate = new Date(2024, 0, 10);
+      await repository.addRecurring({ description: 'Alquiler', amount: 1000, currency: 'ARS', category: 'Vivienda', classification: 'Alquiler', frequency: 'monthly', startDate, endDate: null, maxOccurrences: 2 });
+      const [stored] = (await getDocs(collection(dbFor('alice'), alicePaths.recurring))).docs;
+      const stale = { id: stored.id, ...stored.data(), startDate, endDate: null };
+
+      await expect(repository.postDueOccurrences([stale])).resolves.toBe(2);
+      const occurrenceId = `recurring-${stored.id}-2024-01-10`;
+      await repository.updateExpense(occurrenceId, { amount: 900 });
+
+      // Otra pestaña (o la caché) todavía ve `occurrencesPosted: 0`
+      await expect(repository.postDueOccurrences([stale])).resolves.toBe(0);
+      expect((await getDoc(doc(dbFor('alice'), alicePaths.expense(occurrenceId)))).data().amount).toBe(900);
+    });
+
+    test('categorizes the pending expenses that still exist', async () => {
+      const repository = repositoryFor('alice');
+      await testEnv.withSecurityRulesDisabled(async context => {
+        await setDoc(doc(context.firestore(), alicePaths.expense('p1')), storedExpense({ category: 'No Categorizado', categorizationStatus: 'pending' }));
+      });
+      // p2 se borró mientras el modelo respondía
+      const categorizer = { categorizeMany: async (texts) => texts.map(() => ({ category: 'Comida', classification: 'Cafetería' })) };
+      const pending = [{ id: 'p1', description: 'Café' }, { id: 'p2', description: 'Medialunas' }];
+
+      const results = await repository.categorizePending(pending, categorizer, { categories: ['Comida'], corrections: [] });
+      expect(Array.from(results.keys())).toEqual(['p1']);
+      const saved = (await getDoc(doc(dbFor('alice'), alicePaths.expense('p1')))).data();
+      expect(saved).toMatchObject({ category: 'Comida', classification: 'Cafetería', categorizationStatus: 'done' });
+    });
+
+    test('archives each period only once', async () => {
+      const first = repositoryFor('alice');
+      await first.addExpense(validExpense);
+      const expenses = (await getDocs(collection(dbFor('alice'), alicePaths.expenses))).docs.map(d => ({
+        id: d.id, ...d.data(), date: new Date(2024, 4, 10), createdAt: new Date(), baseAmount: d.data().amount,
+      }));
+      const period = { title: 'Mayo 2024', currency: 'ARS', periodStart: new Date(2024, 4, 1), periodEnd: new Date(2024, 4, 31, 23, 59, 59) };
+
+      await assertSucceeds(first.archivePeriod(expenses, period));
+      // Otra pestaña con la lista de gastos desactualizada intenta cerrar el mismo período
+      await expect(repositoryFor('alice').archivePeriod(expenses, period)).rejects.toMatchObject({ code: ALREADY_ARCHIVED_CODE });
+      expect((await getDocs(collection(dbFor('alice'), alicePaths.history))).size).toBe(1);
+    });
+
+    test('rejects a period without valid dates', async () => {
+      const repository = repositoryFor('alice');
+      await expect(repository.archivePeriod([], { title: 'Mayo', periodStart: new Date(2024, 5, 1), periodEnd: new Date(2024, 4, 1) }))
+        .rejects.toThrow('Las fechas del período a archivar no son válidas.');
+    });
+
+    test('migrates only the signed-in user\'s legacy expenses', async () => {
+      await testEnv.withSecurityRulesDisabled(async context => {
+        const db = context.firestore();
+        const date = Timestamp.fromDate(new Date(2023, 0, 15, 12, 30));
+        await setDoc(doc(db, 'expenses/old1'), { userId: 'alice', description: 'Nafta', amount: 3000, category: 'Transporte', date });
+        await setDoc(doc(db, 'expenses/old2'), { userId: 'alice', description: '', amount: 10, category: 'Otros', date });
+        await setDoc(doc(db, 'expenses/old3'), { userId: 'bob', description: 'Cine', amount: 500, category: 'Entretenimiento', date });
+      });
+
+      const repository = repositoryFor('alice');
+      expect(await repository.migrateLegacyExpenses()).toBe(1);
+      // Una segunda pasada no encuentra nada nuevo
+      expect(await repository.migrateLegacyExpenses()).toBe(0);
+
+      const migrated = await getDoc(doc(dbFor('alice'), alicePaths.expense('legacy-old1')));
+      expect(migrated.data()).toMatchObject({ amount: 3000, currency: 'ARS', description: 'Nafta', category: 'Transporte', hasTime: true, source: 'legacy' });
+      expect(migrated.data().expenseDate.toDate()).toEqual(new Date(2023, 0, 15, 12, 30));
+
+      await testEnv.withSecurityRulesDisabled(async context => {
+        const remaining = await getDocs(collection(context.firestore(), 'expenses'));
+        expect(remaining.docs.map(d => d.id).sort()).toEqual(['old2', 'old3']);
+      });
+      await assertFails(getDoc(doc(dbFor('alice'), 'expenses/old3')));
+    });
+  });
+
+  describe('shared ledgers', () => {
+    const ledgerPath = `${getLedgersPath(APP_ID)}/l1`;
+    const ledger = {
+      name: 'Casa',
+      currency: 'ARS',
+      ownerId: 'alice',
+      memberIds: ['alice'],
+      members: { alice: { name: 'Alice' } },
+    };
+    const sharedExpense = { description: 'Luz', amount: 100, paidBy: 'bob', owed: { alice: 50, bob: 50 }, createdBy: 'bob' };
+
+    test('guests cannot create ledgers', async () => {
+      const guest = dbFor('guest', { firebase: { sign_in_provider: 'anonymous' } });
+      await assertFails(setDoc(doc(guest, `${getLedgersPath(APP_ID)}/l2`), { ...ledger, ownerId: 'guest', memberIds: ['guest'] }));
+      await assertSucceeds(setDoc(doc(dbFor('alice'), ledgerPath), ledger));
+    });
+
+    test('non-members can only add themselves', async () => {
+      await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), ledgerPath), ledger));
+      const bob = dbFor('bob');
+
+      await assertFails(updateDoc(doc(bob, ledgerPath), { name: 'Mía' }));
+      await assertFails(setDoc(doc(bob, `${ledgerPath}/expenses/x1`), sharedExpense));
+      await assertSucceeds(updateDoc(doc(bob, ledgerPath), { memberIds: ['alice', 'bob'], 'members.bob': { name: 'Bob' } }));
+      await assertSucceeds(setDoc(doc(bob, `${ledgerPath}/expenses/x1`), sharedExpense));
+    });
+
+    test('joiners cannot touch the other members', async () => {
+      await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), ledgerPath), ledger));
+      const bob = dbFor('bob');
+
+      await assertFails(updateDoc(doc(bob, ledgerPath), {
+        memberIds: ['alice', 'bob'],
+        'members.bob': { name: 'Bob' },
+        'members.alice': { name: 'Bob', email: 'bob@example.com' },
+      }));
+      await assertFails(updateDoc(doc(bob, ledgerPath), { memberIds: ['bob'], 'members.bob': { name: 'Bob' } }));
+      await assertFails(updateDoc(doc(bob, ledgerPath), { ownerId: 'bob', memberIds: ['alice', 'bob'] }));
+    });
+
+    test('only the owner changes the owner and the member list', async () => {
+      await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), ledgerPath), {
+        ...ledger,
+        memberIds: ['alice', 'bob'],
+        members: { ...ledger.members, bob: { name: 'Bob' } },
+      }));
+      const bob = dbFor('bob');
+
+      await assertFails(updateDoc(doc(bob, ledgerPath), { ownerId: 'bob' }));
+      await assertFails(updateDoc(doc(bob, ledgerPath), { memberIds: ['bob'] }));
+      await assertFails(updateDoc(doc(bob, ledgerPath), { 'members.alice': { name: 'Otra' } }));
+      await assertSucceeds(updateDoc(doc(bob, ledgerPath), { name: 'Casa nueva', 'members.bob': { name: 'Roberto' } }));
+      await assertSucceeds(updateDoc(doc(dbFor('alice'), ledgerPath), { memberIds: ['alice'] }));
+    });
+
+    test('entries keep their author', async () => {
+      await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), ledgerPath), {
+        ...ledger,
+        memberIds: ['alice', 'bob'],
+      }));
+      const bob = dbFor('bob');
+      const entryPath = `${ledgerPath}/settlements/s1`;
+
+      await assertFails(setDoc(doc(bob, entryPath), { from: 'bob', to: 'alice', amount: 50, createdBy: 'alice' }));
+      await assertSucceeds(setDoc(doc(bob, entryPath), { from: 'bob', to: 'alice', amount: 50, createdBy: 'bob' }));
+      await assertFails(updateDoc(doc(dbFor('alice'), entryPath), { createdBy: 'alice' }));
+      await assertSucceeds(updateDoc(doc(dbFor('alice'), entryPath), { amount: 60 }));
+    });
+
+    test('only the author or the owner delete an entry', async () => {
+      await testEnv.withSecurityRulesDisabled(async context => {
+        await setDoc(doc(context.firestore(), ledgerPath), { ...ledger, memberIds: ['alice', 'bob', 'carol'] });
+        await setDoc(doc(context.firestore(), `${ledgerPath}/expenses/x1`), sharedExpense);
+        await setDoc(doc(context.firestore(), `${ledgerPath}/expenses/x2`), sharedExpense);
+      });
+
+      await assertFails(deleteDoc(doc(dbFor('carol'), `${ledgerPath}/expenses/x1`)));
+      await assertSucceeds(deleteDoc(doc(dbFor('bob'), `${ledgerPath}/expenses/x1`)));
+      await assertSucceeds(deleteDoc(doc(dbFor('alice'), `${ledgerPath}/expenses/x2`)));
+    });
+
+    test('entries only involve members', async () => {
+      await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), ledgerPath), {
+        ...ledger,
+        memberIds: ['alice', 'bob'],
+      }));
+      const bob = dbFor('bob');
+      const expensePath = `${ledgerPath}/expenses/x1`;
+      const settlementPath = `${ledgerPath}/settlements/s1`;
+
+      await assertFails(setDoc(doc(bob, expensePath), { ...sharedExpense, paidBy: 'mallory' }));
+      await assertFails(setDoc(doc(bob, expensePath), { ...sharedExpense, owed: { alice: 50, mallory: 50 } }));
+      await assertFails(setDoc(doc(bob, expensePath), { ...sharedExpense, owed: 100 }));
+      await assertFails(setDoc(doc(bob, expensePath), { ...sharedExpense, description: 'x'.repeat(501) }));
+      await assertSucceeds(setDoc(doc(bob, expensePath), sharedExpense));
+
+      await assertFails(setDoc(doc(bob, settlementPath), { from: 'bob', to: 'mallory', amount: 50, createdBy: 'bob' }));
+      await assertFails(setDoc(doc(bob, settlementPath), { from: 'bob', to: 'bob', amount: 50, createdBy: 'bob' }));
+    });
+
+    test('members only store their name', async () => {
+      await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), ledgerPath), ledger));
+      const bob = dbFor('bob');
+
+      await assertFails(updateDoc(doc(bob, ledgerPath), { memberIds: ['alice', 'bob'], 'members.bob': { name: 'Bob', email: 'bob@example.com' } }));
+      await assertSucceeds(updateDoc(doc(bob, ledgerPath), { memberIds: ['alice', 'bob'], 'members.bob': { name: 'Bob' } }));
+    });
+  });
+});
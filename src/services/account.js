@@ -0,0 +1,118 @@
+import {
+  EmailAuthProvider, GoogleAuthProvider, createUserWithEmailAndPassword, linkWithCredential,
+  linkWithPopup, signInWithCredential, signInWithEmailAndPassword, signInWithPopup, signOut
+} from 'firebase/auth';
+
+// Clave de localStorage del ID de respaldo cuando la autenticación no está disponible
+const FALLBACK_USER_ID_KEY = 'gastos-inteligentes:fallback-user-id';
+
+// Mensajes para los errores de autenticación más comunes
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': "El correo electrónico no es válido.",
+  'auth/missing-password': "Introduce la contraseña.",
+  'auth/weak-password': "La contraseña debe tener al menos 6 caracteres.",
+  'auth/email-already-in-use': "Ya existe una cuenta con ese correo. Inicia sesión en lugar de crearla.",
+  'auth/credential-already-in-use': "Esa cuenta ya está registrada. Inicia sesión con ella.",
+  'auth/invalid-credential': "Correo o contraseña incorrectos.",
+  'auth/wrong-password': "Correo o contraseña incorrectos.",
+  'auth/user-not-found': "No existe una cuenta con ese correo.",
+  'auth/too-many-requests': "Demasiados intentos. Espera unos minutos e intenta de nuevo.",
+  'auth/popup-closed-by-user': "Se cerró la ventana de Google antes de terminar.",
+  'auth/popup-blocked': "El navegador bloqueó la ventana de Google. Permite las ventanas emergentes.",
+  'auth/network-request-failed': "Sin conexión. Revisa tu red e intenta de nuevo.",
+};
+
+/**
+ * Returns a user-facing message for a Firebase Auth error.
+ * @param {Error & {code?: string}} error - The error thrown by Firebase Auth.
+ * @returns {string} The message.
+ */
+export const describeAuthError = (error) => AUTH_ERROR_MESSAGES[error?.code] || "No se pudo completar el inicio de sesión. Intenta de nuevo.";
+
+/**
+ * Summarizes the signed-in user for the interface.
+ * @param {import('firebase/auth').User|null} user - The Firebase user.
+ * @returns {{uid: string, isAnonymous: boolean, email: string|null, displayName: string|null}|null}
+ */
+export const describeUser = (user) => (user ? {
+  uid: user.uid,
+  isAnonymous: user.isAnonymous,
+  email: user.email,
+  displayName: user.displayName || user.providerData.find(p => p.displayName)?.displayName || null,
+} : null);
+
+/**
+ * Returns a local user ID that survives reloads, used only when Firebase Auth
+ * cannot sign in at all.
+ * @returns {string} The user ID.
+ */
+export const getFallbackUserId = () => {
+  let id = localStorage.getItem(FALLBACK_USER_ID_KEY);
+  if (!id) {
+    id = crypto.randomUUID();
+    localStorage.setItem(FALLBACK_USER_ID_KEY, id);
+  }
+  return id;
+};
+
+/**
+ * Creates an email/password account. An anonymous session is upgraded in
+ * place (same UID), so its data under `/artifacts/{appId}/users/{uid}` is kept.
+ * @param {import('firebase/auth').Auth} auth - Auth instance.
+ * @param {string} email - The email.
+ * @param {string} password - The password.
+ * @returns {Promise<import('firebase/auth').User>} The signed-in user.
+ */
+export const createEmailAccount = async (auth, email, password) => {
+  if (auth.currentUser?.isAnonymous) {
+    const result = await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password));
+    return result.user;
+  }
+  const result = await createUserWithEmailAndPassword(auth, email, password);
+  return result.user;
+};
+
+/**
+ * Signs in to an existing email/password account. The data of an anonymous
+ * session is not merged into it.
+ * @param {import('firebase/auth').Auth} auth - Auth instance.
+ * @param {string} email - The email.
+ * @param {string} password - The password.
+ * @returns {Promise<import('firebase/auth').User>} The signed-in user.
+ */
+export const signInWithEmail = async (auth, email, password) => {
+  const result = await signInWithEmailAndPassword(auth, email, password);
+  return result.user;
+};
+
+/**
+ * Signs in with Google. An anonymous session is linked to the Google account
+ * (keeping its UID and data); if that Google account was already registered,
+ * the app switches to it instead.
+ * @param {import('firebase/auth').Auth} auth - Auth instance.
+ * @returns {Promise<{user: import('firebase/auth').User, linked: boolean}>} The user and whether the anonymous data was kept.
+ */
+export const signInWithGoogle = async (auth) => {
+  const provider = new GoogleAuthProvider();
+  if (!auth.currentUser?.isAnonymous) {
+    const result = await signInWithPopup(auth, provider);
+    return { user: result.user, linked: false };
+  }
+  try {
+    const result = await linkWithPopup(auth.currentUser, provider);
+    return { user: result.user, linked: true };
+  } catch (error) {
+    const credential = error.code === 'auth/credential-already-in-use' ? GoogleAuthProvider.credentialFromError(error) : null;
+    if (!credential) {
+      throw error;
+    }
+    const result = await signInWithCredential(auth, credential);
+    return { user: result.user, linked: false };
+  }
+};
+
+/**
+ * Signs out. The app then starts a new anonymous session.
+ * @param {import('firebase/auth').Auth} auth - Auth instance.
+ */
+export const signOutUser = (auth) => signOut(auth);
@@ -0,0 +1,269 @@
+import { collection, deleteField, doc, getDocs, query, runTransaction, writeBatch, Timestamp } from 'firebase/firestore';
+import { DEFAULT_BASE_CURRENCY } from './currency';
+import { summarizeExpenses } from './exporter';
+import { incomePath, archivedIncomePath, fromIncomeDoc, summarizeIncome, getNetBalance } from './income';
+import { fetchCategoryNames, toKnownCategory } from './categories';
+
+// Estados de un período archivado: `archiving` mientras se mueven sus gastos
+export const ARCHIVE_STATUS = {
+  archiving: 'archiving',
+  archived: 'archived',
+};
+
+// Código del error que se lanza al archivar un período que ya existe (otra pestaña, otro dispositivo)
+export const ALREADY_ARCHIVED_CODE = 'archive/already-archived';
+
+// Cada gasto o ingreso movido son dos escrituras (copia y borrado); se reserva una para el resumen del período
+const EXPENSES_PER_BATCH = 249;
+
+/**
+ * Returns the path of the subcollection holding the expenses of an archived period.
+ * @param {string} userPath - Path of the user document.
+ * @param {string} historyId - ID of the history record.
+ * @returns {string} The collection path.
+ */
+export const archivedExpensesPath = (userPath, historyId) => `${userPath}/history/${historyId}/expenses`;
+
+/**
+ * Returns the ID of the history record of the period starting at `periodStart`.
+ * It is deterministic so that two tabs closing the same period write the same
+ * record, and only the first one succeeds.
+ * @param {Date} periodStart - First moment of the period.
+ * @returns {string} The history record ID.
+ */
+export const getHistoryId = (periodStart) => `period-${periodStart.getTime()}`;
+
+/**
+ * Converts an archived expense document into the in-memory shape used by the
+ * expense list. `baseAmount` is the amount in the period currency at the time
+ * of archiving (null if it could not be converted then).
+ * @param {import('firebase/firestore').QueryDocumentSnapshot} snapshot - The archived expense.
+ * @returns {object} The expense.
+ */
+export const fromArchivedDoc = (snapshot) => {
+  const data = snapshot.data();
+  return {
+    id: snapshot.id,
+    ...data,
+    currency: data.currency || DEFAULT_BASE_CURRENCY,
+    date: data.expenseDate?.toDate() || data.timestamp?.toDate() || new Date(),
+    createdAt: data.timestamp?.toDate() || new Date(),
+    baseAmount: data.baseAmount ?? null,
+  };
+};
+
+/**
+ * Loads the expenses of an archived period, most recent first.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} userPath - Path of the user document.
+ * @param {string} historyId - ID of the history record.
+ * @returns {Promise<Array<object>>} The archived expenses.
+ */
+export const fetchArchivedExpenses = async (db, userPath, historyId) => {
+  const snapshot = await getDocs(query(collection(db, archivedExpensesPath(userPath, historyId))));
+  return snapshot.docs.map(fromArchivedDoc).sort((a, b) => (b.date - a.date) || (b.createdAt - a.createdAt));
+};
+
+/**
+ * Loads the income of an archived period, most recent first.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} userPath - Path of the user document.
+ * @param {string} historyId - ID of the history record.
+ * @returns {Promise<Array<object>>} The archived income entries (see `fromIncomeDoc`), with their `baseAmount`.
+ */
+export const fetchArchivedIncome = async (db, userPath, historyId) => {
+  const snapshot = await getDocs(query(collection(db, archivedIncomePath(userPath, historyId))));
+  return snapshot.docs.map(fromIncomeDoc).sort((a, b) => (b.date - a.date) || (b.createdAt - a.createdAt));
+};
+
+/**
+ * Removes the in-memory fields of an expense so it can be stored again as it was.
+ * @param {object} expense - The expense.
+ * @returns {object} The stored fields.
+ */
+export const toStoredExpense = ({ id, date, createdAt, baseAmount, isSynced, ...data }) => data;
+
+// Divide una lista en lotes que entran en una escritura por lotes
+const toChunks = (items) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += EXPENSES_PER_BATCH) {
+    chunks.push(items.slice(i, i + EXPENSES_PER_BATCH));
+  }
+  return chunks;
+};
+
+/**
+ * Archives the current period: saves its summary in `history` and moves every
+ * expense to the `history/{id}/expenses` subcollection (and every income entry
+ * to `history/{id}/income`). Each entry is copied and deleted in the same
+ * batch, so a failure never loses or duplicates one; periods of up to 249
+ * entries are archived in a single atomic batch. The record stays in the
+ * `archiving` status until the last batch is committed, and an interrupted
+ * archive can be undone with `restoreArchivedExpenses`. The record ID comes
+ * from the period start (see `getHistoryId`) and the first batch is a
+ * transaction that fails if the record exists, so the same period is never
+ * archived twice.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} userPath - Path of the user document.
+ * @param {Array<object>} expenses - The expenses to archive, with `baseAmount` computed.
+ * @param {object} period - The period summary.
+ * @param {string} period.title - Title of the period.
+ * @param {string} period.currency - Currency of the totals.
+ * @param {Date} period.periodStart - First moment of the period.
+ * @param {Date} period.periodEnd - Last moment of the period; the next one starts right after it.
+ * @param {Array<object>} [income=[]] - The income entries to archive, with `baseAmount` computed.
+ * @returns {Promise<string>} The ID of the new history record.
+ * @throws {Error} With `code` `ALREADY_ARCHIVED_CODE` if the period was already archived.
+ */
+export const archivePeriod = async (db, userPath, expenses, { title, currency, periodStart, periodEnd }, income = []) => {
+  if (expenses.length === 0 && income.length === 0) {
+    throw new Error("No hay gastos ni ingresos para archivar.");
+  }
+
+  const historyRef = doc(db, `${userPath}/history/${getHistoryId(periodStart)}`);
+  const { totalSpent, categorySummary } = summarizeExpenses(expenses);
+  const { totalIncome, incomeSummary } = summarizeIncome(income);
+  // Origen y destino de cada documento a mover
+  const moves = [
+    ...expenses.map(entry => ({ entry, from: `${userPath}/expenses`, to: archivedExpensesPath(userPath, historyRef.id) })),
+    ...income.map(entry => ({ entry, from: incomePath(userPath), to: archivedIncomePath(userPath, historyRef.id) })),
+  ];
+  const chunks = toChunks(moves);
+
+  for (let i = 0; i < chunks.length; i++) {
+    const isLast = i === chunks.length - 1;
+    // Las transacciones y los lotes comparten `set` y `delete`
+    const moveChunk = (writer) => chunks[i].forEach(({ entry, from, to }) => {
+      writer.set(doc(db, `${to}/${entry.id}`), {
+        ...toStoredExpense(entry),
+        baseAmount: entry.baseAmount ?? null,
+      });
+      writer.delete(doc(db, `${from}/${entry.id}`));
+    });
+
+    if (i === 0) {
+      await runTransaction(db, async (transaction) => {
+        if ((await transaction.get(historyRef)).exists()) {
+          const error = new Error("Este período ya se archivó (quizás desde otra pestaña o dispositivo).");
+          error.code = ALREADY_ARCHIVED_CODE;
+          throw error;
+        }
+        transaction.set(historyRef, {
+          title,
+          totalSpent,
+          currency,
+          categorySummary,
+          totalIncome,
+          incomeSummary,
+          ...getNetBalance(totalIncome, totalSpent),
+          archiveDate: Timestamp.now(),
+          periodStart: Timestamp.fromDate(periodStart),
+          periodEnd: Timestamp.fromDate(periodEnd),
+          totalExpensesCount: expenses.length,
+          totalIncomeCount: income.length,
+          status: isLast ? ARCHIVE_STATUS.archived : ARCHIVE_STATUS.archiving,
+        });
+        moveChunk(transaction);
+      });
+    } else {
+      const batch = writeBatch(db);
+      if (isLast) {
+        batch.update(historyRef, { status: ARCHIVE_STATUS.archived });
+      }
+      moveChunk(batch);
+      await batch.commit();
+    }
+  }
+  return historyRef.id;
+};
+
+/**
+ * Moves archived expenses back to the current period. The period summary is
+ * recomputed from the expenses that stay archived, and the history record is
+ * deleted when none is left (unless the period also archived income, which
+ * stays in the record). Expenses whose category no longer exists come back
+ * as `No Categorizado`.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} userPath - Path of the user document.
+ * @param {object} record - The history record.
+ * @param {Array<object>} archived - Every expense of the archived period (see `fromArchivedDoc`).
+ * @param {Array<string>} ids - IDs of the expenses to restore.
+ */
+export const restoreArchivedExpenses = async (db, userPath, record, archived, ids) => {
+  const selected = new Set(ids);
+  const toRestore = archived.filter(expense => selected.has(expense.id));
+  const remaining = archived.filter(expense => !selected.has(expense.id));
+  const historyRef = doc(db, `${userPath}/history/${record.id}`);
+  const chunks = toChunks(toRestore);
+  const names = await fetchCategoryNames(db, userPath);
+
+  for (let i = 0; i < chunks.length; i++) {
+    const batch = writeBatch(db);
+    chunks[i].forEach(expense => {
+      batch.set(doc(db, `${userPath}/expenses/${expense.id}`), {
+        ...toStoredExpense(expense),
+        category: toKnownCategory(names, expense.category),
+      });
+      batch.delete(doc(db, `${archivedExpensesPath(userPath, record.id)}/${expense.id}`));
+    });
+    if (i === chunks.length - 1) {
+      if (remaining.length === 0 && !record.totalIncomeCount) {
+        batch.delete(historyRef);
+      } else {
+        const summary = summarizeExpenses(remaining);
+        batch.update(historyRef, {
+          ...summary,
+          // Los períodos archivados antes de registrar ingresos no tienen balance
+          ...(record.totalIncome !== undefined && getNetBalance(record.totalIncome, summary.totalSpent)),
+          totalExpensesCount: remaining.length,
+          status: ARCHIVE_STATUS.archived,
+          // El análisis describía el período completo: se descarta y puede volver a generarse
+          insights: deleteField(),
+        });
+      }
+    }
+    await batch.commit();
+  }
+};
+
+/**
+ * Moves archived income back to the current period. The income totals and the
+ * net balance of the record are recomputed from the entries that stay
+ * archived, and the record is deleted when it has neither expenses nor income
+ * left.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} userPath - Path of the user document.
+ * @param {object} record - The history record.
+ * @param {Array<object>} archived - Every income entry of the archived period (see `fetchArchivedIncome`).
+ * @param {Array<string>} ids - IDs of the entries to restore.
+ */
+export const restoreArchivedIncome = async (db, userPath, record, archived, ids) => {
+  const selected = new Set(ids);
+  const toRestore = archived.filter(entry => selected.has(entry.id));
+  const remaining = archived.filter(entry => !selected.has(entry.id));
+  const historyRef = doc(db, `${userPath}/history/${record.id}`);
+  const chunks = toChunks(toRestore);
+
+  for (let i = 0; i < chunks.length; i++) {
+    const batch = writeBatch(db);
+    chunks[i].forEach(entry => {
+      batch.set(doc(db, `${incomePath(userPath)}/${entry.id}`), toStoredExpense(entry));
+      batch.delete(doc(db, `${archivedIncomePath(userPath, record.id)}/${entry.id}`));
+    });
+    if (i === chunks.length - 1) {
+      if (remaining.length === 0 && !record.totalExpensesCount) {
+        batch.delete(historyRef);
+      } else {
+        const { totalIncome, incomeSummary } = summarizeIncome(remaining);
+        batch.update(historyRef, {
+          totalIncome,
+          incomeSummary,
+          ...getNetBalance(totalIncome, record.totalSpent),
+          totalIncomeCount: remaining.length,
+          insights: deleteField(),
+        });
+      }
+    }
+    await batch.commit();
+  }
+};
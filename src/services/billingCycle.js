@@ -0,0 +1,82 @@
+// Día de inicio del ciclo por defecto (mes calendario)
+export const DEFAULT_CYCLE_START_DAY = 1;
+
+// Último día admitido como inicio de ciclo, para que exista en todos los meses
+export const MAX_CYCLE_START_DAY = 28;
+
+/**
+ * Returns the start of the billing cycle that contains `date`.
+ * @param {Date} date - Any moment.
+ * @param {number} startDay - Day of the month on which cycles start (1 = calendar month).
+ * @returns {Date} Midnight of the first day of the cycle.
+ */
+export const getCycleStart = (date, startDay) => {
+  const monthOffset = date.getDate() >= startDay ? 0 : -1;
+  return new Date(date.getFullYear(), date.getMonth() + monthOffset, startDay);
+};
+
+/**
+ * Returns the start of the cycle that follows the one starting at `cycleStart`.
+ * @param {Date} cycleStart - Start of a cycle.
+ * @returns {Date} Start of the next cycle.
+ */
+export const getNextCycleStart = (cycleStart) => new Date(cycleStart.getFullYear(), cycleStart.getMonth() + 1, cycleStart.getDate());
+
+/**
+ * Builds the history title of a period from its boundaries: the month name
+ * when the period is exactly a calendar month, or the date range otherwise.
+ * @param {Date} start - First moment of the period.
+ * @param {Date} end - Last moment of the period.
+ * @returns {string} The title.
+ */
+export const formatPeriodTitle = (start, end) => {
+  const isCalendarMonth = start.getDate() === 1
+    && start.getHours() === 0 && start.getMinutes() === 0
+    && end.getFullYear() === start.getFullYear() && end.getMonth() === start.getMonth()
+    && end.getDate() === new Date(start.getFullYear(), start.getMonth() + 1, 0).getDate();
+  if (isCalendarMonth) {
+    return `Resumen de Gastos: ${start.toLocaleString('es-AR', { month: 'long', year: 'numeric' })}`;
+  }
+  const format = (date) => date.toLocaleDateString('es-AR', { day: 'numeric', month: 'short', year: 'numeric' });
+  return `Resumen de Gastos: ${format(start)} – ${format(end)}`;
+};
+
+/**
+ * Splits the expenses and income of closed cycles (dated before the current
+ * cycle) into one period per cycle. Entries dated before `periodStart`
+ * (restored from an archived period) go to the first closed period.
+ * @param {Array<{date: Date}>} expenses - The expenses of the current period.
+ * @param {number} startDay - Day of the month on which cycles start.
+ * @param {Date|null} periodStart - Start of the current period (end of the last archived one), or null.
+ * @param {object} [options]
+ * @param {Array<{date: Date}>} [options.income=[]] - The income entries of the current period.
+ * @param {Date} [options.now=new Date()] - The current moment.
+ * @returns {Array<{start: Date, end: Date, expenses: Array<object>, income: Array<object>}>} The closed periods, oldest first.
+ */
+export const getClosedPeriods = (expenses, startDay, periodStart, { income = [], now = new Date() } = {}) => {
+  const currentCycleStart = getCycleStart(now, startDay);
+  // El ciclo solo "rota" si el último período archivado terminó antes del ciclo actual
+  if (periodStart && periodStart >= currentCycleStart) {
+    return [];
+  }
+
+  const groups = new Map();
+  const addToCycle = (kind) => (entry) => {
+    const effectiveDate = periodStart && entry.date < periodStart ? periodStart : entry.date;
+    const cycleStart = getCycleStart(effectiveDate, startDay);
+    const key = cycleStart.getTime();
+    if (!groups.has(key)) {
+      groups.set(key, {
+        // Si el período anterior se archivó a mitad de ciclo, este empieza donde terminó aquel
+        start: periodStart && periodStart > cycleStart ? periodStart : cycleStart,
+        end: new Date(getNextCycleStart(cycleStart).getTime() - 1),
+        expenses: [],
+        income: [],
+      });
+    }
+    groups.get(key)[kind].push(entry);
+  };
+  expenses.filter(expense => expense.date < currentCycleStart).forEach(addToCycle('expenses'));
+  income.filter(entry => entry.date < currentCycleStart).forEach(addToCycle('income'));
+  return Array.from(groups.values()).sort((a, b) => a.start - b.start);
+};
@@ -0,0 +1,58 @@
+import { getCycleStart, getNextCycleStart, formatPeriodTitle, getClosedPeriods } from './billingCycle';
+
+describe('getCycleStart', () => {
+  test('returns the start of the cycle that contains the date', () => {
+    expect(getCycleStart(new Date(2024, 4, 25), 20)).toEqual(new Date(2024, 4, 20));
+    expect(getCycleStart(new Date(2024, 4, 5), 20)).toEqual(new Date(2024, 3, 20));
+    expect(getCycleStart(new Date(2024, 0, 5), 20)).toEqual(new Date(2023, 11, 20));
+    expect(getCycleStart(new Date(2024, 4, 5, 13), 1)).toEqual(new Date(2024, 4, 1));
+  });
+
+  test('returns the start of the next cycle', () => {
+    expect(getNextCycleStart(new Date(2024, 11, 20))).toEqual(new Date(2025, 0, 20));
+  });
+});
+
+describe('formatPeriodTitle', () => {
+  test('uses the month name for calendar months', () => {
+    expect(formatPeriodTitle(new Date(2024, 1, 1), new Date(2024, 1, 29, 23, 59, 59))).toMatch(/^Resumen de Gastos: febrero (de )?2024$/);
+  });
+
+  test('uses the date range otherwise', () => {
+    const title = formatPeriodTitle(new Date(2024, 1, 20), new Date(2024, 2, 19, 23, 59, 59));
+    expect(title).toMatch(/^Resumen de Gastos: 20 .* – 19 .*$/);
+  });
+});
+
+describe('getClosedPeriods', () => {
+  const now = new Date(2024, 4, 25);
+  const expense = (id, date) => ({ id, date });
+
+  test('groups the entries of closed cycles, oldest first', () => {
+    const periods = getClosedPeriods(
+      [expense('may', new Date(2024, 4, 21)), expense('april', new Date(2024, 4, 10)), expense('march', new Date(2024, 3, 1))],
+      20,
+      null,
+      { now, income: [expense('salary', new Date(2024, 4, 1))] }
+    );
+    expect(periods.map(p => [p.start, p.end.getTime() + 1])).toEqual([
+      [new Date(2024, 2, 20), new Date(2024, 3, 20).getTime()],
+      [new Date(2024, 3, 20), new Date(2024, 4, 20).getTime()],
+    ]);
+    expect(periods.map(p => p.expenses.map(e => e.id))).toEqual([['march'], ['april']]);
+    expect(periods.map(p => p.income.map(e => e.id))).toEqual([[], ['salary']]);
+  });
+
+  test('starts the first period where the last archived one ended', () => {
+    const periodStart = new Date(2024, 3, 25, 15);
+    const periods = getClosedPeriods([expense('restored', new Date(2024, 2, 1)), expense('april', new Date(2024, 4, 1))], 20, periodStart, { now });
+    expect(periods).toHaveLength(1);
+    expect(periods[0].start).toEqual(periodStart);
+    expect(periods[0].expenses.map(e => e.id)).toEqual(['restored', 'april']);
+  });
+
+  test('returns nothing when the current cycle started after the last archive', () => {
+    expect(getClosedPeriods([expense('a', new Date(2024, 0, 1))], 20, new Date(2024, 4, 22), { now })).toEqual([]);
+    expect(getClosedPeriods([expense('a', new Date(2024, 4, 22))], 20, null, { now })).toEqual([]);
+  });
+});
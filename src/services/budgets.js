@@ -0,0 +1,133 @@
+import { convertAmount } from './currency';
+import { DEFAULT_CYCLE_START_DAY, getCycleStart, getNextCycleStart } from './billingCycle';
+
+// Porcentajes del presupuesto que disparan un aviso al añadir un gasto
+export const ALERT_THRESHOLDS = [0.8, 1];
+
+// Sin presupuestos definidos
+export const EMPTY_BUDGETS = { overall: null, categories: {}, currency: null };
+
+/**
+ * Expresses the budgets in another currency. Budgets that can't be converted
+ * are kept as they are.
+ * @param {{overall: (number|null), categories: object, currency: (string|null)}} budgets - The stored budgets.
+ * @param {string} currency - The target currency.
+ * @param {object} rateTable - The exchange-rate table.
+ * @returns {object} The converted budgets.
+ */
+export const convertBudgets = (budgets, currency, rateTable) => {
+  if (!budgets.currency || budgets.currency === currency) {
+    return budgets;
+  }
+  const convert = (value) => convertAmount(value, budgets.currency, currency, rateTable) ?? value;
+  const categories = {};
+  Object.entries(budgets.categories).forEach(([name, value]) => {
+    categories[name] = convert(value);
+  });
+  return {
+    overall: budgets.overall ? convert(budgets.overall) : budgets.overall,
+    categories,
+    currency,
+  };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the billing cycle that contains `now`.
+ * @param {Date} [now=new Date()] - The current moment.
+ * @param {number} [startDay=DEFAULT_CYCLE_START_DAY] - Day of the month on which cycles start.
+ * @returns {{start: Date, nextStart: Date}} The start of the cycle and of the next one.
+ */
+export const getBudgetCycle = (now = new Date(), startDay = DEFAULT_CYCLE_START_DAY) => {
+  const start = getCycleStart(now, startDay);
+  return { start, nextStart: getNextCycleStart(start) };
+};
+
+/**
+ * Projects the spending at the end of the billing cycle assuming the same
+ * daily pace. The current day counts as elapsed, so the first day of the
+ * cycle projects its spending over the whole cycle.
+ * @param {number} spent - Spent so far.
+ * @param {{start: Date, nextStart: Date}} cycle - The current billing cycle.
+ * @param {Date} [now=new Date()] - The current moment.
+ * @returns {number} The projected cycle-end total.
+ */
+export const projectCycleEnd = (spent, { start, nextStart }, now = new Date()) => {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  // Redondeo: los cambios de horario hacen que algunos días no duren exactamente 24 horas
+  const totalDays = Math.round((nextStart - start) / DAY_MS);
+  const elapsedDays = Math.min(totalDays, Math.max(1, Math.round((today - start) / DAY_MS) + 1));
+  return (spent / elapsedDays) * totalDays;
+};
+
+/**
+ * Summarizes how a budget is going in the current billing cycle.
+ * @param {number} spent - Spent so far.
+ * @param {number} budget - The budget of a cycle.
+ * @param {{start: Date, nextStart: Date}} cycle - The current billing cycle (see `getBudgetCycle`).
+ * @param {Date} [now=new Date()] - The current moment.
+ * @returns {{spent: number, budget: number, remaining: number, ratio: number, projected: number, projectedOverrun: number}}
+ *   `remaining` is negative when the budget was exceeded; `projectedOverrun` is 0 when the projection fits.
+ */
+export const getBudgetStatus = (spent, budget, cycle, now = new Date()) => {
+  const projected = projectCycleEnd(spent, cycle, now);
+  return {
+    spent,
+    budget,
+    remaining: budget - spent,
+    ratio: budget > 0 ? spent / budget : 0,
+    projected,
+    projectedOverrun: Math.max(0, projected - budget),
+  };
+};
+
+/**
+ * Returns the highest alert threshold crossed when spending goes from
+ * `previous` to `next`.
+ * @param {number} previous - Spent before the new expense.
+ * @param {number} next - Spent after the new expense.
+ * @param {number} budget - The monthly budget.
+ * @returns {number|null} The crossed threshold (e.g. 0.8 or 1), or null if none.
+ */
+export const getCrossedThreshold = (previous, next, budget) => {
+  if (!budget || budget <= 0) {
+    return null;
+  }
+  const crossed = ALERT_THRESHOLDS.filter(t => previous < t * budget && next >= t * budget);
+  return crossed.length > 0 ? crossed[crossed.length - 1] : null;
+};
+
+/**
+ * Returns the budget alerts raised by newly categorized expenses: the
+ * thresholds each category and the overall total cross when the expenses are
+ * added to the rest of the period. The new expenses are left out of `expenses`
+ * by ID, so it works both for an expense that was just added and for one that
+ * was already listed as pending (e.g. added offline).
+ * @param {Array<{id: string, category: string, baseAmount: number|null}>} categorized - The newly categorized expenses.
+ * @param {Array<{id: string, category: string, baseAmount: number|null}>} expenses - Every expense of the period.
+ * @param {{overall: number|null, categories: Object<string, number>}} budgets - The budgets in the base currency.
+ * @returns {Array<{threshold: number, label: string}>} The alerts, category alerts first.
+ */
+export const getBudgetAlerts = (categorized, expenses, budgets) => {
+  const newIds = new Set(categorized.map(expense => expense.id));
+  const previous = expenses.filter(expense => !newIds.has(expense.id) && expense.baseAmount !== null);
+  const sum = (items) => items.reduce((total, expense) => total + expense.baseAmount, 0);
+  const added = categorized.filter(expense => expense.baseAmount !== null);
+
+  const alerts = [];
+  [...new Set(added.map(expense => expense.category))].forEach(category => {
+    const before = sum(previous.filter(expense => expense.category === category));
+    const after = before + sum(added.filter(expense => expense.category === category));
+    const threshold = getCrossedThreshold(before, after, budgets.categories[category]);
+    if (threshold) {
+      alerts.push({ threshold, label: `la categoría ${category}` });
+    }
+  });
+  const totalBefore = sum(previous);
+  const overallThreshold = getCrossedThreshold(totalBefore, totalBefore + sum(added), budgets.overall);
+  if (overallThreshold) {
+    alerts.push({ threshold: overallThreshold, label: 'el total del mes' });
+  }
+  return alerts;
+};
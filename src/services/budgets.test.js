@@ -0,0 +1,112 @@
+import { convertBudgets, getBudgetCycle, projectCycleEnd, getBudgetStatus, getCrossedThreshold, getBudgetAlerts } from './budgets';
+
+const table = { reference: 'ARS', rates: { USD: 1000 } };
+
+describe('convertBudgets', () => {
+  test('keeps budgets already in the target currency', () => {
+    const budgets = { overall: 100, categories: { Comida: 50 }, currency: 'USD' };
+    expect(convertBudgets(budgets, 'USD', table)).toBe(budgets);
+  });
+
+  test('converts the overall and category budgets', () => {
+    const budgets = { overall: 100, categories: { Comida: 50 }, currency: 'USD' };
+    expect(convertBudgets(budgets, 'ARS', table)).toEqual({ overall: 100000, categories: { Comida: 50000 }, currency: 'ARS' });
+  });
+
+  test('keeps the amounts that cannot be converted', () => {
+    const budgets = { overall: null, categories: { Comida: 50 }, currency: 'BRL' };
+    expect(convertBudgets(budgets, 'ARS', table)).toEqual({ overall: null, categories: { Comida: 50 }, currency: 'ARS' });
+  });
+});
+
+describe('getBudgetCycle', () => {
+  test('returns the calendar month by default', () => {
+    expect(getBudgetCycle(new Date(2024, 3, 10, 15))).toEqual({ start: new Date(2024, 3, 1), nextStart: new Date(2024, 4, 1) });
+  });
+
+  test('returns the cycle that started in the previous month', () => {
+    expect(getBudgetCycle(new Date(2024, 3, 10), 20)).toEqual({ start: new Date(2024, 2, 20), nextStart: new Date(2024, 3, 20) });
+  });
+});
+
+describe('projectCycleEnd', () => {
+  const april = getBudgetCycle(new Date(2024, 3, 10));
+
+  test('extends the daily pace to the whole cycle', () => {
+    // 10 de abril (30 días): 100 por día
+    expect(projectCycleEnd(1000, april, new Date(2024, 3, 10, 18))).toBe(3000);
+  });
+
+  test('counts the days elapsed since the cycle start', () => {
+    // Ciclo del 20 de marzo al 19 de abril (31 días); el 10 de abril es el día 22
+    const cycle = getBudgetCycle(new Date(2024, 3, 10), 20);
+    expect(projectCycleEnd(2200, cycle, new Date(2024, 3, 10))).toBe(3100);
+  });
+
+  test('projects the first day over the whole cycle', () => {
+    expect(projectCycleEnd(100, april, new Date(2024, 3, 1))).toBe(3000);
+  });
+});
+
+describe('getBudgetStatus', () => {
+  const april = getBudgetCycle(new Date(2024, 3, 10));
+
+  test('reports the remaining budget, ratio and projected overrun', () => {
+    expect(getBudgetStatus(1000, 2000, april, new Date(2024, 3, 10))).toEqual({
+      spent: 1000,
+      budget: 2000,
+      remaining: 1000,
+      ratio: 0.5,
+      projected: 3000,
+      projectedOverrun: 1000,
+    });
+  });
+
+  test('has no overrun when the projection fits', () => {
+    expect(getBudgetStatus(100, 2000, april, new Date(2024, 3, 10)).projectedOverrun).toBe(0);
+  });
+});
+
+describe('getCrossedThreshold', () => {
+  test('returns the highest threshold crossed', () => {
+    expect(getCrossedThreshold(700, 850, 1000)).toBe(0.8);
+    expect(getCrossedThreshold(700, 1200, 1000)).toBe(1);
+    expect(getCrossedThreshold(900, 1000, 1000)).toBe(1);
+  });
+
+  test('returns null when no threshold is crossed', () => {
+    expect(getCrossedThreshold(100, 200, 1000)).toBeNull();
+    expect(getCrossedThreshold(850, 900, 1000)).toBeNull();
+    expect(getCrossedThreshold(0, 100, 0)).toBeNull();
+  });
+});
+
+describe('getBudgetAlerts', () => {
+  const budgets = { overall: 1000, categories: { Comida: 300 } };
+  const expenses = [
+    { id: 'a', category: 'Comida', baseAmount: 200 },
+    { id: 'b', category: 'Transporte', baseAmount: 500 },
+    { id: 'c', category: 'Comida', baseAmount: null },
+  ];
+
+  test('alerts for the category and the total crossed by a new expense', () => {
+    expect(getBudgetAlerts([{ id: 'n', category: 'Comida', baseAmount: 150 }], expenses, budgets)).toEqual([
+      { threshold: 1, label: 'la categoría Comida' },
+      { threshold: 0.8, label: 'el total del mes' },
+    ]);
+  });
+
+  test('leaves out the pending copy of an expense categorized later', () => {
+    // Guardado sin conexión: ya figura en la lista, todavía sin categoría
+    const withPending = [...expenses, { id: 'n', category: 'No Categorizado', baseAmount: 150 }];
+    expect(getBudgetAlerts([{ id: 'n', category: 'Comida', baseAmount: 150 }], withPending, budgets)).toEqual([
+      { threshold: 1, label: 'la categoría Comida' },
+      { threshold: 0.8, label: 'el total del mes' },
+    ]);
+  });
+
+  test('returns no alerts when nothing is crossed or the amount is unknown', () => {
+    expect(getBudgetAlerts([{ id: 'n', category: 'Transporte', baseAmount: 10 }], expenses, budgets)).toEqual([]);
+    expect(getBudgetAlerts([{ id: 'n', category: 'Comida', baseAmount: null }], expenses, budgets)).toEqual([]);
+  });
+});
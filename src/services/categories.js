@@ -0,0 +1,314 @@
+import { collection, doc, getDoc, getDocs, query, setDoc, where, writeBatch, Timestamp } from 'firebase/firestore';
+import { DEFAULT_CATEGORIES } from './categorizers/common';
+
+// Categoría asignada cuando no se pudo categorizar o se eliminó la original
+export const UNCATEGORIZED_NAME = 'No Categorizado';
+
+// Colores disponibles para las categorías (clases de Tailwind escritas completas para que no se purguen)
+export const CATEGORY_COLOR_OPTIONS = [
+  'bg-red-500',
+  'bg-orange-500',
+  'bg-amber-500',
+  'bg-yellow-500',
+  'bg-lime-500',
+  'bg-green-500',
+  'bg-teal-500',
+  'bg-cyan-500',
+  'bg-blue-500',
+  'bg-indigo-500',
+  'bg-purple-500',
+  'bg-pink-500',
+  'bg-gray-500',
+];
+
+const DEFAULT_STYLES = {
+  'Comida': { color: 'bg-red-500', icon: 'Utensils' },
+  'Transporte': { color: 'bg-blue-500', icon: 'Car' },
+  'Entretenimiento': { color: 'bg-purple-500', icon: 'Film' },
+  'Vivienda': { color: 'bg-green-500', icon: 'Home' },
+  'Salud': { color: 'bg-pink-500', icon: 'HeartPulse' },
+  'Educación': { color: 'bg-yellow-500', icon: 'GraduationCap' },
+  'Servicios': { color: 'bg-cyan-500', icon: 'Plug' },
+  'Otros': { color: 'bg-gray-500', icon: 'Package' },
+};
+
+// Taxonomía inicial de cada usuario
+export const DEFAULT_CATEGORY_DEFINITIONS = DEFAULT_CATEGORIES.map(name => ({
+  name,
+  ...DEFAULT_STYLES[name],
+  parentId: null,
+}));
+
+// Máximo de operaciones por lote de Firestore
+const BATCH_LIMIT = 500;
+
+/**
+ * Returns the Tailwind color class for a category name.
+ * @param {Array<object>} categories - The user's categories.
+ * @param {string} name - The category name.
+ * @returns {string} The color class.
+ */
+export const getCategoryColor = (categories, name) => {
+  if (name === UNCATEGORIZED_NAME) {
+    return 'bg-orange-500';
+  }
+  return categories.find(c => c.name === name)?.color || 'bg-gray-500';
+};
+
+/**
+ * Orders categories so each parent is followed by its children.
+ * @param {Array<object>} categories - The user's categories.
+ * @returns {Array<{category: object, depth: number}>} The flattened tree.
+ */
+export const flattenCategoryTree = (categories) => {
+  const byName = (a, b) => a.name.localeCompare(b.name, 'es');
+  const ids = new Set(categories.map(c => c.id));
+  const roots = categories.filter(c => !c.parentId || !ids.has(c.parentId)).sort(byName);
+  return roots.flatMap(root => [
+    { category: root, depth: 0 },
+    ...categories
+      .filter(c => c.parentId === root.id)
+      .sort(byName)
+      .map(child => ({ category: child, depth: 1 })),
+  ]);
+};
+
+/**
+ * Validates a category name against the existing ones.
+ * @param {string} name - The proposed name.
+ * @param {Array<object>} categories - The user's categories.
+ * @param {string} [ignoreId] - ID of the category being renamed.
+ * @returns {string} The trimmed name.
+ */
+export const validateCategoryName = (name, categories, ignoreId) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error("El nombre de la categoría no puede estar vacío.");
+  }
+  if (trimmed.toLowerCase() === UNCATEGORIZED_NAME.toLowerCase()) {
+    throw new Error(`"${UNCATEGORIZED_NAME}" es un nombre reservado.`);
+  }
+  if (categories.some(c => c.id !== ignoreId && c.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`Ya existe una categoría llamada "${trimmed}".`);
+  }
+  return trimmed;
+};
+
+/**
+ * Validates the parent of a category. The taxonomy has two levels, so the
+ * parent must be a top-level category and a category with children cannot
+ * become a subcategory.
+ * @param {string|null} parentId - The proposed parent ID.
+ * @param {Array<object>} categories - The user's categories.
+ * @param {object} [category] - The category being edited.
+ * @returns {string|null} The parent ID, or null for a top-level category.
+ */
+export const validateParent = (parentId, categories, category) => {
+  if (!parentId) {
+    return null;
+  }
+  const parent = categories.find(c => c.id === parentId);
+  if (!parent || (category && parent.id === category.id)) {
+    throw new Error("La categoría padre no es válida.");
+  }
+  if (parent.parentId) {
+    throw new Error("Solo se admite un nivel de subcategorías.");
+  }
+  if (category && categories.some(c => c.parentId === category.id)) {
+    throw new Error("Una categoría con subcategorías no puede tener categoría padre.");
+  }
+  return parentId;
+};
+
+/**
+ * Returns the path of the document listing the names of the user's categories.
+ * The security rules read it to accept only known categories in the current
+ * expenses, so it is rewritten in the same batch as every taxonomy change.
+ * @param {string} userPath - The user's root path.
+ * @returns {string} The document path.
+ */
+export const categoryNamesPath = (userPath) => `${userPath}/settings/categories`;
+
+// Operación que guarda la lista de nombres de categoría
+const namesOperation = (db, userPath, names) => batch => batch.set(doc(db, categoryNamesPath(userPath)), { names });
+
+/**
+ * Loads the names of the user's categories, as the security rules see them.
+ * @param {object} db - The Firestore instance.
+ * @param {string} userPath - The user's root path.
+ * @returns {Promise<Set<string>|null>} The names, or null if the list was never saved
+ *   (accounts created before it existed: the rules accept any category until then).
+ */
+export const fetchCategoryNames = async (db, userPath) => {
+  const snapshot = await getDoc(doc(db, categoryNamesPath(userPath)));
+  return snapshot.exists() ? new Set(snapshot.data().names || []) : null;
+};
+
+/**
+ * Returns the category an expense can be saved with: its own if the user
+ * still has it, or `No Categorizado` if it was renamed or deleted since (e.g.
+ * an expense restored from the trash or an archived period).
+ * @param {Set<string>|null} names - The category names (see `fetchCategoryNames`).
+ * @param {string} category - The expense category.
+ * @returns {string} The category to save.
+ */
+export const toKnownCategory = (names, category) => (!names || names.has(category) ? category : UNCATEGORIZED_NAME);
+
+/**
+ * Saves the list of category names from the loaded taxonomy. It brings
+ * accounts created before the list existed up to date.
+ * @param {object} db - The Firestore instance.
+ * @param {string} userPath - The user's root path.
+ * @param {Array<object>} categories - The user's categories.
+ * @returns {Promise<void>}
+ */
+export const syncCategoryNames = (db, userPath, categories) => (
+  setDoc(doc(db, categoryNamesPath(userPath)), { names: categories.map(c => c.name) })
+);
+
+// Ejecuta las operaciones en lotes de como máximo BATCH_LIMIT escrituras
+const commitInChunks = async (db, operations) => {
+  for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    operations.slice(i, i + BATCH_LIMIT).forEach(apply => apply(batch));
+    await batch.commit();
+  }
+};
+
+// Operaciones que cambian la categoría de los gastos, correcciones y gastos recurrentes que usan `fromName`
+const retagOperations = async (db, userPath, fromName, toName) => {
+  const operations = [];
+  for (const sub of ['expenses', 'corrections', 'recurring']) {
+    const snapshot = await getDocs(query(collection(db, `${userPath}/${sub}`), where('category', '==', fromName)));
+    snapshot.docs.forEach(d => operations.push(batch => batch.update(d.ref, { category: toName })));
+  }
+  return operations;
+};
+
+// Operación que mueve el presupuesto de `fromName` a `toName` (sumándolo si ya tenía uno) o lo elimina si `toName` es null
+const budgetOperations = async (db, userPath, fromName, toName) => {
+  const budgetsRef = doc(db, `${userPath}/settings/budgets`);
+  const snapshot = await getDoc(budgetsRef);
+  const categories = snapshot.data()?.categories;
+  if (!categories || categories[fromName] === undefined) {
+    return [];
+  }
+
+  const updated = { ...categories };
+  if (toName) {
+    updated[toName] = (updated[toName] || 0) + updated[fromName];
+  }
+  delete updated[fromName];
+  return [batch => batch.update(budgetsRef, { categories: updated })];
+};
+
+/**
+ * Writes the default taxonomy for a user who has no categories yet.
+ * @param {object} db - The Firestore instance.
+ * @param {string} userPath - The user's root path, `/artifacts/{appId}/users/{userId}`.
+ * @returns {Promise<void>}
+ */
+export const seedDefaultCategories = async (db, userPath) => {
+  const batch = writeBatch(db);
+  DEFAULT_CATEGORY_DEFINITIONS.forEach(definition => {
+    batch.set(doc(collection(db, `${userPath}/categories`)), { ...definition, createdAt: Timestamp.now() });
+  });
+  namesOperation(db, userPath, DEFAULT_CATEGORY_DEFINITIONS.map(definition => definition.name))(batch);
+  await batch.commit();
+};
+
+/**
+ * Creates a new category.
+ * @param {object} db - The Firestore instance.
+ * @param {string} userPath - The user's root path.
+ * @param {Array<object>} categories - The user's current categories.
+ * @param {{name: string, color: string, icon: string, parentId: (string|null)}} data - The new category.
+ * @returns {Promise<void>}
+ */
+export const createCategory = async (db, userPath, categories, { name, color, icon, parentId }) => {
+  const newName = validateCategoryName(name, categories);
+  const batch = writeBatch(db);
+  batch.set(doc(collection(db, `${userPath}/categories`)), {
+    name: newName,
+    color,
+    icon,
+    parentId: validateParent(parentId, categories),
+    createdAt: Timestamp.now(),
+  });
+  namesOperation(db, userPath, [...categories.map(c => c.name), newName])(batch);
+  await batch.commit();
+};
+
+/**
+ * Updates a category. Renaming it also re-tags the expenses and corrections
+ * that used the old name and moves its budget.
+ * @param {object} db - The Firestore instance.
+ * @param {string} userPath - The user's root path.
+ * @param {Array<object>} categories - The user's current categories.
+ * @param {object} category - The category being edited.
+ * @param {{name: string, color: string, icon: string, parentId: (string|null)}} changes - The new values.
+ * @returns {Promise<void>}
+ */
+export const updateCategory = async (db, userPath, categories, category, { name, color, icon, parentId }) => {
+  const newName = validateCategoryName(name, categories, category.id);
+  const newParentId = validateParent(parentId, categories, category);
+
+  // El nuevo nombre se registra en el primer lote, antes de re-etiquetar los gastos
+  const operations = newName === category.name ? [] : [
+    namesOperation(db, userPath, categories.map(c => (c.id === category.id ? newName : c.name))),
+    ...await retagOperations(db, userPath, category.name, newName),
+    ...await budgetOperations(db, userPath, category.name, newName),
+  ];
+  const categoryRef = doc(db, `${userPath}/categories/${category.id}`);
+  operations.push(batch => batch.update(categoryRef, { name: newName, color, icon, parentId: newParentId }));
+  await commitInChunks(db, operations);
+};
+
+/**
+ * Merges `source` into `target`: its expenses, corrections, subcategories and
+ * budget move to `target` and `source` is deleted.
+ * @param {object} db - The Firestore instance.
+ * @param {string} userPath - The user's root path.
+ * @param {Array<object>} categories - The user's current categories.
+ * @param {object} source - The category that disappears.
+ * @param {object} target - The category that remains.
+ * @returns {Promise<void>}
+ */
+export const mergeCategories = async (db, userPath, categories, source, target) => {
+  if (source.id === target.id) {
+    throw new Error("Elige una categoría distinta para combinar.");
+  }
+
+  const operations = [
+    ...await retagOperations(db, userPath, source.name, target.name),
+    ...await budgetOperations(db, userPath, source.name, target.name),
+  ];
+  categories
+    .filter(c => c.parentId === source.id && c.id !== target.id)
+    .forEach(child => operations.push(batch => batch.update(doc(db, `${userPath}/categories/${child.id}`), { parentId: target.id })));
+  operations.push(batch => batch.delete(doc(db, `${userPath}/categories/${source.id}`)));
+  operations.push(namesOperation(db, userPath, categories.filter(c => c.id !== source.id).map(c => c.name)));
+  await commitInChunks(db, operations);
+};
+
+/**
+ * Deletes a category. Its expenses and corrections become `No Categorizado`,
+ * its budget is removed and its subcategories become top-level categories.
+ * @param {object} db - The Firestore instance.
+ * @param {string} userPath - The user's root path.
+ * @param {Array<object>} categories - The user's current categories.
+ * @param {object} category - The category to delete.
+ * @returns {Promise<void>}
+ */
+export const deleteCategory = async (db, userPath, categories, category) => {
+  const operations = [
+    ...await retagOperations(db, userPath, category.name, UNCATEGORIZED_NAME),
+    ...await budgetOperations(db, userPath, category.name, null),
+  ];
+  categories
+    .filter(c => c.parentId === category.id)
+    .forEach(child => operations.push(batch => batch.update(doc(db, `${userPath}/categories/${child.id}`), { parentId: null })));
+  operations.push(batch => batch.delete(doc(db, `${userPath}/categories/${category.id}`)));
+  operations.push(namesOperation(db, userPath, categories.filter(c => c.id !== category.id).map(c => c.name)));
+  await commitInChunks(db, operations);
+};
@@ -0,0 +1,161 @@
+import { DEFAULT_CATEGORIES } from './categorizers/common';
+import { createCorrectionProvider } from './categorizers/correctionProvider';
+import { createGeminiProvider } from './categorizers/geminiProvider';
+import { createOpenAIProvider } from './categorizers/openAIProvider';
+import { createRuleProvider } from './categorizers/ruleProvider';
+
+export { DEFAULT_CATEGORIES };
+
+// Resultado usado cuando ningún proveedor pudo categorizar el gasto
+export const UNCATEGORIZED = { category: 'No Categorizado', classification: 'Manual' };
+
+// Cantidad de descripciones por petición agrupada a un proveedor remoto
+export const BATCH_SIZE = 25;
+
+/**
+ * Reads the categorizer configuration from the environment.
+ *
+ * - `REACT_APP_CATEGORIZER_PROVIDER`: `gemini`, `openai` or `rules`. When unset,
+ *   Gemini is used if `REACT_APP_GEMINI_PROXY_URL` is present, otherwise the rules.
+ * - `REACT_APP_GEMINI_PROXY_URL`: URL of the proxy function that holds the Gemini
+ *   key (see `functions/`); the key itself never reaches the browser.
+ * - `REACT_APP_OPENAI_API_URL`, `REACT_APP_OPENAI_API_KEY`, `REACT_APP_OPENAI_MODEL`:
+ *   settings for the OpenAI-compatible provider.
+ *
+ * @param {object} [env=process.env] - The environment to read from.
+ * @returns {object} The categorizer configuration.
+ */
+export const getCategorizerConfig = (env = process.env) => ({
+  provider: env.REACT_APP_CATEGORIZER_PROVIDER || (env.REACT_APP_GEMINI_PROXY_URL ? 'gemini' : 'rules'),
+  gemini: {
+    proxyUrl: env.REACT_APP_GEMINI_PROXY_URL,
+  },
+  openai: {
+    baseUrl: env.REACT_APP_OPENAI_API_URL || 'https://api.openai.com/v1',
+    apiKey: env.REACT_APP_OPENAI_API_KEY,
+    model: env.REACT_APP_OPENAI_MODEL || 'gpt-4o-mini',
+  },
+});
+
+/**
+ * Creates a single provider by name.
+ * @param {string} name - `gemini`, `openai` or `rules`.
+ * @param {object} config - The configuration returned by `getCategorizerConfig`.
+ * @returns {object} The provider.
+ */
+export const createProvider = (name, config) => {
+  switch (name) {
+    case 'gemini':
+      return createGeminiProvider(config.gemini);
+    case 'openai':
+      return createOpenAIProvider(config.openai);
+    case 'rules':
+      return createRuleProvider(config.rules);
+    default:
+      throw new Error(`Proveedor de categorización desconocido: "${name}".`);
+  }
+};
+
+/**
+ * Creates a categorizer that tries its providers in order and returns the
+ * first result. The user's own corrections are always checked first, remote
+ * providers are skipped while the browser is offline, and the rule engine is
+ * always appended as the last resort.
+ * @param {object} [options]
+ * @param {object} [options.config] - Configuration; defaults to `getCategorizerConfig()`.
+ * @param {Array<object>} [options.providers] - Explicit provider chain, e.g. a single
+ *   deterministic provider for tests. Overrides `config.provider`.
+ * @returns {{providers: Array<object>, categorize: Function, categorizeMany: Function}} The categorizer.
+ */
+export const createCategorizer = ({ config = getCategorizerConfig(), providers } = {}) => {
+  let chain = providers;
+  if (!chain) {
+    chain = [createCorrectionProvider(), createProvider(config.provider, config)];
+    if (config.provider !== 'rules') {
+      chain.push(createProvider('rules', config));
+    }
+  }
+
+  /**
+   * Categorizes an expense description.
+   * @param {string} text - The expense description.
+   * @param {object} [context]
+   * @param {Array<string>} [context.categories] - Allowed categories.
+   * @param {Array<object>} [context.corrections] - The user's manual corrections.
+   * @returns {Promise<{category: string, classification: string}>} The categorization,
+   *   or `UNCATEGORIZED` if every provider failed.
+   */
+  const categorize = async (text, { categories = DEFAULT_CATEGORIES, corrections = [] } = {}) => {
+    const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+    for (const provider of chain) {
+      if (provider.isRemote && isOffline) {
+        continue;
+      }
+      try {
+        const result = await provider.categorize(text, { categories, corrections });
+        if (result && categories.includes(result.category)) {
+          return result;
+        }
+        if (result) {
+          console.warn(`El proveedor "${provider.name}" devolvió una categoría desconocida: "${result.category}".`);
+        }
+      } catch (e) {
+        console.error(`Error al categorizar con el proveedor "${provider.name}":`, e);
+      }
+    }
+    return UNCATEGORIZED;
+  };
+
+  /**
+   * Categorizes many descriptions at once (e.g. an imported bank statement).
+   * Repeated descriptions are categorized once, and providers that implement
+   * `categorizeMany` receive them in groups of `BATCH_SIZE` instead of one
+   * request per description. Each provider only sees what the previous ones
+   * could not categorize.
+   * @param {Array<string>} texts - The expense descriptions.
+   * @param {object} [context] - Same as `categorize`.
+   * @returns {Promise<Array<{category: string, classification: string}>>} One result per text, in order.
+   */
+  const categorizeMany = async (texts, { categories = DEFAULT_CATEGORIES, corrections = [] } = {}) => {
+    const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    const unique = Array.from(new Set(texts));
+    const results = new Map();
+
+    for (const provider of chain) {
+      const pending = unique.filter(text => !results.has(text));
+      if (pending.length === 0) {
+        break;
+      }
+      if (provider.isRemote && isOffline) {
+        continue;
+      }
+
+      const accept = (text, result) => {
+        if (result && categories.includes(result.category)) {
+          results.set(text, result);
+        }
+      };
+
+      try {
+        if (provider.categorizeMany) {
+          for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+            const group = pending.slice(i, i + BATCH_SIZE);
+            const groupResults = await provider.categorizeMany(group, { categories, corrections });
+            group.forEach((text, index) => accept(text, groupResults[index]));
+          }
+        } else {
+          for (const text of pending) {
+            accept(text, await provider.categorize(text, { categories, corrections }));
+          }
+        }
+      } catch (e) {
+        console.error(`Error al categorizar en lote con el proveedor "${provider.name}":`, e);
+      }
+    }
+
+    return texts.map(text => results.get(text) || UNCATEGORIZED);
+  };
+
+  return { providers: chain, categorize, categorizeMany };
+};
@@ -0,0 +1,131 @@
+import { createCategorizer, createProvider, getCategorizerConfig, UNCATEGORIZED, BATCH_SIZE } from './categorizer';
+import { createRuleProvider } from './categorizers/ruleProvider';
+
+// Proveedor de prueba que registra las llamadas y responde con una función fija
+const fakeProvider = (name, answer, { isRemote = false, batch = false } = {}) => {
+  const provider = {
+    name,
+    isRemote,
+    calls: [],
+    categorize: jest.fn(async (text) => {
+      provider.calls.push(text);
+      return answer(text);
+    }),
+  };
+  if (batch) {
+    provider.categorizeMany = jest.fn(async (texts) => texts.map(answer));
+  }
+  return provider;
+};
+
+const setOnline = (value) => {
+  Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => value });
+};
+
+beforeEach(() => {
+  setOnline(true);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getCategorizerConfig', () => {
+  test('uses the rules when no proxy is configured', () => {
+    expect(getCategorizerConfig({}).provider).toBe('rules');
+  });
+
+  test('uses Gemini when the proxy URL is set', () => {
+    const config = getCategorizerConfig({ REACT_APP_GEMINI_PROXY_URL: 'https://proxy.test' });
+    expect(config.provider).toBe('gemini');
+    expect(config.gemini.proxyUrl).toBe('https://proxy.test');
+  });
+
+  test('honours an explicit provider', () => {
+    expect(getCategorizerConfig({ REACT_APP_CATEGORIZER_PROVIDER: 'openai' }).provider).toBe('openai');
+  });
+});
+
+describe('createProvider', () => {
+  test('rejects unknown providers', () => {
+    expect(() => createProvider('nope', getCategorizerConfig({}))).toThrow('Proveedor de categorización desconocido: "nope".');
+  });
+});
+
+describe('createCategorizer', () => {
+  test('with the rules configuration, checks corrections first and then the rules', async () => {
+    const categorizer = createCategorizer({ config: getCategorizerConfig({}) });
+    expect(categorizer.providers.map(p => p.name)).toEqual(['corrections', 'rules']);
+
+    const corrections = [{ key: 'uber centro', description: 'Uber al centro', category: 'Otros', classification: 'Viajes' }];
+    await expect(categorizer.categorize('Uber al centro', { corrections })).resolves.toEqual({ category: 'Otros', classification: 'Viajes' });
+    await expect(categorizer.categorize('Uber al centro')).resolves.toEqual({ category: 'Transporte', classification: 'Taxi' });
+  });
+
+  test('appends the rules after a remote provider', () => {
+    const categorizer = createCategorizer({ config: getCategorizerConfig({ REACT_APP_GEMINI_PROXY_URL: 'https://proxy.test' }) });
+    expect(categorizer.providers.map(p => p.name)).toEqual(['corrections', 'gemini', 'rules']);
+  });
+
+  test('falls back to the next provider when one fails', async () => {
+    const failing = fakeProvider('remote', () => { throw new Error('down'); }, { isRemote: true });
+    const categorizer = createCategorizer({ providers: [failing, createRuleProvider()] });
+    await expect(categorizer.categorize('Colectivo')).resolves.toEqual({ category: 'Transporte', classification: 'Transporte Público' });
+    expect(failing.categorize).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back when a provider answers an unknown category', async () => {
+    const wrong = fakeProvider('remote', () => ({ category: 'Inventada', classification: 'x' }));
+    const categorizer = createCategorizer({ providers: [wrong, createRuleProvider()] });
+    await expect(categorizer.categorize('Netflix')).resolves.toEqual({ category: 'Entretenimiento', classification: 'Suscripción' });
+  });
+
+  test('returns UNCATEGORIZED when no provider can categorize', async () => {
+    const categorizer = createCategorizer({ providers: [createRuleProvider()] });
+    await expect(categorizer.categorize('Algo raro')).resolves.toEqual(UNCATEGORIZED);
+  });
+
+  test('skips remote providers while offline', async () => {
+    setOnline(false);
+    const remote = fakeProvider('remote', () => ({ category: 'Otros', classification: 'x' }), { isRemote: true });
+    const categorizer = createCategorizer({ providers: [remote, createRuleProvider()] });
+    await expect(categorizer.categorize('Sube')).resolves.toEqual({ category: 'Transporte', classification: 'Transporte Público' });
+    expect(remote.categorize).not.toHaveBeenCalled();
+  });
+
+  describe('categorizeMany', () => {
+    test('categorizes repeated descriptions once and keeps the order', async () => {
+      const provider = fakeProvider('deterministic', (text) => ({ category: 'Otros', classification: text }));
+      const categorizer = createCategorizer({ providers: [provider] });
+      const results = await categorizer.categorizeMany(['a', 'b', 'a']);
+      expect(results.map(r => r.classification)).toEqual(['a', 'b', 'a']);
+      expect(provider.calls).toEqual(['a', 'b']);
+    });
+
+    test('sends batches of BATCH_SIZE to providers that support them', async () => {
+      const provider = fakeProvider('batch', () => ({ category: 'Otros', classification: 'x' }), { batch: true });
+      const categorizer = createCategorizer({ providers: [provider] });
+      const texts = Array.from({ length: BATCH_SIZE + 1 }, (_, i) => `gasto ${i}`);
+      await categorizer.categorizeMany(texts);
+      expect(provider.categorizeMany).toHaveBeenCalledTimes(2);
+      expect(provider.categorizeMany.mock.calls[0][0]).toHaveLength(BATCH_SIZE);
+    });
+
+    test('only passes on what the previous providers could not categorize', async () => {
+      const remote = fakeProvider('remote', (text) => (text === 'Café' ? { category: 'Comida', classification: 'Cafetería' } : null), { batch: true });
+      const rules = fakeProvider('rules', () => null);
+      const categorizer = createCategorizer({ providers: [remote, rules] });
+      const results = await categorizer.categorizeMany(['Café', 'Algo raro']);
+      expect(results).toEqual([{ category: 'Comida', classification: 'Cafetería' }, UNCATEGORIZED]);
+      expect(rules.calls).toEqual(['Algo raro']);
+    });
+
+    test('falls back when a batch fails', async () => {
+      const failing = fakeProvider('remote', () => { throw new Error('down'); }, { batch: true });
+      const categorizer = createCategorizer({ providers: [failing, createRuleProvider()] });
+      await expect(categorizer.categorizeMany(['Taxi'])).resolves.toEqual([{ category: 'Transporte', classification: 'Taxi' }]);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+// Categorías generales que conoce la app por defecto
+export const DEFAULT_CATEGORIES = [
+  'Comida',
+  'Transporte',
+  'Entretenimiento',
+  'Vivienda',
+  'Salud',
+  'Educación',
+  'Servicios',
+  'Otros',
+];
+
+/**
+ * Lowercases the text and strips accents so descriptions can be compared loosely.
+ * @param {string} text - The text to normalize.
+ * @returns {string} The normalized text.
+ */
+export const normalizeText = (text) => text
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Builds the system prompt of the model-backed providers run from the client
+ * (the Gemini proxy builds the same one in `functions/src/prompts.js`).
+ * @param {Array<string>} categories - The categories the model may choose from.
+ * @returns {string} The system prompt.
+ */
+export const buildSystemPrompt = (categories) => (
+  "Eres un asistente financiero experto. Tu tarea es analizar la descripción de un gasto y asignar una 'category' " +
+  `(categoría general en español, una de: ${categories.map(c => `'${c}'`).join(', ')}) ` +
+  "y una 'classification' (clasificación detallada en español, ej: 'Restaurante', 'Gasolina', 'Cine', 'Alquiler', 'Supermercado'). " +
+  "La respuesta DEBE ser un objeto JSON con las claves 'category' y 'classification'."
+);
+
+/**
+ * Builds the user message sent to the model-backed providers run from the client.
+ * @param {string} text - The expense description.
+ * @returns {string} The user query.
+ */
+export const buildUserQuery = (text) => `Gasto: "${text}". Categoriza y clasifica este gasto.`;
+
+/**
+ * Parses and validates the JSON text returned by a model.
+ * @param {string} jsonText - Raw JSON text produced by the model.
+ * @returns {{category: string, classification: string}} The validated result.
+ */
+export const parseCategorization = (jsonText) => {
+  if (!jsonText) {
+    throw new Error("Respuesta de la API vacía o no estructurada.");
+  }
+  const { category, classification } = JSON.parse(jsonText);
+  if (typeof category !== 'string' || !category.trim() || typeof classification !== 'string') {
+    throw new Error("La respuesta no contiene 'category' y 'classification' válidos.");
+  }
+  return { category: category.trim(), classification: classification.trim() };
+};
+
+/**
+ * Builds the user message for a grouped request: one numbered line per description.
+ * @param {Array<string>} texts - The expense descriptions.
+ * @returns {string} The user query.
+ */
+export const buildBatchUserQuery = (texts) => (
+  "Categoriza y clasifica cada uno de estos gastos. Devuelve un arreglo JSON con un objeto por gasto, " +
+  "con las claves 'index' (el número del gasto), 'category' y 'classification'.\n" +
+  texts.map((text, index) => `${index}. "${text}"`).join('\n')
+);
+
+/**
+ * Parses the JSON text returned by a model for a grouped request.
+ * @param {string|Array<object>} json - Raw JSON text (or the already parsed array).
+ * @param {number} count - How many descriptions were sent.
+ * @returns {Array<{category: string, classification: string}|null>} One entry per
+ *   description, in order; null for the ones the model skipped or got wrong.
+ */
+export const parseBatchCategorization = (json, count) => {
+  if (!json) {
+    throw new Error("Respuesta de la API vacía o no estructurada.");
+  }
+  const items = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!Array.isArray(items)) {
+    throw new Error("La respuesta no es un arreglo de categorizaciones.");
+  }
+  const results = new Array(count).fill(null);
+  items.forEach(item => {
+    const index = Number(item?.index);
+    if (Number.isInteger(index) && index >= 0 && index < count
+      && typeof item.category === 'string' && item.category.trim() && typeof item.classification === 'string') {
+      results[index] = { category: item.category.trim(), classification: item.classification.trim() };
+    }
+  });
+  return results;
+};
@@ -0,0 +1,66 @@
+import { normalizeText, parseCategorization, parseBatchCategorization, buildBatchUserQuery } from './common';
+
+describe('normalizeText', () => {
+  test('lowercases and strips accents', () => {
+    expect(normalizeText('Educación FÍSICA Ñandú')).toBe('educacion fisica nandu');
+  });
+});
+
+describe('parseCategorization', () => {
+  test('returns the trimmed category and classification', () => {
+    expect(parseCategorization('{"category":" Comida ","classification":" Restaurante "}'))
+      .toEqual({ category: 'Comida', classification: 'Restaurante' });
+  });
+
+  test('rejects empty answers', () => {
+    expect(() => parseCategorization('')).toThrow('Respuesta de la API vacía o no estructurada.');
+  });
+
+  test('rejects answers without valid fields', () => {
+    expect(() => parseCategorization('{"category":"","classification":"x"}')).toThrow("La respuesta no contiene 'category' y 'classification' válidos.");
+    expect(() => parseCategorization('{"category":"Comida"}')).toThrow("La respuesta no contiene 'category' y 'classification' válidos.");
+  });
+
+  test('rejects malformed JSON', () => {
+    expect(() => parseCategorization('{category: Comida')).toThrow(SyntaxError);
+  });
+});
+
+describe('parseBatchCategorization', () => {
+  test('places each result at its index', () => {
+    const json = JSON.stringify([
+      { index: 1, category: 'Transporte', classification: 'Taxi' },
+      { index: 0, category: 'Comida', classification: 'Supermercado' },
+    ]);
+    expect(parseBatchCategorization(json, 2)).toEqual([
+      { category: 'Comida', classification: 'Supermercado' },
+      { category: 'Transporte', classification: 'Taxi' },
+    ]);
+  });
+
+  test('accepts an already parsed array', () => {
+    expect(parseBatchCategorization([{ index: '0', category: 'Salud', classification: 'Farmacia' }], 1))
+      .toEqual([{ category: 'Salud', classification: 'Farmacia' }]);
+  });
+
+  test('leaves skipped, out of range and invalid items as null', () => {
+    const items = [
+      { index: 5, category: 'Comida', classification: 'x' },
+      { index: 1, category: ' ', classification: 'x' },
+      { index: 2, category: 'Comida' },
+      null,
+    ];
+    expect(parseBatchCategorization(items, 3)).toEqual([null, null, null]);
+  });
+
+  test('rejects answers that are not an array', () => {
+    expect(() => parseBatchCategorization('{"index":0}', 1)).toThrow('La respuesta no es un arreglo de categorizaciones.');
+    expect(() => parseBatchCategorization(null, 1)).toThrow('Respuesta de la API vacía o no estructurada.');
+  });
+});
+
+describe('buildBatchUserQuery', () => {
+  test('numbers each description from zero', () => {
+    expect(buildBatchUserQuery(['Café', 'Taxi'])).toMatch(/\n0\. "Café"\n1\. "Taxi"$/);
+  });
+});
@@ -0,0 +1,19 @@
+import { findCorrection } from '../corrections';
+
+/**
+ * Creates a provider that reuses the category and classification the user
+ * chose by hand for a similar description. Corrections are read from the
+ * `corrections` entry of the categorization context.
+ * @returns {{name: string, isRemote: boolean, categorize: Function}} The provider.
+ */
+export const createCorrectionProvider = () => ({
+  name: 'corrections',
+  isRemote: false,
+  categorize: async (text, { categories, corrections }) => {
+    const correction = findCorrection(text, corrections);
+    if (!correction || !categories.includes(correction.category)) {
+      return null;
+    }
+    return { category: correction.category, classification: correction.classification };
+  },
+});
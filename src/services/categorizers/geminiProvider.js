@@ -0,0 +1,51 @@
+import { getAuth } from 'firebase/auth';
+import { fetchWithBackoff } from '../http';
+import { parseCategorization, parseBatchCategorization } from './common';
+
+// Token de sesión del usuario actual, con el que el proxy autentica cada petición
+const getCurrentIdToken = async () => {
+  const user = getAuth().currentUser;
+  if (!user) {
+    throw new Error("Inicia sesión para usar la IA.");
+  }
+  return user.getIdToken();
+};
+
+/**
+ * Sends a typed request to the server-side proxy (see `functions/`), which
+ * holds the Gemini key and builds the prompt, and returns the text of the
+ * first candidate.
+ * @param {string} proxyUrl - URL of the proxy function.
+ * @param {{kind: string}} request - The request kind and its fields (see `functions/src/prompts.js`).
+ * @param {function(): Promise<string>} [getIdToken] - Returns the Firebase ID token; defaults to the signed-in user's.
+ * @returns {Promise<string|undefined>} The JSON text of the answer.
+ */
+export const requestModel = async (proxyUrl, request, getIdToken = getCurrentIdToken) => {
+  const options = {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${await getIdToken()}`,
+    },
+    body: JSON.stringify(request)
+  };
+  const result = await fetchWithBackoff(proxyUrl, options);
+  return result.text ?? undefined;
+};
+
+/**
+ * Creates a provider that categorizes expenses with Gemini, through the proxy.
+ * @param {object} config
+ * @param {string} config.proxyUrl - URL of the proxy function.
+ * @returns {{name: string, isRemote: boolean, categorize: Function, categorizeMany: Function}} The provider.
+ */
+export const createGeminiProvider = ({ proxyUrl }) => ({
+  name: 'gemini',
+  isRemote: true,
+  categorize: async (text, { categories }) => (
+    parseCategorization(await requestModel(proxyUrl, { kind: 'categorize', text, categories }))
+  ),
+  categorizeMany: async (texts, { categories }) => (
+    parseBatchCategorization(await requestModel(proxyUrl, { kind: 'batch', texts, categories }), texts.length)
+  ),
+});
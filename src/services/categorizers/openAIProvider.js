@@ -0,0 +1,54 @@
+import { fetchWithBackoff } from '../http';
+import { buildSystemPrompt, buildUserQuery, buildBatchUserQuery, parseCategorization, parseBatchCategorization } from './common';
+
+/**
+ * Creates a provider for any endpoint that speaks the OpenAI
+ * `chat/completions` protocol (OpenAI, Azure, Ollama, LM Studio, etc.).
+ * @param {object} config
+ * @param {string} config.baseUrl - Base URL of the API, e.g. `https://api.openai.com/v1`.
+ * @param {string} config.model - The model name to request.
+ * @param {string} [config.apiKey] - Bearer token; local servers usually don't need one.
+ * @returns {{name: string, isRemote: boolean, categorize: Function, categorizeMany: Function}} The provider.
+ */
+export const createOpenAIProvider = ({ baseUrl, model, apiKey }) => {
+  // Envía un `chat/completions` en modo JSON y devuelve el contenido de la respuesta
+  const complete = async (systemPrompt, userQuery) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const options = {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userQuery },
+        ],
+        response_format: { type: 'json_object' },
+        temperature: 0,
+      })
+    };
+
+    const result = await fetchWithBackoff(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, options);
+    return result.choices?.[0]?.message?.content;
+  };
+
+  return {
+    name: 'openai',
+    isRemote: true,
+    categorize: async (text, { categories }) => (
+      parseCategorization(await complete(buildSystemPrompt(categories), buildUserQuery(text)))
+    ),
+    categorizeMany: async (texts, { categories }) => {
+      // El modo JSON exige un objeto en la raíz, así que el arreglo va bajo la clave 'items'
+      const content = await complete(
+        buildSystemPrompt(categories),
+        `${buildBatchUserQuery(texts)}\nResponde con un objeto JSON {"items": [...]}.`
+      );
+      return parseBatchCategorization(content && JSON.parse(content).items, texts.length);
+    },
+  };
+};
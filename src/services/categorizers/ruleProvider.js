@@ -0,0 +1,47 @@
+import { normalizeText } from './common';
+
+/**
+ * Offline categorization based on keyword rules. It is deterministic, needs no
+ * network or API key, and is used as the fallback for the remote providers.
+ *
+ * Each rule matches against the description lowercased and without accents,
+ * so patterns must be written in that form too.
+ */
+export const DEFAULT_RULES = [
+  { category: 'Comida', classification: 'Supermercado', pattern: /\b(super|supermercado|mercado|almacen|verduleria|carniceria|coto|carrefour|jumbo|disco|chino)\b/ },
+  { category: 'Comida', classification: 'Restaurante', pattern: /\b(restaurante?|resto|cena|almuerzo|parrilla|pizzeria|pizza|sushi|bar|cafe|cafeteria|delivery|pedidosya|rappi|mcdonalds?|burger)\b/ },
+  { category: 'Transporte', classification: 'Combustible', pattern: /\b(nafta|gasolina|combustible|gasoil|diesel|ypf|shell|axion|gnc)\b/ },
+  { category: 'Transporte', classification: 'Transporte Público', pattern: /\b(colectivo|subte|tren|sube|bondi)\b/ },
+  { category: 'Transporte', classification: 'Taxi', pattern: /\b(uber|taxi|remis|cabify|didi)\b/ },
+  { category: 'Transporte', classification: 'Estacionamiento', pattern: /\b(estacionamiento|peaje|cochera)\b/ },
+  { category: 'Entretenimiento', classification: 'Suscripción', pattern: /\b(netflix|spotify|disney|hbo|prime video|youtube premium|steam|playstation|xbox)\b/ },
+  { category: 'Entretenimiento', classification: 'Cine', pattern: /\b(cine|pelicula|teatro|recital|concierto|entradas?)\b/ },
+  { category: 'Vivienda', classification: 'Alquiler', pattern: /\b(alquiler|renta|expensas|hipoteca)\b/ },
+  { category: 'Vivienda', classification: 'Hogar', pattern: /\b(ferreteria|muebles?|easy|sodimac|limpieza)\b/ },
+  { category: 'Salud', classification: 'Farmacia', pattern: /\b(farmacia|farmacity|remedios?|medicamentos?)\b/ },
+  { category: 'Salud', classification: 'Médico', pattern: /\b(medic[oa]|consulta|dentista|odontologo|prepaga|osde|swiss medical|obra social|analisis)\b/ },
+  { category: 'Educación', classification: 'Cursos', pattern: /\b(curso|colegio|escuela|universidad|facultad|cuota escolar|matricula|clases?)\b/ },
+  { category: 'Educación', classification: 'Libros', pattern: /\b(libros?|libreria|utiles)\b/ },
+  { category: 'Servicios', classification: 'Internet y Telefonía', pattern: /\b(internet|wifi|fibertel|telecentro|movistar|celular|telefono)\b/ },
+  { category: 'Servicios', classification: 'Energía', pattern: /\b(luz|edenor|edesur|electricidad|gas|metrogas|naturgy)\b/ },
+  { category: 'Servicios', classification: 'Agua', pattern: /\b(agua|aysa)\b/ },
+];
+
+/**
+ * Creates a provider that categorizes expenses with local keyword rules.
+ * @param {object} [config]
+ * @param {Array<{category: string, classification: string, pattern: RegExp}>} [config.rules] - Rules, checked in order.
+ * @returns {{name: string, isRemote: boolean, categorize: Function}} The provider.
+ */
+export const createRuleProvider = ({ rules = DEFAULT_RULES } = {}) => ({
+  name: 'rules',
+  isRemote: false,
+  categorize: async (text, { categories }) => {
+    const normalized = normalizeText(text);
+    const rule = rules.find(r => categories.includes(r.category) && r.pattern.test(normalized));
+    if (!rule) {
+      return null;
+    }
+    return { category: rule.category, classification: rule.classification };
+  },
+});
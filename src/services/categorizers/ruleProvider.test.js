@@ -0,0 +1,55 @@
+import { createRuleProvider, DEFAULT_RULES } from './ruleProvider';
+import { DEFAULT_CATEGORIES } from './common';
+
+const context = { categories: DEFAULT_CATEGORIES };
+
+describe('rule provider', () => {
+  const provider = createRuleProvider();
+
+  test('is a local provider', () => {
+    expect(provider.name).toBe('rules');
+    expect(provider.isRemote).toBe(false);
+  });
+
+  test.each([
+    ['Compra en el súper', 'Comida', 'Supermercado'],
+    ['Cena con amigos', 'Comida', 'Restaurante'],
+    ['Carga de NAFTA en YPF', 'Transporte', 'Combustible'],
+    ['Uber al aeropuerto', 'Transporte', 'Taxi'],
+    ['Netflix', 'Entretenimiento', 'Suscripción'],
+    ['Alquiler de marzo', 'Vivienda', 'Alquiler'],
+    ['Farmacia del barrio', 'Salud', 'Farmacia'],
+    ['Consulta médica', 'Salud', 'Médico'],
+    ['Librería: útiles escolares', 'Educación', 'Libros'],
+    ['Factura de luz', 'Servicios', 'Energía'],
+  ])('categorizes "%s" as %s / %s', async (text, category, classification) => {
+    await expect(provider.categorize(text, context)).resolves.toEqual({ category, classification });
+  });
+
+  test('ignores accents and case', async () => {
+    await expect(provider.categorize('PELÍCULA en el cine', context)).resolves.toEqual({ category: 'Entretenimiento', classification: 'Cine' });
+  });
+
+  test('matches whole words only', async () => {
+    await expect(provider.categorize('Superman cómic', context)).resolves.toBeNull();
+  });
+
+  test('returns null when no rule matches', async () => {
+    await expect(provider.categorize('Regalo de cumpleaños', context)).resolves.toBeNull();
+  });
+
+  test('skips rules whose category is not allowed', async () => {
+    await expect(provider.categorize('Cena con amigos', { categories: ['Transporte'] })).resolves.toBeNull();
+  });
+
+  test('accepts custom rules, checked in order', async () => {
+    const custom = createRuleProvider({
+      rules: [
+        { category: 'Otros', classification: 'Mascotas', pattern: /\bveterinaria\b/ },
+        ...DEFAULT_RULES,
+      ],
+    });
+    await expect(custom.categorize('Veterinaria', context)).resolves.toEqual({ category: 'Otros', classification: 'Mascotas' });
+    await expect(custom.categorize('Subte', context)).resolves.toEqual({ category: 'Transporte', classification: 'Transporte Público' });
+  });
+});
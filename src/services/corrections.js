@@ -0,0 +1,74 @@
+import { normalizeText } from './categorizers/common';
+
+// Palabras que no aportan a identificar un comercio o concepto
+const STOPWORDS = new Set([
+  'de', 'del', 'la', 'el', 'los', 'las', 'en', 'con', 'para', 'por', 'y', 'a', 'al', 'un', 'una',
+  'mi', 'mis', 'pago', 'compra', 'gasto', 'cuota', 'abono', 'factura',
+]);
+
+// Similitud mínima (Jaccard entre palabras) para reutilizar una corrección
+const MIN_SIMILARITY = 0.5;
+
+/**
+ * Splits a description into its significant words.
+ * @param {string} description - The expense description.
+ * @returns {Array<string>} Normalized words, without numbers, punctuation or stopwords.
+ */
+export const tokenizeDescription = (description) => normalizeText(description)
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word.length > 1 && !STOPWORDS.has(word));
+
+/**
+ * Builds the key that identifies a correction. Descriptions that only differ
+ * in case, accents, amounts or punctuation share the same key, so the key is
+ * also used as the Firestore document ID.
+ * @param {string} description - The expense description.
+ * @returns {string} The correction key (empty if the description has no significant words).
+ */
+export const getCorrectionKey = (description) => tokenizeDescription(description).join(' ').slice(0, 200);
+
+const jaccard = (a, b) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const intersection = [...setA].filter(word => setB.has(word)).length;
+  const union = new Set([...setA, ...setB]).size;
+  return union === 0 ? 0 : intersection / union;
+};
+
+/**
+ * Finds the stored correction that best matches a description: an identical
+ * key first, then the same merchant (first significant word), then the most
+ * similar text.
+ * @param {string} description - The expense description.
+ * @param {Array<{key: string, category: string, classification: string}>} corrections - The user's corrections.
+ * @returns {object|null} The matching correction, or null if none is similar enough.
+ */
+export const findCorrection = (description, corrections) => {
+  const tokens = tokenizeDescription(description);
+  if (tokens.length === 0 || !corrections || corrections.length === 0) {
+    return null;
+  }
+
+  const key = tokens.join(' ');
+  const exact = corrections.find(c => c.key === key);
+  if (exact) {
+    return exact;
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const correction of corrections) {
+    const correctionTokens = correction.key.split(' ');
+    let score = jaccard(tokens, correctionTokens);
+    // Mismo comercio: la primera palabra significativa coincide
+    if (correctionTokens[0] === tokens[0] && tokens[0].length >= 3) {
+      score = Math.max(score, MIN_SIMILARITY + 0.1);
+    }
+    if (score > bestScore) {
+      best = correction;
+      bestScore = score;
+    }
+  }
+  return bestScore >= MIN_SIMILARITY ? best : null;
+};
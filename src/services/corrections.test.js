@@ -0,0 +1,59 @@
+import { tokenizeDescription, getCorrectionKey, findCorrection } from './corrections';
+import { createCorrectionProvider } from './categorizers/correctionProvider';
+
+const correction = (description, category, classification) => ({
+  key: getCorrectionKey(description),
+  description,
+  category,
+  classification,
+});
+
+describe('getCorrectionKey', () => {
+  test('ignores case, accents, amounts, punctuation and stopwords', () => {
+    expect(tokenizeDescription('Pago de la CUOTA del Gimnasio $12.500!')).toEqual(['gimnasio']);
+    expect(getCorrectionKey('Almuerzo en Café Martínez')).toBe(getCorrectionKey('almuerzo cafe martinez 2x'));
+  });
+
+  test('is empty for descriptions without significant words', () => {
+    expect(getCorrectionKey('Pago 1234')).toBe('');
+  });
+});
+
+describe('findCorrection', () => {
+  const corrections = [
+    correction('Starbucks Palermo', 'Comida', 'Cafetería'),
+    correction('Pedido en Mercado Libre', 'Otros', 'Compras online'),
+  ];
+
+  test('prefers an identical key', () => {
+    expect(findCorrection('STARBUCKS palermo', corrections)).toBe(corrections[0]);
+  });
+
+  test('matches the same merchant', () => {
+    expect(findCorrection('Starbucks Belgrano', corrections)).toBe(corrections[0]);
+  });
+
+  test('matches similar descriptions', () => {
+    expect(findCorrection('Mercado Libre pedido', corrections)).toBe(corrections[1]);
+  });
+
+  test('returns null when nothing is similar enough', () => {
+    expect(findCorrection('Peluquería', corrections)).toBeNull();
+    expect(findCorrection('Starbucks', [])).toBeNull();
+    expect(findCorrection('1234', corrections)).toBeNull();
+  });
+});
+
+describe('correction provider', () => {
+  const provider = createCorrectionProvider();
+  const corrections = [correction('Starbucks Palermo', 'Comida', 'Cafetería')];
+
+  test('reuses the stored categorization', async () => {
+    await expect(provider.categorize('Starbucks Palermo', { categories: ['Comida'], corrections }))
+      .resolves.toEqual({ category: 'Comida', classification: 'Cafetería' });
+  });
+
+  test('ignores corrections to categories that no longer exist', async () => {
+    await expect(provider.categorize('Starbucks Palermo', { categories: ['Transporte'], corrections })).resolves.toBeNull();
+  });
+});
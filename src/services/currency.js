@@ -0,0 +1,124 @@
+// Moneda base por defecto (la app nació en pesos argentinos)
+export const DEFAULT_BASE_CURRENCY = 'ARS';
+
+// Monedas ofrecidas en los formularios; la tabla de cambios puede sumar otras
+export const SUPPORTED_CURRENCIES = ['ARS', 'USD', 'EUR', 'BRL', 'CLP', 'UYU'];
+
+// Tabla vacía: solo la moneda de referencia, sin cotizaciones
+export const EMPTY_RATE_TABLE = { reference: DEFAULT_BASE_CURRENCY, rates: {} };
+
+const formatters = {};
+
+/**
+ * Formats an amount in the given currency, reusing one `Intl.NumberFormat` per currency.
+ * @param {number} amount - The amount to format.
+ * @param {string} [currency] - ISO 4217 code; defaults to `DEFAULT_BASE_CURRENCY`.
+ * @returns {string} The formatted amount.
+ */
+export const formatMoney = (amount, currency = DEFAULT_BASE_CURRENCY) => {
+  if (!formatters[currency]) {
+    formatters[currency] = new Intl.NumberFormat('es-AR', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: 2,
+    });
+  }
+  return formatters[currency].format(amount);
+};
+
+/**
+ * Returns how many units of the reference currency one unit of `currency` is worth.
+ * @param {{reference: string, rates: object}} rateTable - The exchange-rate table.
+ * @param {string} currency - ISO 4217 code.
+ * @returns {number|undefined} The rate, or undefined if the table has no rate for it.
+ */
+export const getRate = (rateTable, currency) => (
+  currency === rateTable.reference ? 1 : rateTable.rates[currency]
+);
+
+/**
+ * Converts an amount between two currencies using the rate table.
+ * @param {number} amount - The amount in `from`.
+ * @param {string} from - Currency of the amount.
+ * @param {string} to - Target currency.
+ * @param {{reference: string, rates: object}} rateTable - The exchange-rate table.
+ * @returns {number|null} The converted amount, or null if a rate is missing.
+ */
+export const convertAmount = (amount, from, to, rateTable) => {
+  if (from === to) {
+    return amount;
+  }
+  const fromRate = getRate(rateTable, from);
+  const toRate = getRate(rateTable, to);
+  if (!fromRate || !toRate) {
+    return null;
+  }
+  return amount * fromRate / toRate;
+};
+
+/**
+ * Re-expresses a rate table so that `reference` is worth 1. Currencies that
+ * can't be converted are dropped.
+ * @param {{reference: string, rates: object}} rateTable - The exchange-rate table.
+ * @param {string} reference - The new reference currency.
+ * @returns {{reference: string, rates: object}} The rebased table.
+ */
+export const rebaseRateTable = (rateTable, reference) => {
+  const rates = {};
+  const currencies = new Set([rateTable.reference, ...Object.keys(rateTable.rates)]);
+  currencies.forEach(currency => {
+    const rate = convertAmount(1, currency, reference, rateTable);
+    if (currency !== reference && rate) {
+      rates[currency] = rate;
+    }
+  });
+  return { reference, rates };
+};
+
+/**
+ * Parses an exchange-rate file. Two formats are accepted:
+ *
+ * - JSON as published by most rate APIs, `{ "base": "USD", "rates": { "ARS": 1050, "EUR": 0.92 } }`,
+ *   where each rate is how many units of that currency one `base` buys.
+ * - CSV with `currency,rate` lines, where each rate is how many units of
+ *   `reference` one unit of that currency is worth (the same meaning as the
+ *   table edited by hand).
+ *
+ * @param {string} text - The file contents.
+ * @param {string} fileName - The file name, used to detect the format.
+ * @param {string} reference - The reference currency for CSV files.
+ * @returns {{reference: string, rates: object}} The parsed rate table.
+ */
+export const parseRatesFile = (text, fileName, reference) => {
+  if (fileName.toLowerCase().endsWith('.json')) {
+    const data = JSON.parse(text);
+    if (!data || typeof data.base !== 'string' || typeof data.rates !== 'object') {
+      throw new Error("El JSON debe tener las claves 'base' y 'rates'.");
+    }
+    const base = data.base.toUpperCase();
+    const rates = {};
+    Object.entries(data.rates).forEach(([currency, perBase]) => {
+      const value = Number(perBase);
+      if (currency.toUpperCase() !== base && value > 0) {
+        rates[currency.toUpperCase()] = 1 / value;
+      }
+    });
+    return { reference: base, rates };
+  }
+
+  const rates = {};
+  text.split(/\r?\n/).forEach((line, index) => {
+    const [currency, value] = line.split(line.includes(';') ? ';' : ',').map(cell => (cell || '').trim());
+    if (!currency || (index === 0 && isNaN(Number(value)))) {
+      return; // línea vacía o encabezado
+    }
+    const rate = Number(value.replace(',', '.'));
+    if (!/^[A-Za-z]{3}$/.test(currency) || !(rate > 0)) {
+      throw new Error(`Línea ${index + 1} inválida: "${line}".`);
+    }
+    if (currency.toUpperCase() !== reference) {
+      rates[currency.toUpperCase()] = rate;
+    }
+  });
+  return { reference, rates };
+};
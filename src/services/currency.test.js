@@ -0,0 +1,60 @@
+import { getRate, convertAmount, rebaseRateTable, parseRatesFile } from './currency';
+
+// 1 USD = 1000 ARS, 1 EUR = 1100 ARS
+const table = { reference: 'ARS', rates: { USD: 1000, EUR: 1100 } };
+
+describe('convertAmount', () => {
+  test('returns the same amount for the same currency', () => {
+    expect(convertAmount(10, 'BRL', 'BRL', table)).toBe(10);
+  });
+
+  test('converts to and from the reference currency', () => {
+    expect(getRate(table, 'ARS')).toBe(1);
+    expect(convertAmount(2, 'USD', 'ARS', table)).toBe(2000);
+    expect(convertAmount(500, 'ARS', 'USD', table)).toBe(0.5);
+  });
+
+  test('converts between two other currencies through the reference', () => {
+    expect(convertAmount(1000, 'EUR', 'USD', table)).toBeCloseTo(1100);
+  });
+
+  test('returns null when a rate is missing', () => {
+    expect(convertAmount(1, 'BRL', 'ARS', table)).toBeNull();
+    expect(convertAmount(1, 'ARS', 'BRL', table)).toBeNull();
+  });
+});
+
+describe('rebaseRateTable', () => {
+  test('re-expresses the rates against the new reference', () => {
+    const rebased = rebaseRateTable(table, 'USD');
+    expect(rebased.reference).toBe('USD');
+    expect(rebased.rates.ARS).toBeCloseTo(0.001);
+    expect(rebased.rates.EUR).toBeCloseTo(1.1);
+    expect(rebased.rates.USD).toBeUndefined();
+  });
+
+  test('drops currencies that cannot be converted', () => {
+    expect(rebaseRateTable(table, 'BRL')).toEqual({ reference: 'BRL', rates: {} });
+  });
+});
+
+describe('parseRatesFile', () => {
+  test('reads JSON published per unit of the base currency', () => {
+    const parsed = parseRatesFile('{"base":"usd","rates":{"ARS":1000,"eur":0.5,"USD":1,"XXX":0}}', 'rates.JSON', 'ARS');
+    expect(parsed.reference).toBe('USD');
+    expect(parsed.rates).toEqual({ ARS: 0.001, EUR: 2 });
+  });
+
+  test('rejects JSON without base and rates', () => {
+    expect(() => parseRatesFile('{"rates":{}}', 'rates.json', 'ARS')).toThrow("El JSON debe tener las claves 'base' y 'rates'.");
+  });
+
+  test('reads CSV with a header, semicolons and decimal commas', () => {
+    const csv = 'moneda;cotizacion\nusd;1050,5\n\nARS;1\nEUR;1150';
+    expect(parseRatesFile(csv, 'rates.csv', 'ARS')).toEqual({ reference: 'ARS', rates: { USD: 1050.5, EUR: 1150 } });
+  });
+
+  test('reports the invalid CSV line', () => {
+    expect(() => parseRatesFile('USD,1000\nDOLAR,1', 'rates.csv', 'ARS')).toThrow('Línea 2 inválida: "DOLAR,1".');
+  });
+});
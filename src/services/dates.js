@@ -0,0 +1,81 @@
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Formats a date as the value of an `<input type="date">` (local time).
+ * @param {Date} date - The date to format.
+ * @returns {string} The date as `YYYY-MM-DD`.
+ */
+export const toDateInputValue = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Formats a date as the value of an `<input type="time">` (local time).
+ * @param {Date} date - The date to format.
+ * @returns {string} The time as `HH:MM`.
+ */
+export const toTimeInputValue = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+/**
+ * Builds a local date from the values of the date and (optional) time inputs.
+ * @param {string} dateValue - The date as `YYYY-MM-DD`.
+ * @param {string} [timeValue] - The time as `HH:MM`; midnight when empty.
+ * @returns {Date|null} The date, or null if `dateValue` is not a valid date.
+ */
+export const parseDateInput = (dateValue, timeValue) => {
+  const [year, month, day] = (dateValue || '').split('-').map(Number);
+  if (!year || !month || !day) {
+    return null;
+  }
+  const [hours, minutes] = timeValue ? timeValue.split(':').map(Number) : [0, 0];
+  const date = new Date(year, month - 1, day, hours || 0, minutes || 0);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Returns the last millisecond of the day of `date`.
+ * @param {Date} date - Any moment of the day.
+ * @returns {Date} The end of that day.
+ */
+export const endOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+
+/**
+ * Checks that an expense date belongs to the current period: not before the
+ * start of the period (the last archive) and not in the future. Dates without
+ * a time are compared by day.
+ * @param {Date} date - The expense date.
+ * @param {boolean} hasTime - Whether the user chose a time.
+ * @param {Date|null} periodStart - Start of the current period, or null if nothing was archived yet.
+ * @param {Date} [now=new Date()] - The current moment.
+ * @returns {string|null} An error message, or null if the date is valid.
+ */
+export const validateExpenseDate = (date, hasTime, periodStart, now = new Date()) => {
+  if (!date) {
+    return "Por favor, introduce una fecha válida.";
+  }
+  const latest = hasTime ? date : endOfDay(date);
+  if (periodStart && latest < periodStart) {
+    return `La fecha es anterior al inicio del período actual (${periodStart.toLocaleDateString('es-AR')}), que ya fue archivado.`;
+  }
+  if ((hasTime ? date : new Date(date.getFullYear(), date.getMonth(), date.getDate())) > now) {
+    return "La fecha del gasto no puede ser futura.";
+  }
+  return null;
+};
+
+/**
+ * Groups expenses (already sorted by date) by calendar day.
+ * @param {Array<{date: Date}>} expenses - The expenses, sorted.
+ * @returns {Array<{key: string, date: Date, expenses: Array<object>}>} One group per day, in the same order.
+ */
+export const groupByDay = (expenses) => {
+  const groups = [];
+  expenses.forEach(expense => {
+    const key = toDateInputValue(expense.date);
+    const last = groups[groups.length - 1];
+    if (last && last.key === key) {
+      last.expenses.push(expense);
+    } else {
+      groups.push({ key, date: expense.date, expenses: [expense] });
+    }
+  });
+  return groups;
+};
@@ -0,0 +1,94 @@
+import { normalizeText } from './categorizers/common';
+import { parseDateInput, endOfDay } from './dates';
+
+// Filtros vacíos de la lista de gastos (los valores son los de los campos del formulario)
+export const EMPTY_FILTERS = {
+  text: '',
+  category: '',
+  minAmount: '',
+  maxAmount: '',
+  from: '',
+  to: '',
+};
+
+// Criterios de orden de la lista y su etiqueta en la interfaz
+export const SORT_OPTIONS = {
+  date: 'Fecha',
+  amount: 'Monto',
+  category: 'Categoría',
+};
+
+export const DEFAULT_SORT = { by: 'date', direction: 'desc' };
+
+/**
+ * Tells whether any filter is set.
+ * @param {object} filters - The filters (see `EMPTY_FILTERS`).
+ * @returns {boolean} True if at least one filter narrows the list.
+ */
+export const hasActiveFilters = (filters) => Object.keys(EMPTY_FILTERS).some(key => String(filters[key] ?? '').trim() !== '');
+
+/**
+ * Returns the names matched by a category filter: the category itself and,
+ * for a parent category, its subcategories.
+ * @param {Array<object>} categories - The user's categories.
+ * @param {string} name - The selected category.
+ * @returns {Set<string>} The category names.
+ */
+export const getCategoryFilterNames = (categories, name) => {
+  const parent = categories.find(c => c.name === name);
+  return new Set([name, ...(parent ? categories.filter(c => c.parentId === parent.id).map(c => c.name) : [])]);
+};
+
+/**
+ * Filters expenses by text (description or classification, ignoring case and
+ * accents), category, amount range (in the base currency) and date range.
+ * Expenses without an exchange rate are left out when an amount range is set.
+ * @param {Array<object>} expenses - Expenses with `baseAmount` computed.
+ * @param {object} filters - The filters (see `EMPTY_FILTERS`).
+ * @param {Array<object>} [categories] - The user's categories, so a parent category also matches its subcategories.
+ * @returns {Array<object>} The matching expenses, in the same order.
+ */
+export const filterExpenses = (expenses, filters, categories = []) => {
+  const terms = normalizeText(filters.text || '').split(/\s+/).filter(Boolean);
+  const categoryNames = filters.category ? getCategoryFilterNames(categories, filters.category) : null;
+  const min = filters.minAmount !== '' ? Number(filters.minAmount) : null;
+  const max = filters.maxAmount !== '' ? Number(filters.maxAmount) : null;
+  const from = filters.from ? parseDateInput(filters.from) : null;
+  const to = filters.to ? parseDateInput(filters.to) : null;
+  const until = to ? endOfDay(to) : null;
+
+  return expenses.filter(expense => {
+    if (terms.length > 0) {
+      const text = normalizeText(`${expense.description} ${expense.classification || ''}`);
+      if (!terms.every(term => text.includes(term))) return false;
+    }
+    if (categoryNames && !categoryNames.has(expense.category)) return false;
+    if (min !== null || max !== null) {
+      if (expense.baseAmount === null || expense.baseAmount === undefined) return false;
+      if (min !== null && expense.baseAmount < min) return false;
+      if (max !== null && expense.baseAmount > max) return false;
+    }
+    if (from && expense.date < from) return false;
+    if (until && expense.date > until) return false;
+    return true;
+  });
+};
+
+/**
+ * Sorts expenses by date, amount (in the base currency) or category. Ties keep
+ * the most recent expense first.
+ * @param {Array<object>} expenses - Expenses with `baseAmount` computed.
+ * @param {{by: string, direction: 'asc'|'desc'}} sort - The criterion (see `SORT_OPTIONS`) and direction.
+ * @returns {Array<object>} A sorted copy.
+ */
+export const sortExpenses = (expenses, { by, direction }) => {
+  const sign = direction === 'asc' ? 1 : -1;
+  const hasAmount = (expense) => expense.baseAmount !== null && expense.baseAmount !== undefined;
+  const compare = {
+    date: (a, b) => sign * (a.date - b.date),
+    // Los gastos sin tipo de cambio van siempre al final
+    amount: (a, b) => (hasAmount(a) && hasAmount(b) ? sign * (a.baseAmount - b.baseAmount) : hasAmount(b) - hasAmount(a)),
+    category: (a, b) => sign * a.category.localeCompare(b.category, 'es'),
+  }[by] || (() => 0);
+  return [...expenses].sort((a, b) => compare(a, b) || (b.date - a.date) || (b.createdAt - a.createdAt));
+};
@@ -0,0 +1,86 @@
+import { EMPTY_FILTERS, hasActiveFilters, getCategoryFilterNames, filterExpenses, sortExpenses } from './expenseFilters';
+
+const expense = (id, changes) => ({
+  id,
+  description: 'Gasto',
+  classification: '',
+  category: 'Comida',
+  baseAmount: 100,
+  date: new Date(2024, 4, 10),
+  createdAt: new Date(2024, 4, 10),
+  ...changes,
+});
+
+const expenses = [
+  expense('a', { description: 'Café con leche', baseAmount: 50, date: new Date(2024, 4, 1) }),
+  expense('b', { description: 'Supermercado Coto', classification: 'Compras del mes', baseAmount: 12000, date: new Date(2024, 4, 5, 20, 30) }),
+  expense('c', { description: 'Colectivo', category: 'Transporte', baseAmount: 700, date: new Date(2024, 4, 7) }),
+  expense('d', { description: 'Heladería', category: 'Postres', baseAmount: null, date: new Date(2024, 4, 9) }),
+];
+
+const categories = [
+  { id: 'c1', name: 'Comida', parentId: null },
+  { id: 'c2', name: 'Postres', parentId: 'c1' },
+  { id: 'c3', name: 'Transporte', parentId: null },
+];
+
+const ids = (list) => list.map(item => item.id);
+
+describe('hasActiveFilters', () => {
+  test('ignores empty and blank values', () => {
+    expect(hasActiveFilters(EMPTY_FILTERS)).toBe(false);
+    expect(hasActiveFilters({ ...EMPTY_FILTERS, text: '   ' })).toBe(false);
+    expect(hasActiveFilters({ ...EMPTY_FILTERS, minAmount: 0 })).toBe(true);
+  });
+});
+
+describe('getCategoryFilterNames', () => {
+  test('includes the subcategories of a parent category', () => {
+    expect(getCategoryFilterNames(categories, 'Comida')).toEqual(new Set(['Comida', 'Postres']));
+    expect(getCategoryFilterNames(categories, 'Postres')).toEqual(new Set(['Postres']));
+    expect(getCategoryFilterNames(categories, 'No Categorizado')).toEqual(new Set(['No Categorizado']));
+  });
+});
+
+describe('filterExpenses', () => {
+  test('matches every word in the description or classification, ignoring case and accents', () => {
+    expect(ids(filterExpenses(expenses, { ...EMPTY_FILTERS, text: 'CAFE' }))).toEqual(['a']);
+    expect(ids(filterExpenses(expenses, { ...EMPTY_FILTERS, text: 'coto mes' }))).toEqual(['b']);
+    expect(ids(filterExpenses(expenses, { ...EMPTY_FILTERS, text: 'heladeria colectivo' }))).toEqual([]);
+  });
+
+  test('filters by category, including its subcategories', () => {
+    expect(ids(filterExpenses(expenses, { ...EMPTY_FILTERS, category: 'Comida' }, categories))).toEqual(['a', 'b', 'd']);
+    expect(ids(filterExpenses(expenses, { ...EMPTY_FILTERS, category: 'Transporte' }, categories))).toEqual(['c']);
+  });
+
+  test('filters by amount and leaves out expenses without exchange rate', () => {
+    expect(ids(filterExpenses(expenses, { ...EMPTY_FILTERS, minAmount: '100' }))).toEqual(['b', 'c']);
+    expect(ids(filterExpenses(expenses, { ...EMPTY_FILTERS, minAmount: '50', maxAmount: '700' }))).toEqual(['a', 'c']);
+  });
+
+  test('includes the whole last day of the date range', () => {
+    expect(ids(filterExpenses(expenses, { ...EMPTY_FILTERS, from: '2024-05-05', to: '2024-05-07' }))).toEqual(['b', 'c']);
+  });
+});
+
+describe('sortExpenses', () => {
+  test('sorts by date in both directions', () => {
+    expect(ids(sortExpenses(expenses, { by: 'date', direction: 'desc' }))).toEqual(['d', 'c', 'b', 'a']);
+    expect(ids(sortExpenses(expenses, { by: 'date', direction: 'asc' }))).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('keeps expenses without exchange rate last when sorting by amount', () => {
+    expect(ids(sortExpenses(expenses, { by: 'amount', direction: 'desc' }))).toEqual(['b', 'c', 'a', 'd']);
+    expect(ids(sortExpenses(expenses, { by: 'amount', direction: 'asc' }))).toEqual(['a', 'c', 'b', 'd']);
+  });
+
+  test('breaks category ties with the most recent expense first', () => {
+    expect(ids(sortExpenses(expenses, { by: 'category', direction: 'asc' }))).toEqual(['b', 'a', 'd', 'c']);
+  });
+
+  test('does not change the original list', () => {
+    sortExpenses(expenses, { by: 'amount', direction: 'asc' });
+    expect(ids(expenses)).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
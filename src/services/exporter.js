@@ -0,0 +1,193 @@
+import { formatMoney } from './currency';
+import { toDateInputValue } from './dates';
+
+// Columnas del CSV de gastos
+const EXPENSE_COLUMNS = [
+  { header: 'fecha', value: e => toDateInputValue(e.date) },
+  { header: 'descripcion', value: e => e.description },
+  { header: 'monto', value: e => e.amount },
+  { header: 'moneda', value: e => e.currency },
+  { header: 'monto_base', value: e => (e.baseAmount ?? '') },
+  { header: 'categoria', value: e => e.category },
+  { header: 'clasificacion', value: e => e.classification || '' },
+];
+
+// Escapa una celda CSV (comillas si tiene separador, comillas o saltos de línea)
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows as CSV with a header line.
+ * @param {Array<object>} rows - The rows.
+ * @param {Array<{header: string, value: Function}>} columns - Column definitions.
+ * @returns {string} The CSV text.
+ */
+export const toCSV = (rows, columns) => [
+  columns.map(c => escapeCell(c.header)).join(','),
+  ...rows.map(row => columns.map(c => escapeCell(c.value(row))).join(',')),
+].join('\r\n');
+
+/**
+ * Serializes expenses as CSV.
+ * @param {Array<object>} expenses - Expenses with `baseAmount` already computed.
+ * @returns {string} The CSV text.
+ */
+export const expensesToCSV = (expenses) => toCSV(expenses, EXPENSE_COLUMNS);
+
+/**
+ * Serializes expenses as JSON, with dates in ISO format and without internal fields.
+ * @param {Array<object>} expenses - Expenses with `baseAmount` already computed.
+ * @param {object} [meta] - Extra fields for the root object (period, currency...).
+ * @returns {string} The JSON text.
+ */
+export const expensesToJSON = (expenses, meta = {}) => JSON.stringify({
+  ...meta,
+  exportedAt: new Date().toISOString(),
+  expenses: expenses.map(e => ({
+    id: e.id,
+    date: e.date.toISOString(),
+    description: e.description,
+    amount: e.amount,
+    currency: e.currency,
+    baseAmount: e.baseAmount ?? null,
+    category: e.category,
+    classification: e.classification || null,
+  })),
+}, null, 2);
+
+/**
+ * Serializes the category summary of an archived period as CSV.
+ * @param {object} record - The history record.
+ * @returns {string} The CSV text.
+ */
+export const historyRecordToCSV = (record) => toCSV(record.categorySummary || [], [
+  { header: 'categoria', value: c => c.category },
+  { header: 'total', value: c => c.total },
+  { header: 'porcentaje', value: c => c.percentage.toFixed(2) },
+]);
+
+/**
+ * Serializes an archived period as JSON.
+ * @param {object} record - The history record.
+ * @param {Array<object>} [expenses] - The archived expenses of the period, when available.
+ * @returns {string} The JSON text.
+ */
+export const historyRecordToJSON = (record, expenses = []) => expensesToJSON(expenses, {
+  ...record,
+  archiveDate: record.archiveDate.toISOString(),
+});
+
+/**
+ * Builds the category breakdown of a list of expenses (same figures the bar chart shows).
+ * @param {Array<object>} expenses - Expenses with `baseAmount` computed.
+ * @returns {{totalSpent: number, categorySummary: Array<{category: string, total: number, percentage: number}>}}
+ */
+export const summarizeExpenses = (expenses) => {
+  const convertible = expenses.filter(e => e.baseAmount !== null && e.baseAmount !== undefined);
+  const totalSpent = convertible.reduce((sum, e) => sum + e.baseAmount, 0);
+  const totals = convertible.reduce((acc, e) => {
+    acc[e.category] = (acc[e.category] || 0) + e.baseAmount;
+    return acc;
+  }, {});
+  const categorySummary = Object.keys(totals)
+    .map(category => ({ category, total: totals[category], percentage: totalSpent > 0 ? (totals[category] / totalSpent) * 100 : 0 }))
+    .sort((a, b) => b.total - a.total);
+  return { totalSpent, categorySummary };
+};
+
+const escapeHTML = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Builds a self-contained, printable HTML report of a period.
+ * @param {object} report
+ * @param {string} report.title - Report title.
+ * @param {string} report.currency - Currency of the totals.
+ * @param {number} report.totalSpent - Total of the period.
+ * @param {Array<{category: string, total: number, percentage: number}>} report.categorySummary - Category breakdown.
+ * @param {Array<object>} [report.expenses] - Line items, when available.
+ * @returns {string} The HTML document.
+ */
+export const buildReportHTML = ({ title, currency, totalSpent, categorySummary, expenses = [] }) => `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHTML(title)}</title>
+<style>
+  body { font-family: 'Inter', Arial, sans-serif; color: #1f2937; margin: 32px; }
+  h1 { color: #4338ca; margin-bottom: 4px; }
+  .muted { color: #6b7280; font-size: 12px; }
+  .total { font-size: 24px; font-weight: 700; margin: 16px 0; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; font-size: 13px; }
+  th, td { border-bottom: 1px solid #e5e7eb; padding: 6px 8px; text-align: left; }
+  th { background: #f3f4f6; }
+  td.num { text-align: right; white-space: nowrap; }
+  .bar { background: #e5e7eb; height: 8px; border-radius: 4px; }
+  .bar > div { background: #4f46e5; height: 8px; border-radius: 4px; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<p class="muted">Generado el ${escapeHTML(new Date().toLocaleString('es-AR'))}</p>
+<p class="total">Total: ${escapeHTML(formatMoney(totalSpent, currency))}</p>
+<h2>Distribución por Categoría</h2>
+<table>
+<thead><tr><th>Categoría</th><th class="num">Total</th><th class="num">%</th><th style="width:35%"></th></tr></thead>
+<tbody>
+${categorySummary.map(c => `<tr><td>${escapeHTML(c.category)}</td><td class="num">${escapeHTML(formatMoney(c.total, currency))}</td><td class="num">${c.percentage.toFixed(1)}%</td><td><div class="bar"><div style="width:${c.percentage.toFixed(1)}%"></div></div></td></tr>`).join('\n')}
+</tbody>
+</table>
+${expenses.length > 0 ? `<h2>Detalle de Gastos (${expenses.length})</h2>
+<table>
+<thead><tr><th>Fecha</th><th>Descripción</th><th>Categoría</th><th>Clasificación</th><th class="num">Monto</th></tr></thead>
+<tbody>
+${expenses.map(e => `<tr><td>${escapeHTML(e.date.toLocaleDateString('es-AR'))}</td><td>${escapeHTML(e.description)}</td><td>${escapeHTML(e.category)}</td><td>${escapeHTML(e.classification)}</td><td class="num">${escapeHTML(formatMoney(e.amount, e.currency))}</td></tr>`).join('\n')}
+</tbody>
+</table>` : ''}
+</body>
+</html>`;
+
+/**
+ * Downloads text content as a file.
+ * @param {string} content - The file contents.
+ * @param {string} fileName - The suggested file name.
+ * @param {string} mimeType - The MIME type.
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+  // BOM para que Excel abra los CSV en UTF-8 con los acentos correctos
+  const blob = new Blob([mimeType.startsWith('text/csv') ? '\uFEFF' : '', content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Opens an HTML report in a new window and shows the print dialog, from
+ * which it can be saved as PDF.
+ * @param {string} html - The HTML document.
+ * @returns {boolean} False if the browser blocked the new window.
+ */
+export const openPrintableReport = (html) => {
+  const reportWindow = window.open('', '_blank');
+  if (!reportWindow) {
+    return false;
+  }
+  reportWindow.document.open();
+  reportWindow.document.write(html);
+  reportWindow.document.close();
+  reportWindow.focus();
+  // Se deja un instante para que el navegador maquete el documento antes de imprimir
+  setTimeout(() => reportWindow.print(), 300);
+  return true;
+};
@@ -0,0 +1,156 @@
+import { requestModel } from './categorizers/geminiProvider';
+import { getCategorizerConfig } from './categorizer';
+import { normalizeText } from './categorizers/common';
+import { convertAmount } from './currency';
+import { FREQUENCIES } from './recurring';
+import { toDateInputValue } from './dates';
+
+// Ventanas (en períodos, contando el actual) para las que se precalculan totales
+const PERIOD_WINDOWS = [3, 6, 12];
+
+// Gastos del período actual que se envían línea por línea (los más recientes)
+const MAX_EXPENSE_LINES = 200;
+
+// Largo máximo de una pregunta (el mismo que acepta el proxy, ver functions/src/prompts.js)
+export const MAX_QUESTION_LENGTH = 1000;
+
+// Turnos anteriores de la conversación que se reenvían como contexto
+const MAX_HISTORY_TURNS = 10;
+
+// Cuántas veces por mes equivale cada frecuencia (para estimar el costo mensual)
+const MONTHLY_FACTOR = { daily: 30, weekly: 52 / 12, monthly: 1, yearly: 1 / 12 };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Computes the figures the assistant may quote: totals of the current period
+ * and of each archived period (overall and per category), totals over the last
+ * 3/6/12 periods, the most repeated descriptions of the current period and the
+ * estimated monthly cost of each active recurring expense. Every figure is
+ * computed here (never by the model) and in the base currency.
+ * @param {object} data
+ * @param {Array<object>} data.expenses - Current expenses with `baseAmount` computed.
+ * @param {Array<object>} data.history - Archived period summaries, newest first.
+ * @param {Array<object>} [data.recurring] - Recurring expense templates.
+ * @param {string} data.baseCurrency - The base currency.
+ * @param {{rates: Object<string, number>}} data.rateTable - Exchange rates (for history and templates in other currencies).
+ * @returns {Array<{id: string, label: string, value: number, count?: number}>} The figures.
+ */
+export const buildFinanceFigures = ({ expenses, history, recurring = [], baseCurrency, rateTable }) => {
+  const figures = [];
+  const add = (label, value, count) => {
+    figures.push({ id: `f${figures.length + 1}`, label, value: round(value), ...(count !== undefined && { count }) });
+  };
+
+  // Cada período como { title, total, categories }: el actual primero y luego los archivados
+  const current = expenses.filter(e => e.baseAmount !== null && e.baseAmount !== undefined);
+  const periods = [{
+    title: 'Período actual',
+    total: current.reduce((sum, e) => sum + e.baseAmount, 0),
+    count: current.length,
+    categories: current.reduce((acc, e) => {
+      acc[e.category] = (acc[e.category] || 0) + e.baseAmount;
+      return acc;
+    }, {}),
+  }];
+  history.forEach(record => {
+    const factor = convertAmount(1, record.currency || baseCurrency, baseCurrency, rateTable);
+    if (factor === null) return;
+    periods.push({
+      title: record.title,
+      total: (record.totalSpent || 0) * factor,
+      count: record.totalExpensesCount,
+      categories: Object.fromEntries((record.categorySummary || []).map(c => [c.category, c.total * factor])),
+    });
+  });
+
+  periods.forEach(period => {
+    add(`${period.title}: total`, period.total, period.count);
+    Object.entries(period.categories)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([category, total]) => add(`${period.title}: ${category}`, total));
+  });
+
+  PERIOD_WINDOWS.filter(size => size <= periods.length).forEach(size => {
+    const recent = periods.slice(0, size);
+    const label = `Últimos ${size} períodos (actual + ${size - 1} archivados)`;
+    add(`${label}: total`, recent.reduce((sum, period) => sum + period.total, 0));
+    const categories = {};
+    recent.forEach(period => Object.entries(period.categories).forEach(([category, total]) => {
+      categories[category] = (categories[category] || 0) + total;
+    }));
+    Object.entries(categories)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([category, total]) => {
+        add(`${label}: ${category}`, total);
+        add(`${label}: ${category}, promedio por período`, total / size);
+      });
+  });
+
+  // Descripciones repetidas del período actual (posibles gastos hormiga o suscripciones)
+  const byDescription = new Map();
+  current.forEach(e => {
+    const key = normalizeText(e.description.trim());
+    const entry = byDescription.get(key) || { description: e.description.trim(), total: 0, count: 0 };
+    entry.total += e.baseAmount;
+    entry.count += 1;
+    byDescription.set(key, entry);
+  });
+  Array.from(byDescription.values())
+    .filter(entry => entry.count > 1)
+    .sort((a, b) => b.total - a.total)
+    .slice(0, 20)
+    .forEach(entry => add(`Período actual: "${entry.description}" (repetido)`, entry.total, entry.count));
+
+  recurring.filter(template => template.active !== false).forEach(template => {
+    const amount = convertAmount(template.amount, template.currency || baseCurrency, baseCurrency, rateTable);
+    if (amount === null) return;
+    add(`Recurrente "${template.description}" (${FREQUENCIES[template.frequency] || template.frequency}): costo mensual estimado`, amount * (MONTHLY_FACTOR[template.frequency] || 1));
+  });
+
+  return figures;
+};
+
+/**
+ * Answers a question about the user's finances with Gemini, grounded in the
+ * figures computed by `buildFinanceFigures`.
+ * @param {string} question - The user's question.
+ * @param {object} context
+ * @param {Array<object>} context.figures - The computed figures.
+ * @param {Array<object>} context.expenses - Current expenses with `baseAmount` computed, newest first.
+ * @param {string} context.baseCurrency - The base currency.
+ * @param {Array<{role: 'user'|'assistant', text: string}>} [context.conversation] - Previous messages.
+ * @param {Date} [context.now] - The current date.
+ * @param {object} [config]
+ * @param {string} [config.proxyUrl] - URL of the model proxy; defaults to `REACT_APP_GEMINI_PROXY_URL`.
+ * @returns {Promise<{answer: string, figures: Array<object>}>} The answer and the figures it quotes.
+ */
+export const askFinances = async (question, { figures, expenses, baseCurrency, conversation = [], now = new Date() }, { proxyUrl = getCategorizerConfig().gemini.proxyUrl } = {}) => {
+  if (!proxyUrl) {
+    throw new Error("El asistente requiere configurar REACT_APP_GEMINI_PROXY_URL.");
+  }
+  // El proxy arma las instrucciones: se envían solo la pregunta, el contexto y las cifras
+  const json = await requestModel(proxyUrl, {
+    kind: 'chat',
+    question,
+    conversation: conversation.slice(-MAX_HISTORY_TURNS * 2).map(({ role, text }) => ({ role, text })),
+    figures,
+    expenses: expenses
+      .filter(e => e.baseAmount !== null && e.baseAmount !== undefined)
+      .slice(0, MAX_EXPENSE_LINES)
+      .map(e => ({ date: toDateInputValue(e.date), description: e.description, category: e.category, amount: round(e.baseAmount) })),
+    baseCurrency,
+    today: toDateInputValue(now),
+  });
+  if (!json) {
+    throw new Error("Respuesta de la API vacía o no estructurada.");
+  }
+  const { answer, figureIds } = JSON.parse(json);
+  if (typeof answer !== 'string' || !answer.trim()) {
+    throw new Error("La respuesta no contiene 'answer'.");
+  }
+  // Solo se muestran cifras que existen: las que el modelo cite mal se descartan
+  const byId = new Map(figures.map(figure => [figure.id, figure]));
+  const quoted = Array.from(new Set(Array.isArray(figureIds) ? figureIds : [])).map(id => byId.get(id)).filter(Boolean);
+  return { answer: answer.trim(), figures: quoted };
+};
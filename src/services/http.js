@@ -0,0 +1,28 @@
+/**
+ * Performs a JSON fetch with exponential backoff between retries. Client
+ * errors (4xx, e.g. an expired session or a rate limit) are not retried.
+ * @param {string} url - The URL to request.
+ * @param {object} options - Options passed straight to `fetch`.
+ * @param {number} [retries=3] - How many times to retry after the first failure.
+ * @param {number} [delay=1000] - Delay in ms before the first retry; doubled on each attempt.
+ * @returns {Promise<object>} The parsed JSON body of the response.
+ */
+export const fetchWithBackoff = async (url, options, retries = 3, delay = 1000) => {
+  try {
+    const response = await fetch(url, options);
+    if (!response.ok) {
+      const error = new Error(`HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return await response.json();
+  } catch (error) {
+    const isClientError = error.status >= 400 && error.status < 500;
+    if (retries > 0 && !isClientError) {
+      await new Promise(res => setTimeout(res, delay));
+      return fetchWithBackoff(url, options, retries - 1, delay * 2);
+    }
+    console.error("Fallo de fetch después de varios reintentos:", error);
+    throw error;
+  }
+};
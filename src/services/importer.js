@@ -0,0 +1,199 @@
+import { normalizeText } from './categorizers/common';
+import { toDateInputValue } from './dates';
+
+/**
+ * Parses CSV text into rows of cells. Supports quoted cells (with escaped
+ * `""` quotes and line breaks) and detects `,`, `;` or tab as delimiter from
+ * the first line.
+ * @param {string} text - The CSV contents.
+ * @returns {Array<Array<string>>} The rows, without empty lines.
+ */
+export const parseCSV = (text) => {
+  const clean = text.replace(/^\uFEFF/, '');
+  const firstLine = clean.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [';', '\t', ','].reduce((best, candidate) => (
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  ), ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  for (let i = 0; i < clean.length; i++) {
+    const char = clean[i];
+    if (inQuotes) {
+      if (char === '"' && clean[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && clean[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+  return rows.filter(r => r.some(c => c !== ''));
+};
+
+// Lee el valor de una etiqueta OFX (SGML, sin etiqueta de cierre obligatoria)
+const readOFXTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+};
+
+/**
+ * Parses the transactions of an OFX/QFX bank export.
+ * @param {string} text - The OFX contents.
+ * @returns {Array<{date: string, amount: string, description: string}>} One record per
+ *   `<STMTTRN>`, with the raw values (date as `YYYYMMDD...`).
+ */
+export const parseOFX = (text) => {
+  const blocks = text.split(/<STMTTRN>/i).slice(1);
+  return blocks.map(block => ({
+    date: readOFXTag(block, 'DTPOSTED'),
+    amount: readOFXTag(block, 'TRNAMT'),
+    description: [readOFXTag(block, 'NAME'), readOFXTag(block, 'MEMO')].filter(Boolean).join(' - '),
+  }));
+};
+
+/**
+ * Parses an amount as written in bank exports: `1.234,56`, `1,234.56`,
+ * `-1234.56`, `$ 1234`, `(1234.56)`...
+ * @param {string} value - The raw amount.
+ * @returns {number|null} The amount (negative for debits), or null if it is not a number.
+ */
+export const parseAmount = (value) => {
+  if (!value) {
+    return null;
+  }
+  let text = String(value).trim();
+  const isNegative = /^\(.*\)$/.test(text) || text.includes('-');
+  text = text.replace(/[^0-9.,]/g, '');
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  if (lastComma > lastDot) {
+    // Coma decimal: 1.234,56
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (lastDot > lastComma && lastComma !== -1) {
+    // Punto decimal con separador de miles: 1,234.56
+    text = text.replace(/,/g, '');
+  } else if (lastComma === -1 && /^\d{1,3}(\.\d{3})+$/.test(text)) {
+    // Solo puntos de miles: 12.500 o 1.234.567
+    text = text.replace(/\./g, '');
+  }
+
+  const number = parseFloat(text);
+  if (isNaN(number)) {
+    return null;
+  }
+  return isNegative ? -number : number;
+};
+
+/**
+ * Parses a date as written in bank exports: `DD/MM/YYYY`, `DD-MM-YY`,
+ * `YYYY-MM-DD` or the OFX `YYYYMMDD[hhmmss]`.
+ * @param {string} value - The raw date.
+ * @returns {Date|null} The local date, or null if it can't be parsed.
+ */
+export const parseImportDate = (value) => {
+  const text = String(value || '').trim();
+  let year;
+  let month;
+  let day;
+
+  let match = text.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/))) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/))) {
+    [, day, month, year] = match.map(Number);
+    if (year < 100) year += 2000;
+  } else {
+    return null;
+  }
+
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+// Palabras que suelen aparecer en los encabezados de cada columna
+const HEADER_HINTS = {
+  amount: ['monto', 'importe', 'amount', 'debito', 'valor', 'total'],
+  description: ['descripcion', 'concepto', 'detalle', 'description', 'memo', 'comercio', 'movimiento'],
+  date: ['fecha', 'date', 'dia'],
+};
+
+/**
+ * Guesses which column holds the amount, the description and the date.
+ * @param {Array<string>} headers - The header row.
+ * @returns {{amount: number, description: number, date: number}} Column indexes (-1 if not found).
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(h => normalizeText(h || ''));
+  const find = (hints) => normalized.findIndex(h => hints.some(hint => h.includes(hint)));
+  return {
+    amount: find(HEADER_HINTS.amount),
+    description: find(HEADER_HINTS.description),
+    date: find(HEADER_HINTS.date),
+  };
+};
+
+/**
+ * Turns raw records into import rows. Amounts are stored as positive
+ * values; with `onlyDebits` the credits (positive amounts) are skipped.
+ * @param {Array<{date: string, amount: string, description: string}>} records - The raw records.
+ * @param {object} options
+ * @param {boolean} options.onlyDebits - Keep only negative amounts.
+ * @returns {Array<{key: number, date: (Date|null), amount: (number|null), description: string, error: (string|null)}>} The rows.
+ */
+export const buildImportRows = (records, { onlyDebits }) => records
+  .map((record, index) => {
+    const signedAmount = parseAmount(record.amount);
+    const date = parseImportDate(record.date);
+    const description = (record.description || '').trim();
+    let error = null;
+    if (signedAmount === null || signedAmount === 0) error = 'Monto inválido';
+    else if (!date) error = 'Fecha inválida';
+    else if (!description) error = 'Sin descripción';
+    return { key: index, date, amount: signedAmount === null ? null : Math.abs(signedAmount), signedAmount, description, error };
+  })
+  .filter(row => !onlyDebits || row.signedAmount === null || row.signedAmount < 0);
+
+/**
+ * Finds the existing expense that an import row duplicates: same day, same
+ * amount and the same (or contained) description.
+ * @param {{date: Date, amount: number, description: string}} row - The import row.
+ * @param {Array<{date: Date, amount: number, description: string}>} expenses - Existing expenses.
+ * @returns {object|null} The duplicated expense, or null.
+ */
+export const findDuplicate = (row, expenses) => {
+  if (!row.date || row.amount === null) {
+    return null;
+  }
+  const day = toDateInputValue(row.date);
+  const description = normalizeText(row.description);
+  return expenses.find(expense => {
+    if (toDateInputValue(expense.date) !== day || Math.abs(expense.amount - row.amount) > 0.005) {
+      return false;
+    }
+    const existing = normalizeText(expense.description);
+    return existing === description || existing.includes(description) || description.includes(existing);
+  }) || null;
+};
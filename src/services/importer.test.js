@@ -0,0 +1,104 @@
+import { parseCSV, parseOFX, parseAmount, parseImportDate, guessColumnMapping, buildImportRows, findDuplicate } from './importer';
+
+describe('parseCSV', () => {
+  test('detects the delimiter and skips empty lines', () => {
+    expect(parseCSV('\uFEFFFecha;Monto\r\n01/02/2024;100\r\n\r\n')).toEqual([['Fecha', 'Monto'], ['01/02/2024', '100']]);
+  });
+
+  test('handles quoted cells with delimiters, quotes and line breaks', () => {
+    expect(parseCSV('a,b\n"Uno, dos","Dijo ""hola""\nchau"')).toEqual([['a', 'b'], ['Uno, dos', 'Dijo "hola"\nchau']]);
+  });
+
+  test('reads tab separated files', () => {
+    expect(parseCSV('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('parseOFX', () => {
+  test('reads one record per transaction', () => {
+    const ofx = '<OFX><STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240215120000<TRNAMT>-1500.50<NAME>COTO<MEMO>Sucursal 12</STMTTRN>'
+      + '<STMTTRN><DTPOSTED>20240216<TRNAMT>200<NAME>Reintegro</STMTTRN></OFX>';
+    expect(parseOFX(ofx)).toEqual([
+      { date: '20240215120000', amount: '-1500.50', description: 'COTO - Sucursal 12' },
+      { date: '20240216', amount: '200', description: 'Reintegro' },
+    ]);
+  });
+});
+
+describe('parseAmount', () => {
+  test.each([
+    ['1.234,56', 1234.56],
+    ['1,234.56', 1234.56],
+    ['-1234.56', -1234.56],
+    ['$ 1234', 1234],
+    ['(1234.56)', -1234.56],
+    ['12.500', 12500],
+    ['1.234.567', 1234567],
+    ['12,5', 12.5],
+  ])('parses %s', (value, expected) => {
+    expect(parseAmount(value)).toBeCloseTo(expected);
+  });
+
+  test('returns null for empty or non-numeric values', () => {
+    expect(parseAmount('')).toBeNull();
+    expect(parseAmount('abc')).toBeNull();
+  });
+});
+
+describe('parseImportDate', () => {
+  test.each([
+    ['15/02/2024', new Date(2024, 1, 15)],
+    ['15-02-24', new Date(2024, 1, 15)],
+    ['2024-02-15', new Date(2024, 1, 15)],
+    ['20240215093000', new Date(2024, 1, 15)],
+  ])('parses %s', (value, expected) => {
+    expect(parseImportDate(value)).toEqual(expected);
+  });
+
+  test('rejects impossible or unknown dates', () => {
+    expect(parseImportDate('31/02/2024')).toBeNull();
+    expect(parseImportDate('ayer')).toBeNull();
+  });
+});
+
+describe('guessColumnMapping', () => {
+  test('finds the columns from the header hints', () => {
+    expect(guessColumnMapping(['Fecha', 'Descripción', 'Importe'])).toEqual({ amount: 2, description: 1, date: 0 });
+    expect(guessColumnMapping(['x', 'y'])).toEqual({ amount: -1, description: -1, date: -1 });
+  });
+});
+
+describe('buildImportRows', () => {
+  const records = [
+    { date: '01/02/2024', amount: '-100', description: 'Café' },
+    { date: '02/02/2024', amount: '5000', description: 'Sueldo' },
+    { date: 'nope', amount: '-10', description: 'Taxi' },
+    { date: '03/02/2024', amount: '0', description: 'Nada' },
+    { date: '03/02/2024', amount: '-20', description: ' ' },
+  ];
+
+  test('stores positive amounts and flags invalid rows', () => {
+    const rows = buildImportRows(records, { onlyDebits: false });
+    expect(rows[0]).toMatchObject({ amount: 100, signedAmount: -100, description: 'Café', error: null });
+    expect(rows.map(r => r.error)).toEqual([null, null, 'Fecha inválida', 'Monto inválido', 'Sin descripción']);
+  });
+
+  test('skips credits when only debits are wanted', () => {
+    expect(buildImportRows(records, { onlyDebits: true }).map(r => r.key)).toEqual([0, 2, 4]);
+  });
+});
+
+describe('findDuplicate', () => {
+  const expenses = [{ id: 'e1', date: new Date(2024, 1, 1, 18, 30), amount: 100, description: 'Café Martínez' }];
+
+  test('matches the same day, amount and a contained description', () => {
+    expect(findDuplicate({ date: new Date(2024, 1, 1), amount: 100, description: 'CAFE' }, expenses)).toBe(expenses[0]);
+  });
+
+  test('ignores other days, amounts or descriptions', () => {
+    expect(findDuplicate({ date: new Date(2024, 1, 2), amount: 100, description: 'Café' }, expenses)).toBeNull();
+    expect(findDuplicate({ date: new Date(2024, 1, 1), amount: 101, description: 'Café' }, expenses)).toBeNull();
+    expect(findDuplicate({ date: new Date(2024, 1, 1), amount: 100, description: 'Taxi' }, expenses)).toBeNull();
+    expect(findDuplicate({ date: null, amount: 100, description: 'Café' }, expenses)).toBeNull();
+  });
+});
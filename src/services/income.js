@@ -0,0 +1,108 @@
+import { DEFAULT_BASE_CURRENCY } from './currency';
+import { summarizeExpenses } from './exporter';
+import { endOfDay } from './dates';
+
+// Categorías propias de los ingresos (no se mezclan con las de gastos)
+export const INCOME_CATEGORY_DEFINITIONS = [
+  { name: 'Sueldo', color: 'bg-green-500', icon: 'Briefcase' },
+  { name: 'Freelance', color: 'bg-teal-500', icon: 'Smartphone' },
+  { name: 'Reintegros', color: 'bg-cyan-500', icon: 'Wallet' },
+  { name: 'Otros ingresos', color: 'bg-lime-500', icon: 'Gift' },
+];
+
+export const INCOME_CATEGORIES = INCOME_CATEGORY_DEFINITIONS.map(category => category.name);
+
+/**
+ * Returns the path of the user's income collection (current period).
+ * @param {string} userPath - Path of the user document.
+ * @returns {string} The collection path.
+ */
+export const incomePath = (userPath) => `${userPath}/income`;
+
+/**
+ * Returns the path of the subcollection holding the income of an archived period.
+ * @param {string} userPath - Path of the user document.
+ * @param {string} historyId - ID of the history record.
+ * @returns {string} The collection path.
+ */
+export const archivedIncomePath = (userPath, historyId) => `${userPath}/history/${historyId}/income`;
+
+/**
+ * Converts an income document into the in-memory shape used by the app.
+ * @param {import('firebase/firestore').QueryDocumentSnapshot} snapshot - The income entry.
+ * @returns {object} The entry, with `date` and `createdAt`.
+ */
+export const fromIncomeDoc = (snapshot) => {
+  const data = snapshot.data();
+  return {
+    id: snapshot.id,
+    ...data,
+    currency: data.currency || DEFAULT_BASE_CURRENCY,
+    date: data.incomeDate?.toDate() || data.timestamp?.toDate() || new Date(),
+    createdAt: data.timestamp?.toDate() || new Date(),
+  };
+};
+
+/**
+ * Validates the fields of an income entry before writing it. Given the start
+ * of the current period, the date must also belong to it, as with expenses
+ * (see `validateExpenseDate`): not before the last archive, which would file
+ * it into a closed period, and not in the future. Dates are compared by day.
+ * @param {object} entry
+ * @param {number} entry.amount - The amount.
+ * @param {string} entry.currency - ISO 4217 code.
+ * @param {string} entry.description - The description.
+ * @param {string} entry.category - One of `INCOME_CATEGORIES`.
+ * @param {Date} entry.date - The date the money came in.
+ * @param {object} [period]
+ * @param {Date|null} [period.periodStart=null] - Start of the current period; null skips that check.
+ * @param {Date} [period.now=new Date()] - The current moment.
+ * @returns {string|null} An error message, or null if the entry is valid.
+ */
+export const validateIncomeInput = ({ amount, currency, description, category, date }, { periodStart = null, now = new Date() } = {}) => {
+  if (!(typeof amount === 'number' && Number.isFinite(amount) && amount > 0)) {
+    return "El monto debe ser un número mayor que cero.";
+  }
+  if (!/^[A-Z]{3}$/.test(currency || '')) {
+    return "La moneda debe ser un código de tres letras (ej: ARS).";
+  }
+  if (!(typeof description === 'string' && description.trim())) {
+    return "La descripción no puede estar vacía.";
+  }
+  if (!INCOME_CATEGORIES.includes(category)) {
+    return "Elige una categoría de ingreso.";
+  }
+  if (!(date instanceof Date && !isNaN(date.getTime()))) {
+    return "La fecha del ingreso no es válida.";
+  }
+  if (periodStart && endOfDay(date) < periodStart) {
+    return `La fecha es anterior al inicio del período actual (${periodStart.toLocaleDateString('es-AR')}), que ya fue archivado.`;
+  }
+  if (new Date(date.getFullYear(), date.getMonth(), date.getDate()) > now) {
+    return "La fecha del ingreso no puede ser futura.";
+  }
+  return null;
+};
+
+/**
+ * Totals the income of a period by category. Entries without `baseAmount`
+ * (no exchange rate to the period currency) are left out, as with expenses.
+ * @param {Array<{category: string, baseAmount: number|null}>} entries - The income entries.
+ * @returns {{totalIncome: number, incomeSummary: Array<{category: string, total: number, percentage: number}>}}
+ */
+export const summarizeIncome = (entries) => {
+  const { totalSpent, categorySummary } = summarizeExpenses(entries);
+  return { totalIncome: totalSpent, incomeSummary: categorySummary };
+};
+
+/**
+ * Computes what was left of the income after the expenses of a period.
+ * @param {number} totalIncome - Income of the period.
+ * @param {number} totalSpent - Expenses of the period.
+ * @returns {{netSavings: number, savingsRate: number|null}} The net savings (negative if
+ *   more was spent than earned) and their percentage of the income (null without income).
+ */
+export const getNetBalance = (totalIncome, totalSpent) => {
+  const netSavings = totalIncome - totalSpent;
+  return { netSavings, savingsRate: totalIncome > 0 ? (netSavings / totalIncome) * 100 : null };
+};
@@ -0,0 +1,79 @@
+import { INCOME_CATEGORIES, validateIncomeInput, summarizeIncome, getNetBalance } from './income';
+
+const validIncome = {
+  amount: 150000,
+  currency: 'ARS',
+  description: 'Sueldo de mayo',
+  category: 'Sueldo',
+  date: new Date(2024, 4, 5),
+};
+
+describe('validateIncomeInput', () => {
+  test('accepts a complete entry', () => {
+    expect(validateIncomeInput(validIncome)).toBeNull();
+  });
+
+  test.each([
+    [{ amount: 0 }, 'El monto debe ser un número mayor que cero.'],
+    [{ amount: NaN }, 'El monto debe ser un número mayor que cero.'],
+    [{ currency: 'pesos' }, 'La moneda debe ser un código de tres letras (ej: ARS).'],
+    [{ description: '  ' }, 'La descripción no puede estar vacía.'],
+    [{ category: 'Comida' }, 'Elige una categoría de ingreso.'],
+    [{ date: new Date('nope') }, 'La fecha del ingreso no es válida.'],
+  ])('rejects %p', (changes, message) => {
+    expect(validateIncomeInput({ ...validIncome, ...changes })).toBe(message);
+  });
+
+  describe('with the current period', () => {
+    const periodStart = new Date(2024, 4, 1);
+    const now = new Date(2024, 4, 20, 10, 0);
+
+    test('accepts any day from the period start until today', () => {
+      expect(validateIncomeInput({ ...validIncome, date: periodStart }, { periodStart, now })).toBeNull();
+      expect(validateIncomeInput({ ...validIncome, date: new Date(2024, 4, 20) }, { periodStart, now })).toBeNull();
+    });
+
+    test('rejects dates of an archived period', () => {
+      expect(validateIncomeInput({ ...validIncome, date: new Date(2024, 3, 30) }, { periodStart, now }))
+        .toBe(`La fecha es anterior al inicio del período actual (${periodStart.toLocaleDateString('es-AR')}), que ya fue archivado.`);
+    });
+
+    test('rejects future dates', () => {
+      expect(validateIncomeInput({ ...validIncome, date: new Date(2024, 4, 21) }, { periodStart, now }))
+        .toBe('La fecha del ingreso no puede ser futura.');
+    });
+  });
+
+  test('accepts every income category', () => {
+    INCOME_CATEGORIES.forEach(category => expect(validateIncomeInput({ ...validIncome, category })).toBeNull());
+  });
+});
+
+describe('summarizeIncome', () => {
+  test('totals by category and leaves out entries without exchange rate', () => {
+    const { totalIncome, incomeSummary } = summarizeIncome([
+      { category: 'Sueldo', baseAmount: 750 },
+      { category: 'Freelance', baseAmount: 250 },
+      { category: 'Freelance', baseAmount: null },
+    ]);
+    expect(totalIncome).toBe(1000);
+    expect(incomeSummary).toEqual([
+      { category: 'Sueldo', total: 750, percentage: 75 },
+      { category: 'Freelance', total: 250, percentage: 25 },
+    ]);
+  });
+});
+
+describe('getNetBalance', () => {
+  test('returns the savings and their share of the income', () => {
+    expect(getNetBalance(1000, 750)).toEqual({ netSavings: 250, savingsRate: 25 });
+  });
+
+  test('has negative savings when more was spent than earned', () => {
+    expect(getNetBalance(1000, 1200)).toEqual({ netSavings: -200, savingsRate: -20 });
+  });
+
+  test('has no rate without income', () => {
+    expect(getNetBalance(0, 300)).toEqual({ netSavings: -300, savingsRate: null });
+  });
+});
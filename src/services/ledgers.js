@@ -0,0 +1,286 @@
+import { addDoc, arrayUnion, collection, deleteDoc, doc, getDoc, onSnapshot, query, updateDoc, where, Timestamp } from 'firebase/firestore';
+
+// Formas de repartir un gasto compartido
+export const SPLIT_TYPES = {
+  equal: 'Partes iguales',
+  percent: 'Porcentajes',
+  exact: 'Montos exactos',
+};
+
+// Diferencia máxima (en unidades de la moneda) que se considera saldada
+const TOLERANCE = 0.005;
+
+const toCents = (value) => Math.round(value * 100);
+
+/**
+ * Returns the path of the collection holding the shared ledgers of the app.
+ * @param {string} appId - The app ID.
+ * @returns {string} The collection path.
+ */
+export const getLedgersPath = (appId) => `/artifacts/${appId}/ledgers`;
+
+/**
+ * Returns the path of a shared ledger document.
+ * @param {string} appId - The app ID.
+ * @param {string} ledgerId - The ledger ID.
+ * @returns {string} The document path.
+ */
+export const getLedgerPath = (appId, ledgerId) => `${getLedgersPath(appId)}/${ledgerId}`;
+
+/**
+ * Returns the name shown for a member of a ledger.
+ * @param {object} ledger - The ledger.
+ * @param {string} uid - The member UID.
+ * @returns {string} The name.
+ */
+export const getMemberName = (ledger, uid) => ledger.members?.[uid]?.name || 'Miembro';
+
+/**
+ * Tells whether a member may delete a shared expense or settlement: only its
+ * author or the owner of the ledger can (as the security rules enforce).
+ * @param {{ownerId: string}} ledger - The ledger.
+ * @param {{createdBy: string}} entry - The expense or settlement.
+ * @param {string} uid - The member UID.
+ * @returns {boolean} Whether the entry can be deleted.
+ */
+export const canDeleteEntry = (ledger, entry, uid) => entry.createdBy === uid || ledger.ownerId === uid;
+
+/**
+ * Computes how much each participant owes for an expense. Percentages and
+ * equal parts are rounded to cents, handing the leftover cents out one by one
+ * so that the shares always add up to the amount. Without participants the
+ * result is empty.
+ * @param {number} amount - The expense amount.
+ * @param {{type: string, shares: Object<string, number>}} split - Split type and the value entered per member
+ *   (1 for each participant when equal, the percentage, or the exact amount).
+ * @returns {Object<string, number>} The amount owed by each participant.
+ */
+export const computeShares = (amount, { type, shares }) => {
+  const ids = Object.keys(shares).filter(id => shares[id] > 0);
+  if (ids.length === 0) {
+    return {};
+  }
+  if (type === 'exact') {
+    return Object.fromEntries(ids.map(id => [id, shares[id]]));
+  }
+  const total = toCents(amount);
+  const weights = ids.map(id => (type === 'percent' ? shares[id] : 1));
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const cents = weights.map(weight => Math.floor((total * weight) / weightSum));
+  let remainder = total - cents.reduce((sum, value) => sum + value, 0);
+  for (let i = 0; remainder > 0; i = (i + 1) % cents.length, remainder--) {
+    cents[i] += 1;
+  }
+  return Object.fromEntries(ids.map((id, i) => [id, cents[i] / 100]));
+};
+
+/**
+ * Validates a shared expense before saving it.
+ * @param {object} expense
+ * @param {string} expense.description - The description.
+ * @param {number} expense.amount - The amount.
+ * @param {string} expense.paidBy - UID of the member who paid.
+ * @param {{type: string, shares: Object<string, number>}} expense.split - How it is split.
+ * @param {Array<string>} memberIds - UIDs of the ledger members.
+ * @returns {string|null} An error message, or null if the expense is valid.
+ */
+export const validateSharedExpense = ({ description, amount, paidBy, split }, memberIds) => {
+  if (!description || !(amount > 0)) {
+    return "Introduce una descripción y un monto válido.";
+  }
+  if (!memberIds.includes(paidBy)) {
+    return "Elige quién pagó el gasto.";
+  }
+  const participants = Object.keys(split.shares).filter(id => split.shares[id] > 0);
+  if (participants.length === 0) {
+    return "Elige al menos una persona entre quienes se reparte el gasto.";
+  }
+  if (participants.some(id => !memberIds.includes(id))) {
+    return "El reparto incluye a alguien que no es miembro del hogar.";
+  }
+  const sum = participants.reduce((total, id) => total + split.shares[id], 0);
+  if (split.type === 'percent' && Math.abs(sum - 100) > 0.01) {
+    return `Los porcentajes deben sumar 100% (suman ${Number(sum.toFixed(2))}%).`;
+  }
+  if (split.type === 'exact' && toCents(sum) !== toCents(amount)) {
+    return `Los montos deben sumar el total del gasto (suman ${Number(sum.toFixed(2))}).`;
+  }
+  return null;
+};
+
+/**
+ * Computes the net balance of each member: what they paid (plus settlements
+ * sent) minus what they owe (plus settlements received). Positive balances are
+ * owed money; negative balances owe money.
+ * @param {Array<{amount: number, paidBy: string, owed: Object<string, number>}>} expenses - The shared expenses.
+ * @param {Array<{amount: number, from: string, to: string}>} settlements - The settle-up payments.
+ * @param {Array<string>} memberIds - UIDs of the ledger members.
+ * @returns {Object<string, number>} The balance of each member.
+ */
+export const computeBalances = (expenses, settlements, memberIds) => {
+  const cents = Object.fromEntries(memberIds.map(id => [id, 0]));
+  const add = (id, value) => {
+    cents[id] = (cents[id] || 0) + toCents(value);
+  };
+  expenses.forEach(expense => {
+    add(expense.paidBy, expense.amount);
+    Object.entries(expense.owed || {}).forEach(([id, share]) => add(id, -share));
+  });
+  settlements.forEach(settlement => {
+    add(settlement.from, settlement.amount);
+    add(settlement.to, -settlement.amount);
+  });
+  return Object.fromEntries(Object.entries(cents).map(([id, value]) => [id, value / 100]));
+};
+
+/**
+ * Turns balances into the fewest transfers that settle them (largest debtor
+ * pays the largest creditor first).
+ * @param {Object<string, number>} balances - The balance of each member (see `computeBalances`).
+ * @returns {Array<{from: string, to: string, amount: number}>} The suggested transfers.
+ */
+export const simplifyDebts = (balances) => {
+  const debtors = Object.entries(balances).filter(([, value]) => value < -TOLERANCE).map(([id, value]) => ({ id, cents: -toCents(value) }));
+  const creditors = Object.entries(balances).filter(([, value]) => value > TOLERANCE).map(([id, value]) => ({ id, cents: toCents(value) }));
+  debtors.sort((a, b) => b.cents - a.cents);
+  creditors.sort((a, b) => b.cents - a.cents);
+
+  const transfers = [];
+  let i = 0;
+  let j = 0;
+  while (i < debtors.length && j < creditors.length) {
+    const cents = Math.min(debtors[i].cents, creditors[j].cents);
+    transfers.push({ from: debtors[i].id, to: creditors[j].id, amount: cents / 100 });
+    debtors[i].cents -= cents;
+    creditors[j].cents -= cents;
+    if (debtors[i].cents === 0) i++;
+    if (creditors[j].cents === 0) j++;
+  }
+  return transfers;
+};
+
+// Datos de un miembro dentro del hogar. Quien conoce el código de invitación
+// puede leer el hogar, así que solo se guarda el nombre (nunca el correo)
+const toMember = (account) => ({ name: account.displayName || account.email?.split('@')[0] || 'Miembro' });
+
+/**
+ * Creates a shared ledger with the given user as its first member.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} ledgersPath - Path of the ledgers collection.
+ * @param {{uid: string, email: string|null, displayName: string|null}} account - The signed-in user.
+ * @param {{name: string, currency: string}} data - Name and currency of the ledger.
+ * @returns {Promise<string>} The ID of the ledger (also its invitation code).
+ */
+export const createLedger = async (db, ledgersPath, account, { name, currency }) => {
+  const ref = await addDoc(collection(db, ledgersPath), {
+    name,
+    currency,
+    ownerId: account.uid,
+    memberIds: [account.uid],
+    members: { [account.uid]: toMember(account) },
+    createdAt: Timestamp.now(),
+  });
+  return ref.id;
+};
+
+/**
+ * Adds the signed-in user to a ledger, given its invitation code.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} ledgersPath - Path of the ledgers collection.
+ * @param {string} ledgerId - The invitation code (ledger ID).
+ * @param {{uid: string, email: string|null, displayName: string|null}} account - The signed-in user.
+ */
+export const joinLedger = async (db, ledgersPath, ledgerId, account) => {
+  const ref = doc(db, `${ledgersPath}/${ledgerId}`);
+  const snapshot = await getDoc(ref);
+  if (!snapshot.exists()) {
+    throw new Error("No existe un hogar con ese código.");
+  }
+  await updateDoc(ref, {
+    memberIds: arrayUnion(account.uid),
+    [`members.${account.uid}`]: toMember(account),
+  });
+};
+
+/**
+ * Saves a shared expense with the amount owed by each participant.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} ledgerPath - Path of the ledger document.
+ * @param {object} expense - The validated expense (see `validateSharedExpense`), with `date`, `category` and `classification`.
+ * @param {string} createdBy - UID of the member who records it.
+ */
+export const addSharedExpense = (db, ledgerPath, { description, amount, paidBy, split, date, category, classification }, createdBy) => addDoc(
+  collection(db, `${ledgerPath}/expenses`),
+  {
+    description,
+    amount,
+    paidBy,
+    split,
+    owed: computeShares(amount, split),
+    category,
+    classification,
+    expenseDate: Timestamp.fromDate(date),
+    timestamp: Timestamp.now(),
+    createdBy,
+  }
+);
+
+/**
+ * Records a settle-up payment between two members.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} ledgerPath - Path of the ledger document.
+ * @param {{from: string, to: string, amount: number}} settlement - Who paid whom and how much.
+ * @param {string} createdBy - UID of the member who records it.
+ */
+export const recordSettlement = (db, ledgerPath, { from, to, amount }, createdBy) => addDoc(
+  collection(db, `${ledgerPath}/settlements`),
+  { from, to, amount, timestamp: Timestamp.now(), createdBy }
+);
+
+/**
+ * Deletes a shared expense or a settlement.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} ledgerPath - Path of the ledger document.
+ * @param {'expenses'|'settlements'} kind - The subcollection.
+ * @param {string} id - The document ID.
+ */
+export const deleteLedgerEntry = (db, ledgerPath, kind, id) => deleteDoc(doc(db, `${ledgerPath}/${kind}/${id}`));
+
+
+/**
+ * Listens to the ledgers a user is a member of, sorted by name.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} ledgersPath - Path of the ledgers collection.
+ * @param {string} userId - The member UID.
+ * @param {function(Array<object>): void} onNext - Receives the ledgers.
+ * @param {function(Error): void} onError - Receives listener errors.
+ * @returns {function(): void} Stops listening.
+ */
+export const subscribeLedgers = (db, ledgersPath, userId, onNext, onError) => onSnapshot(
+  query(collection(db, ledgersPath), where('memberIds', 'array-contains', userId)),
+  (snapshot) => {
+    const ledgers = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    onNext(ledgers.sort((a, b) => a.name.localeCompare(b.name)));
+  },
+  onError
+);
+
+/**
+ * Listens to the shared expenses or the settlements of a ledger. Each entry
+ * gets a `date`: the expense date, or when the settlement was recorded.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} ledgerPath - Path of the ledger document.
+ * @param {'expenses'|'settlements'} kind - The subcollection.
+ * @param {function(Array<object>): void} onNext - Receives the entries.
+ * @param {function(Error): void} onError - Receives listener errors.
+ * @returns {function(): void} Stops listening.
+ */
+export const subscribeLedgerEntries = (db, ledgerPath, kind, onNext, onError) => onSnapshot(
+  query(collection(db, `${ledgerPath}/${kind}`)),
+  (snapshot) => onNext(snapshot.docs.map(d => ({
+    id: d.id,
+    ...d.data(),
+    date: d.data().expenseDate?.toDate() || d.data().timestamp?.toDate() || new Date(),
+  }))),
+  onError
+);
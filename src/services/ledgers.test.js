@@ -0,0 +1,91 @@
+import { canDeleteEntry, computeShares, validateSharedExpense, computeBalances, simplifyDebts } from './ledgers';
+
+const memberIds = ['ana', 'beto', 'caro'];
+
+describe('computeShares', () => {
+  test('hands the leftover cents out one by one', () => {
+    expect(computeShares(100, { type: 'equal', shares: { ana: 1, beto: 1, caro: 1 } }))
+      .toEqual({ ana: 33.34, beto: 33.33, caro: 33.33 });
+  });
+
+  test('rounds percentages that do not divide evenly and keeps the total', () => {
+    const shares = computeShares(10, { type: 'percent', shares: { ana: 33.33, beto: 33.33, caro: 33.34 } });
+    expect(shares).toEqual({ ana: 3.34, beto: 3.33, caro: 3.33 });
+    expect(Object.values(shares).reduce((sum, value) => sum + value, 0)).toBeCloseTo(10, 10);
+  });
+
+  test('leaves out members without a share and keeps exact amounts', () => {
+    expect(computeShares(100, { type: 'exact', shares: { ana: 70, beto: 30, caro: 0 } })).toEqual({ ana: 70, beto: 30 });
+    expect(computeShares(50, { type: 'equal', shares: { ana: 1, beto: 0 } })).toEqual({ ana: 50 });
+  });
+
+  test('returns no shares without participants', () => {
+    expect(computeShares(100, { type: 'equal', shares: { ana: 0 } })).toEqual({});
+    expect(computeShares(100, { type: 'percent', shares: {} })).toEqual({});
+  });
+});
+
+describe('validateSharedExpense', () => {
+  const expense = { description: 'Luz', amount: 100, paidBy: 'ana', split: { type: 'equal', shares: { ana: 1, beto: 1 } } };
+
+  test('accepts a complete expense', () => {
+    expect(validateSharedExpense(expense, memberIds)).toBeNull();
+  });
+
+  test('rejects exact amounts that are off by a cent', () => {
+    expect(validateSharedExpense({ ...expense, split: { type: 'exact', shares: { ana: 50, beto: 49.99 } } }, memberIds))
+      .toBe('Los montos deben sumar el total del gasto (suman 99.99).');
+    // Los errores de coma flotante no cuentan como diferencia
+    expect(validateSharedExpense({ ...expense, amount: 0.3, split: { type: 'exact', shares: { ana: 0.1, beto: 0.2 } } }, memberIds))
+      .toBeNull();
+  });
+
+  test.each([
+    [{ amount: 0 }, 'Introduce una descripción y un monto válido.'],
+    [{ paidBy: 'dani' }, 'Elige quién pagó el gasto.'],
+    [{ split: { type: 'equal', shares: { ana: 0 } } }, 'Elige al menos una persona entre quienes se reparte el gasto.'],
+    [{ split: { type: 'equal', shares: { dani: 1 } } }, 'El reparto incluye a alguien que no es miembro del hogar.'],
+    [{ split: { type: 'percent', shares: { ana: 50, beto: 40 } } }, 'Los porcentajes deben sumar 100% (suman 90%).'],
+  ])('rejects %p', (changes, message) => {
+    expect(validateSharedExpense({ ...expense, ...changes }, memberIds)).toBe(message);
+  });
+});
+
+describe('computeBalances', () => {
+  test('credits the payer and debits each share', () => {
+    const expenses = [{ amount: 100, paidBy: 'ana', owed: computeShares(100, { type: 'equal', shares: { ana: 1, beto: 1, caro: 1 } }) }];
+    expect(computeBalances(expenses, [], memberIds)).toEqual({ ana: 66.66, beto: -33.33, caro: -33.33 });
+  });
+
+  test('cancels balances with settlements', () => {
+    const expenses = [{ amount: 100, paidBy: 'ana', owed: { ana: 50, beto: 50 } }];
+    const settlements = [{ amount: 50, from: 'beto', to: 'ana' }];
+    const balances = computeBalances(expenses, settlements, memberIds);
+    expect(balances).toEqual({ ana: 0, beto: 0, caro: 0 });
+    expect(simplifyDebts(balances)).toEqual([]);
+  });
+});
+
+describe('simplifyDebts', () => {
+  test('pays the largest creditor first across several creditors', () => {
+    expect(simplifyDebts({ ana: 60, beto: 40, caro: -70, dani: -30 })).toEqual([
+      { from: 'caro', to: 'ana', amount: 60 },
+      { from: 'caro', to: 'beto', amount: 10 },
+      { from: 'dani', to: 'beto', amount: 30 },
+    ]);
+  });
+
+  test('ignores differences below half a cent', () => {
+    expect(simplifyDebts({ ana: 0.004, beto: -0.004 })).toEqual([]);
+  });
+});
+
+describe('canDeleteEntry', () => {
+  const ledger = { ownerId: 'ana' };
+
+  test('lets the author and the owner delete an entry', () => {
+    expect(canDeleteEntry(ledger, { createdBy: 'beto' }, 'beto')).toBe(true);
+    expect(canDeleteEntry(ledger, { createdBy: 'beto' }, 'ana')).toBe(true);
+    expect(canDeleteEntry(ledger, { createdBy: 'beto' }, 'caro')).toBe(false);
+  });
+});
@@ -0,0 +1,55 @@
+import { doc, updateDoc } from 'firebase/firestore';
+import { UNCATEGORIZED_NAME } from './categories';
+
+// Estado de categorización de un gasto guardado sin esperar a la IA
+export const CATEGORIZATION_STATUS = {
+  pending: 'pending',
+  done: 'done',
+};
+
+// Categoría provisoria de un gasto que aún no se categorizó
+export const PENDING_CATEGORIZATION = {
+  category: UNCATEGORIZED_NAME,
+  classification: 'Pendiente de categorizar',
+  categorizationStatus: CATEGORIZATION_STATUS.pending,
+};
+
+/**
+ * Tells whether an expense is still waiting to be categorized.
+ * @param {object} expense - The expense.
+ * @returns {boolean} True if it is pending.
+ */
+export const isPendingCategorization = (expense) => expense.categorizationStatus === CATEGORIZATION_STATUS.pending;
+
+/**
+ * Categorizes expenses saved as pending (in one batched request) and updates
+ * them in Firestore. Each expense is written on its own: one that was trashed
+ * or archived while the model answered is skipped (and left out of the
+ * result) instead of failing the rest.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} userPath - Path of the user document.
+ * @param {Array<{id: string, description: string}>} expenses - The pending expenses.
+ * @param {{categorizeMany: Function}} categorizer - The categorizer.
+ * @param {{categories: Array<string>, corrections: Array<object>}} context - Allowed categories and corrections.
+ * @returns {Promise<Map<string, {category: string, classification: string}>>} The result for each expense ID.
+ */
+export const categorizePendingExpenses = async (db, userPath, expenses, categorizer, context) => {
+  const results = await categorizer.categorizeMany(expenses.map(expense => expense.description), context);
+  const byId = new Map(expenses.map((expense, index) => [expense.id, results[index]]));
+
+  const writes = await Promise.allSettled(expenses.map(expense => {
+    const { category, classification } = byId.get(expense.id);
+    return updateDoc(doc(db, `${userPath}/expenses/${expense.id}`), {
+      category,
+      classification,
+      categorizationStatus: CATEGORIZATION_STATUS.done,
+    });
+  }));
+  writes.forEach((write, index) => {
+    if (write.status === 'rejected') {
+      if (write.reason?.code !== 'not-found') throw write.reason;
+      byId.delete(expenses[index].id);
+    }
+  });
+  return byId;
+};
@@ -0,0 +1,148 @@
+import { doc, updateDoc, Timestamp } from 'firebase/firestore';
+import { requestModel } from './categorizers/geminiProvider';
+import { getCategorizerConfig } from './categorizer';
+import { convertAmount } from './currency';
+import { toDateInputValue } from './dates';
+
+// Períodos anteriores contra los que se compara (su promedio)
+const COMPARED_PERIODS = 3;
+
+// Un gasto es inusual si multiplica por este factor la mediana de su categoría
+const UNUSUAL_FACTOR = 3;
+
+// Gastos necesarios en una categoría para que su mediana sea representativa
+const MIN_CATEGORY_SAMPLE = 3;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Compares each category of a period with its average over the previous
+ * periods (up to `COMPARED_PERIODS`), converting their totals to the currency
+ * of the period. Periods whose currency cannot be converted are skipped.
+ * @param {{totalSpent: number, categorySummary: Array<{category: string, total: number}>, currency: string}} period - The period being closed.
+ * @param {Array<object>} previous - Earlier history records, newest first.
+ * @param {{rates: Object<string, number>}} rateTable - Exchange rates.
+ * @returns {{comparedPeriods: number, previousAverage: number|null, changes: Array<{category: string, total: number, previousAverage: number, change: number}>}}
+ *   The changes sorted from the biggest increase to the biggest decrease.
+ */
+export const compareWithPrevious = (period, previous, rateTable) => {
+  const compared = previous
+    .map(record => ({ record, factor: convertAmount(1, record.currency || period.currency, period.currency, rateTable) }))
+    .filter(({ factor }) => factor !== null)
+    .slice(0, COMPARED_PERIODS);
+  if (compared.length === 0) {
+    return { comparedPeriods: 0, previousAverage: null, changes: [] };
+  }
+
+  const sums = {};
+  compared.forEach(({ record, factor }) => (record.categorySummary || []).forEach(({ category, total }) => {
+    sums[category] = (sums[category] || 0) + total * factor;
+  }));
+  const current = Object.fromEntries((period.categorySummary || []).map(({ category, total }) => [category, total]));
+  const changes = Array.from(new Set([...Object.keys(current), ...Object.keys(sums)])).map(category => {
+    const total = current[category] || 0;
+    const previousAverage = (sums[category] || 0) / compared.length;
+    return { category, total: round(total), previousAverage: round(previousAverage), change: round(total - previousAverage) };
+  });
+  changes.sort((a, b) => b.change - a.change);
+
+  const previousAverage = compared.reduce((sum, { record, factor }) => sum + (record.totalSpent || 0) * factor, 0) / compared.length;
+  return { comparedPeriods: compared.length, previousAverage: round(previousAverage), changes };
+};
+
+/**
+ * Finds expenses far above what is usual in their category within the period
+ * (at least `UNUSUAL_FACTOR` times the median of the category).
+ * @param {Array<object>} expenses - The expenses of the period, with `baseAmount` computed.
+ * @param {number} [limit=5] - Maximum number of expenses returned.
+ * @returns {Array<{description: string, category: string, amount: number, date: string, times: number}>} The unusual expenses, biggest first.
+ */
+export const findUnusualExpenses = (expenses, limit = 5) => {
+  const byCategory = {};
+  expenses
+    .filter(e => e.baseAmount !== null && e.baseAmount !== undefined)
+    .forEach(e => {
+      (byCategory[e.category] = byCategory[e.category] || []).push(e);
+    });
+
+  const unusual = [];
+  Object.values(byCategory)
+    .filter(items => items.length >= MIN_CATEGORY_SAMPLE)
+    .forEach(items => {
+      const typical = median(items.map(e => e.baseAmount));
+      items
+        .filter(e => typical > 0 && e.baseAmount >= typical * UNUSUAL_FACTOR)
+        .forEach(e => unusual.push({
+          description: e.description,
+          category: e.category,
+          amount: round(e.baseAmount),
+          date: toDateInputValue(e.date),
+          times: round(e.baseAmount / typical),
+        }));
+    });
+  return unusual.sort((a, b) => b.amount - a.amount).slice(0, limit);
+};
+
+/**
+ * Builds the insights of a closed period: the category changes against the
+ * previous periods and the unusual expenses (computed locally), plus a
+ * narrative summary and savings suggestions written by Gemini. Without an API
+ * key, or if the request fails, the computed parts are returned with
+ * `summary: null`.
+ * @param {{title: string, totalSpent: number, categorySummary: Array<object>, currency: string}} period - The period summary.
+ * @param {Array<object>} expenses - The expenses of the period, with `baseAmount` computed.
+ * @param {Array<object>} previous - Earlier history records, newest first.
+ * @param {{rates: Object<string, number>}} rateTable - Exchange rates.
+ * @param {object} [config]
+ * @param {string} [config.proxyUrl] - URL of the model proxy; defaults to `REACT_APP_GEMINI_PROXY_URL`.
+ * @returns {Promise<object>} The insights, ready to be saved with `savePeriodInsights`.
+ */
+export const buildPeriodInsights = async (period, expenses, previous, rateTable, { proxyUrl = getCategorizerConfig().gemini.proxyUrl } = {}) => {
+  const comparison = compareWithPrevious(period, previous, rateTable);
+  const unusual = findUnusualExpenses(expenses);
+  const insights = {
+    comparedPeriods: comparison.comparedPeriods,
+    previousAverage: comparison.previousAverage,
+    increases: comparison.changes.filter(c => c.change > 0).slice(0, 3),
+    unusual,
+    summary: null,
+    suggestions: [],
+  };
+  if (!proxyUrl) {
+    return insights;
+  }
+
+  try {
+    const { title, totalSpent, currency, categorySummary = [] } = period;
+    const json = await requestModel(proxyUrl, {
+      kind: 'insights',
+      period: { title, totalSpent, currency, categorySummary: categorySummary.map(({ category, total }) => ({ category, total })) },
+      comparison,
+      unusual,
+    });
+    const { summary, suggestions } = JSON.parse(json || '{}');
+    insights.summary = typeof summary === 'string' && summary.trim() ? summary.trim() : null;
+    insights.suggestions = Array.isArray(suggestions) ? suggestions.filter(s => typeof s === 'string' && s.trim()).slice(0, 3) : [];
+  } catch (e) {
+    console.error("Error al generar el análisis del período:", e);
+  }
+  return insights;
+};
+
+/**
+ * Stores the insights in the history record of the period.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} userPath - Path of the user document.
+ * @param {string} historyId - The history record ID.
+ * @param {object} insights - The insights (see `buildPeriodInsights`).
+ */
+export const savePeriodInsights = (db, userPath, historyId, insights) => updateDoc(
+  doc(db, `${userPath}/history/${historyId}`),
+  { insights: { ...insights, generatedAt: Timestamp.now() } }
+);
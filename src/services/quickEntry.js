@@ -0,0 +1,63 @@
+import { requestModel } from './categorizers/geminiProvider';
+import { getCategorizerConfig } from './categorizer';
+import { findCorrection } from './corrections';
+import { UNCATEGORIZED_NAME } from './categories';
+import { toDateInputValue, parseDateInput } from './dates';
+
+// Largo máximo del texto de la carga rápida (el mismo que acepta el proxy, ver functions/src/prompts.js)
+export const MAX_QUICK_ENTRY_LENGTH = 1000;
+
+/**
+ * Validates and normalizes the expenses returned by the model. Unknown
+ * categories become "No Categorizado" and the user's manual corrections take
+ * precedence over the model, as in the regular categorizer.
+ * @param {string|Array<object>} json - Raw JSON text (or the already parsed array).
+ * @param {object} context
+ * @param {Array<string>} context.categories - Allowed categories.
+ * @param {Array<object>} [context.corrections] - The user's manual corrections.
+ * @param {Date} [context.now] - The current date, used when the model gives none.
+ * @returns {Array<{amount: number, description: string, date: Date, category: string, classification: string}>} The expenses.
+ */
+export const parseQuickEntry = (json, { categories, corrections = [], now = new Date() }) => {
+  if (!json) {
+    throw new Error("Respuesta de la API vacía o no estructurada.");
+  }
+  const items = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!Array.isArray(items)) {
+    throw new Error("La respuesta no es un arreglo de gastos.");
+  }
+  return items
+    .filter(item => item && typeof item.amount === 'number' && item.amount > 0
+      && typeof item.description === 'string' && item.description.trim())
+    .map(item => {
+      const description = item.description.trim();
+      const date = (typeof item.date === 'string' && parseDateInput(item.date)) || parseDateInput(toDateInputValue(now));
+      const correction = findCorrection(description, corrections);
+      if (correction) {
+        return { amount: item.amount, description, date, category: correction.category, classification: correction.classification };
+      }
+      const category = categories.includes(item.category) ? item.category : UNCATEGORIZED_NAME;
+      const classification = typeof item.classification === 'string' ? item.classification.trim() : '';
+      return { amount: item.amount, description, date, category, classification };
+    });
+};
+
+/**
+ * Turns a free-text sentence into several categorized expenses with one Gemini call.
+ * @param {string} text - What the user typed, e.g. "ayer 4500 nafta y 12000 super".
+ * @param {object} context
+ * @param {Array<string>} context.categories - Allowed categories.
+ * @param {Array<object>} [context.corrections] - The user's manual corrections.
+ * @param {Date} [context.now] - The current date.
+ * @param {object} [config]
+ * @param {string} [config.proxyUrl] - URL of the model proxy; defaults to `REACT_APP_GEMINI_PROXY_URL`.
+ * @returns {Promise<ReturnType<typeof parseQuickEntry>>} The expenses, for the user to review.
+ */
+export const extractQuickEntry = async (text, { categories, corrections = [], now = new Date() }, { proxyUrl = getCategorizerConfig().gemini.proxyUrl } = {}) => {
+  if (!proxyUrl) {
+    throw new Error("La carga rápida requiere configurar REACT_APP_GEMINI_PROXY_URL.");
+  }
+  // La fecha de hoy permite al modelo resolver "ayer", "el lunes", etc.
+  const json = await requestModel(proxyUrl, { kind: 'quickEntry', text, categories, today: toDateInputValue(now) });
+  return parseQuickEntry(json, { categories, corrections, now });
+};
@@ -0,0 +1,118 @@
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { requestModel } from './categorizers/geminiProvider';
+import { getCategorizerConfig } from './categorizer';
+import { parseDateInput } from './dates';
+
+// Lado mayor (en píxeles) de la foto que se envía a la IA y se guarda
+const MAX_IMAGE_SIZE = 1600;
+
+/**
+ * Downscales a photo to at most `MAX_IMAGE_SIZE` pixels on its longer side and
+ * re-encodes it as JPEG, which keeps both the AI request and the stored file small.
+ * @param {Blob} file - The photo chosen or taken by the user.
+ * @returns {Promise<Blob>} The JPEG image.
+ */
+export const prepareReceiptImage = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("No se pudo procesar la imagen."))), 'image/jpeg', 0.8);
+  });
+};
+
+// Convierte un Blob en base64 (sin el prefijo `data:`)
+const toBase64 = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1]);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+const toNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+/**
+ * Parses and sanitizes the JSON returned by the model for a receipt.
+ * @param {string} json - The model response.
+ * @returns {{total: number|null, merchant: string|null, date: Date|null, currency: string|null, items: Array<{description: string, amount: number|null}>}}
+ */
+export const parseReceiptExtraction = (json) => {
+  const data = JSON.parse(json || '{}');
+  const total = toNumber(data.total);
+  return {
+    total: total !== null && total > 0 ? total : null,
+    merchant: typeof data.merchant === 'string' && data.merchant.trim() ? data.merchant.trim() : null,
+    date: typeof data.date === 'string' ? parseDateInput(data.date) : null,
+    currency: typeof data.currency === 'string' && /^[A-Z]{3}$/.test(data.currency) ? data.currency : null,
+    items: Array.isArray(data.items)
+      ? data.items
+        .filter(item => item && typeof item.description === 'string' && item.description.trim())
+        .map(item => ({ description: item.description.trim(), amount: toNumber(item.amount) }))
+      : [],
+  };
+};
+
+/**
+ * Reads a receipt photo with the multimodal Gemini model.
+ * @param {Blob} image - The receipt image (see `prepareReceiptImage`).
+ * @param {object} [config]
+ * @param {string} [config.proxyUrl] - URL of the model proxy; defaults to `REACT_APP_GEMINI_PROXY_URL`.
+ * @returns {Promise<ReturnType<typeof parseReceiptExtraction>>} The extracted data.
+ */
+export const extractReceipt = async (image, { proxyUrl = getCategorizerConfig().gemini.proxyUrl } = {}) => {
+  if (!proxyUrl) {
+    throw new Error("La lectura de tickets requiere configurar REACT_APP_GEMINI_PROXY_URL.");
+  }
+  const request = {
+    kind: 'receipt',
+    image: { mimeType: image.type || 'image/jpeg', data: await toBase64(image) },
+  };
+  return parseReceiptExtraction(await requestModel(proxyUrl, request));
+};
+
+/**
+ * Returns the Storage path of the receipt image of an expense.
+ * @param {string} appId - The app ID.
+ * @param {string} userId - The user UID.
+ * @param {string} expenseId - The expense ID.
+ * @returns {string} The path (Storage paths have no leading slash).
+ */
+export const getReceiptPath = (appId, userId, expenseId) => `artifacts/${appId}/users/${userId}/receipts/${expenseId}.jpg`;
+
+/**
+ * Uploads a receipt image to Firebase Storage.
+ * @param {import('firebase/storage').FirebaseStorage} storage - Storage instance.
+ * @param {string} path - The destination path (see `getReceiptPath`).
+ * @param {Blob} image - The image.
+ * @returns {Promise<{path: string, contentType: string}>} The reference to save in the expense.
+ */
+export const uploadReceipt = async (storage, path, image) => {
+  const contentType = image.type || 'image/jpeg';
+  await uploadBytes(ref(storage, path), image, { contentType });
+  return { path, contentType };
+};
+
+/**
+ * Returns a download URL for a stored receipt image.
+ * @param {import('firebase/storage').FirebaseStorage} storage - Storage instance.
+ * @param {string} path - The Storage path.
+ * @returns {Promise<string>} The URL.
+ */
+export const getReceiptUrl = (storage, path) => getDownloadURL(ref(storage, path));
+
+/**
+ * Deletes a stored receipt image. A missing file is not an error.
+ * @param {import('firebase/storage').FirebaseStorage} storage - Storage instance.
+ * @param {string} path - The Storage path.
+ */
+export const deleteReceipt = async (storage, path) => {
+  try {
+    await deleteObject(ref(storage, path));
+  } catch (e) {
+    if (e.code !== 'storage/object-not-found') throw e;
+  }
+};
@@ -0,0 +1,192 @@
+import { doc, runTransaction, Timestamp } from 'firebase/firestore';
+import { toDateInputValue } from './dates';
+
+// Frecuencias admitidas y su etiqueta en la interfaz
+export const FREQUENCIES = {
+  daily: 'Diario',
+  weekly: 'Semanal',
+  monthly: 'Mensual',
+  yearly: 'Anual',
+};
+
+// Máximo de escrituras por transacción de Firestore (se reserva una para actualizar la plantilla)
+const BATCH_LIMIT = 499;
+
+/**
+ * Returns the date of the n-th occurrence of a recurring template. Each date
+ * is computed from the start date (not from the previous occurrence), so a
+ * template starting on the 31st posts on the last day of shorter months and
+ * goes back to the 31st afterwards.
+ * @param {Date} startDate - Date of the first occurrence.
+ * @param {string} frequency - One of the `FREQUENCIES` keys.
+ * @param {number} index - Zero-based occurrence number.
+ * @returns {Date} The occurrence date.
+ */
+export const getOccurrenceDate = (startDate, frequency, index) => {
+  const year = startDate.getFullYear();
+  const month = startDate.getMonth();
+  const day = startDate.getDate();
+
+  switch (frequency) {
+    case 'daily':
+      return new Date(year, month, day + index);
+    case 'weekly':
+      return new Date(year, month, day + index * 7);
+    case 'monthly': {
+      const lastDay = new Date(year, month + index + 1, 0).getDate();
+      return new Date(year, month + index, Math.min(day, lastDay));
+    }
+    case 'yearly': {
+      const lastDay = new Date(year + index, month + 1, 0).getDate();
+      return new Date(year + index, month, Math.min(day, lastDay));
+    }
+    default:
+      throw new Error(`Frecuencia desconocida: "${frequency}".`);
+  }
+};
+
+/**
+ * Checks whether the n-th occurrence is still within the template's limits
+ * (end date or maximum number of occurrences).
+ * @param {object} template - The recurring template (dates as `Date`).
+ * @param {number} index - Zero-based occurrence number.
+ * @returns {boolean} True if that occurrence should be posted.
+ */
+export const isWithinLimits = (template, index) => {
+  if (template.maxOccurrences && index >= template.maxOccurrences) {
+    return false;
+  }
+  if (template.endDate && getOccurrenceDate(template.startDate, template.frequency, index) > template.endDate) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Lists the occurrences of a template that are due and not posted yet.
+ * @param {object} template - The recurring template (dates as `Date`).
+ * @param {Date} [now=new Date()] - The current moment.
+ * @returns {Array<{index: number, date: Date}>} The due occurrences, oldest first.
+ */
+export const getDueOccurrences = (template, now = new Date()) => {
+  const due = [];
+  if (!template.active) {
+    return due;
+  }
+  for (let index = template.occurrencesPosted || 0; isWithinLimits(template, index); index++) {
+    const date = getOccurrenceDate(template.startDate, template.frequency, index);
+    if (date > now) {
+      break;
+    }
+    due.push({ index, date });
+  }
+  return due;
+};
+
+/**
+ * Lists the next occurrences of every active template within a time window.
+ * @param {Array<object>} templates - The recurring templates (dates as `Date`).
+ * @param {Date} [now=new Date()] - The current moment.
+ * @param {number} [days=30] - Size of the window in days.
+ * @returns {Array<{template: object, date: Date}>} The upcoming occurrences, soonest first.
+ */
+export const getUpcomingOccurrences = (templates, now = new Date(), days = 30) => {
+  const limit = new Date(now.getFullYear(), now.getMonth(), now.getDate() + days, 23, 59, 59);
+  const upcoming = [];
+  templates.filter(t => t.active).forEach(template => {
+    for (let index = template.occurrencesPosted || 0; isWithinLimits(template, index); index++) {
+      const date = getOccurrenceDate(template.startDate, template.frequency, index);
+      if (date > limit) {
+        break;
+      }
+      if (date > now) {
+        upcoming.push({ template, date });
+      }
+    }
+  });
+  return upcoming.sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Validates the data of a recurring template coming from the form.
+ * @param {object} data - The form data.
+ * @returns {string|null} An error message, or null if the data is valid.
+ */
+export const validateTemplate = ({ description, amount, frequency, startDate, endDate, maxOccurrences }) => {
+  if (!description || !description.trim() || !(amount > 0)) {
+    return "Por favor, introduce un monto válido y una descripción.";
+  }
+  if (!FREQUENCIES[frequency]) {
+    return "Elige una frecuencia.";
+  }
+  if (!startDate) {
+    return "Elige la fecha de la primera ocurrencia.";
+  }
+  if (endDate && endDate < startDate) {
+    return "La fecha de fin no puede ser anterior a la de inicio.";
+  }
+  if (maxOccurrences !== null && maxOccurrences !== undefined && !(maxOccurrences >= 1)) {
+    return "La cantidad de repeticiones debe ser al menos 1.";
+  }
+  return null;
+};
+
+// Convierte una plantilla leída del servidor al formato en memoria (fechas como `Date`)
+const fromTemplateDoc = (snapshot) => {
+  const data = snapshot.data();
+  return { id: snapshot.id, ...data, startDate: data.startDate.toDate(), endDate: data.endDate?.toDate() || null };
+};
+
+/**
+ * Posts the due occurrences of every template into the expenses collection.
+ * Each template is handled in a transaction that reads its `occurrencesPosted`
+ * from the server before writing, so a device with a stale copy (persistent
+ * cache, another tab) never posts an occurrence again and never overwrites an
+ * occurrence the user edited, deleted or archived afterwards. Occurrences get
+ * a deterministic document ID, and the category comes from the template, so
+ * no categorization call is made.
+ * @param {object} db - The Firestore instance.
+ * @param {string} userPath - The user's root path, `/artifacts/{appId}/users/{userId}`.
+ * @param {Array<object>} templates - The recurring templates (dates as `Date`).
+ * @param {Date} [now=new Date()] - The current moment.
+ * @returns {Promise<number>} How many expenses were posted.
+ */
+export const postDueOccurrences = async (db, userPath, templates, now = new Date()) => {
+  let posted = 0;
+  // Solo se abre una transacción para las plantillas que, según la copia local, tienen algo pendiente
+  for (const template of templates.filter(t => getDueOccurrences(t, now).length > 0)) {
+    const templateRef = doc(db, `${userPath}/recurring/${template.id}`);
+    let count;
+    do {
+      count = await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(templateRef);
+        if (!snapshot.exists()) {
+          return 0;
+        }
+        const current = fromTemplateDoc(snapshot);
+        const due = getDueOccurrences(current, now).slice(0, BATCH_LIMIT);
+        if (due.length === 0) {
+          return 0;
+        }
+        due.forEach(({ date }) => {
+          const expenseId = `recurring-${template.id}-${toDateInputValue(date)}`;
+          transaction.set(doc(db, `${userPath}/expenses/${expenseId}`), {
+            amount: current.amount,
+            currency: current.currency,
+            description: current.description,
+            category: current.category,
+            classification: current.classification,
+            timestamp: Timestamp.now(),
+            expenseDate: Timestamp.fromDate(date),
+            hasTime: false,
+            recurringId: template.id,
+          });
+        });
+        transaction.update(templateRef, { occurrencesPosted: due[due.length - 1].index + 1 });
+        return due.length;
+      });
+      posted += count;
+    } while (count === BATCH_LIMIT);
+  }
+  return posted;
+};
@@ -0,0 +1,89 @@
+import { getOccurrenceDate, isWithinLimits, getDueOccurrences, getUpcomingOccurrences, validateTemplate } from './recurring';
+
+const template = (overrides = {}) => ({
+  id: 't1',
+  active: true,
+  frequency: 'monthly',
+  startDate: new Date(2024, 0, 31),
+  endDate: null,
+  maxOccurrences: null,
+  occurrencesPosted: 0,
+  ...overrides,
+});
+
+describe('getOccurrenceDate', () => {
+  test('keeps the day of the month, clamped to shorter months', () => {
+    const start = new Date(2024, 0, 31);
+    expect(getOccurrenceDate(start, 'monthly', 1)).toEqual(new Date(2024, 1, 29));
+    expect(getOccurrenceDate(start, 'monthly', 2)).toEqual(new Date(2024, 2, 31));
+  });
+
+  test('handles daily, weekly and yearly templates', () => {
+    const start = new Date(2024, 1, 29);
+    expect(getOccurrenceDate(start, 'daily', 2)).toEqual(new Date(2024, 2, 2));
+    expect(getOccurrenceDate(start, 'weekly', 1)).toEqual(new Date(2024, 2, 7));
+    expect(getOccurrenceDate(start, 'yearly', 1)).toEqual(new Date(2025, 1, 28));
+  });
+
+  test('rejects unknown frequencies', () => {
+    expect(() => getOccurrenceDate(new Date(), 'hourly', 0)).toThrow('Frecuencia desconocida: "hourly".');
+  });
+});
+
+describe('isWithinLimits', () => {
+  test('stops at the maximum number of occurrences', () => {
+    expect(isWithinLimits(template({ maxOccurrences: 2 }), 1)).toBe(true);
+    expect(isWithinLimits(template({ maxOccurrences: 2 }), 2)).toBe(false);
+  });
+
+  test('stops after the end date', () => {
+    const limited = template({ endDate: new Date(2024, 2, 1) });
+    expect(isWithinLimits(limited, 1)).toBe(true);
+    expect(isWithinLimits(limited, 2)).toBe(false);
+  });
+});
+
+describe('getDueOccurrences', () => {
+  const now = new Date(2024, 3, 15);
+
+  test('lists every occurrence up to now', () => {
+    expect(getDueOccurrences(template(), now).map(o => o.index)).toEqual([0, 1, 2]);
+  });
+
+  test('starts after the occurrences already posted', () => {
+    expect(getDueOccurrences(template({ occurrencesPosted: 2 }), now)).toEqual([{ index: 2, date: new Date(2024, 2, 31) }]);
+  });
+
+  test('respects the limits and paused templates', () => {
+    expect(getDueOccurrences(template({ maxOccurrences: 1 }), now)).toHaveLength(1);
+    expect(getDueOccurrences(template({ active: false }), now)).toEqual([]);
+  });
+});
+
+describe('getUpcomingOccurrences', () => {
+  test('lists the occurrences within the window, soonest first', () => {
+    const now = new Date(2024, 3, 15);
+    const upcoming = getUpcomingOccurrences([
+      template({ id: 'monthly', startDate: new Date(2024, 3, 20) }),
+      template({ id: 'weekly', frequency: 'weekly', startDate: new Date(2024, 3, 1), occurrencesPosted: 3 }),
+      template({ id: 'paused', active: false, startDate: new Date(2024, 3, 16) }),
+    ], now, 10);
+    expect(upcoming.map(o => [o.template.id, o.date.getDate()])).toEqual([['monthly', 20], ['weekly', 22]]);
+  });
+});
+
+describe('validateTemplate', () => {
+  const valid = { description: 'Alquiler', amount: 1000, frequency: 'monthly', startDate: new Date(2024, 0, 1), endDate: null, maxOccurrences: null };
+
+  test('accepts a complete template', () => {
+    expect(validateTemplate(valid)).toBeNull();
+  });
+
+  test('reports the first invalid field', () => {
+    expect(validateTemplate({ ...valid, amount: 0 })).toBe("Por favor, introduce un monto válido y una descripción.");
+    expect(validateTemplate({ ...valid, frequency: 'hourly' })).toBe("Elige una frecuencia.");
+    expect(validateTemplate({ ...valid, startDate: null })).toBe("Elige la fecha de la primera ocurrencia.");
+    expect(validateTemplate({ ...valid, endDate: new Date(2023, 0, 1) })).toBe("La fecha de fin no puede ser anterior a la de inicio.");
+    expect(validateTemplate({ ...valid, maxOccurrences: 0 })).toBe("La cantidad de repeticiones debe ser al menos 1.");
+  });
+});
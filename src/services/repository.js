@@ -0,0 +1,608 @@
+import { collection, deleteDoc, doc, getDocs, onSnapshot, query, setDoc, updateDoc, where, writeBatch, Timestamp } from 'firebase/firestore';
+import { DEFAULT_BASE_CURRENCY } from './currency';
+import { UNCATEGORIZED_NAME, seedDefaultCategories, syncCategoryNames, fetchCategoryNames, toKnownCategory, createCategory, updateCategory, mergeCategories, deleteCategory } from './categories';
+import { getCorrectionKey } from './corrections';
+import { archivedExpensesPath, fromArchivedDoc, fetchArchivedExpenses, fetchArchivedIncome, archivePeriod, restoreArchivedExpenses, restoreArchivedIncome } from './archive';
+import { categorizePendingExpenses } from './pendingCategorization';
+import { postDueOccurrences } from './recurring';
+import { savePeriodInsights } from './periodInsights';
+import { trashPath, fromTrashDoc, moveToTrash, restoreFromTrash, purgeTrash } from './trash';
+import { incomePath, archivedIncomePath, fromIncomeDoc, validateIncomeInput } from './income';
+import { getLedgersPath, getLedgerPath, subscribeLedgers, subscribeLedgerEntries, createLedger, joinLedger, addSharedExpense, recordSettlement, deleteLedgerEntry } from './ledgers';
+import { getReceiptPath } from './receipts';
+
+// Colección de nivel superior que usaba la primera versión de la app (gastos con `userId` y `date`)
+export const LEGACY_EXPENSES_COLLECTION = 'expenses';
+
+// Documentos de ajustes del usuario dentro de `settings`
+export const SETTINGS_DOCS = {
+  preferences: 'preferences',
+  exchangeRates: 'exchangeRates',
+  budgets: 'budgets',
+};
+
+// Máximo de operaciones por lote de Firestore
+const BATCH_LIMIT = 500;
+
+/**
+ * Returns every path of a user's data: the Firestore collections, the shared
+ * ledgers they can join and the Storage path of their receipt photos.
+ * @param {string} appId - The app ID.
+ * @param {string} userId - The user UID.
+ * @returns {object} The user path and the path builders of each collection.
+ */
+export const getUserPaths = (appId, userId) => {
+  const user = `/artifacts/${appId}/users/${userId}`;
+  return {
+    user,
+    expenses: `${user}/expenses`,
+    expense: (id) => `${user}/expenses/${id}`,
+    history: `${user}/history`,
+    historyRecord: (id) => `${user}/history/${id}`,
+    archivedExpenses: (historyId) => archivedExpensesPath(user, historyId),
+    trash: trashPath(user),
+    income: incomePath(user),
+    incomeEntry: (id) => `${incomePath(user)}/${id}`,
+    archivedIncome: (historyId) => archivedIncomePath(user, historyId),
+    corrections: `${user}/corrections`,
+    correction: (key) => `${user}/corrections/${key}`,
+    categories: `${user}/categories`,
+    recurring: `${user}/recurring`,
+    recurringTemplate: (id) => `${user}/recurring/${id}`,
+    settings: (name) => `${user}/settings/${name}`,
+    ledgers: getLedgersPath(appId),
+    ledger: (id) => getLedgerPath(appId, id),
+    receipt: (expenseId) => getReceiptPath(appId, userId, expenseId),
+  };
+};
+
+/**
+ * Validates the fields of an expense before writing it. Only the fields
+ * present are checked, so it also validates partial updates.
+ * @param {object} expense
+ * @param {number} [expense.amount] - The amount.
+ * @param {string} [expense.currency] - ISO 4217 code.
+ * @param {string} [expense.description] - The description.
+ * @param {string} [expense.category] - The category name.
+ * @param {Date} [expense.date] - The expense date.
+ * @returns {string|null} An error message, or null if the fields are valid.
+ */
+export const validateExpenseInput = ({ amount, currency, description, category, date }) => {
+  if (amount !== undefined && !(typeof amount === 'number' && Number.isFinite(amount) && amount > 0)) {
+    return "El monto debe ser un número mayor que cero.";
+  }
+  if (currency !== undefined && !/^[A-Z]{3}$/.test(currency)) {
+    return "La moneda debe ser un código de tres letras (ej: ARS).";
+  }
+  if (description !== undefined && !(typeof description === 'string' && description.trim())) {
+    return "La descripción no puede estar vacía.";
+  }
+  if (category !== undefined && !(typeof category === 'string' && category.trim())) {
+    return "La categoría no puede estar vacía.";
+  }
+  if (date !== undefined && !(date instanceof Date && !isNaN(date.getTime()))) {
+    return "La fecha del gasto no es válida.";
+  }
+  return null;
+};
+
+// Lanza un error con el mensaje de validación si los campos no son válidos
+const assertValidExpense = (fields) => {
+  const message = validateExpenseInput(fields);
+  if (message) {
+    throw new Error(message);
+  }
+};
+
+// Comprueba el título y las fechas de un período a archivar (null si es válido)
+const validatePeriod = ({ title, periodStart, periodEnd }) => {
+  if (typeof title !== 'string' || !title.trim()) {
+    return "El período a archivar no tiene título.";
+  }
+  const isDate = (value) => value instanceof Date && !isNaN(value.getTime());
+  if (!isDate(periodStart) || !isDate(periodEnd) || periodStart > periodEnd) {
+    return "Las fechas del período a archivar no son válidas.";
+  }
+  return null;
+};
+
+// Convierte los campos en memoria (`date`) en los que se guardan (`expenseDate`)
+const toStoredFields = ({ date, ...fields }) => ({
+  ...fields,
+  ...(fields.description !== undefined && { description: fields.description.trim() }),
+  ...(date !== undefined && { expenseDate: Timestamp.fromDate(date) }),
+});
+
+// Gasto nuevo tal como se guarda: requiere monto, moneda, descripción y fecha
+const toNewExpenseDoc = (expense) => {
+  assertValidExpense({ amount: expense.amount, currency: expense.currency, description: expense.description, category: expense.category, date: expense.date });
+  return {
+    category: UNCATEGORIZED_NAME,
+    classification: '',
+    hasTime: false,
+    ...toStoredFields(expense),
+    timestamp: Timestamp.now(),
+  };
+};
+
+/**
+ * Turns an expense document into the in-memory expense used by the app.
+ * @param {import('firebase/firestore').QueryDocumentSnapshot} snapshot - The document.
+ * @returns {object} The expense, with `date`, `createdAt` and `isSynced`.
+ */
+export const fromExpenseDoc = (snapshot) => {
+  const data = snapshot.data();
+  return {
+    id: snapshot.id,
+    ...data,
+    isSynced: !snapshot.metadata.hasPendingWrites,
+    category: data.category || UNCATEGORIZED_NAME,
+    // Los gastos anteriores al soporte multimoneda están en pesos
+    currency: data.currency || DEFAULT_BASE_CURRENCY,
+    // Fecha elegida por el usuario; los gastos antiguos solo tienen la de creación
+    date: data.expenseDate?.toDate() || data.timestamp?.toDate() || new Date(),
+    createdAt: data.timestamp?.toDate() || new Date(),
+  };
+};
+
+/**
+ * Turns a history document into the in-memory period summary.
+ * @param {import('firebase/firestore').QueryDocumentSnapshot} snapshot - The document.
+ * @returns {object} The record, with its dates as `Date`.
+ */
+export const fromHistoryDoc = (snapshot) => {
+  const data = snapshot.data();
+  return {
+    id: snapshot.id,
+    ...data,
+    archiveDate: data.archiveDate?.toDate() || new Date(),
+    // Los períodos archivados antes de los ciclos solo tienen la fecha de archivo
+    periodStart: data.periodStart?.toDate() || null,
+    periodEnd: data.periodEnd?.toDate() || data.archiveDate?.toDate() || new Date(),
+  };
+};
+
+// Gasto de la colección antigua convertido al formato actual (null si no tiene monto válido)
+const fromLegacyExpense = (data) => {
+  const amount = Number(data.amount);
+  const date = data.date?.toDate?.() || null;
+  if (!(amount > 0) || typeof data.description !== 'string' || !data.description.trim()) {
+    return null;
+  }
+  return {
+    amount,
+    currency: DEFAULT_BASE_CURRENCY,
+    description: data.description.trim(),
+    category: data.category || UNCATEGORIZED_NAME,
+    classification: data.classification || '',
+    timestamp: date ? Timestamp.fromDate(date) : Timestamp.now(),
+    ...(date && { expenseDate: Timestamp.fromDate(date), hasTime: true }),
+    source: 'legacy',
+  };
+};
+
+// Ordena por fecha, el más reciente primero (y por creación dentro del mismo momento)
+const byDateDesc = (a, b) => (b.date - a.date) || (b.createdAt - a.createdAt);
+
+/**
+ * Creates the repository of a user's data: the only module that knows the
+ * Firestore paths of expenses, income, history, settings, categories,
+ * corrections and recurring templates. Writes are validated; the ones that go
+ * through the offline queue (expenses, income, settings) resolve when the
+ * server confirms them, so callers that must not block can skip awaiting them.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} appId - The app ID.
+ * @param {string} userId - The user UID.
+ * @returns {object} The repository.
+ */
+export const createRepository = (db, appId, userId) => {
+  const paths = getUserPaths(appId, userId);
+
+  // Escucha una colección y entrega los documentos ya convertidos
+  const subscribeCollection = (path, convert, onNext, onError, options = {}) => onSnapshot(
+    query(collection(db, path)),
+    options,
+    (snapshot) => onNext(snapshot.docs.map(convert), snapshot),
+    onError
+  );
+
+  return {
+    userId,
+    paths,
+
+    // --- Gastos del período actual ---
+
+    /**
+     * Reserves the ID of a new expense (to track it before it is written).
+     * @returns {string} The ID.
+     */
+    createExpenseId: () => doc(collection(db, paths.expenses)).id,
+
+    /**
+     * Saves a new expense.
+     * @param {{amount: number, currency: string, description: string, date: Date}} expense - The expense and any extra
+     *   fields (category, classification, hasTime, categorizationStatus, receiptItems, source…).
+     * @param {string} [id] - An ID reserved with `createExpenseId`.
+     * @returns {Promise<string>} The ID, once the server confirms the write.
+     */
+    addExpense: async (expense, id) => {
+      const ref = id ? doc(db, paths.expense(id)) : doc(collection(db, paths.expenses));
+      await setDoc(ref, toNewExpenseDoc(expense));
+      return ref.id;
+    },
+
+    /**
+     * Saves several new expenses in batches (import, quick entry).
+     * @param {Array<object>} expenses - The expenses (same fields as `addExpense`).
+     * @returns {Promise<void>}
+     */
+    addExpenses: async (expenses) => {
+      const docs = expenses.map(toNewExpenseDoc);
+      for (let i = 0; i < docs.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        docs.slice(i, i + BATCH_LIMIT).forEach(data => batch.set(doc(collection(db, paths.expenses)), data));
+        await batch.commit();
+      }
+    },
+
+    /**
+     * Updates some fields of an expense (`date` is stored as `expenseDate`).
+     * @param {string} id - The expense ID.
+     * @param {object} changes - The fields to change.
+     * @returns {Promise<void>}
+     */
+    updateExpense: async (id, changes) => {
+      assertValidExpense(changes);
+      return updateDoc(doc(db, paths.expense(id)), toStoredFields(changes));
+    },
+
+    /**
+     * Deletes an expense.
+     * @param {string} id - The expense ID.
+     * @returns {Promise<void>}
+     */
+    deleteExpense: (id) => deleteDoc(doc(db, paths.expense(id))),
+
+    /**
+     * Listens to the expenses of the current period, most recent first. Metadata
+     * changes are included so `isSynced` follows the offline queue.
+     * @param {function(Array<object>, object): void} onNext - Receives the expenses and the snapshot.
+     * @param {function(Error): void} onError - Receives listener errors.
+     * @returns {function(): void} Stops listening.
+     */
+    subscribeExpenses: (onNext, onError) => subscribeCollection(
+      paths.expenses,
+      fromExpenseDoc,
+      (expenses, snapshot) => onNext(expenses.sort(byDateDesc), snapshot),
+      onError,
+      { includeMetadataChanges: true }
+    ),
+
+    /**
+     * Categorizes expenses saved as pending and updates them.
+     * @see categorizePendingExpenses
+     */
+    categorizePending: (expenses, categorizer, context) => categorizePendingExpenses(db, paths.user, expenses, categorizer, context),
+
+    // --- Papelera ---
+
+    /**
+     * Listens to the trashed expenses, the most recently deleted first.
+     * @param {function(Array<object>, object): void} onNext - Receives the expenses and the snapshot.
+     * @param {function(Error): void} onError - Receives listener errors.
+     * @returns {function(): void} Stops listening.
+     */
+    subscribeTrash: (onNext, onError) => subscribeCollection(
+      paths.trash,
+      fromTrashDoc,
+      (items, snapshot) => onNext(items.sort((a, b) => b.deletedAt - a.deletedAt), snapshot),
+      onError
+    ),
+
+    /** @see moveToTrash */
+    trashExpense: (expense) => moveToTrash(db, paths.user, expense),
+
+    /** @see restoreFromTrash */
+    restoreFromTrash: (items) => restoreFromTrash(db, paths.user, items),
+
+    /** @see purgeTrash */
+    purgeTrash: (items) => purgeTrash(db, paths.user, items),
+
+    // --- Ingresos del período actual ---
+
+    /**
+     * Listens to the income of the current period, most recent first.
+     * @param {function(Array<object>, object): void} onNext - Receives the entries and the snapshot.
+     * @param {function(Error): void} onError - Receives listener errors.
+     * @returns {function(): void} Stops listening.
+     */
+    subscribeIncome: (onNext, onError) => subscribeCollection(
+      paths.income,
+      fromIncomeDoc,
+      (entries, snapshot) => onNext(entries.sort(byDateDesc), snapshot),
+      onError
+    ),
+
+    /**
+     * Reserves the ID of a new income entry, so callers can use it before the
+     * write is confirmed.
+     * @returns {string} A new document ID.
+     */
+    createIncomeId: () => doc(collection(db, paths.income)).id,
+
+    /**
+     * Saves a new income entry. Like expenses, callers need not await it: the
+     * write is queued offline and synced when the connection returns.
+     * @param {{amount: number, currency: string, description: string, category: string, date: Date}} entry - The entry.
+     * @param {string} [id] - An ID reserved with `createIncomeId`.
+     * @returns {Promise<string>} The ID, once the server confirms the write.
+     */
+    addIncome: async ({ date, ...entry }, id) => {
+      const message = validateIncomeInput({ ...entry, date });
+      if (message) {
+        throw new Error(message);
+      }
+      const ref = id ? doc(db, paths.incomeEntry(id)) : doc(collection(db, paths.income));
+      await setDoc(ref, {
+        ...entry,
+        description: entry.description.trim(),
+        incomeDate: Timestamp.fromDate(date),
+        timestamp: Timestamp.now(),
+      });
+      return ref.id;
+    },
+
+    /**
+     * Deletes an income entry.
+     * @param {string} id - The entry ID.
+     * @returns {Promise<void>}
+     */
+    deleteIncome: (id) => deleteDoc(doc(db, paths.incomeEntry(id))),
+
+    // --- Historial ---
+
+    /**
+     * Listens to the archived periods, the most recent period end first.
+     * @param {function(Array<object>, object): void} onNext - Receives the records and the snapshot.
+     * @param {function(Error): void} onError - Receives listener errors.
+     * @returns {function(): void} Stops listening.
+     */
+    subscribeHistory: (onNext, onError) => subscribeCollection(
+      paths.history,
+      fromHistoryDoc,
+      (history, snapshot) => onNext(history.sort((a, b) => (b.periodEnd - a.periodEnd) || (b.archiveDate - a.archiveDate)), snapshot),
+      onError
+    ),
+
+    /**
+     * Listens to the expenses of an archived period, most recent first.
+     * @param {string} historyId - The history record ID.
+     * @param {function(Array<object>): void} onNext - Receives the expenses.
+     * @param {function(Error): void} onError - Receives listener errors.
+     * @returns {function(): void} Stops listening.
+     */
+    subscribeArchivedExpenses: (historyId, onNext, onError) => subscribeCollection(
+      paths.archivedExpenses(historyId),
+      fromArchivedDoc,
+      (expenses) => onNext(expenses.sort(byDateDesc)),
+      onError
+    ),
+
+    /** @see fetchArchivedExpenses */
+    fetchArchivedExpenses: (historyId) => fetchArchivedExpenses(db, paths.user, historyId),
+
+    /**
+     * Listens to the income of an archived period, most recent first.
+     * @param {string} historyId - The history record ID.
+     * @param {function(Array<object>): void} onNext - Receives the entries.
+     * @param {function(Error): void} onError - Receives listener errors.
+     * @returns {function(): void} Stops listening.
+     */
+    subscribeArchivedIncome: (historyId, onNext, onError) => subscribeCollection(
+      paths.archivedIncome(historyId),
+      fromIncomeDoc,
+      (entries) => onNext(entries.sort(byDateDesc)),
+      onError
+    ),
+
+    /** @see fetchArchivedIncome */
+    fetchArchivedIncome: (historyId) => fetchArchivedIncome(db, paths.user, historyId),
+
+    /**
+     * Archives a period and its income (see `archivePeriod`) after checking its title and dates.
+     * @returns {Promise<string>} The ID of the new history record.
+     */
+    archivePeriod: async (expenses, period, income = []) => {
+      const message = validatePeriod(period);
+      if (message) {
+        throw new Error(message);
+      }
+      return archivePeriod(db, paths.user, expenses, period, income);
+    },
+
+    /** @see restoreArchivedExpenses */
+    restoreArchivedExpenses: (record, archived, ids) => restoreArchivedExpenses(db, paths.user, record, archived, ids),
+
+    /** @see restoreArchivedIncome */
+    restoreArchivedIncome: (record, archived, ids) => restoreArchivedIncome(db, paths.user, record, archived, ids),
+
+    /** @see savePeriodInsights */
+    savePeriodInsights: (historyId, insights) => savePeriodInsights(db, paths.user, historyId, insights),
+
+    // --- Ajustes ---
+
+    /**
+     * Listens to a settings document.
+     * @param {string} name - One of `SETTINGS_DOCS`.
+     * @param {function(object|undefined, object): void} onNext - Receives the data (undefined if it does not exist) and the snapshot.
+     * @param {function(Error): void} onError - Receives listener errors.
+     * @returns {function(): void} Stops listening.
+     */
+    subscribeSettings: (name, onNext, onError) => onSnapshot(
+      doc(db, paths.settings(name)),
+      (snapshot) => onNext(snapshot.data(), snapshot),
+      onError
+    ),
+
+    /**
+     * Saves a settings document.
+     * @param {string} name - One of `SETTINGS_DOCS`.
+     * @param {object} data - The settings.
+     * @param {{merge: boolean}} [options] - Merge with the stored document instead of replacing it.
+     * @returns {Promise<void>}
+     */
+    saveSettings: async (name, data, { merge = false } = {}) => {
+      if (!Object.values(SETTINGS_DOCS).includes(name)) {
+        throw new Error(`Ajuste desconocido: "${name}".`);
+      }
+      return setDoc(doc(db, paths.settings(name)), merge ? data : { ...data, updatedAt: Timestamp.now() }, { merge });
+    },
+
+    // --- Categorías y correcciones ---
+
+    /**
+     * Listens to the user's categories.
+     * @param {function(Array<object>, object): void} onNext - Receives the categories and the snapshot.
+     * @param {function(Error): void} onError - Receives listener errors.
+     * @returns {function(): void} Stops listening.
+     */
+    subscribeCategories: (onNext, onError) => subscribeCollection(paths.categories, d => ({ id: d.id, ...d.data() }), onNext, onError),
+
+    seedDefaultCategories: () => seedDefaultCategories(db, paths.user),
+    /** @see syncCategoryNames */
+    syncCategoryNames: (categories) => syncCategoryNames(db, paths.user, categories),
+    createCategory: (categories, data) => createCategory(db, paths.user, categories, data),
+    updateCategory: (categories, category, changes) => updateCategory(db, paths.user, categories, category, changes),
+    mergeCategories: (categories, source, target) => mergeCategories(db, paths.user, categories, source, target),
+    deleteCategory: (categories, category) => deleteCategory(db, paths.user, categories, category),
+
+    /**
+     * Listens to the user's manual category corrections.
+     * @param {function(Array<object>): void} onNext - Receives the corrections.
+     * @param {function(Error): void} onError - Receives listener errors.
+     * @returns {function(): void} Stops listening.
+     */
+    subscribeCorrections: (onNext, onError) => subscribeCollection(paths.corrections, d => ({ id: d.id, ...d.data() }), onNext, onError),
+
+    /**
+     * Remembers the category chosen by hand for a description.
+     * @param {string} description - The expense description.
+     * @param {string} category - The chosen category.
+     * @param {string} classification - The chosen classification.
+     * @returns {Promise<void>}
+     */
+    saveCorrection: async (description, category, classification) => {
+      const key = getCorrectionKey(description);
+      if (!key) return;
+      await setDoc(doc(db, paths.correction(key)), {
+        key,
+        description,
+        category,
+        classification,
+        updatedAt: Timestamp.now(),
+      });
+    },
+
+    // --- Gastos recurrentes ---
+
+    /**
+     * Listens to the recurring templates (dates as `Date`). Metadata changes are
+     * included so a snapshot confirmed by the server always arrives, even when
+     * it matches the cached one.
+     * @param {function(Array<object>, object): void} onNext - Receives the templates and the snapshot.
+     * @param {function(Error): void} onError - Receives listener errors.
+     * @returns {function(): void} Stops listening.
+     */
+    subscribeRecurring: (onNext, onError) => subscribeCollection(
+      paths.recurring,
+      d => ({ id: d.id, ...d.data(), startDate: d.data().startDate.toDate(), endDate: d.data().endDate?.toDate() || null }),
+      onNext,
+      onError,
+      { includeMetadataChanges: true }
+    ),
+
+    /**
+     * Saves a new recurring template.
+     * @param {object} template - The validated template (dates as `Date`).
+     * @returns {Promise<void>}
+     */
+    addRecurring: ({ startDate, endDate, ...template }) => setDoc(doc(collection(db, paths.recurring)), {
+      ...template,
+      startDate: Timestamp.fromDate(startDate),
+      endDate: endDate ? Timestamp.fromDate(endDate) : null,
+      occurrencesPosted: 0,
+      active: true,
+      createdAt: Timestamp.now(),
+    }),
+
+    updateRecurring: (id, changes) => updateDoc(doc(db, paths.recurringTemplate(id)), changes),
+    deleteRecurring: (id) => deleteDoc(doc(db, paths.recurringTemplate(id))),
+
+    /** @see postDueOccurrences */
+    postDueOccurrences: (templates) => postDueOccurrences(db, paths.user, templates),
+
+    // --- Hogares compartidos ---
+
+    /**
+     * Listens to the shared ledgers the user is a member of.
+     * @see subscribeLedgers
+     */
+    subscribeLedgers: (onNext, onError) => subscribeLedgers(db, paths.ledgers, userId, onNext, onError),
+
+    /**
+     * Listens to the shared expenses or the settlements of a ledger.
+     * @see subscribeLedgerEntries
+     */
+    subscribeLedgerEntries: (ledgerId, kind, onNext, onError) => subscribeLedgerEntries(db, paths.ledger(ledgerId), kind, onNext, onError),
+
+    /** @see createLedger */
+    createLedger: (account, data) => createLedger(db, paths.ledgers, account, data),
+
+    /** @see joinLedger */
+    joinLedger: (ledgerId, account) => joinLedger(db, paths.ledgers, ledgerId, account),
+
+    /** @see addSharedExpense */
+    addSharedExpense: (ledgerId, expense) => addSharedExpense(db, paths.ledger(ledgerId), expense, userId),
+
+    /** @see recordSettlement */
+    recordSettlement: (ledgerId, settlement) => recordSettlement(db, paths.ledger(ledgerId), settlement, userId),
+
+    /** @see deleteLedgerEntry */
+    deleteLedgerEntry: (ledgerId, kind, id) => deleteLedgerEntry(db, paths.ledger(ledgerId), kind, id),
+
+    // --- Migración ---
+
+    /**
+     * Moves the user's documents from the legacy top-level `expenses` collection
+     * (written by the first version of the app) into the current expenses
+     * collection. Each document keeps its ID (with a `legacy-` prefix) and is
+     * copied and deleted in the same batch, so running it twice is harmless.
+     * Documents without a valid amount or description are left in place, and
+     * categories the user no longer has become `No Categorizado`.
+     * @returns {Promise<number>} How many expenses were migrated.
+     */
+    migrateLegacyExpenses: async () => {
+      const snapshot = await getDocs(query(collection(db, LEGACY_EXPENSES_COLLECTION), where('userId', '==', userId)));
+      const names = snapshot.empty ? null : await fetchCategoryNames(db, paths.user);
+      const migrations = [];
+      snapshot.docs.forEach(legacy => {
+        const expense = fromLegacyExpense(legacy.data());
+        if (expense) {
+          migrations.push({ ref: legacy.ref, id: `legacy-${legacy.id}`, expense: { ...expense, category: toKnownCategory(names, expense.category) } });
+        } else {
+          console.warn(`Gasto antiguo ${legacy.id} sin monto o descripción válidos: no se migra.`);
+        }
+      });
+      // Cada gasto migrado son dos escrituras (copia y borrado)
+      for (let i = 0; i < migrations.length; i += BATCH_LIMIT / 2) {
+        const batch = writeBatch(db);
+        migrations.slice(i, i + BATCH_LIMIT / 2).forEach(({ ref, id, expense }) => {
+          batch.set(doc(db, paths.expense(id)), expense);
+          batch.delete(ref);
+        });
+        await batch.commit();
+      }
+      return migrations.length;
+    },
+  };
+};
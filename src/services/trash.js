@@ -0,0 +1,134 @@
+import { doc, writeBatch, Timestamp } from 'firebase/firestore';
+import { DEFAULT_BASE_CURRENCY } from './currency';
+import { toStoredExpense } from './archive';
+import { fetchCategoryNames, toKnownCategory } from './categories';
+
+// Días que un gasto eliminado permanece en la papelera antes de borrarse solo
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+export const MAX_TRASH_RETENTION_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cada gasto movido son dos escrituras (copia y borrado)
+const ITEMS_PER_BATCH = 250;
+
+/**
+ * Returns the path of the user's trash collection.
+ * @param {string} userPath - Path of the user document.
+ * @returns {string} The collection path.
+ */
+export const trashPath = (userPath) => `${userPath}/trash`;
+
+/**
+ * Converts a trash document into an in-memory expense with its deletion date.
+ * @param {import('firebase/firestore').QueryDocumentSnapshot} snapshot - The trashed expense.
+ * @returns {object} The expense, with `date`, `createdAt` and `deletedAt`.
+ */
+export const fromTrashDoc = (snapshot) => {
+  const data = snapshot.data();
+  return {
+    id: snapshot.id,
+    ...data,
+    currency: data.currency || DEFAULT_BASE_CURRENCY,
+    date: data.expenseDate?.toDate() || data.timestamp?.toDate() || new Date(),
+    createdAt: data.timestamp?.toDate() || new Date(),
+    deletedAt: data.deletedAt?.toDate() || new Date(),
+  };
+};
+
+/**
+ * Validates the number of days kept in the trash.
+ * @param {number} days - The proposed retention.
+ * @returns {string|null} An error message, or null if it is valid.
+ */
+export const validateRetentionDays = (days) => (
+  Number.isInteger(days) && days >= 1 && days <= MAX_TRASH_RETENTION_DAYS
+    ? null
+    : `La papelera debe conservar los gastos entre 1 y ${MAX_TRASH_RETENTION_DAYS} días.`
+);
+
+/**
+ * Returns how many days are left before a trashed expense is purged.
+ * @param {{deletedAt: Date}} item - The trashed expense.
+ * @param {number} retentionDays - Days kept in the trash.
+ * @param {Date} [now=new Date()] - The current moment.
+ * @returns {number} Whole days left (0 once expired).
+ */
+export const getTrashDaysLeft = (item, retentionDays, now = new Date()) => (
+  Math.max(0, Math.ceil((item.deletedAt.getTime() + retentionDays * DAY_MS - now.getTime()) / DAY_MS))
+);
+
+/**
+ * Returns the trashed expenses kept longer than the retention.
+ * @param {Array<{deletedAt: Date}>} items - The trashed expenses.
+ * @param {number} retentionDays - Days kept in the trash.
+ * @param {Date} [now=new Date()] - The current moment.
+ * @returns {Array<object>} The expired items.
+ */
+export const getExpiredTrash = (items, retentionDays, now = new Date()) => (
+  items.filter(item => now.getTime() - item.deletedAt.getTime() >= retentionDays * DAY_MS)
+);
+
+// Divide una lista en lotes que entran en una escritura por lotes
+const toChunks = (items) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += ITEMS_PER_BATCH) {
+    chunks.push(items.slice(i, i + ITEMS_PER_BATCH));
+  }
+  return chunks;
+};
+
+/**
+ * Moves an expense of the current period to the trash (copy and delete in one
+ * batch). The write is queued offline like any other, so callers may skip
+ * awaiting it.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} userPath - Path of the user document.
+ * @param {object} expense - The in-memory expense.
+ * @returns {Promise<void>} Resolves when the server confirms the move.
+ */
+export const moveToTrash = (db, userPath, expense) => {
+  const batch = writeBatch(db);
+  batch.set(doc(db, `${trashPath(userPath)}/${expense.id}`), { ...toStoredExpense(expense), deletedAt: Timestamp.now() });
+  batch.delete(doc(db, `${userPath}/expenses/${expense.id}`));
+  return batch.commit();
+};
+
+/**
+ * Moves trashed expenses back to the current period, keeping their IDs.
+ * Expenses whose category no longer exists come back as `No Categorizado`.
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} userPath - Path of the user document.
+ * @param {Array<object>} items - The trashed expenses (see `fromTrashDoc`).
+ * @returns {Promise<void>}
+ */
+export const restoreFromTrash = async (db, userPath, items) => {
+  const names = await fetchCategoryNames(db, userPath);
+  for (const chunk of toChunks(items)) {
+    const batch = writeBatch(db);
+    chunk.forEach(({ deletedAt, ...expense }) => {
+      batch.set(doc(db, `${userPath}/expenses/${expense.id}`), {
+        ...toStoredExpense(expense),
+        category: toKnownCategory(names, expense.category),
+      });
+      batch.delete(doc(db, `${trashPath(userPath)}/${expense.id}`));
+    });
+    await batch.commit();
+  }
+};
+
+/**
+ * Deletes trashed expenses for good. Their receipt photos are the caller's
+ * to delete (they live in Storage).
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance.
+ * @param {string} userPath - Path of the user document.
+ * @param {Array<{id: string}>} items - The trashed expenses.
+ * @returns {Promise<void>}
+ */
+export const purgeTrash = async (db, userPath, items) => {
+  for (const chunk of toChunks(items)) {
+    const batch = writeBatch(db);
+    chunk.forEach(item => batch.delete(doc(db, `${trashPath(userPath)}/${item.id}`)));
+    await batch.commit();
+  }
+};
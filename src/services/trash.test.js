@@ -0,0 +1,34 @@
+import { MAX_TRASH_RETENTION_DAYS, validateRetentionDays, getTrashDaysLeft, getExpiredTrash } from './trash';
+
+const now = new Date(2024, 4, 31, 12, 0);
+const deletedDaysAgo = (id, days) => ({ id, deletedAt: new Date(now.getTime() - days * 24 * 60 * 60 * 1000) });
+
+describe('validateRetentionDays', () => {
+  test('accepts whole days between 1 and the maximum', () => {
+    expect(validateRetentionDays(1)).toBeNull();
+    expect(validateRetentionDays(MAX_TRASH_RETENTION_DAYS)).toBeNull();
+  });
+
+  test.each([0, -3, 2.5, NaN, MAX_TRASH_RETENTION_DAYS + 1])('rejects %s', (days) => {
+    expect(validateRetentionDays(days)).toBe(`La papelera debe conservar los gastos entre 1 y ${MAX_TRASH_RETENTION_DAYS} días.`);
+  });
+});
+
+describe('getTrashDaysLeft', () => {
+  test('rounds the remaining time up to whole days', () => {
+    expect(getTrashDaysLeft(deletedDaysAgo('a', 0), 30, now)).toBe(30);
+    expect(getTrashDaysLeft(deletedDaysAgo('a', 29.5), 30, now)).toBe(1);
+  });
+
+  test('never goes below zero once expired', () => {
+    expect(getTrashDaysLeft(deletedDaysAgo('a', 40), 30, now)).toBe(0);
+  });
+});
+
+describe('getExpiredTrash', () => {
+  test('returns the items kept for the whole retention or longer', () => {
+    const items = [deletedDaysAgo('recent', 1), deletedDaysAgo('exact', 7), deletedDaysAgo('old', 20)];
+    expect(getExpiredTrash(items, 7, now).map(item => item.id)).toEqual(['exact', 'old']);
+    expect(getExpiredTrash(items, 30, now)).toEqual([]);
+  });
+});
@@ -0,0 +1,99 @@
+import { convertAmount } from './currency';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Etiqueta corta de un período para el eje del gráfico (mes de inicio, o de cierre en archivos antiguos)
+const getPeriodLabel = (date) => date.toLocaleDateString('es-AR', { month: 'short', year: '2-digit' });
+
+/**
+ * Builds the series of the trends view from the archived periods (oldest
+ * first), optionally followed by the period in progress. Totals are converted
+ * to the base currency; periods whose currency cannot be converted are left
+ * out and counted in `skipped`.
+ * @param {Array<object>} history - The history records, newest first.
+ * @param {object} options
+ * @param {string} options.baseCurrency - The base currency.
+ * @param {{rates: Object<string, number>}} options.rateTable - Exchange rates.
+ * @param {{totalSpent: number, categorySummary: Array<object>, periodStart: Date|null}} [options.current] - The period in progress.
+ * @returns {{periods: Array<{id: string, label: string, title: string, isCurrent: boolean, total: number, categories: Object<string, number>}>, categories: Array<string>, skipped: number}}
+ *   The periods, the categories ordered by overall spend, and how many periods were skipped.
+ */
+export const buildTrendSeries = (history, { baseCurrency, rateTable, current }) => {
+  let skipped = 0;
+  const periods = [];
+  [...history].reverse().forEach(record => {
+    const factor = convertAmount(1, record.currency || baseCurrency, baseCurrency, rateTable);
+    if (factor === null) {
+      skipped++;
+      return;
+    }
+    periods.push({
+      id: record.id,
+      label: getPeriodLabel(record.periodStart || record.periodEnd),
+      title: record.title,
+      isCurrent: false,
+      total: round((record.totalSpent || 0) * factor),
+      categories: Object.fromEntries((record.categorySummary || []).map(c => [c.category, round(c.total * factor)])),
+    });
+  });
+  if (current) {
+    periods.push({
+      id: 'current',
+      label: current.periodStart ? getPeriodLabel(current.periodStart) : 'Actual',
+      title: 'Período actual (en curso)',
+      isCurrent: true,
+      total: round(current.totalSpent),
+      categories: Object.fromEntries(current.categorySummary.map(c => [c.category, round(c.total)])),
+    });
+  }
+
+  const overall = {};
+  periods.forEach(period => Object.entries(period.categories).forEach(([category, total]) => {
+    overall[category] = (overall[category] || 0) + total;
+  }));
+  const categories = Object.keys(overall).sort((a, b) => overall[b] - overall[a]);
+
+  return { periods, categories, skipped };
+};
+
+/**
+ * Returns the value of each period (its total, or the total of one category)
+ * and the change against the previous period.
+ * @param {Array<object>} periods - The periods of the series.
+ * @param {string} [category] - The category; the overall total when empty.
+ * @returns {Array<object>} The periods with `value`, `delta` and `deltaPercent` (null for the first one).
+ */
+export const getPeriodDeltas = (periods, category) => periods.map((period, index) => {
+  const valueOf = (p) => (category ? p.categories[category] || 0 : p.total);
+  const value = valueOf(period);
+  const previous = index > 0 ? valueOf(periods[index - 1]) : null;
+  return {
+    ...period,
+    value,
+    delta: previous === null ? null : round(value - previous),
+    deltaPercent: previous ? ((value - previous) / previous) * 100 : null,
+  };
+});
+
+/**
+ * Computes the average per period of each category and of the total, and how
+ * the latest period compares with that average. The period in progress is left
+ * out of the averages, since it is not complete.
+ * @param {ReturnType<typeof buildTrendSeries>} series - The trend series.
+ * @returns {{averageTotal: number|null, rows: Array<{category: string, average: number, last: number, difference: number}>}}
+ *   The averages; `last` is the latest closed period.
+ */
+export const computeTrendAverages = ({ periods, categories }) => {
+  const closed = periods.filter(period => !period.isCurrent);
+  if (closed.length === 0) {
+    return { averageTotal: null, rows: [] };
+  }
+  const last = closed[closed.length - 1];
+  const averageTotal = round(closed.reduce((sum, period) => sum + period.total, 0) / closed.length);
+  const rows = categories.map(category => {
+    const average = round(closed.reduce((sum, period) => sum + (period.categories[category] || 0), 0) / closed.length);
+    const lastValue = last.categories[category] || 0;
+    return { category, average, last: lastValue, difference: round(lastValue - average) };
+  });
+  return { averageTotal, rows };
+};
@@ -0,0 +1,105 @@
+import { buildTrendSeries, getPeriodDeltas, computeTrendAverages } from './trends';
+
+const rateTable = { reference: 'ARS', rates: { USD: 1000 } };
+
+// Historial tal como llega del listener: el más reciente primero
+const history = [
+  {
+    id: 'h3',
+    title: 'Marzo',
+    currency: 'BRL',
+    totalSpent: 500,
+    categorySummary: [{ category: 'Comida', total: 500 }],
+    periodStart: new Date(2024, 2, 1),
+  },
+  {
+    id: 'h2',
+    title: 'Febrero',
+    currency: 'USD',
+    totalSpent: 2,
+    categorySummary: [{ category: 'Comida', total: 1.5 }, { category: 'Transporte', total: 0.5 }],
+    periodStart: new Date(2024, 1, 1),
+  },
+  {
+    id: 'h1',
+    title: 'Enero',
+    totalSpent: 1000,
+    categorySummary: [{ category: 'Comida', total: 600 }, { category: 'Ocio', total: 400 }],
+    periodEnd: new Date(2024, 0, 31),
+  },
+];
+
+const current = {
+  totalSpent: 3000.456,
+  categorySummary: [{ category: 'Transporte', total: 3000.456 }],
+  periodStart: null,
+};
+
+describe('buildTrendSeries', () => {
+  test('converts the periods to the base currency, oldest first, and skips the unconvertible ones', () => {
+    const { periods, skipped } = buildTrendSeries(history, { baseCurrency: 'ARS', rateTable });
+    expect(skipped).toBe(1);
+    expect(periods.map(p => [p.id, p.total, p.categories])).toEqual([
+      ['h1', 1000, { Comida: 600, Ocio: 400 }],
+      ['h2', 2000, { Comida: 1500, Transporte: 500 }],
+    ]);
+    // Los archivos antiguos sin inicio usan la fecha de cierre
+    expect(periods[0].label).toBe(new Date(2024, 0, 31).toLocaleDateString('es-AR', { month: 'short', year: '2-digit' }));
+  });
+
+  test('appends the period in progress and orders the categories by overall spend', () => {
+    const { periods, categories } = buildTrendSeries(history, { baseCurrency: 'ARS', rateTable, current });
+    expect(periods[periods.length - 1]).toEqual({
+      id: 'current',
+      label: 'Actual',
+      title: 'Período actual (en curso)',
+      isCurrent: true,
+      total: 3000.46,
+      categories: { Transporte: 3000.46 },
+    });
+    expect(categories).toEqual(['Transporte', 'Comida', 'Ocio']);
+  });
+});
+
+describe('getPeriodDeltas', () => {
+  const periods = [
+    { id: 'a', total: 1000, categories: { Comida: 600 } },
+    { id: 'b', total: 1500, categories: {} },
+    { id: 'c', total: 1200, categories: { Comida: 300 } },
+  ];
+
+  test('compares each total with the previous period', () => {
+    expect(getPeriodDeltas(periods).map(p => [p.value, p.delta, p.deltaPercent])).toEqual([
+      [1000, null, null],
+      [1500, 500, 50],
+      [1200, -300, -20],
+    ]);
+  });
+
+  test('uses the category total and has no percentage after an empty period', () => {
+    expect(getPeriodDeltas(periods, 'Comida').map(p => [p.value, p.delta, p.deltaPercent])).toEqual([
+      [600, null, null],
+      [0, -600, -100],
+      [300, 300, null],
+    ]);
+  });
+});
+
+describe('computeTrendAverages', () => {
+  test('averages the closed periods and compares the latest one', () => {
+    const series = buildTrendSeries(history, { baseCurrency: 'ARS', rateTable, current });
+    expect(computeTrendAverages(series)).toEqual({
+      averageTotal: 1500,
+      rows: [
+        { category: 'Transporte', average: 250, last: 500, difference: 250 },
+        { category: 'Comida', average: 1050, last: 1500, difference: 450 },
+        { category: 'Ocio', average: 200, last: 0, difference: -200 },
+      ],
+    });
+  });
+
+  test('returns no averages without closed periods', () => {
+    expect(computeTrendAverages({ periods: [{ isCurrent: true, total: 10, categories: {} }], categories: [] }))
+      .toEqual({ averageTotal: null, rows: [] });
+  });
+});
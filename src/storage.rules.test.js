@@ -0,0 +1,58 @@
+/**
+ * @jest-environment node
+ */
+// Pruebas de las reglas de Storage (storage.rules) contra el emulador local.
+// Se ejecutan con `npm run test:rules`, que levanta el emulador; sin él se omiten.
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { ref, uploadBytes, getBytes, deleteObject } from 'firebase/storage';
+import { getReceiptPath } from './services/receipts';
+
+const APP_ID = 'test-app';
+const describeWithEmulator = process.env.FIREBASE_STORAGE_EMULATOR_HOST ? describe : describe.skip;
+
+const photo = (size = 1024) => new Uint8Array(size);
+
+describeWithEmulator('Storage rules', () => {
+  let testEnv;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-rastreador-gastos',
+      storage: { rules: readFileSync(resolve(__dirname, '../storage.rules'), 'utf8') },
+    });
+  });
+
+  afterEach(() => testEnv.clearStorage());
+
+  afterAll(() => testEnv.cleanup());
+
+  const storageFor = (uid) => testEnv.authenticatedContext(uid).storage();
+  const receiptRef = (uid, owner = 'alice') => ref(storageFor(uid), getReceiptPath(APP_ID, owner, 'e1'));
+
+  test('owners upload, read and delete their receipts', async () => {
+    await assertSucceeds(uploadBytes(receiptRef('alice'), photo(), { contentType: 'image/jpeg' }));
+    await assertSucceeds(getBytes(receiptRef('alice')));
+    await assertSucceeds(deleteObject(receiptRef('alice')));
+  });
+
+  test('other users cannot touch the receipts', async () => {
+    await assertSucceeds(uploadBytes(receiptRef('alice'), photo(), { contentType: 'image/jpeg' }));
+
+    await assertFails(getBytes(receiptRef('bob')));
+    await assertFails(uploadBytes(receiptRef('bob'), photo(), { contentType: 'image/jpeg' }));
+    await assertFails(deleteObject(receiptRef('bob')));
+    await assertFails(getBytes(ref(testEnv.unauthenticatedContext().storage(), getReceiptPath(APP_ID, 'alice', 'e1'))));
+  });
+
+  test('receipts must be images of at most 5 MB', async () => {
+    await assertFails(uploadBytes(receiptRef('alice'), photo(), { contentType: 'application/pdf' }));
+    await assertFails(uploadBytes(receiptRef('alice'), photo(5 * 1024 * 1024), { contentType: 'image/jpeg' }));
+  });
+
+  test('nothing else can be stored', async () => {
+    const other = ref(storageFor('alice'), `artifacts/${APP_ID}/users/alice/backup.json`);
+    await assertFails(uploadBytes(other, photo(), { contentType: 'image/jpeg' }));
+  });
+});